@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { supabase } from '@/integrations/supabase/client';
+import { useToast } from '@/hooks/use-toast';
+import { FileText, Loader } from 'lucide-react';
+
+/**
+ * Admin review of a buyer dispute: both sides' statements and evidence, and
+ * the three possible outcomes handled by the resolve-dispute edge function
+ * @param {Object} props
+ * @param {Object|null} props.dispute - support_tickets row with category 'dispute'
+ * @param {Function} props.onClose
+ * @param {Function} props.onResolved
+ */
+export const DisputeResolutionDialog = ({ dispute, onClose, onResolved }) => {
+  const [transaction, setTransaction] = useState(null);
+  const [evidence, setEvidence] = useState([]);
+  const [refundAmount, setRefundAmount] = useState('');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(null);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    if (dispute) {
+      loadDisputeDetails();
+    } else {
+      setTransaction(null);
+      setEvidence([]);
+      setRefundAmount('');
+      setNotes('');
+    }
+  }, [dispute?.id]);
+
+  const loadDisputeDetails = async () => {
+    const [transactionData, evidenceData] = await Promise.all([
+      supabase
+        .from('enhanced_transactions')
+        .select('id, amount, platform_fee, escrow_status, buyer_id, seller_id')
+        .eq('id', dispute.transaction_id)
+        .single(),
+      supabase
+        .from('ticket_documents')
+        .select('id, file_name, file_path, uploaded_by, uploaded_at')
+        .eq('support_ticket_id', dispute.id)
+        .order('uploaded_at', { ascending: true })
+    ]);
+
+    setTransaction(transactionData.data);
+
+    // Evidence lives in a private bucket, so link it through short-lived URLs
+    const files = await Promise.all((evidenceData.data || []).map(async (file) => {
+      const { data } = await supabase.storage
+        .from('ticket-documents')
+        .createSignedUrl(file.file_path, 60 * 10);
+      return { ...file, url: data?.signedUrl };
+    }));
+    setEvidence(files);
+  };
+
+  const resolve = async (resolution) => {
+    setSubmitting(resolution);
+    try {
+      const { data, error } = await supabase.functions.invoke('resolve-dispute', {
+        body: {
+          disputeId: dispute.id,
+          resolution,
+          refundAmount: resolution === 'partial_refund' ? Number(refundAmount) : undefined,
+          notes
+        }
+      });
+
+      if (error || data?.error) throw new Error(data?.error || error.message);
+
+      toast({
+        title: 'Dispute Resolved',
+        description: data.refundAmount > 0
+          ? `₹${data.refundAmount} is being refunded to the buyer.`
+          : 'The payment has been released to the seller.',
+      });
+      onResolved();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message,
+        variant: 'destructive',
+      });
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  const partialAmount = Number(refundAmount);
+  const isPartialValid = transaction && partialAmount > 0 && partialAmount < Number(transaction.amount);
+
+  const renderEvidence = (userId) => {
+    const files = evidence.filter(file => file.uploaded_by === userId);
+    if (files.length === 0) {
+      return <p className="text-xs text-gray-500">No evidence attached</p>;
+    }
+    return (
+      <ul className="space-y-1">
+        {files.map(file => (
+          <li key={file.id}>
+            <a href={file.url} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 hover:underline inline-flex items-center">
+              <FileText className="h-3 w-3 mr-1" />
+              {file.file_name}
+            </a>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <Dialog open={!!dispute} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>{dispute?.subject}</DialogTitle>
+          <DialogDescription>
+            {transaction
+              ? `₹${transaction.amount} sale • Platform fee ₹${transaction.platform_fee || 0} • Funds ${transaction.escrow_status}`
+              : 'Loading transaction...'
+            }
+          </DialogDescription>
+        </DialogHeader>
+
+        {dispute && (
+          <div className="space-y-4">
+            <div className="p-3 border rounded-lg space-y-2">
+              <div className="flex items-center space-x-2">
+                <h4 className="font-medium text-sm">Buyer</h4>
+                <Badge variant="outline">{new Date(dispute.created_at).toLocaleString()}</Badge>
+              </div>
+              <p className="text-sm whitespace-pre-wrap">{dispute.description}</p>
+              {renderEvidence(dispute.user_id)}
+            </div>
+
+            <div className="p-3 border rounded-lg space-y-2">
+              <div className="flex items-center space-x-2">
+                <h4 className="font-medium text-sm">Seller</h4>
+                <Badge variant="outline">
+                  {dispute.responded_at
+                    ? new Date(dispute.responded_at).toLocaleString()
+                    : `Response due ${new Date(dispute.response_due_at).toLocaleString()}`
+                  }
+                </Badge>
+              </div>
+              {dispute.respondent_response ? (
+                <p className="text-sm whitespace-pre-wrap">{dispute.respondent_response}</p>
+              ) : (
+                <p className="text-sm text-gray-500">The seller hasn't responded yet.</p>
+              )}
+              {renderEvidence(dispute.respondent_id)}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="resolution-notes">Resolution notes</Label>
+              <Textarea
+                id="resolution-notes"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Shared with the support record"
+                rows={2}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="partial-refund">Partial refund amount (₹)</Label>
+              <Input
+                id="partial-refund"
+                type="number"
+                min="1"
+                max={transaction?.amount}
+                value={refundAmount}
+                onChange={(e) => setRefundAmount(e.target.value)}
+              />
+            </div>
+          </div>
+        )}
+
+        <DialogFooter className="gap-2">
+          <Button
+            variant="outline"
+            onClick={() => resolve('release')}
+            disabled={!transaction || !!submitting}
+          >
+            {submitting === 'release' && <Loader className="h-4 w-4 animate-spin mr-1" />}
+            Release to seller
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => resolve('partial_refund')}
+            disabled={!isPartialValid || !!submitting}
+          >
+            {submitting === 'partial_refund' && <Loader className="h-4 w-4 animate-spin mr-1" />}
+            Partial refund
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={() => resolve('full_refund')}
+            disabled={!transaction || !!submitting}
+          >
+            {submitting === 'full_refund' && <Loader className="h-4 w-4 animate-spin mr-1" />}
+            Full refund
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -5,6 +5,9 @@ import { Badge } from '@/components/ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { supabase } from '@/integrations/supabase/client';
 import { useToast } from '@/hooks/use-toast';
+import { DisputeResolutionDialog } from './DisputeResolutionDialog';
+import { FeeRulesManager } from './FeeRulesManager';
+import { LedgerReconciliation } from './LedgerReconciliation';
 import {
   Users,
   Ticket,
@@ -14,7 +17,8 @@ import {
   CheckCircle,
   XCircle,
   Eye,
-  BarChart3
+  BarChart3,
+  Scale
 } from 'lucide-react';
 
 export const EnhancedAdminPanel = () => {
@@ -24,6 +28,7 @@ export const EnhancedAdminPanel = () => {
   const [transactions, setTransactions] = useState([]);
   const [supportTickets, setSupportTickets] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [resolvingDispute, setResolvingDispute] = useState(null);
   const { toast } = useToast();
 
   useEffect(() => {
@@ -166,6 +171,8 @@ export const EnhancedAdminPanel = () => {
           <TabsTrigger value="users">User Management</TabsTrigger>
           <TabsTrigger value="transactions">Transactions</TabsTrigger>
           <TabsTrigger value="support">Support Tickets</TabsTrigger>
+          <TabsTrigger value="fees">Fees</TabsTrigger>
+          <TabsTrigger value="ledger">Ledger</TabsTrigger>
         </TabsList>
 
         <TabsContent value="tickets">
@@ -308,21 +315,48 @@ export const EnhancedAdminPanel = () => {
                         <Badge variant="outline">
                           {ticket.priority}
                         </Badge>
+                        {ticket.category === 'dispute' && (
+                          <Badge variant="outline">dispute</Badge>
+                        )}
                       </div>
                       <p className="text-sm text-gray-600">
                         {ticket.description?.substring(0, 100)}...
                       </p>
                     </div>
-                    <Button size="sm" variant="outline">
-                      <Eye className="h-4 w-4" />
-                    </Button>
+                    {ticket.category === 'dispute' && ['open', 'in_progress'].includes(ticket.status) ? (
+                      <Button size="sm" variant="outline" onClick={() => setResolvingDispute(ticket)}>
+                        <Scale className="h-4 w-4 mr-1" />
+                        Resolve
+                      </Button>
+                    ) : (
+                      <Button size="sm" variant="outline">
+                        <Eye className="h-4 w-4" />
+                      </Button>
+                    )}
                   </div>
                 ))}
               </div>
             </CardContent>
           </Card>
         </TabsContent>
+
+        <TabsContent value="fees">
+          <FeeRulesManager />
+        </TabsContent>
+
+        <TabsContent value="ledger">
+          <LedgerReconciliation />
+        </TabsContent>
       </Tabs>
+
+      <DisputeResolutionDialog
+        dispute={resolvingDispute}
+        onClose={() => setResolvingDispute(null)}
+        onResolved={() => {
+          setResolvingDispute(null);
+          loadDashboardData();
+        }}
+      />
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,483 @@
+import React, { useState, useEffect } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { supabase } from '@/integrations/supabase/client';
+import { useToast } from '@/hooks/use-toast';
+import { FeeBreakdown } from '@/components/payments/FeeBreakdown';
+import { describeFeeRule, LISTING_TYPES } from '@/utils/fees';
+import { Loader, Pencil, Plus, Tag } from 'lucide-react';
+
+const ANY = 'any';
+
+const EMPTY_RULE = {
+  name: '',
+  listing_type: ANY,
+  bus_operator: '',
+  percentage: '5',
+  fixed_fee: '0',
+  min_fee: '',
+  max_fee: ''
+};
+
+const EMPTY_PROMOTION = {
+  name: '',
+  listing_type: ANY,
+  bus_operator: '',
+  starts_at: '',
+  ends_at: ''
+};
+
+const optionalNumber = (value) => (value === '' || value == null ? null : Number(value));
+
+const scopeLabel = (row) => [
+  row.listing_type ? LISTING_TYPES.find(type => type.value === row.listing_type)?.label : null,
+  row.bus_operator
+].filter(Boolean).join(' • ') || 'All listings';
+
+const ScopeFields = ({ form, setForm }) => (
+  <div className="grid grid-cols-2 gap-3">
+    <div className="space-y-2">
+      <Label>Listing type</Label>
+      <Select value={form.listing_type} onValueChange={(value) => setForm({ ...form, listing_type: value })}>
+        <SelectTrigger>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ANY}>Any</SelectItem>
+          {LISTING_TYPES.map(type => (
+            <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+    <div className="space-y-2">
+      <Label htmlFor="fee-operator">Bus operator</Label>
+      <Input
+        id="fee-operator"
+        value={form.bus_operator}
+        onChange={(e) => setForm({ ...form, bus_operator: e.target.value })}
+        placeholder="Any operator"
+      />
+    </div>
+  </div>
+);
+
+/**
+ * Admin editor for platform fee rules, zero-fee promotions and GST
+ */
+export const FeeRulesManager = () => {
+  const [rules, setRules] = useState([]);
+  const [promotions, setPromotions] = useState([]);
+  const [gstRate, setGstRate] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [editingRule, setEditingRule] = useState(null);
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [promotionForm, setPromotionForm] = useState(null);
+  const [preview, setPreview] = useState({ amount: '1000', listing_type: 'standard', bus_operator: '' });
+  const [saving, setSaving] = useState(false);
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    loadFeeConfig();
+  }, []);
+
+  const loadFeeConfig = async () => {
+    const [rulesData, promotionsData, settingsData] = await Promise.all([
+      supabase.from('fee_rules').select('*').order('active', { ascending: false }).order('created_at'),
+      supabase.from('fee_promotions').select('*').order('starts_at', { ascending: false }),
+      supabase.from('fee_settings').select('gst_rate').maybeSingle()
+    ]);
+
+    setRules(rulesData.data || []);
+    setPromotions(promotionsData.data || []);
+    setGstRate(String(settingsData.data?.gst_rate ?? 18));
+    setLoading(false);
+  };
+
+  // Checkout and sell forms cache the schedule; make them pick up the change
+  const afterSave = async (title) => {
+    toast({ title });
+    await loadFeeConfig();
+    queryClient.invalidateQueries({ queryKey: ['fee-schedule'] });
+  };
+
+  const runSave = async (save, title) => {
+    setSaving(true);
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      const { error } = await save(user?.id);
+      if (error) throw error;
+      await afterSave(title);
+      return true;
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to save fee settings.',
+        variant: 'destructive',
+      });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openRule = (rule) => {
+    setEditingRule(rule || {});
+    setRuleForm(rule ? {
+      name: rule.name,
+      listing_type: rule.listing_type || ANY,
+      bus_operator: rule.bus_operator || '',
+      percentage: String(rule.percentage),
+      fixed_fee: String(rule.fixed_fee),
+      min_fee: rule.min_fee ?? '',
+      max_fee: rule.max_fee ?? ''
+    } : EMPTY_RULE);
+  };
+
+  const saveRule = async () => {
+    const saved = await runSave((userId) => {
+      const row = {
+        name: ruleForm.name.trim(),
+        listing_type: ruleForm.listing_type === ANY ? null : ruleForm.listing_type,
+        bus_operator: ruleForm.bus_operator.trim() || null,
+        percentage: Number(ruleForm.percentage) || 0,
+        fixed_fee: Number(ruleForm.fixed_fee) || 0,
+        min_fee: optionalNumber(ruleForm.min_fee),
+        max_fee: optionalNumber(ruleForm.max_fee),
+        updated_by: userId,
+        updated_at: new Date().toISOString()
+      };
+      return editingRule?.id
+        ? supabase.from('fee_rules').update(row).eq('id', editingRule.id)
+        : supabase.from('fee_rules').insert(row);
+    }, 'Fee rule saved');
+
+    if (saved) setEditingRule(null);
+  };
+
+  const toggleRule = (rule) => runSave(
+    (userId) => supabase
+      .from('fee_rules')
+      .update({ active: !rule.active, updated_by: userId, updated_at: new Date().toISOString() })
+      .eq('id', rule.id),
+    rule.active ? 'Fee rule disabled' : 'Fee rule enabled'
+  );
+
+  const saveGstRate = () => runSave(
+    (userId) => supabase
+      .from('fee_settings')
+      .update({ gst_rate: Number(gstRate), updated_by: userId, updated_at: new Date().toISOString() })
+      .eq('id', true),
+    'GST rate updated'
+  );
+
+  const savePromotion = async () => {
+    const saved = await runSave((userId) => supabase.from('fee_promotions').insert({
+      name: promotionForm.name.trim(),
+      listing_type: promotionForm.listing_type === ANY ? null : promotionForm.listing_type,
+      bus_operator: promotionForm.bus_operator.trim() || null,
+      starts_at: new Date(promotionForm.starts_at).toISOString(),
+      ends_at: new Date(promotionForm.ends_at).toISOString(),
+      created_by: userId
+    }), 'Promotion scheduled');
+
+    if (saved) setPromotionForm(null);
+  };
+
+  const endPromotion = (promotion) => runSave(
+    () => supabase.from('fee_promotions').update({ active: false }).eq('id', promotion.id),
+    'Promotion ended'
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <Loader className="h-6 w-6 animate-spin" />
+      </div>
+    );
+  }
+
+  const now = new Date();
+  const isRuleValid = ruleForm.name.trim() && Number(ruleForm.percentage) >= 0 && Number(ruleForm.percentage) <= 100 &&
+    (optionalNumber(ruleForm.min_fee) == null || optionalNumber(ruleForm.max_fee) == null ||
+      Number(ruleForm.min_fee) <= Number(ruleForm.max_fee));
+  const isPromotionValid = promotionForm?.name.trim() && promotionForm.starts_at && promotionForm.ends_at &&
+    new Date(promotionForm.ends_at) > new Date(promotionForm.starts_at);
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle>Fee Rules</CardTitle>
+          <Button size="sm" onClick={() => openRule(null)}>
+            <Plus className="h-4 w-4 mr-1" />
+            Add rule
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p className="text-sm text-gray-600">
+            The most specific active rule applies: an operator rule beats a listing-type rule, which beats the default.
+          </p>
+          {rules.map((rule) => (
+            <div key={rule.id} className="flex items-center justify-between p-4 border rounded-lg">
+              <div className="flex-1">
+                <div className="flex items-center space-x-2">
+                  <h3 className="font-medium">{rule.name}</h3>
+                  <Badge variant="outline">{scopeLabel(rule)}</Badge>
+                  {!rule.active && <Badge variant="secondary">disabled</Badge>}
+                </div>
+                <p className="text-sm text-gray-600">{describeFeeRule(rule)}</p>
+              </div>
+              <div className="flex space-x-2">
+                <Button size="sm" variant="outline" onClick={() => openRule(rule)}>
+                  <Pencil className="h-4 w-4" />
+                </Button>
+                <Button size="sm" variant="outline" onClick={() => toggleRule(rule)} disabled={saving}>
+                  {rule.active ? 'Disable' : 'Enable'}
+                </Button>
+              </div>
+            </div>
+          ))}
+
+          <div className="flex items-end gap-2 pt-2 border-t">
+            <div className="space-y-2">
+              <Label htmlFor="gst-rate">GST on platform fee (%)</Label>
+              <Input
+                id="gst-rate"
+                type="number"
+                min="0"
+                max="100"
+                value={gstRate}
+                onChange={(e) => setGstRate(e.target.value)}
+                className="w-32"
+              />
+            </div>
+            <Button variant="outline" onClick={saveGstRate} disabled={saving || gstRate === ''}>
+              Save
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle>Zero-Fee Promotions</CardTitle>
+          <Button size="sm" onClick={() => setPromotionForm(EMPTY_PROMOTION)}>
+            <Tag className="h-4 w-4 mr-1" />
+            Schedule promotion
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {promotions.length === 0 && (
+            <p className="text-sm text-gray-500">No promotions scheduled.</p>
+          )}
+          {promotions.map((promotion) => {
+            const running = promotion.active && new Date(promotion.starts_at) <= now && new Date(promotion.ends_at) > now;
+            const ended = !promotion.active || new Date(promotion.ends_at) <= now;
+            return (
+              <div key={promotion.id} className="flex items-center justify-between p-4 border rounded-lg">
+                <div className="flex-1">
+                  <div className="flex items-center space-x-2">
+                    <h3 className="font-medium">{promotion.name}</h3>
+                    <Badge variant="outline">{scopeLabel(promotion)}</Badge>
+                    <Badge variant={running ? 'default' : 'secondary'}>
+                      {running ? 'running' : ended ? 'ended' : 'scheduled'}
+                    </Badge>
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    {new Date(promotion.starts_at).toLocaleString()} – {new Date(promotion.ends_at).toLocaleString()}
+                  </p>
+                </div>
+                {!ended && (
+                  <Button size="sm" variant="outline" onClick={() => endPromotion(promotion)} disabled={saving}>
+                    End now
+                  </Button>
+                )}
+              </div>
+            );
+          })}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Preview</CardTitle>
+        </CardHeader>
+        <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-3">
+            <div className="space-y-2">
+              <Label htmlFor="preview-amount">Listing price (₹)</Label>
+              <Input
+                id="preview-amount"
+                type="number"
+                min="1"
+                value={preview.amount}
+                onChange={(e) => setPreview({ ...preview, amount: e.target.value })}
+              />
+            </div>
+            <ScopeFields
+              form={preview}
+              setForm={(form) => setPreview({ ...form, listing_type: form.listing_type === ANY ? 'standard' : form.listing_type })}
+            />
+          </div>
+          <FeeBreakdown
+            amount={preview.amount}
+            listingType={preview.listing_type}
+            busOperator={preview.bus_operator}
+            viewer="seller"
+          />
+        </CardContent>
+      </Card>
+
+      <Dialog open={!!editingRule} onOpenChange={(open) => !open && setEditingRule(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editingRule?.id ? 'Edit fee rule' : 'Add fee rule'}</DialogTitle>
+            <DialogDescription>
+              Leave listing type and operator empty for the default rule.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="fee-name">Name</Label>
+              <Input
+                id="fee-name"
+                value={ruleForm.name}
+                onChange={(e) => setRuleForm({ ...ruleForm, name: e.target.value })}
+                placeholder="e.g. Premium listings"
+              />
+            </div>
+            <ScopeFields form={ruleForm} setForm={setRuleForm} />
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="fee-percentage">Percentage (%)</Label>
+                <Input
+                  id="fee-percentage"
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={ruleForm.percentage}
+                  onChange={(e) => setRuleForm({ ...ruleForm, percentage: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="fee-fixed">Fixed fee (₹)</Label>
+                <Input
+                  id="fee-fixed"
+                  type="number"
+                  min="0"
+                  value={ruleForm.fixed_fee}
+                  onChange={(e) => setRuleForm({ ...ruleForm, fixed_fee: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="fee-min">Minimum fee (₹)</Label>
+                <Input
+                  id="fee-min"
+                  type="number"
+                  min="0"
+                  value={ruleForm.min_fee}
+                  onChange={(e) => setRuleForm({ ...ruleForm, min_fee: e.target.value })}
+                  placeholder="None"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="fee-max">Maximum fee (₹)</Label>
+                <Input
+                  id="fee-max"
+                  type="number"
+                  min="0"
+                  value={ruleForm.max_fee}
+                  onChange={(e) => setRuleForm({ ...ruleForm, max_fee: e.target.value })}
+                  placeholder="None"
+                />
+              </div>
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setEditingRule(null)}>
+              Cancel
+            </Button>
+            <Button onClick={saveRule} disabled={!isRuleValid || saving}>
+              {saving && <Loader className="h-4 w-4 animate-spin mr-1" />}
+              Save rule
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!promotionForm} onOpenChange={(open) => !open && setPromotionForm(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Schedule zero-fee promotion</DialogTitle>
+            <DialogDescription>
+              Sales in this window pay no platform fee or GST.
+            </DialogDescription>
+          </DialogHeader>
+
+          {promotionForm && (
+            <div className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="promotion-name">Name</Label>
+                <Input
+                  id="promotion-name"
+                  value={promotionForm.name}
+                  onChange={(e) => setPromotionForm({ ...promotionForm, name: e.target.value })}
+                  placeholder="e.g. Diwali week"
+                />
+              </div>
+              <ScopeFields form={promotionForm} setForm={setPromotionForm} />
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-2">
+                  <Label htmlFor="promotion-start">Starts</Label>
+                  <Input
+                    id="promotion-start"
+                    type="datetime-local"
+                    value={promotionForm.starts_at}
+                    onChange={(e) => setPromotionForm({ ...promotionForm, starts_at: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="promotion-end">Ends</Label>
+                  <Input
+                    id="promotion-end"
+                    type="datetime-local"
+                    value={promotionForm.ends_at}
+                    onChange={(e) => setPromotionForm({ ...promotionForm, ends_at: e.target.value })}
+                  />
+                </div>
+              </div>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setPromotionForm(null)}>
+              Cancel
+            </Button>
+            <Button onClick={savePromotion} disabled={!isPromotionValid || saving}>
+              {saving && <Loader className="h-4 w-4 animate-spin mr-1" />}
+              Schedule
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { supabase } from '@/integrations/supabase/client';
+import { useToast } from '@/hooks/use-toast';
+import {
+  EXCEPTION_COLUMNS,
+  EXCEPTION_LABELS,
+  matchSettlement,
+  parseSettlementExport,
+  reconcileSettlement,
+  settlementPaymentColumn,
+  settlementPeriod,
+  summarizeSettlement,
+  toCsv
+} from '@/utils/settlements';
+import { Download, Loader } from 'lucide-react';
+
+const rupees = (value) => `₹${Number(value).toFixed(2)}`;
+
+const TRANSACTION_FIELDS = 'id, gateway, razorpay_payment_id, payment_intent_id, amount, order_snapshot, refunded_amount, status, completed_at';
+
+// Keeps the id list inside PostgREST's URL length limit
+const ID_BATCH_SIZE = 100;
+
+// The transactions a settlement export refers to, and those completed in
+// the days it covers
+const loadSettlementTransactions = async (gateway, rows, period) => {
+  const column = settlementPaymentColumn(gateway);
+  const paymentIds = [...new Set(rows.map(row => row.paymentId).filter(Boolean))];
+  const queries = [
+    supabase
+      .from('enhanced_transactions')
+      .select(TRANSACTION_FIELDS)
+      .eq('gateway', gateway)
+      .gte('completed_at', period.from.toISOString())
+      .lt('completed_at', period.to.toISOString())
+  ];
+  for (let i = 0; i < paymentIds.length; i += ID_BATCH_SIZE) {
+    queries.push(supabase
+      .from('enhanced_transactions')
+      .select(TRANSACTION_FIELDS)
+      .in(column, paymentIds.slice(i, i + ID_BATCH_SIZE)));
+  }
+
+  const results = await Promise.all(queries);
+  const failed = results.find(result => result.error);
+  if (failed) throw failed.error;
+
+  const transactions = new Map();
+  results.forEach(result => result.data.forEach(transaction => transactions.set(transaction.id, transaction)));
+  return [...transactions.values()];
+};
+
+const downloadCsv = (csv, fileName) => {
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Admin view of the ledger: account balances, and reconciliation of gateway
+ * settlement exports, both in total against the ledger for the same days and
+ * line by line against our transactions
+ */
+export const LedgerReconciliation = () => {
+  const [balances, setBalances] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reports, setReports] = useState([]);
+  const [reconciling, setReconciling] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    loadBalances();
+  }, []);
+
+  const loadBalances = async () => {
+    const { data } = await supabase.from('ledger_account_balances').select('*');
+    setBalances(data || []);
+    setLoading(false);
+  };
+
+  const reconcileFile = async (file) => {
+    const { gateway, rows } = parseSettlementExport(await file.text());
+    const period = settlementPeriod(rows);
+    if (!period) throw new Error(`${file.name} has no dated rows`);
+
+    const [{ data, error }, transactions] = await Promise.all([
+      supabase.rpc('ledger_gateway_totals', {
+        p_from: period.from.toISOString(),
+        p_to: period.to.toISOString()
+      }),
+      loadSettlementTransactions(gateway, rows, period)
+    ]);
+    if (error) throw error;
+
+    const ledger = (data || []).find(row => row.gateway === gateway);
+    return {
+      fileName: file.name,
+      gateway,
+      period,
+      rowCount: rows.length,
+      lines: reconcileSettlement(gateway, summarizeSettlement(rows), ledger),
+      ...matchSettlement(gateway, rows, transactions)
+    };
+  };
+
+  const reconcile = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setReconciling(true);
+    try {
+      setReports(await Promise.all(files.map(reconcileFile)));
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to reconcile the settlement export.',
+        variant: 'destructive',
+      });
+    } finally {
+      setReconciling(false);
+    }
+  };
+
+  const exportExceptions = (report) => {
+    const rows = report.exceptions.map(exception => ({ ...exception, kind: EXCEPTION_LABELS[exception.kind] }));
+    downloadCsv(
+      toCsv(rows, EXCEPTION_COLUMNS),
+      `settlement-exceptions-${report.gateway}-${report.period.from.toISOString().split('T')[0]}.csv`
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <Loader className="h-6 w-6 animate-spin" />
+      </div>
+    );
+  }
+
+  const totalDebits = balances.reduce((sum, account) => sum + Number(account.debits), 0);
+  const totalCredits = balances.reduce((sum, account) => sum + Number(account.credits), 0);
+  const balanced = Math.abs(totalDebits - totalCredits) < 0.005;
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle>Ledger Balances</CardTitle>
+          <Badge variant={balanced ? 'default' : 'destructive'}>
+            {balanced ? 'Balanced' : 'Out of balance'}
+          </Badge>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Account</TableHead>
+                <TableHead className="text-right">Debits</TableHead>
+                <TableHead className="text-right">Credits</TableHead>
+                <TableHead className="text-right">Balance</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {balances.map((account) => (
+                <TableRow key={account.code}>
+                  <TableCell>
+                    <span className="font-medium">{account.name}</span>
+                    <span className="text-xs text-gray-500 ml-2">{account.type}</span>
+                  </TableCell>
+                  <TableCell className="text-right">{rupees(account.debits)}</TableCell>
+                  <TableCell className="text-right">{rupees(account.credits)}</TableCell>
+                  <TableCell className="text-right font-medium">{rupees(account.balance)}</TableCell>
+                </TableRow>
+              ))}
+              <TableRow>
+                <TableCell className="font-medium">Total</TableCell>
+                <TableCell className="text-right font-medium">{rupees(totalDebits)}</TableCell>
+                <TableCell className="text-right font-medium">{rupees(totalCredits)}</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Settlement Reconciliation</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="settlement-export">Settlement exports (CSV)</Label>
+            <Input
+              id="settlement-export"
+              type="file"
+              accept=".csv,text/csv"
+              multiple
+              onChange={reconcile}
+              disabled={reconciling}
+            />
+            <p className="text-sm text-gray-600">
+              Razorpay Settlement Recon or Stripe itemized balance change reports. Each is compared with the ledger for
+              the days it covers, and each payment and refund line with our transactions.
+            </p>
+          </div>
+
+          {reconciling && <Loader className="h-5 w-5 animate-spin" />}
+
+          {!reconciling && reports.map((report) => (
+            <div key={report.fileName} className="space-y-3 pt-4 border-t">
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-gray-600">
+                  {report.fileName} • {report.gateway} • {report.rowCount} rows •{' '}
+                  {report.period.from.toLocaleDateString()} – {new Date(report.period.to - 1).toLocaleDateString()}
+                </p>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => exportExceptions(report)}
+                  disabled={report.exceptions.length === 0}
+                >
+                  <Download className="h-4 w-4 mr-1" />
+                  Export exceptions
+                </Button>
+              </div>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead />
+                    <TableHead className="text-right">Settlement</TableHead>
+                    <TableHead className="text-right">Ledger</TableHead>
+                    <TableHead className="text-right">Difference</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.lines.map((line) => (
+                    <TableRow key={line.key}>
+                      <TableCell className="font-medium">{line.label}</TableCell>
+                      <TableCell className="text-right">{rupees(line.settlement)}</TableCell>
+                      <TableCell className="text-right">{rupees(line.ledger)}</TableCell>
+                      <TableCell className="text-right">
+                        {line.difference === 0
+                          ? <Badge variant="outline">matches</Badge>
+                          : <span className="text-red-600 font-medium">{rupees(line.difference)}</span>}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+
+              <p className="text-sm">
+                {report.matched} lines matched •{' '}
+                <span className={report.exceptions.length ? 'text-red-600 font-medium' : ''}>
+                  {report.exceptions.length} exceptions
+                </span>
+              </p>
+              {report.exceptions.length > 0 && (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Exception</TableHead>
+                      <TableHead>Payment</TableHead>
+                      <TableHead className="text-right">Settlement</TableHead>
+                      <TableHead className="text-right">Recorded</TableHead>
+                      <TableHead>Detail</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {report.exceptions.map((exception, index) => (
+                      <TableRow key={`${exception.kind}-${exception.id ?? exception.paymentId}-${index}`}>
+                        <TableCell>
+                          <Badge variant={exception.kind === 'amount_mismatch' ? 'destructive' : 'secondary'}>
+                            {EXCEPTION_LABELS[exception.kind]}
+                          </Badge>
+                        </TableCell>
+                        <TableCell className="font-mono text-xs">{exception.paymentId || exception.id}</TableCell>
+                        <TableCell className="text-right">
+                          {exception.settlementAmount != null ? rupees(exception.settlementAmount) : '—'}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {exception.recordedAmount != null ? rupees(exception.recordedAmount) : '—'}
+                        </TableCell>
+                        <TableCell className="text-sm text-gray-600">{exception.detail}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { supabase } from '@/integrations/supabase/client';
+import { useToast } from '@/hooks/use-toast';
+import { Loader } from 'lucide-react';
+import { maxRefundable, REFUND_REASONS } from '@/utils/refunds';
+
+/**
+ * Admin refund for a sold ticket through the create-razorpay-refund edge function
+ * @param {Object} props
+ * @param {Object|null} props.ticket - Sold ticket to refund
+ * @param {Function} props.onClose
+ * @param {Function} props.onRefunded
+ */
+export const RefundDialog = ({ ticket, onClose, onRefunded }) => {
+  const [transaction, setTransaction] = useState(null);
+  const [reason, setReason] = useState('buyer_cancelled');
+  const [amount, setAmount] = useState('');
+  const [notes, setNotes] = useState('');
+  const [idempotencyKey, setIdempotencyKey] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    setTransaction(null);
+    setReason('buyer_cancelled');
+    setAmount('');
+    setNotes('');
+    if (ticket) {
+      // One key per dialog, so a double click or a retried request after a
+      // timeout can't refund twice
+      setIdempotencyKey(crypto.randomUUID());
+      loadTransaction();
+    }
+  }, [ticket?.id]);
+
+  const loadTransaction = async () => {
+    const { data } = await supabase
+      .from('enhanced_transactions')
+      .select('id, amount, platform_fee, refunded_amount, escrow_status')
+      .eq('ticket_id', ticket.id)
+      .eq('status', 'completed')
+      .maybeSingle();
+
+    setTransaction(data);
+  };
+
+  const handleRefund = async () => {
+    setSubmitting(true);
+    try {
+      const { data, error } = await supabase.functions.invoke('create-razorpay-refund', {
+        body: {
+          transactionId: transaction.id,
+          amount: amount ? Number(amount) : undefined,
+          reason,
+          idempotencyKey,
+          notes: notes.trim() || undefined
+        }
+      });
+
+      if (error || data?.error) throw new Error(data?.error || error.message);
+
+      toast({
+        title: 'Refund Initiated',
+        description: `₹${data.refund.amount} is being refunded to the buyer.`,
+      });
+      onRefunded();
+    } catch (error) {
+      toast({
+        title: 'Refund failed',
+        description: error.message,
+        variant: 'destructive',
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const limit = transaction ? maxRefundable(transaction, reason) : 0;
+  const inEscrow = ['held', 'disputed'].includes(transaction?.escrow_status);
+  const isAmountValid = !amount || (Number(amount) > 0 && Number(amount) <= limit);
+  const selectedReason = REFUND_REASONS.find(option => option.value === reason);
+
+  return (
+    <Dialog open={!!ticket} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Refund buyer</DialogTitle>
+          <DialogDescription>
+            {ticket && `${ticket.from_location} → ${ticket.to_location} • PNR ${ticket.pnr_number}`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {!transaction ? (
+          <p className="text-sm text-gray-500">No completed purchase found for this ticket.</p>
+        ) : !inEscrow ? (
+          <p className="text-sm text-gray-500">
+            The funds are no longer in escrow ({transaction.escrow_status}), so this sale can't be refunded here.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Paid ₹{transaction.amount} • Platform fee ₹{transaction.platform_fee || 0}
+              {Number(transaction.refunded_amount) > 0 && ` • Already refunded ₹${transaction.refunded_amount}`}
+            </p>
+
+            <div className="space-y-2">
+              <Label>Reason</Label>
+              <Select value={reason} onValueChange={setReason}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {REFUND_REASONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-gray-500">
+                {selectedReason?.refundsCommission
+                  ? 'The platform fee is returned to the buyer.'
+                  : 'The platform keeps its fee.'
+                }
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="refund-amount">Amount (₹)</Label>
+              <Input
+                id="refund-amount"
+                type="number"
+                min="1"
+                max={limit}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder={`Full refund: ₹${limit}`}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="refund-notes">Notes</Label>
+              <Textarea
+                id="refund-notes"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                rows={2}
+              />
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={handleRefund}
+            disabled={!inEscrow || limit <= 0 || !isAmountValid || submitting}
+          >
+            {submitting && <Loader className="h-4 w-4 animate-spin mr-1" />}
+            {amount ? `Refund ₹${amount}` : 'Refund in full'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
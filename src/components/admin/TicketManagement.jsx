@@ -5,8 +5,9 @@ import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { supabase } from "@/integrations/supabase/client";
 import { useToast } from "@/hooks/use-toast";
-import { CheckCircle, XCircle, Trash2 } from "lucide-react";
+import { CheckCircle, XCircle, Trash2, RotateCcw } from "lucide-react";
 import { formatDistanceToNow } from "date-fns";
+import { RefundDialog } from "./RefundDialog";
 
 /**
  * @typedef {Object} Ticket
@@ -35,6 +36,7 @@ import { formatDistanceToNow } from "date-fns";
 
 export const TicketManagement = ({ tickets, onUpdate }) => {
   const [loading, setLoading] = useState(null);
+  const [refundingTicket, setRefundingTicket] = useState(null);
   const { toast } = useToast();
 
 
@@ -117,6 +119,16 @@ export const TicketManagement = ({ tickets, onUpdate }) => {
                 </TableCell>
                 <TableCell>
                   <div className="flex space-x-2">
+                    {ticket.status === 'sold' && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => setRefundingTicket(ticket)}
+                      >
+                        <RotateCcw className="h-4 w-4 mr-1" />
+                        Refund
+                      </Button>
+                    )}
                     <Button
                       size="sm"
                       variant="outline"
@@ -134,6 +146,15 @@ export const TicketManagement = ({ tickets, onUpdate }) => {
           </TableBody>
         </Table>
       </CardContent>
+
+      <RefundDialog
+        ticket={refundingTicket}
+        onClose={() => setRefundingTicket(null)}
+        onRefunded={() => {
+          setRefundingTicket(null);
+          onUpdate();
+        }}
+      />
     </Card>
   );
 };
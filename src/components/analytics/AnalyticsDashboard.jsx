@@ -32,6 +32,7 @@ import {
 } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
 import { supabase } from '@/integrations/supabase/client';
+import { routeLabel } from '@/utils/locations';
 
 const AnalyticsDashboard = () => {
   const [analytics, setAnalytics] = useState({
@@ -102,15 +103,15 @@ const AnalyticsDashboard = () => {
         userGrowth[date] = (userGrowth[date] || 0) + 1;
       });
 
-      // Fetch top routes
+      // Fetch top routes, counting every spelling of a city as that city
       const { data: routesData } = await supabase
         .from('tickets')
-        .select('from_location, to_location')
+        .select('from_location, to_location, from_canonical:locations!from_location_id(name), to_canonical:locations!to_location_id(name)')
         .gte('created_at', startDate.toISOString());
 
       const routeCounts = {};
       routesData?.forEach(ticket => {
-        const route = `${ticket.from_location} → ${ticket.to_location}`;
+        const route = routeLabel(ticket);
         routeCounts[route] = (routeCounts[route] || 0) + 1;
       });
 
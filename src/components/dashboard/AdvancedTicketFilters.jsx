@@ -8,14 +8,15 @@ import { Filter } from "lucide-react";
 import { AdvancedFilterForm } from "./filters/AdvancedFilterForm";
 import { FilterBadges } from "./filters/FilterBadges";
 import { useTicketFilters } from "./filters/useTicketFilters";
+import { countActiveFilters } from "@/utils/ticketSearch";
 
 /**
  * @typedef {Object} AdvancedTicketFiltersProps
- * @property {any[]} tickets
- * @property {(filteredTickets: any[]) => void} onFilteredResults
+ * @property {Object|null} [facets] - from the first page of search_tickets
+ * @property {(filters: Object) => void} onSearch
  */
 
-export const AdvancedTicketFilters = ({ tickets, onFilteredResults }) => {
+export const AdvancedTicketFilters = ({ facets, onSearch }) => {
   const [showAdvanced, setShowAdvanced] = useState(false);
   const {
     filters,
@@ -23,19 +24,9 @@ export const AdvancedTicketFilters = ({ tickets, onFilteredResults }) => {
     clearFilters,
     updateFilter,
     removeFilter
-  } = useTicketFilters(tickets, onFilteredResults);
+  } = useTicketFilters(onSearch);
 
-  // Get unique values for dropdowns
-  const uniqueLocations = Array.from(new Set([
-    ...tickets.map(t => t.from_location),
-    ...tickets.map(t => t.to_location)
-  ])).sort();
-
-  const uniqueOperators = Array.from(new Set(
-    tickets.map(t => t.bus_operator)
-  )).sort();
-
-  const activeFiltersCount = Object.values(filters).filter(v => v && v !== "departure_date").length;
+  const activeFiltersCount = countActiveFilters(filters);
 
   return (
     <Card>
@@ -62,7 +53,7 @@ export const AdvancedTicketFilters = ({ tickets, onFilteredResults }) => {
         {/* Main Search */}
         <div className="flex space-x-2">
           <Input
-            placeholder="Search by PNR, route, operator, or passenger name..."
+            placeholder="Search by route or operator..."
             value={filters.searchQuery}
             onChange={(e) => updateFilter("searchQuery", e.target.value)}
             className="flex-1"
@@ -74,8 +65,7 @@ export const AdvancedTicketFilters = ({ tickets, onFilteredResults }) => {
         {showAdvanced && (
           <AdvancedFilterForm
             filters={filters}
-            uniqueLocations={uniqueLocations}
-            uniqueOperators={uniqueOperators}
+            facets={facets}
             onUpdateFilter={updateFilter}
             onApplyFilters={applyFilters}
             onClearFilters={clearFilters}
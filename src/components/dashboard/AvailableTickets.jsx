@@ -14,20 +14,24 @@ import { ErrorBoundary } from "@/components/ui/error-boundary";
 import EmailVerificationGuard from "./EmailVerificationGuard";
 import { isEmailVerified } from "@/utils/emailVerification";
 import { sendTransactionNotification } from "@/components/notifications/EnhancedNotificationSystem";
+import { VirtualizedTicketList } from "@/components/performance/VirtualizedTicketList";
+import { useTicketSearch } from "@/hooks/useTicketSearch";
+import { DEFAULT_SEARCH_FILTERS } from "@/utils/ticketSearch";
 
-export const AvailableTickets = ({ availableTickets }) => {
-  const [filteredTickets, setFilteredTickets] = useState(availableTickets);
+// Height of a MobileOptimizedTicketCard row in the virtualized list
+const TICKET_ROW_HEIGHT = 340;
+
+export const AvailableTickets = () => {
+  const [filters, setFilters] = useState(DEFAULT_SEARCH_FILTERS);
   const [selectedTicket, setSelectedTicket] = useState(null);
   const [showMessaging, setShowMessaging] = useState(false);
   const [currentUser, setCurrentUser] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
   const [isProcessingPurchase, setIsProcessingPurchase] = useState(false);
   const [userEmailVerified, setUserEmailVerified] = useState(false);
   const { toast } = useToast();
+  const search = useTicketSearch(filters);
 
   useEffect(() => {
-    setFilteredTickets(availableTickets);
-    
     // Get current user and check email verification
     const getCurrentUser = async () => {
       try {
@@ -57,7 +61,7 @@ export const AvailableTickets = ({ availableTickets }) => {
     return () => {
       window.removeEventListener('email-verified', handleVerified);
     };
-  }, [availableTickets]);
+  }, []);
 
   const handleTicketAction = async (ticket, action) => {
     switch (action) {
@@ -118,7 +122,7 @@ export const AvailableTickets = ({ availableTickets }) => {
           <CardHeader>
             <CardTitle className="flex items-center space-x-2">
               <ShoppingCart className="h-5 w-5" />
-              <span>Available Tickets ({filteredTickets.length})</span>
+              <span>Available Tickets ({search.firstPage?.total ?? search.items.length})</span>
             </CardTitle>
             <CardDescription>
               Browse and purchase bus tickets from other users with enhanced search and filtering
@@ -127,31 +131,44 @@ export const AvailableTickets = ({ availableTickets }) => {
         </Card>
 
         <EnhancedSearchFilters 
-          tickets={availableTickets}
-          onFilteredResults={setFilteredTickets}
+          facets={search.firstPage?.facets}
+          onSearch={setFilters}
         />
 
-        {isLoading ? (
+        {search.isLoading ? (
           <TicketGridSkeleton />
-        ) : filteredTickets.length === 0 ? (
+        ) : search.isError && search.items.length === 0 ? (
+          <EmptyState
+            type="search"
+            title="Couldn't load tickets"
+            description={search.error?.message || "Please try again in a moment."}
+          />
+        ) : search.items.length === 0 ? (
           <EmptyState
             type="search"
             title="No tickets found"
             description="No tickets match your search criteria. Try adjusting your filters."
           />
         ) : (
-          <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
-            {filteredTickets.map((ticket) => (
+          <VirtualizedTicketList
+            tickets={search.items}
+            hasNextPage={search.hasNextPage}
+            fetchNextPage={search.fetchNextPage}
+            isFetchingNextPage={search.isFetchingNextPage}
+            isError={search.isError}
+            error={search.error}
+            itemHeight={TICKET_ROW_HEIGHT}
+            height={TICKET_ROW_HEIGHT * 3}
+            renderTicket={(ticket) => (
               <MobileOptimizedTicketCard
-                key={ticket.id}
                 ticket={ticket}
                 onAction={handleTicketAction}
                 showActions={true}
                 
                 showEmailVerificationRequired={!userEmailVerified && currentUser}
               />
-            ))}
-          </div>
+            )}
+          />
         )}
       </div>
     </ErrorBoundary>
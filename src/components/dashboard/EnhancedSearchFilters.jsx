@@ -1,154 +1,37 @@
-
-import { useState, useEffect } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Badge } from "@/components/ui/badge";
-import { Slider } from "@/components/ui/slider";
-import { Calendar } from "@/components/ui/calendar";
-import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
-import { Search, Filter, Calendar as CalendarIcon, MapPin, IndianRupee, Clock, Star } from "lucide-react";
-import { format } from "date-fns";
-
-export const EnhancedSearchFilters = ({ tickets, onFilteredResults }) => {
-  const [filters, setFilters] = useState({
-    searchQuery: "",
-    fromLocation: "",
-    toLocation: "",
-    priceRange: [0, 5000],
-    departureDate: null,
-    returnDate: null,
-    operator: "",
-    timeRange: "",
-    rating: 0,
-    verificationStatus: "",
-    seatType: ""
-  });
-
-  const [showAdvanced, setShowAdvanced] = useState(false);
-  const [activeFilters, setActiveFilters] = useState(0);
-
-  // Get unique values for dropdowns
-  const uniqueLocations = Array.from(new Set([
-    ...tickets.map(t => t.from_location),
-    ...tickets.map(t => t.to_location)
-  ])).filter(Boolean).sort();
-
-  const uniqueOperators = Array.from(new Set(
-    tickets.map(t => t.bus_operator)
-  )).filter(Boolean).sort();
-
-  const applyFilters = () => {
-    let filtered = [...tickets];
-
-    // Text search
-    if (filters.searchQuery) {
-      const query = filters.searchQuery.toLowerCase();
-      filtered = filtered.filter(ticket => 
-        ticket.pnr_number?.toLowerCase().includes(query) ||
-        ticket.from_location?.toLowerCase().includes(query) ||
-        ticket.to_location?.toLowerCase().includes(query) ||
-        ticket.bus_operator?.toLowerCase().includes(query) ||
-        ticket.passenger_name?.toLowerCase().includes(query)
-      );
-    }
-
-    // Location filters
-    if (filters.fromLocation) {
-      filtered = filtered.filter(ticket => ticket.from_location === filters.fromLocation);
-    }
-    if (filters.toLocation) {
-      filtered = filtered.filter(ticket => ticket.to_location === filters.toLocation);
-    }
-
-    // Price range filter
-    filtered = filtered.filter(ticket => {
-      const price = ticket.selling_price || ticket.ticket_price || 0;
-      return price >= filters.priceRange[0] && price <= filters.priceRange[1];
-    });
+import { Search, Filter, IndianRupee, Clock, ArrowUpDown } from "lucide-react";
+import { useState } from "react";
+import { useTicketFilters } from "./filters/useTicketFilters";
+import { LocationAutocomplete } from "@/components/tickets/LocationAutocomplete";
+import { countActiveFilters, SEARCH_SORTS, TIME_BANDS } from "@/utils/ticketSearch";
 
-    // Date filters
-    if (filters.departureDate) {
-      filtered = filtered.filter(ticket => 
-        new Date(ticket.departure_date) >= filters.departureDate
-      );
-    }
-    if (filters.returnDate) {
-      filtered = filtered.filter(ticket => 
-        new Date(ticket.departure_date) <= filters.returnDate
-      );
-    }
+const ANY = "any";
 
-    // Operator filter
-    if (filters.operator) {
-      filtered = filtered.filter(ticket => ticket.bus_operator === filters.operator);
-    }
+const withCount = (label, count) => (count == null ? label : `${label} (${count})`);
 
-    // Time range filter
-    if (filters.timeRange) {
-      filtered = filtered.filter(ticket => {
-        const time = ticket.departure_time;
-        if (!time) return true;
-        switch (filters.timeRange) {
-          case 'morning': return time >= '06:00' && time < '12:00';
-          case 'afternoon': return time >= '12:00' && time < '18:00';
-          case 'evening': return time >= '18:00' && time < '24:00';
-          case 'night': return time >= '00:00' && time < '06:00';
-          default: return true;
-        }
-      });
-    }
+/**
+ * @typedef {Object} EnhancedSearchFiltersProps
+ * @property {Object|null} [facets] - from the first page of search_tickets
+ * @property {(filters: Object) => void} onSearch
+ */
 
-    // Verification status filter
-    if (filters.verificationStatus) {
-      filtered = filtered.filter(ticket => 
-        ticket.verification_status === filters.verificationStatus
-      );
-    }
-
-    onFilteredResults(filtered);
-  };
-
-  const clearFilters = () => {
-    setFilters({
-      searchQuery: "",
-      fromLocation: "",
-      toLocation: "",
-      priceRange: [0, 5000],
-      departureDate: null,
-      returnDate: null,
-      operator: "",
-      timeRange: "",
-      rating: 0,
-      verificationStatus: "",
-      seatType: ""
-    });
-    onFilteredResults(tickets);
-  };
-
-  const updateFilter = (key, value) => {
-    setFilters(prev => ({ ...prev, [key]: value }));
-  };
-
-  const removeFilter = (key) => {
-    if (key === 'priceRange') {
-      updateFilter(key, [0, 5000]);
-    } else {
-      updateFilter(key, key === 'departureDate' || key === 'returnDate' ? null : "");
-    }
-    setTimeout(applyFilters, 100);
-  };
-
-  // Count active filters
-  useEffect(() => {
-    const count = Object.entries(filters).filter(([key, value]) => {
-      if (key === 'priceRange') return value[0] > 0 || value[1] < 5000;
-      if (key === 'departureDate' || key === 'returnDate') return value !== null;
-      return value && value !== "";
-    }).length;
-    setActiveFilters(count);
-  }, [filters]);
+export const EnhancedSearchFilters = ({ facets, onSearch }) => {
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const {
+    filters,
+    applyFilters,
+    clearFilters,
+    updateFilter,
+    removeFilter
+  } = useTicketFilters(onSearch);
+
+  const activeFilters = countActiveFilters(filters);
+  const operators = facets?.operators || [];
+  const bandCount = (band) => facets?.time_bands?.find(facet => facet.value === band)?.count;
 
   return (
     <Card>
@@ -177,9 +60,10 @@ export const EnhancedSearchFilters = ({ tickets, onFilteredResults }) => {
           <div className="flex-1 relative">
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
             <Input
-              placeholder="Search by PNR, route, operator, or passenger name..."
+              placeholder="Search by route or operator..."
               value={filters.searchQuery}
               onChange={(e) => updateFilter("searchQuery", e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && applyFilters()}
               className="pl-10"
             />
           </div>
@@ -188,55 +72,38 @@ export const EnhancedSearchFilters = ({ tickets, onFilteredResults }) => {
 
         {/* Quick Filters */}
         <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
-          <Select value={filters.fromLocation} onValueChange={(value) => updateFilter("fromLocation", value)}>
-            <SelectTrigger>
-              <SelectValue placeholder="From" />
-            </SelectTrigger>
-            <SelectContent>
-              <SelectItem value="">Any departure</SelectItem>
-              {uniqueLocations.map(location => (
-                <SelectItem key={location} value={location}>{location}</SelectItem>
-              ))}
-            </SelectContent>
-          </Select>
-
-          <Select value={filters.toLocation} onValueChange={(value) => updateFilter("toLocation", value)}>
-            <SelectTrigger>
-              <SelectValue placeholder="To" />
-            </SelectTrigger>
-            <SelectContent>
-              <SelectItem value="">Any destination</SelectItem>
-              {uniqueLocations.map(location => (
-                <SelectItem key={location} value={location}>{location}</SelectItem>
-              ))}
-            </SelectContent>
-          </Select>
-
-          <Popover>
-            <PopoverTrigger asChild>
-              <Button variant="outline" className="justify-start text-left">
-                <CalendarIcon className="mr-2 h-4 w-4" />
-                {filters.departureDate ? format(filters.departureDate, "MMM dd") : "Departure"}
-              </Button>
-            </PopoverTrigger>
-            <PopoverContent className="w-auto p-0">
-              <Calendar
-                mode="single"
-                selected={filters.departureDate}
-                onSelect={(date) => updateFilter("departureDate", date)}
-                initialFocus
-              />
-            </PopoverContent>
-          </Popover>
-
-          <Select value={filters.operator} onValueChange={(value) => updateFilter("operator", value)}>
+          <LocationAutocomplete
+            placeholder="From"
+            value={filters.fromLocation}
+            onChange={(value) => updateFilter("fromLocation", value)}
+          />
+
+          <LocationAutocomplete
+            placeholder="To"
+            value={filters.toLocation}
+            onChange={(value) => updateFilter("toLocation", value)}
+          />
+
+          <Input
+            type="date"
+            aria-label="Departure date"
+            value={filters.departureDate}
+            onChange={(e) => updateFilter("departureDate", e.target.value)}
+          />
+
+          <Select
+            value={filters.operator || ANY}
+            onValueChange={(value) => updateFilter("operator", value === ANY ? "" : value)}
+          >
             <SelectTrigger>
               <SelectValue placeholder="Operator" />
             </SelectTrigger>
             <SelectContent>
-              <SelectItem value="">Any operator</SelectItem>
-              {uniqueOperators.map(operator => (
-                <SelectItem key={operator} value={operator}>{operator}</SelectItem>
+              <SelectItem value={ANY}>Any operator</SelectItem>
+              {operators.map(operator => (
+                <SelectItem key={operator.value} value={operator.value}>
+                  {withCount(operator.value, operator.count)}
+                </SelectItem>
               ))}
             </SelectContent>
           </Select>
@@ -249,15 +116,24 @@ export const EnhancedSearchFilters = ({ tickets, onFilteredResults }) => {
             <div>
               <label className="block text-sm font-medium mb-2 flex items-center">
                 <IndianRupee className="h-4 w-4 mr-1" />
-                Price Range: ₹{filters.priceRange[0]} - ₹{filters.priceRange[1]}
+                Price Range
               </label>
-              <Slider
-                value={filters.priceRange}
-                onValueChange={(value) => updateFilter("priceRange", value)}
-                max={5000}
-                step={100}
-                className="w-full"
-              />
+              <div className="grid grid-cols-2 gap-2">
+                <Input
+                  type="number"
+                  min="0"
+                  placeholder="Min ₹"
+                  value={filters.minPrice}
+                  onChange={(e) => updateFilter("minPrice", e.target.value)}
+                />
+                <Input
+                  type="number"
+                  min="0"
+                  placeholder="Max ₹"
+                  value={filters.maxPrice}
+                  onChange={(e) => updateFilter("maxPrice", e.target.value)}
+                />
+              </div>
             </div>
 
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -267,32 +143,38 @@ export const EnhancedSearchFilters = ({ tickets, onFilteredResults }) => {
                   <Clock className="h-4 w-4 inline mr-1" />
                   Departure Time
                 </label>
-                <Select value={filters.timeRange} onValueChange={(value) => updateFilter("timeRange", value)}>
+                <Select
+                  value={filters.timeRange || ANY}
+                  onValueChange={(value) => updateFilter("timeRange", value === ANY ? "" : value)}
+                >
                   <SelectTrigger>
                     <SelectValue placeholder="Any time" />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="">Any time</SelectItem>
-                    <SelectItem value="morning">Morning (6 AM - 12 PM)</SelectItem>
-                    <SelectItem value="afternoon">Afternoon (12 PM - 6 PM)</SelectItem>
-                    <SelectItem value="evening">Evening (6 PM - 12 AM)</SelectItem>
-                    <SelectItem value="night">Night (12 AM - 6 AM)</SelectItem>
+                    <SelectItem value={ANY}>Any time</SelectItem>
+                    {TIME_BANDS.map(band => (
+                      <SelectItem key={band.value} value={band.value}>
+                        {withCount(band.label, bandCount(band.value))}
+                      </SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
               </div>
 
-              {/* Verification Status */}
+              {/* Sort */}
               <div>
-                <label className="block text-sm font-medium mb-1">Verification</label>
-                <Select value={filters.verificationStatus} onValueChange={(value) => updateFilter("verificationStatus", value)}>
+                <label className="block text-sm font-medium mb-1">
+                  <ArrowUpDown className="h-4 w-4 inline mr-1" />
+                  Sort By
+                </label>
+                <Select value={filters.sortBy} onValueChange={(value) => updateFilter("sortBy", value)}>
                   <SelectTrigger>
-                    <SelectValue placeholder="Any status" />
+                    <SelectValue />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="">Any status</SelectItem>
-                    <SelectItem value="verified">Verified</SelectItem>
-                    <SelectItem value="pending">Pending</SelectItem>
-                    <SelectItem value="unverified">Unverified</SelectItem>
+                    {SEARCH_SORTS.map(sort => (
+                      <SelectItem key={sort.value} value={sort.value}>{sort.label}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
               </div>
@@ -300,22 +182,12 @@ export const EnhancedSearchFilters = ({ tickets, onFilteredResults }) => {
               {/* Return Date */}
               <div>
                 <label className="block text-sm font-medium mb-1">Return Date</label>
-                <Popover>
-                  <PopoverTrigger asChild>
-                    <Button variant="outline" className="w-full justify-start text-left">
-                      <CalendarIcon className="mr-2 h-4 w-4" />
-                      {filters.returnDate ? format(filters.returnDate, "MMM dd, yyyy") : "Select return"}
-                    </Button>
-                  </PopoverTrigger>
-                  <PopoverContent className="w-auto p-0">
-                    <Calendar
-                      mode="single"
-                      selected={filters.returnDate}
-                      onSelect={(date) => updateFilter("returnDate", date)}
-                      initialFocus
-                    />
-                  </PopoverContent>
-                </Popover>
+                <Input
+                  type="date"
+                  value={filters.returnDate}
+                  min={filters.departureDate || undefined}
+                  onChange={(e) => updateFilter("returnDate", e.target.value)}
+                />
               </div>
             </div>
 
@@ -352,10 +224,16 @@ export const EnhancedSearchFilters = ({ tickets, onFilteredResults }) => {
                 <button onClick={() => removeFilter("toLocation")} className="ml-1 hover:text-red-600">×</button>
               </Badge>
             )}
-            {(filters.priceRange[0] > 0 || filters.priceRange[1] < 5000) && (
+            {(filters.minPrice || filters.maxPrice) && (
+              <Badge variant="secondary" className="flex items-center gap-1">
+                ₹{filters.minPrice || "0"} - ₹{filters.maxPrice || "∞"}
+                <button onClick={() => removeFilter("minPrice", "maxPrice")} className="ml-1 hover:text-red-600">×</button>
+              </Badge>
+            )}
+            {filters.operator && (
               <Badge variant="secondary" className="flex items-center gap-1">
-                ₹{filters.priceRange[0]} - ₹{filters.priceRange[1]}
-                <button onClick={() => removeFilter("priceRange")} className="ml-1 hover:text-red-600">×</button>
+                {filters.operator}
+                <button onClick={() => removeFilter("operator")} className="ml-1 hover:text-red-600">×</button>
               </Badge>
             )}
           </div>
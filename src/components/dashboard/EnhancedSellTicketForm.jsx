@@ -4,10 +4,23 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/com
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { FeeBreakdown } from "@/components/payments/FeeBreakdown";
+import { useFeeQuote } from "@/hooks/useFeeQuote";
+import { useOperatorPolicy } from "@/hooks/useOperatorPolicy";
+import { useLocations } from "@/hooks/useLocations";
+import { OperatorTransferPolicy } from "@/components/tickets/OperatorTransferPolicy";
+import { LocationAutocomplete } from "@/components/tickets/LocationAutocomplete";
+import { LISTING_TYPES } from "@/utils/fees";
+import { sellerDocuments, TRANSFER_DOCUMENT_LABELS } from "@/utils/operatorPolicies";
+import { resolveLocation } from "@/utils/locations";
+import { SEAT_CLASSES } from "@/utils/seatClasses";
 import { useToast } from "@/hooks/use-toast";
 import { supabase } from "@/integrations/supabase/client";
+import { DatabaseOperations } from "@/utils/databaseOperations";
 import { validatePNRInBackground, formatPNR } from "@/utils/pnrValidation";
-import { Loader, CheckCircle, XCircle } from "lucide-react";
+import { getVerificationError, verificationFailure, VERIFICATION_ERRORS } from "@/utils/verificationResult";
+import { Loader, CheckCircle, XCircle, Clock } from "lucide-react";
 import FileUpload from "@/components/ui/file-upload";
 
 
@@ -26,17 +39,37 @@ export const EnhancedSellTicketForm = ({ user }) => {
     departure_time: "",
     from_location: "",
     to_location: "",
+    // Picked by the seller when the verified text isn't a city we know
+    from_location_id: "",
+    to_location_id: "",
     seat_number: "",
+    seat_class: "",
     ticket_price: "",
     selling_price: "",
+    listing_type: "standard",
   });
   
   const [pnrValidation, setPnrValidation] = useState(null);
   const [isValidating, setIsValidating] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showDebugPanel, setShowDebugPanel] = useState(false);
+  const [uploadedFiles, setUploadedFiles] = useState([]);
+  const [locationSearch, setLocationSearch] = useState({ from: "", to: "" });
   
   const { toast } = useToast();
+  const { breakdown: feeQuote } = useFeeQuote({
+    amount: formData.selling_price,
+    listingType: formData.listing_type,
+    busOperator: formData.bus_operator
+  });
+  const { policy: transferPolicy, transfer } = useOperatorPolicy({
+    busOperator: formData.bus_operator,
+    ticket: formData
+  });
+  const documentsToUpload = transferPolicy ? sellerDocuments(transferPolicy) : [];
+  const { locations } = useLocations();
+  const fromLocation = resolveLocation(locations, formData.from_location);
+  const toLocation = resolveLocation(locations, formData.to_location);
 
   const handlePNRValidation = async () => {
     if (!formData.pnr_number || !formData.passenger_name) {
@@ -60,20 +93,22 @@ export const EnhancedSellTicketForm = ({ user }) => {
       console.log('PNR Validation Result:', result);
       setPnrValidation(result);
       
-      if (result.isValid && result.details) {
-        // Auto-fill ALL fields from API response and set selling price same as ticket price
+      if (result.isValid && result.ticketData) {
+        // Auto-fill ALL fields from the verified booking and set selling price same as ticket price
         setFormData(prev => ({
           ...prev,
-          pnr_number: result.details.pnr,
-          passenger_name: result.details.passengerName,
-          from_location: result.details.from,
-          to_location: result.details.to,
-          departure_date: result.details.dateOfJourney,
-          departure_time: result.details.departureTime || '00:00',
-          bus_operator: result.details.busOperator,
-          seat_number: result.details.seatNumber,
-          ticket_price: result.details.ticketPrice || '',
-          selling_price: result.details.ticketPrice || '' // Same as API price
+          pnr_number: formatPNR(prev.pnr_number),
+          passenger_name: result.ticketData.passenger_name || prev.passenger_name,
+          from_location: result.ticketData.from_location,
+          to_location: result.ticketData.to_location,
+          from_location_id: "",
+          to_location_id: "",
+          departure_date: result.ticketData.departure_date,
+          departure_time: result.ticketData.departure_time || '00:00',
+          bus_operator: result.ticketData.bus_operator,
+          seat_number: result.ticketData.seat_number,
+          ticket_price: result.ticketData.ticket_price || '',
+          selling_price: result.ticketData.ticket_price || '' // Same as API price
         }));
         
         toast({
@@ -81,9 +116,10 @@ export const EnhancedSellTicketForm = ({ user }) => {
           description: "All details auto-filled from API. Price set to original ticket price.",
         });
       } else {
+        const { title, message } = getVerificationError(result.code);
         toast({
-          title: "Invalid Ticket",
-          description: result.error,
+          title,
+          description: message,
           variant: "destructive",
         });
       }
@@ -109,14 +145,17 @@ export const EnhancedSellTicketForm = ({ user }) => {
 
       if (uploadError) throw uploadError;
 
-      // Record file metadata in database
-      await (supabase).from('ticket_documents').insert({
+      // Record file metadata in database; the handover links the buyer to these
+      const { error: recordError } = await supabase.from('ticket_documents').insert({
         ticket_id: ticketId,
+        uploaded_by: user.id,
         file_name: file.name,
         file_path: fileName,
         file_type: file.type
       });
 
+      if (recordError) throw recordError;
+
       return fileName;
     });
 
@@ -135,20 +174,52 @@ export const EnhancedSellTicketForm = ({ user }) => {
       return;
     }
 
+    // The operator's rules decide whether the booking can change hands at all
+    if (transfer && !transfer.allowed) {
+      toast({
+        title: "Ticket Can't Be Transferred",
+        description: transfer.reason,
+        variant: "destructive",
+      });
+      return;
+    }
+
+    if (documentsToUpload.length > 0 && uploadedFiles.length === 0) {
+      toast({
+        title: "Documents Required",
+        description: `${transferPolicy.name} needs: ${documentsToUpload.map(document => TRANSFER_DOCUMENT_LABELS[document]).join(', ')}`,
+        variant: "destructive",
+      });
+      return;
+    }
+
     setIsSubmitting(true);
     try {
-      // Save to Supabase with verification status based on API validation
-      const { data: insertedTicket, error } = await supabase.from('tickets').insert({
+      const { data: insertedTicket, error } = await DatabaseOperations.createTicket({
         ...formData,
         pnr_number: formatPNR(formData.pnr_number),
         ticket_price: parseFloat(formData.ticket_price),
         selling_price: parseFloat(formData.selling_price),
+        seat_class: formData.seat_class || null,
+        // The listing trigger works these out again from the text
+        from_location_id: fromLocation?.id || formData.from_location_id || null,
+        to_location_id: toLocation?.id || formData.to_location_id || null,
+        // Informational; the fee is worked out again when the ticket is bought
+        commission_rate: feeQuote?.percentage,
+        platform_fee: feeQuote?.platformFee,
         seller_id: user.id,
-        status: 'available',
-        verification_status: pnrValidation.isValid ? 'verified' : 'invalid',
-        api_provider: pnrValidation.apiProvider || 'unknown',
-        verification_confidence: pnrValidation.confidence || 0
-      }).select().single();
+        // Verification is filled in by the tickets trigger from verify-pnr's record
+        status: 'available'
+      });
+
+      if (error?.code === 'DUPLICATE_LISTING' || error?.code === 'OPERATOR_POLICY') {
+        toast({
+          title: error.code === 'DUPLICATE_LISTING' ? "Already Listed" : "Ticket Can't Be Transferred",
+          description: error.message,
+          variant: "destructive",
+        });
+        return;
+      }
 
       if (error) throw error;
 
@@ -167,34 +238,15 @@ export const EnhancedSellTicketForm = ({ user }) => {
             variant: "destructive",
           });
         }
-      } else if (result.isValid && result.ticketData) {
-        // Handle the actual API response structure
-        setFormData(prev => ({
-          ...prev,
-          pnr_number: formData.pnr_number,
-          passenger_name: result.ticketData.passenger_name || formData.passenger_name,
-          from_location: result.ticketData.from_location,
-          to_location: result.ticketData.to_location,
-          departure_date: result.ticketData.departure_date,
-          departure_time: result.ticketData.departure_time || '00:00',
-          bus_operator: result.ticketData.bus_operator,
-          seat_number: result.ticketData.seat_number,
-          ticket_price: result.ticketData.ticket_price || '',
-          selling_price: result.ticketData.ticket_price || ''
-        }));
-        
-        toast({
-          title: "Ticket Verified Successfully",
-          description: `Verified with ${result.apiProvider} (${result.confidence}% confidence)`,
-        });
       }
 
+      // What the listing was saved with, not what the browser saw
+      const verified = insertedTicket?.verification_status === 'verified';
       toast({
-        title: pnrValidation.isValid ? "Ticket Verified & Listed" : "Ticket Listed as Unverified",
-        description: pnrValidation.isValid 
-          ? "Your ticket has been validated and is now available for purchase" 
-          : "Your ticket credentials could not be verified with the API",
-        variant: pnrValidation.isValid ? "default" : "destructive"
+        title: verified ? "Ticket Verified & Listed" : "Ticket Listed for Review",
+        description: verified
+          ? "Your ticket has been validated and is now available for purchase"
+          : "Our team will review your listing shortly",
       });
 
       // Reset form
@@ -206,10 +258,16 @@ export const EnhancedSellTicketForm = ({ user }) => {
         departure_time: "",
         from_location: "",
         to_location: "",
+        from_location_id: "",
+        to_location_id: "",
         seat_number: "",
+        seat_class: "",
         ticket_price: "",
         selling_price: "",
+        listing_type: "standard",
       });
+      setLocationSearch({ from: "", to: "" });
+      setUploadedFiles([]);
       setPnrValidation(null);
       
     } catch (error) {
@@ -219,10 +277,7 @@ export const EnhancedSellTicketForm = ({ user }) => {
         description: "Failed to list your ticket. Please try again.",
         variant: "destructive",
       });
-      setPnrValidation({
-        isValid: false,
-        error: `Validation failed: ${error.message}`
-      });
+      setPnrValidation(verificationFailure(VERIFICATION_ERRORS.VERIFICATION_FAILED));
     } finally {
       setIsSubmitting(false);
     }
@@ -260,7 +315,7 @@ export const EnhancedSellTicketForm = ({ user }) => {
                   value={formData.pnr_number}
                   onChange={(e) => setFormData({...formData, pnr_number: e.target.value.toUpperCase()})}
                   placeholder="Enter PNR number"
-                  className={pnrValidation?.isValid ? "border-green-500" : pnrValidation?.error ? "border-red-500" : ""}
+                  className={pnrValidation?.isValid ? "border-green-500" : pnrValidation?.code ? "border-red-500" : ""}
                   required
                 />
               </div>
@@ -301,7 +356,12 @@ export const EnhancedSellTicketForm = ({ user }) => {
                   <CheckCircle className="h-4 w-4 mr-2 text-green-600" />
                   Ticket Verified
                 </>
-              ) : pnrValidation?.error ? (
+              ) : pnrValidation?.pending ? (
+                <>
+                  <Clock className="h-4 w-4 mr-2" />
+                  Verification Pending - Retry
+                </>
+              ) : pnrValidation?.code ? (
                 <>
                   <XCircle className="h-4 w-4 mr-2 text-red-600" />
                   Validation Failed - Try Again
@@ -311,14 +371,34 @@ export const EnhancedSellTicketForm = ({ user }) => {
               )}
             </Button>
 
-            {pnrValidation?.error && (
+            {pnrValidation?.pending && (
+              <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+                <p className="text-sm font-medium text-yellow-800">
+                  <Clock className="h-4 w-4 inline mr-1" />
+                  Verification pending: {getVerificationError(pnrValidation.code).title}
+                </p>
+                <p className="text-sm text-yellow-700">{getVerificationError(pnrValidation.code).message}</p>
+                <p className="text-xs text-yellow-700 mt-1">Your ticket hasn't been rejected. Use "Validate & Verify Ticket" again to retry.</p>
+                {pnrValidation.debug && (
+                  <details className="mt-2">
+                    <summary className="cursor-pointer text-xs">Debug Info (admin)</summary>
+                    <pre className="mt-1 text-xs bg-white p-2 rounded border overflow-auto">
+                      {JSON.stringify({ code: pnrValidation.code, ...pnrValidation.debug }, null, 2)}
+                    </pre>
+                  </details>
+                )}
+              </div>
+            )}
+
+            {pnrValidation && !pnrValidation.isValid && !pnrValidation.pending && (
               <div className="p-3 bg-red-50 border border-red-200 rounded-md">
-                <p className="text-sm text-red-600">{pnrValidation.error}</p>
-                {import.meta.env.DEV && (
+                <p className="text-sm font-medium text-red-700">{getVerificationError(pnrValidation.code).title}</p>
+                <p className="text-sm text-red-600">{getVerificationError(pnrValidation.code).message}</p>
+                {pnrValidation.debug && (
                   <details className="mt-2">
-                    <summary className="cursor-pointer text-xs">Debug Info</summary>
+                    <summary className="cursor-pointer text-xs">Debug Info (admin)</summary>
                     <pre className="mt-1 text-xs bg-white p-2 rounded border overflow-auto">
-                      {JSON.stringify(pnrValidation, null, 2)}
+                      {JSON.stringify({ code: pnrValidation.code, ...pnrValidation.debug }, null, 2)}
                     </pre>
                   </details>
                 )}
@@ -327,19 +407,110 @@ export const EnhancedSellTicketForm = ({ user }) => {
 
             {pnrValidation?.isValid && (
               <div className="p-4 bg-green-50 border border-green-200 rounded-md space-y-3">
-                <p className="text-sm text-green-600 font-medium">✓ Ticket verified successfully!</p>
+                <p className="text-sm text-green-600 font-medium">
+                  {pnrValidation.verificationStatus === 'verified'
+                    ? `✓ Ticket verified successfully! (${pnrValidation.confidence}% name match)`
+                    : `✓ Ticket found. Name match ${pnrValidation.confidence}%, so the listing will be manually reviewed.`}
+                </p>
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
-                  <div><strong>From:</strong> {formData.from_location}</div>
-                  <div><strong>To:</strong> {formData.to_location}</div>
+                  <div><strong>From:</strong> {fromLocation?.name ?? formData.from_location}</div>
+                  <div><strong>To:</strong> {toLocation?.name ?? formData.to_location}</div>
                   <div><strong>Date:</strong> {formData.departure_date}</div>
                   <div><strong>Price:</strong> ₹{formData.ticket_price}</div>
                 </div>
                 <p className="text-xs text-green-600">All details auto-filled from verified ticket data.</p>
-                {import.meta.env.DEV && (
+                {(!fromLocation || !toLocation) && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-2 border-t border-green-200">
+                    <p className="md:col-span-2 text-xs text-gray-600">
+                      We couldn't match the route to cities we know. Pick the city each stop is in so buyers searching for it find your ticket.
+                    </p>
+                    {[
+                      { end: 'from', label: 'From', text: formData.from_location, resolved: fromLocation },
+                      { end: 'to', label: 'To', text: formData.to_location, resolved: toLocation }
+                    ].filter(stop => !stop.resolved).map(stop => (
+                      <div key={stop.end}>
+                        <Label htmlFor={`${stop.end}_location_id`}>{stop.label} city for "{stop.text}"</Label>
+                        <LocationAutocomplete
+                          id={`${stop.end}_location_id`}
+                          value={locationSearch[stop.end]}
+                          onChange={(text) => setLocationSearch(prev => ({ ...prev, [stop.end]: text }))}
+                          onSelect={(location) => setFormData(prev => ({ ...prev, [`${stop.end}_location_id`]: location?.id || "" }))}
+                          placeholder="Search cities"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-2 border-t border-green-200">
+                  <div className="space-y-3">
+                    <div>
+                      <Label htmlFor="seat_class">Seat Class</Label>
+                      <Select
+                        value={formData.seat_class}
+                        onValueChange={(value) => setFormData({...formData, seat_class: value})}
+                      >
+                        <SelectTrigger id="seat_class">
+                          <SelectValue placeholder="Shown to buyers instead of your seat number" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {SEAT_CLASSES.map(seatClass => (
+                            <SelectItem key={seatClass.value} value={seatClass.value}>{seatClass.label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div>
+                      <Label htmlFor="listing_type">Listing Type</Label>
+                      <Select
+                        value={formData.listing_type}
+                        onValueChange={(value) => setFormData({...formData, listing_type: value})}
+                      >
+                        <SelectTrigger id="listing_type">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {LISTING_TYPES.map(type => (
+                            <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  </div>
+                  <FeeBreakdown
+                    amount={formData.selling_price}
+                    listingType={formData.listing_type}
+                    busOperator={formData.bus_operator}
+                    viewer="seller"
+                  />
+                </div>
+                {transferPolicy && (
+                  <div className="space-y-3 pt-2 border-t border-green-200">
+                    <OperatorTransferPolicy policy={transferPolicy} transfer={transfer} />
+                    {transfer?.allowed !== false && (
+                      <div>
+                        <Label>
+                          Ticket Documents{documentsToUpload.length > 0 ? '' : ' (Optional)'}
+                        </Label>
+                        {documentsToUpload.length > 0 && (
+                          <p className="text-xs text-gray-600 mb-2">
+                            Upload {documentsToUpload.map(document => TRANSFER_DOCUMENT_LABELS[document].toLowerCase()).join(' and ')}. The buyer gets these after paying.
+                          </p>
+                        )}
+                        <FileUpload
+                          onFileSelect={setUploadedFiles}
+                          accept="image/*,application/pdf"
+                          multiple
+                          maxSize={5 * 1024 * 1024}
+                        />
+                      </div>
+                    )}
+                  </div>
+                )}
+                {pnrValidation.debug && (
                   <details className="mt-2">
-                    <summary className="cursor-pointer text-xs">Debug Info</summary>
+                    <summary className="cursor-pointer text-xs">Debug Info (admin)</summary>
                     <pre className="mt-1 text-xs bg-white p-2 rounded border overflow-auto">
-                      {JSON.stringify(pnrValidation, null, 2)}
+                      {JSON.stringify({ code: pnrValidation.code, ...pnrValidation.debug }, null, 2)}
                     </pre>
                   </details>
                 )}
@@ -348,7 +519,7 @@ export const EnhancedSellTicketForm = ({ user }) => {
 
             <Button
               type="submit"
-              disabled={!pnrValidation?.isValid || isSubmitting}
+              disabled={!pnrValidation?.isValid || isSubmitting || transfer?.allowed === false}
               className="w-full"
             >
               {isSubmitting ? (
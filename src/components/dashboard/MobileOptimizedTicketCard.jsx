@@ -2,8 +2,12 @@
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
-import { MapPin, Calendar, Clock, IndianRupee, User, Bus, Loader2, MessageSquare } from "lucide-react";
+import { MapPin, Calendar, Clock, IndianRupee, User, Bus, Loader2, MessageSquare, Star } from "lucide-react";
 import { formatDistanceToNow } from "date-fns";
+import { QuickPurchaseButton } from "@/components/purchase/QuickPurchaseButton";
+import { TicketHoldBadge } from "@/components/purchase/TicketHoldBadge";
+import { isTicketOnHold, LISTED_TICKET_STATUSES } from "@/utils/ticketHolds";
+import { seatClassLabel } from "@/utils/seatClasses";
 
 /**
  * @typedef {Object} MobileOptimizedTicketCardProps
@@ -21,7 +25,8 @@ export const MobileOptimizedTicketCard = ({
 }) => {
   const getStatusColor = (status) => {
     switch (status) {
-      case 'available': return 'bg-green-100 text-green-800';
+      case 'available':
+      case 'reserved': return 'bg-green-100 text-green-800';
       case 'pending': return 'bg-yellow-100 text-yellow-800';
       case 'sold': return 'bg-blue-100 text-blue-800';
       case 'cancelled': return 'bg-red-100 text-red-800';
@@ -34,17 +39,18 @@ export const MobileOptimizedTicketCard = ({
       <CardHeader className="pb-3">
         <div className="flex justify-between items-start">
           <div className="flex-1 min-w-0">
-            <CardTitle className="text-lg font-semibold truncate">
-              PNR: {ticket.pnr_number}
-            </CardTitle>
-            <div className="flex items-center text-sm text-gray-600 mt-1">
-              <Bus className="h-4 w-4 mr-1 flex-shrink-0" />
+            <CardTitle className="text-lg font-semibold truncate flex items-center">
+              <Bus className="h-4 w-4 mr-2 flex-shrink-0" />
               <span className="truncate">{ticket.bus_operator}</span>
-            </div>
+            </CardTitle>
           </div>
-          <Badge className={getStatusColor(ticket.status)}>
-            {ticket.status}
-          </Badge>
+          {isTicketOnHold(ticket) ? (
+            <TicketHoldBadge ticket={ticket} />
+          ) : (
+            <Badge className={getStatusColor(ticket.status)}>
+              {ticket.status === 'reserved' ? 'available' : ticket.status}
+            </Badge>
+          )}
         </div>
       </CardHeader>
       
@@ -90,13 +96,21 @@ export const MobileOptimizedTicketCard = ({
           </div>
         </div>
 
-        {/* Passenger & Seat */}
+        {/* Seller & Seat Class */}
         <div className="grid grid-cols-2 gap-4 text-sm">
           <div className="flex items-center space-x-2">
             <User className="h-4 w-4 text-gray-400 flex-shrink-0" />
             <div className="min-w-0 flex-1">
-              <div className="font-medium truncate">{ticket.passenger_name}</div>
-              <div className="text-xs text-gray-500">Passenger</div>
+              <div className="font-medium truncate flex items-center gap-1">
+                {ticket.seller_name || "Seller"}
+                {ticket.seller_rating > 0 && (
+                  <span className="flex items-center text-xs text-gray-600">
+                    <Star className="h-3 w-3 mr-0.5 fill-yellow-400 text-yellow-400" />
+                    {Number(ticket.seller_rating).toFixed(1)}
+                  </span>
+                )}
+              </div>
+              <div className="text-xs text-gray-500">Seller</div>
             </div>
           </div>
           <div className="flex items-center space-x-2">
@@ -104,8 +118,8 @@ export const MobileOptimizedTicketCard = ({
               <span className="text-white text-xs font-bold">S</span>
             </div>
             <div>
-              <div className="font-medium">{ticket.seat_number}</div>
-              <div className="text-xs text-gray-500">Seat</div>
+              <div className="font-medium">{seatClassLabel(ticket.seat_class) || "Not specified"}</div>
+              <div className="text-xs text-gray-500">Seat Class</div>
             </div>
           </div>
         </div>
@@ -135,23 +149,21 @@ export const MobileOptimizedTicketCard = ({
         {/* Action Buttons */}
         {showActions && onAction && (
           <div className="flex gap-2 pt-2">
-            {ticket.status === 'available' && (
+            {LISTED_TICKET_STATUSES.includes(ticket.status) && (
               <>
-                <Button 
-                  size="sm" 
-                  className="flex-1"
-                  onClick={() => onAction(ticket, 'buy')}
-                  disabled={isProcessing}
-                >
-                  {isProcessing ? (
-                    <>
-                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                      Processing...
-                    </>
-                  ) : (
-                    "Buy Now"
-                  )}
-                </Button>
+                {isProcessing ? (
+                  <Button size="sm" className="flex-1" disabled>
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    Processing...
+                  </Button>
+                ) : (
+                  <QuickPurchaseButton
+                    ticket={ticket}
+                    size="sm"
+                    className="flex-1"
+                    onPurchaseSuccess={(transactionData) => onAction(ticket, 'buy', transactionData)}
+                  />
+                )}
                 <Button 
                   variant="outline" 
                   size="sm"
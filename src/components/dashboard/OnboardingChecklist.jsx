@@ -42,13 +42,20 @@ export const OnboardingChecklist = () => {
 
       setProfile(profileData);
 
+      const { count: destinationCount } = await supabase
+        .from('payout_destinations')
+        .select('id', { count: 'exact', head: true })
+        .eq('seller_id', user.id)
+        .eq('active', true)
+        .eq('verification_status', 'verified');
+
       const status = await getVerificationStatus();
 
       setChecklist({
         emailVerified: !!status.verified,
         profileComplete: !!(profileData?.full_name && profileData?.phone_number),
         kycCompleted: profileData?.kyc_status === 'verified',
-        paymentSetup: !!(profileData?.upi_id || profileData?.phone_number)
+        paymentSetup: destinationCount > 0
       });
     } catch (error) {
       console.error('Error loading user data:', error);
@@ -142,7 +149,7 @@ export const OnboardingChecklist = () => {
         <ChecklistItem
           completed={checklist.paymentSetup}
           title="Payment Setup"
-          description="Add UPI ID for receiving payments"
+          description="Add and verify a UPI ID or bank account for receiving payments"
           icon={CreditCard}
           action={() => window.location.href = '/dashboard'}
         />
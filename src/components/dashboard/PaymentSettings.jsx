@@ -1,53 +1,135 @@
 import React, { useState, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { useToast } from '@/hooks/use-toast';
 import { supabase } from '@/integrations/supabase/client';
-import { Smartphone, CreditCard, Check } from 'lucide-react';
+import {
+  describeDestination,
+  describeIfsc,
+  validatePayoutDestination,
+  PAYOUT_RAIL_LABELS,
+  VERIFICATION_LABELS
+} from '@/utils/payouts';
+import {
+  Smartphone,
+  CreditCard,
+  Check,
+  Landmark,
+  Trash2,
+  AlertCircle,
+  Loader,
+  ShieldCheck,
+  ExternalLink
+} from 'lucide-react';
+
+const EMPTY_DESTINATION = {
+  type: 'vpa',
+  vpa: '',
+  account_number: '',
+  ifsc: '',
+  account_holder_name: ''
+};
+
+// Where sellers paid through Stripe can have their bank account
+const STRIPE_COUNTRIES = [
+  { code: 'US', name: 'United States' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'AU', name: 'Australia' },
+  { code: 'SG', name: 'Singapore' },
+  { code: 'AE', name: 'United Arab Emirates' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'FR', name: 'France' },
+  { code: 'NL', name: 'Netherlands' },
+  { code: 'IE', name: 'Ireland' },
+  { code: 'NZ', name: 'New Zealand' }
+];
+
+const FieldError = ({ message }) => message
+  ? <p className="text-xs text-destructive">{message}</p>
+  : null;
+
+const getVerificationColor = (status) => {
+  switch (status) {
+    case 'verified':
+      return 'default';
+    case 'failed':
+      return 'destructive';
+    default:
+      return 'outline';
+  }
+};
 
 export const PaymentSettings = () => {
-  const [upiId, setUpiId] = useState('');
-  const [phoneNumber, setPhoneNumber] = useState('');
+  const [destinations, setDestinations] = useState([]);
+  const [payoutRail, setPayoutRail] = useState('razorpay');
+  const [stripeCountry, setStripeCountry] = useState('');
+  const [isConnecting, setIsConnecting] = useState(false);
+  const [form, setForm] = useState(EMPTY_DESTINATION);
+  const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
-  const [isSaved, setIsSaved] = useState(false);
+  const [verifyingId, setVerifyingId] = useState(null);
+  const [ifscBranch, setIfscBranch] = useState(null);
   const { toast } = useToast();
 
   useEffect(() => {
-    loadPaymentDetails();
+    loadDestinations();
   }, []);
 
-  const loadPaymentDetails = async () => {
+  // Name the bank and branch as soon as a complete IFSC is typed
+  useEffect(() => {
+    if (form.type !== 'bank_account' || form.ifsc.length !== 11) {
+      setIfscBranch(null);
+      return;
+    }
+
+    let cancelled = false;
+    describeIfsc(form.ifsc).then((branch) => {
+      if (!cancelled) setIfscBranch(branch);
+    });
+    return () => { cancelled = true; };
+  }, [form.type, form.ifsc]);
+
+  const loadDestinations = async () => {
     try {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) return;
 
-      const { data: profile } = await supabase
-        .from('profiles')
-        .select('upi_id, phone_number')
-        .eq('id', user.id)
-        .single();
+      const [{ data, error }, { data: profile }] = await Promise.all([
+        supabase
+          .from('payout_destinations')
+          .select('*')
+          .eq('seller_id', user.id)
+          .order('created_at'),
+        supabase
+          .from('profiles')
+          .select('payout_rail')
+          .eq('id', user.id)
+          .single()
+      ]);
 
-      if (profile) {
-        setUpiId(profile.upi_id || '');
-        setPhoneNumber(profile.phone_number || '');
-        setIsSaved(!!(profile.upi_id || profile.phone_number));
-      }
+      if (error) throw error;
+      setDestinations(data || []);
+      setPayoutRail(profile?.payout_rail ?? 'razorpay');
     } catch (error) {
       console.error('Error loading payment details:', error);
     }
   };
 
+  const updateForm = (field, value) => {
+    setForm({ ...form, [field]: value });
+    setErrors({ ...errors, [field]: undefined });
+  };
+
   const handleSave = async () => {
-    if (!upiId && !phoneNumber) {
-      toast({
-        title: "Missing Information",
-        description: "Please provide either UPI ID or phone number for payments.",
-        variant: "destructive"
-      });
-      return;
-    }
+    const validationErrors = await validatePayoutDestination(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
 
     setIsLoading(true);
 
@@ -55,22 +137,33 @@ export const PaymentSettings = () => {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error("User not authenticated");
 
-      const { error } = await supabase
-        .from('profiles')
-        .update({
-          upi_id: upiId || null,
-          phone_number: phoneNumber || null,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', user.id);
+      const isFirst = !destinations.some(destination => destination.active && destination.type !== 'connected_account');
+      const { data: saved, error } = await supabase
+        .from('payout_destinations')
+        .insert(form.type === 'vpa'
+          ? { seller_id: user.id, type: 'vpa', vpa: form.vpa.trim().toLowerCase(), is_default: isFirst }
+          : {
+            seller_id: user.id,
+            type: 'bank_account',
+            account_number: form.account_number.trim(),
+            ifsc: form.ifsc.trim().toUpperCase(),
+            account_holder_name: form.account_holder_name.trim(),
+            is_default: isFirst
+          })
+        .select()
+        .single();
 
       if (error) throw error;
 
-      setIsSaved(true);
+      setForm({ ...EMPTY_DESTINATION, type: form.type });
       toast({
         title: "Payment Details Saved",
-        description: "Your payment information has been updated successfully.",
+        description: isFirst
+          ? "Verify it to start receiving payouts here."
+          : "Verify it and make it your default to receive payouts here.",
       });
+      loadDestinations();
+      verifyDestination(saved);
     } catch (error) {
       console.error('Error saving payment details:', error);
       toast({
@@ -83,6 +176,128 @@ export const PaymentSettings = () => {
     }
   };
 
+  // Penny drop: ₹1 is credited and the name on the account is checked
+  const verifyDestination = async (destination) => {
+    setVerifyingId(destination.id);
+    try {
+      const { data, error } = await supabase.functions.invoke('verify-payout-destination', {
+        body: { destinationId: destination.id }
+      });
+
+      if (error || data?.error) throw new Error(data?.error || error.message);
+
+      if (data.status === 'verified') {
+        toast({
+          title: "Verified",
+          description: `${describeDestination(destination)} is registered to ${data.registeredName}.`,
+        });
+      } else if (data.status === 'pending') {
+        toast({
+          title: "Verification In Progress",
+          description: "Your bank is confirming the account. Check again in a few minutes.",
+        });
+      } else {
+        toast({
+          title: "Verification Failed",
+          description: data.reason || "We couldn't verify these details.",
+          variant: "destructive"
+        });
+      }
+    } catch (error) {
+      console.error('Error verifying payout destination:', error);
+      toast({
+        title: "Error",
+        description: error.message || "Unable to verify. Please try again.",
+        variant: "destructive"
+      });
+    } finally {
+      setVerifyingId(null);
+      loadDestinations();
+    }
+  };
+
+  const makeDefault = async (destination) => {
+    const { error } = await supabase.rpc('set_default_payout_destination', { p_destination_id: destination.id });
+    if (error) {
+      toast({ title: "Error", description: error.message, variant: "destructive" });
+      return;
+    }
+    loadDestinations();
+  };
+
+  const removeDestination = async (destination) => {
+    const { error } = await supabase
+      .from('payout_destinations')
+      .update({ active: false, is_default: false, updated_at: new Date().toISOString() })
+      .eq('id', destination.id);
+
+    if (error) {
+      toast({ title: "Error", description: error.message, variant: "destructive" });
+      return;
+    }
+
+    // Keep payouts flowing to whatever's left
+    const next = destinations.find(other =>
+      other.active && other.type !== 'connected_account' && other.id !== destination.id);
+    if (destination.is_default && next) {
+      await makeDefault(next);
+    } else {
+      loadDestinations();
+    }
+  };
+
+  // Opens Stripe's hosted onboarding, which comes back to this page
+  const connectStripe = async () => {
+    setIsConnecting(true);
+    try {
+      const { data, error } = await supabase.functions.invoke('create-stripe-connect-link', {
+        body: { country: stripeCountry, returnUrl: window.location.href }
+      });
+
+      if (error || data?.error) throw new Error(data?.error || error.message);
+
+      window.location.href = data.url;
+    } catch (error) {
+      console.error('Error starting Stripe onboarding:', error);
+      toast({
+        title: "Error",
+        description: error.message || "Unable to open Stripe. Please try again.",
+        variant: "destructive"
+      });
+      setIsConnecting(false);
+    }
+  };
+
+  const changePayoutRail = async (rail) => {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return;
+
+    const { error } = await supabase
+      .from('profiles')
+      .update({ payout_rail: rail, updated_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+    if (error) {
+      toast({ title: "Error", description: error.message, variant: "destructive" });
+      return;
+    }
+
+    setPayoutRail(rail);
+    toast({
+      title: "Payout Method Updated",
+      description: `Your payouts will go to ${PAYOUT_RAIL_LABELS[rail]}.`,
+    });
+  };
+
+  const activeDestinations = destinations.filter(destination =>
+    destination.active && destination.type !== 'connected_account');
+  const stripeAccount = destinations.find(destination =>
+    destination.active && destination.type === 'connected_account');
+  const disabledDestinations = destinations.filter(destination => !destination.active && destination.disabled_reason);
+  const payoutDestination = payoutRail === 'stripe'
+    ? stripeAccount
+    : activeDestinations.find(destination => destination.is_default);
+
   return (
     <Card>
       <CardHeader>
@@ -91,67 +306,232 @@ export const PaymentSettings = () => {
           Payment Settings
         </CardTitle>
         <p className="text-sm text-muted-foreground">
-          Add your UPI ID or phone number to receive payments instantly when your tickets are sold.
+          Add a UPI ID or bank account to receive payments when your tickets are sold.
         </p>
       </CardHeader>
       <CardContent className="space-y-4">
-        <div className="space-y-2">
-          <Label htmlFor="upi-id">UPI ID (Recommended)</Label>
-          <Input
-            id="upi-id"
-            placeholder="yourname@paytm or yourname@phonepe"
-            value={upiId}
-            onChange={(e) => setUpiId(e.target.value)}
-            className="font-mono"
-          />
-          <p className="text-xs text-muted-foreground">
-            Your UPI ID for instant payments (e.g., 9876543210@paytm)
-          </p>
-        </div>
+        {activeDestinations.length > 0 && (
+          <div className="space-y-2">
+            {activeDestinations.map((destination) => (
+              <div key={destination.id} className="flex items-center justify-between border rounded-lg p-3">
+                <div className="space-y-1">
+                  <div className="flex items-center gap-2">
+                    {destination.type === 'vpa'
+                      ? <Smartphone className="h-4 w-4 text-muted-foreground" />
+                      : <Landmark className="h-4 w-4 text-muted-foreground" />}
+                    <span className="font-mono text-sm">{describeDestination(destination)}</span>
+                    {destination.is_default && <Badge variant="secondary">Default</Badge>}
+                    <Badge variant={getVerificationColor(destination.verification_status)}>
+                      {VERIFICATION_LABELS[destination.verification_status] ?? destination.verification_status}
+                    </Badge>
+                  </div>
+                  {(destination.bank_name || destination.verified_name) && (
+                    <p className="text-xs text-muted-foreground">
+                      {[destination.bank_name, destination.verified_name].filter(Boolean).join(' · ')}
+                    </p>
+                  )}
+                  {destination.verification_status === 'failed' && destination.verification_error && (
+                    <p className="text-xs text-destructive">{destination.verification_error}</p>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  {destination.verification_status !== 'verified' && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => verifyDestination(destination)}
+                      disabled={verifyingId === destination.id}
+                    >
+                      {verifyingId === destination.id
+                        ? <Loader className="h-4 w-4 animate-spin mr-1" />
+                        : <ShieldCheck className="h-4 w-4 mr-1" />}
+                      {destination.verification_status === 'pending' ? 'Check' : 'Verify'}
+                    </Button>
+                  )}
+                  {!destination.is_default && (
+                    <Button size="sm" variant="outline" onClick={() => makeDefault(destination)}>
+                      Make default
+                    </Button>
+                  )}
+                  <Button size="sm" variant="ghost" onClick={() => removeDestination(destination)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
 
-        <div className="text-center text-sm text-muted-foreground">OR</div>
+        {payoutDestination && payoutDestination.verification_status !== 'verified' && (
+          <div className="flex items-start gap-2 text-sm text-amber-700">
+            <AlertCircle className="h-4 w-4 mt-0.5" />
+            <span>Payouts are on hold until {describeDestination(payoutDestination)} is verified.</span>
+          </div>
+        )}
 
-        <div className="space-y-2">
-          <Label htmlFor="phone">Phone Number</Label>
-          <div className="flex">
-            <div className="flex items-center px-3 border border-r-0 rounded-l-md bg-muted">
-              <Smartphone className="h-4 w-4 mr-1" />
-              +91
-            </div>
+        {disabledDestinations.map((destination) => (
+          <div key={destination.id} className="flex items-start gap-2 text-sm text-destructive">
+            <AlertCircle className="h-4 w-4 mt-0.5" />
+            <span>
+              {describeDestination(destination)} was removed after a payout to it was returned: {destination.disabled_reason}
+            </span>
+          </div>
+        ))}
+
+        <Tabs value={form.type} onValueChange={(type) => { setForm({ ...EMPTY_DESTINATION, type }); setErrors({}); }}>
+          <TabsList className="grid w-full grid-cols-2">
+            <TabsTrigger value="vpa">UPI ID</TabsTrigger>
+            <TabsTrigger value="bank_account">Bank Account</TabsTrigger>
+          </TabsList>
+        </Tabs>
+
+        {form.type === 'vpa' ? (
+          <div className="space-y-2">
+            <Label htmlFor="upi-id">UPI ID</Label>
             <Input
-              id="phone"
-              placeholder="9876543210"
-              value={phoneNumber}
-              onChange={(e) => setUpiId(e.target.value)}
-              className="rounded-l-none"
-              maxLength={10}
+              id="upi-id"
+              placeholder="yourname@okaxis"
+              value={form.vpa}
+              onChange={(e) => updateForm('vpa', e.target.value)}
+              className="font-mono"
             />
+            <FieldError message={errors.vpa} />
           </div>
-          <p className="text-xs text-muted-foreground">
-            We'll use this with @paytm for UPI payments
-          </p>
-        </div>
+        ) : (
+          <div className="space-y-3">
+            <div className="space-y-2">
+              <Label htmlFor="account-holder">Account holder name</Label>
+              <Input
+                id="account-holder"
+                value={form.account_holder_name}
+                onChange={(e) => updateForm('account_holder_name', e.target.value)}
+              />
+              <FieldError message={errors.account_holder_name} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="account-number">Account number</Label>
+              <Input
+                id="account-number"
+                inputMode="numeric"
+                value={form.account_number}
+                onChange={(e) => updateForm('account_number', e.target.value.replace(/\s/g, ''))}
+                className="font-mono"
+                maxLength={18}
+              />
+              <FieldError message={errors.account_number} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="ifsc">IFSC</Label>
+              <Input
+                id="ifsc"
+                placeholder="SBIN0001234"
+                value={form.ifsc}
+                onChange={(e) => updateForm('ifsc', e.target.value.toUpperCase())}
+                className="font-mono"
+                maxLength={11}
+              />
+              <FieldError message={errors.ifsc} />
+              {!errors.ifsc && ifscBranch && <p className="text-xs text-muted-foreground">{ifscBranch}</p>}
+            </div>
+          </div>
+        )}
 
         <div className="bg-blue-50 border border-blue-200 p-3 rounded-lg">
           <div className="flex items-start gap-2 text-blue-800">
             <Check className="h-4 w-4 mt-0.5" />
             <div className="text-sm">
-              <p className="font-medium">Instant Payments</p>
+              <p className="font-medium">Automatic Payouts</p>
               <p className="text-blue-700">
-                When someone buys your ticket, you'll receive payment directly to your UPI within 1-2 hours automatically.
+                Once a sale's escrow is released, your payment is sent to your default UPI ID or bank account in the next hourly payout run. We verify new details by sending ₹1 first.
               </p>
             </div>
           </div>
         </div>
 
-        <Button 
-          onClick={handleSave} 
-          disabled={isLoading || (!upiId && !phoneNumber)}
+        <Button
+          onClick={handleSave}
+          disabled={isLoading}
           className="w-full"
         >
-          {isLoading ? "Saving..." : isSaved ? "Update Payment Details" : "Save Payment Details"}
+          {isLoading ? "Saving..." : form.type === 'vpa' ? "Add UPI ID" : "Add Bank Account"}
         </Button>
+
+        <div className="border-t pt-4 space-y-3">
+          <div>
+            <p className="font-medium">Stripe</p>
+            <p className="text-sm text-muted-foreground">
+              Banking outside India? Connect a Stripe account and get paid there instead. Transfers are made as soon as a sale's escrow is released.
+            </p>
+          </div>
+
+          {stripeAccount ? (
+            <div className="flex items-center justify-between border rounded-lg p-3">
+              <div className="space-y-1">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm">{stripeAccount.verified_name || describeDestination(stripeAccount)}</span>
+                  <Badge variant={getVerificationColor(stripeAccount.verification_status)}>
+                    {VERIFICATION_LABELS[stripeAccount.verification_status] ?? stripeAccount.verification_status}
+                  </Badge>
+                </div>
+                {stripeAccount.verification_status !== 'verified' && stripeAccount.verification_error && (
+                  <p className="text-xs text-muted-foreground">{stripeAccount.verification_error}</p>
+                )}
+              </div>
+              <div className="flex gap-2">
+                {stripeAccount.verification_status !== 'verified' && (
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => verifyDestination(stripeAccount)}
+                    disabled={verifyingId === stripeAccount.id}
+                  >
+                    {verifyingId === stripeAccount.id && <Loader className="h-4 w-4 animate-spin mr-1" />}
+                    Check
+                  </Button>
+                )}
+                {stripeAccount.verification_status === 'pending' && (
+                  <Button size="sm" onClick={connectStripe} disabled={isConnecting}>
+                    <ExternalLink className="h-4 w-4 mr-1" />
+                    Continue setup
+                  </Button>
+                )}
+              </div>
+            </div>
+          ) : (
+            <div className="flex gap-2">
+              <Select value={stripeCountry} onValueChange={setStripeCountry}>
+                <SelectTrigger className="flex-1">
+                  <SelectValue placeholder="Country of your bank account" />
+                </SelectTrigger>
+                <SelectContent>
+                  {STRIPE_COUNTRIES.map(country => (
+                    <SelectItem key={country.code} value={country.code}>{country.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button variant="outline" onClick={connectStripe} disabled={!stripeCountry || isConnecting}>
+                {isConnecting ? <Loader className="h-4 w-4 animate-spin mr-1" /> : <ExternalLink className="h-4 w-4 mr-1" />}
+                Connect Stripe
+              </Button>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label>Send my payouts to</Label>
+            <Select value={payoutRail} onValueChange={changePayoutRail}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="razorpay">{PAYOUT_RAIL_LABELS.razorpay}</SelectItem>
+                <SelectItem value="stripe" disabled={stripeAccount?.verification_status !== 'verified'}>
+                  {PAYOUT_RAIL_LABELS.stripe}
+                </SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
       </CardContent>
     </Card>
   );
-};
\ No newline at end of file
+};
@@ -4,11 +4,71 @@ import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { useToast } from '@/hooks/use-toast';
 import { supabase } from '@/integrations/supabase/client';
-import { CreditCard, Clock, CheckCircle, AlertCircle } from 'lucide-react';
+import { describeDestination, PAYOUT_STATUS_LABELS } from '@/utils/payouts';
+import { CreditCard, Clock, CheckCircle, AlertCircle, Loader, Send, Undo2 } from 'lucide-react';
+
+// Payouts the seller can push through now rather than waiting for the next
+// run. Reversed payouts are sent again by support.
+const REQUESTABLE_STATUSES = ['pending', 'failed'];
+
+const getStatusIcon = (status) => {
+  switch (status) {
+    case 'pending':
+      return <Clock className="h-4 w-4" />;
+    case 'processing':
+      return <Send className="h-4 w-4" />;
+    case 'processed':
+      return <CheckCircle className="h-4 w-4" />;
+    case 'reversed':
+      return <Undo2 className="h-4 w-4" />;
+    case 'failed':
+      return <AlertCircle className="h-4 w-4" />;
+    default:
+      return <Clock className="h-4 w-4" />;
+  }
+};
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'processed':
+      return 'default';
+    case 'failed':
+    case 'reversed':
+      return 'destructive';
+    default:
+      return 'secondary';
+  }
+};
+
+/**
+ * One line of a payout's history. A return to pending after an attempt
+ * means that attempt failed and another is scheduled.
+ */
+const describeEvent = (event, isRetry) => {
+  if (isRetry) return `Attempt ${event.attempt} failed${event.detail ? `: ${event.detail}` : ''}. Retrying automatically.`;
+  if (event.status === 'processing') return `Attempt ${event.attempt} sent`;
+  return `${PAYOUT_STATUS_LABELS[event.status] ?? event.status}${event.detail ? `: ${event.detail}` : ''}`;
+};
+
+const PayoutTimeline = ({ events }) => (
+  <ol className="mt-3 space-y-1 border-l pl-4">
+    {events.map((event) => {
+      const isRetry = event.status === 'pending' && event.attempt > 0;
+      return (
+        <li key={event.id} className="text-xs text-muted-foreground">
+          <span className="font-medium text-foreground">{new Date(event.created_at).toLocaleString()}</span>
+          {' · '}
+          {describeEvent(event, isRetry)}
+        </li>
+      );
+    })}
+  </ol>
+);
 
 export const PendingPayouts = () => {
   const [payouts, setPayouts] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [requestingId, setRequestingId] = useState(null);
   const { toast } = useToast();
 
   useEffect(() => {
@@ -20,36 +80,32 @@ export const PendingPayouts = () => {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) return;
 
-      // Since seller_payouts table doesn't exist, get completed transactions instead
       const { data, error } = await supabase
-        .from('transactions')
+        .from('seller_payouts')
         .select(`
           *,
-          tickets (
-            from_location,
-            to_location,
-            pnr_number,
-            bus_operator
+          payout_events (id, status, attempt, detail, created_at),
+          payout_destinations (type, vpa, ifsc, account_number, stripe_account_id),
+          enhanced_transactions (
+            tickets (
+              from_location,
+              to_location,
+              bus_operator,
+              departure_date
+            )
           )
         `)
         .eq('seller_id', user.id)
-        .eq('status', 'completed')
         .order('created_at', { ascending: false });
 
       if (error) throw error;
-      
-      // Transform transactions to payout format
-      const transformedPayouts = (data || []).map(transaction => ({
-        id: transaction.id,
-        amount: transaction.amount - (transaction.platform_fee || 0),
-        status: transaction.payout_status || 'pending',
-        created_at: transaction.created_at,
-        processed_at: transaction.updated_at,
-        transaction,
-        tickets: transaction.tickets
-      }));
-      
-      setPayouts(transformedPayouts);
+
+      setPayouts((data || []).map(payout => ({
+        ...payout,
+        tickets: payout.enhanced_transactions?.tickets,
+        payout_events: [...(payout.payout_events || [])]
+          .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      })));
     } catch (error) {
       console.error('Error loading payouts:', error);
     } finally {
@@ -58,42 +114,18 @@ export const PendingPayouts = () => {
   };
 
   const requestPayout = async (payoutId) => {
+    setRequestingId(payoutId);
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) throw new Error("Not authenticated");
-
-      // Get user's payment details
-      const { data: profile } = await supabase
-        .from('profiles')
-        .select('upi_id, phone_number')
-        .eq('id', user.id)
-        .single();
-
-      if (!profile?.upi_id && !profile?.phone_number) {
-        toast({
-          title: "Payment Details Required",
-          description: "Please add your UPI ID or phone number in Payment Settings first.",
-          variant: "destructive"
-        });
-        return;
-      }
-
       const { data, error } = await supabase.functions.invoke('create-seller-payout', {
-        body: {
-          payoutId: payoutId,
-          upiId: profile.upi_id,
-          phoneNumber: profile.phone_number
-        }
+        body: { payoutId }
       });
 
-      if (error) throw error;
+      if (error || data?.error) throw new Error(data?.error || error.message);
 
       toast({
         title: "Payout Initiated",
-        description: "Your payment has been sent to your UPI. It may take 1-2 hours to reflect.",
+        description: "Your payment has been sent. It may take 1-2 hours to reflect.",
       });
-
-      loadPayouts(); // Refresh the list
     } catch (error) {
       console.error('Error requesting payout:', error);
       toast({
@@ -101,32 +133,9 @@ export const PendingPayouts = () => {
         description: error.message || "Unable to process payout. Please try again.",
         variant: "destructive"
       });
-    }
-  };
-
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'pending':
-        return <Clock className="h-4 w-4" />;
-      case 'processed':
-        return <CheckCircle className="h-4 w-4" />;
-      case 'failed':
-        return <AlertCircle className="h-4 w-4" />;
-      default:
-        return <Clock className="h-4 w-4" />;
-    }
-  };
-
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending':
-        return 'default';
-      case 'processed':
-        return 'default';
-      case 'failed':
-        return 'destructive';
-      default:
-        return 'secondary';
+    } finally {
+      setRequestingId(null);
+      loadPayouts();
     }
   };
 
@@ -148,7 +157,7 @@ export const PendingPayouts = () => {
       <CardHeader>
         <CardTitle className="flex items-center gap-2">
           <CreditCard className="h-5 w-5" />
-          Pending Payments
+          Payouts
         </CardTitle>
         <p className="text-sm text-muted-foreground">
           Your earned money from sold tickets
@@ -158,9 +167,9 @@ export const PendingPayouts = () => {
         {payouts.length === 0 ? (
           <div className="text-center py-8">
             <CreditCard className="h-12 w-12 mx-auto text-muted-foreground mb-4" />
-            <p className="text-muted-foreground">No pending payments</p>
+            <p className="text-muted-foreground">No payouts yet</p>
             <p className="text-sm text-muted-foreground">
-              Payments will appear here when your tickets are sold
+              Payouts appear here once a sold ticket's escrow is released
             </p>
           </div>
         ) : (
@@ -171,31 +180,39 @@ export const PendingPayouts = () => {
                   <div className="flex items-center gap-2">
                     <Badge variant={getStatusColor(payout.status)} className="flex items-center gap-1">
                       {getStatusIcon(payout.status)}
-                      {payout.status}
+                      {PAYOUT_STATUS_LABELS[payout.status] ?? payout.status}
                     </Badge>
                     <span className="font-semibold">₹{payout.amount}</span>
                   </div>
-                  {payout.status === 'pending' && (
-                    <Button 
-                      size="sm" 
+                  {REQUESTABLE_STATUSES.includes(payout.status) && (
+                    <Button
+                      size="sm"
                       onClick={() => requestPayout(payout.id)}
+                      disabled={requestingId === payout.id}
                     >
-                      Request Payment
+                      {requestingId === payout.id && <Loader className="h-4 w-4 animate-spin mr-1" />}
+                      {payout.status === 'pending' ? 'Send Now' : 'Try Again'}
                     </Button>
                   )}
                 </div>
-                
+
                 <div className="text-sm text-muted-foreground">
                   <p>
                     Ticket: {payout.tickets?.from_location} → {payout.tickets?.to_location}
                   </p>
-                  <p>PNR: {payout.tickets?.pnr_number}</p>
                   <p>Bus: {payout.tickets?.bus_operator}</p>
-                  <p>Created: {new Date(payout.created_at).toLocaleDateString()}</p>
-                  {payout.processed_at && (
-                    <p>Processed: {new Date(payout.processed_at).toLocaleDateString()}</p>
+                  {payout.payout_destinations && (
+                    <p>To: {describeDestination(payout.payout_destinations)}</p>
+                  )}
+                  {payout.status === 'pending' && payout.next_attempt_at && (
+                    <p>Next attempt: {new Date(payout.next_attempt_at).toLocaleString()}</p>
+                  )}
+                  {payout.status === 'reversed' && (
+                    <p>Our support team will send this payout again once your payment details are sorted out.</p>
                   )}
                 </div>
+
+                {payout.payout_events.length > 0 && <PayoutTimeline events={payout.payout_events} />}
               </div>
             ))}
           </div>
@@ -203,4 +220,4 @@ export const PendingPayouts = () => {
       </CardContent>
     </Card>
   );
-};
\ No newline at end of file
+};
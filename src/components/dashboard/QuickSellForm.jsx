@@ -1,5 +1,5 @@
 import { useState } from "react";
-import { supabase } from "@/integrations/supabase/client";
+import { DatabaseOperations } from "@/utils/databaseOperations";
 import { useToast } from "@/hooks/use-toast";
 import { validatePNRInBackground } from "@/utils/pnrValidation";
 import { Button } from "@/components/ui/button";
@@ -57,9 +57,7 @@ const QuickSellForm = ({ user, onTicketAdded }) => {
 
       // Use API data for all ticket details
       const apiData = validation.ticketData;
-      const { error } = await supabase
-        .from('tickets')
-        .insert([
+      const { error } = await DatabaseOperations.createTicket(
           {
             seller_id: user.id,
             pnr_number: newTicket.pnr_number,
@@ -72,14 +70,14 @@ const QuickSellForm = ({ user, onTicketAdded }) => {
             seat_number: apiData.seat_number,
             ticket_price: parseFloat(apiData.ticket_price),
             selling_price: parseFloat(apiData.ticket_price), // Same as original price
-            status: 'available',
-            verification_status: 'verified'
+            // Verification is filled in by the tickets trigger from verify-pnr's record
+            status: 'available'
           }
-        ]);
+        );
 
       if (error) {
         toast({
-          title: "Error listing ticket",
+          title: error.code === 'DUPLICATE_LISTING' ? "Already Listed" : "Error listing ticket",
           description: error.message,
           variant: "destructive",
         });
@@ -1,9 +1,12 @@
 import React from 'react';
 import { Badge } from "@/components/ui/badge";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
-import { CalendarIcon, Clock, MapPin, User, ArrowRight, Shield, ShieldCheck, ShieldX } from "lucide-react";
+import { CalendarIcon, Clock, MapPin, User, ArrowRight, Shield, ShieldCheck, ShieldX, Star } from "lucide-react";
 import { format } from "date-fns";
 import { QuickPurchaseButton } from "@/components/purchase/QuickPurchaseButton";
+import { TicketHoldBadge } from "@/components/purchase/TicketHoldBadge";
+import { isTicketOnHold, LISTED_TICKET_STATUSES } from "@/utils/ticketHolds";
+import { seatClassLabel } from "@/utils/seatClasses";
 
 const TicketCard = ({ ticket, onBuyClick, isOwner = false }) => {
   const getStatusBadge = (status) => {
@@ -55,14 +58,22 @@ const TicketCard = ({ ticket, onBuyClick, isOwner = false }) => {
             <CardTitle className="text-lg font-semibold">
               {ticket.bus_operator}
             </CardTitle>
-            <CardDescription className="flex items-center gap-1 mt-1">
-              <User className="h-3 w-3" />
-              {ticket.passenger_name}
-            </CardDescription>
-            {/* Show seller info if available (from database function) */}
+            {/* Listings don't carry the booking details; only the seller sees them here */}
+            {isOwner && ticket.passenger_name && (
+              <CardDescription className="flex items-center gap-1 mt-1">
+                <User className="h-3 w-3" />
+                {ticket.passenger_name}
+              </CardDescription>
+            )}
             {ticket.seller_name && !isOwner && (
               <CardDescription className="flex items-center gap-1 mt-1 text-xs text-muted-foreground">
                 Seller: {ticket.seller_name}
+                {ticket.seller_rating > 0 && (
+                  <span className="flex items-center gap-0.5">
+                    <Star className="h-3 w-3 fill-yellow-400 text-yellow-400" />
+                    {Number(ticket.seller_rating).toFixed(1)}
+                  </span>
+                )}
                 {ticket.seller_kyc_status === 'verified' && (
                   <Badge variant="outline" className="text-xs">Verified</Badge>
                 )}
@@ -70,7 +81,7 @@ const TicketCard = ({ ticket, onBuyClick, isOwner = false }) => {
             )}
           </div>
           <div className="flex gap-2">
-            {getStatusBadge(ticket.status)}
+            {isTicketOnHold(ticket) ? <TicketHoldBadge ticket={ticket} /> : getStatusBadge(ticket.status)}
             {getVerificationBadge(ticket)}
           </div>
         </div>
@@ -84,10 +95,17 @@ const TicketCard = ({ ticket, onBuyClick, isOwner = false }) => {
             <ArrowRight className="h-3 w-3 text-muted-foreground" />
             <span className="font-medium">{ticket.to_location || ticket.to}</span>
           </div>
-          <div className="text-right">
-            <div className="text-xs text-muted-foreground">Seat</div>
-            <div className="font-semibold">{ticket.seat_number}</div>
-          </div>
+          {isOwner ? (
+            <div className="text-right">
+              <div className="text-xs text-muted-foreground">Seat</div>
+              <div className="font-semibold">{ticket.seat_number}</div>
+            </div>
+          ) : seatClassLabel(ticket.seat_class) && (
+            <div className="text-right">
+              <div className="text-xs text-muted-foreground">Class</div>
+              <div className="font-semibold">{seatClassLabel(ticket.seat_class)}</div>
+            </div>
+          )}
         </div>
 
         <div className="flex justify-between items-center">
@@ -124,7 +142,7 @@ const TicketCard = ({ ticket, onBuyClick, isOwner = false }) => {
             )}
           </div>
           
-          {!isOwner && ticket.status === 'available' && (
+          {!isOwner && LISTED_TICKET_STATUSES.includes(ticket.status) && (
             <QuickPurchaseButton 
               ticket={ticket}
               onPurchaseSuccess={onBuyClick}
@@ -133,7 +151,7 @@ const TicketCard = ({ ticket, onBuyClick, isOwner = false }) => {
         </div>
 
         <div className="text-xs text-muted-foreground">
-          PNR: {ticket.pnr_number || ticket.pnr} • Listed {(ticket.created_at || ticket.updated_at) ? format(new Date(ticket.created_at || ticket.updated_at), "MMM dd") : "Recently"}
+          {isOwner && ticket.pnr_number && `PNR: ${ticket.pnr_number} • `}Listed {(ticket.created_at || ticket.updated_at) ? format(new Date(ticket.created_at || ticket.updated_at), "MMM dd") : "Recently"}
         </div>
       </CardContent>
     </Card>
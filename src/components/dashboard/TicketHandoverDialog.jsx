@@ -0,0 +1,202 @@
+import { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { supabase } from "@/integrations/supabase/client";
+import { useToast } from "@/hooks/use-toast";
+import { format } from "date-fns";
+import { CheckCircle, Clock, FileText, Loader } from "lucide-react";
+
+/**
+ * @typedef {Object} TicketHandoverDialogProps
+ * @property {{ id: string }|null} transaction - the dialog is open while set
+ * @property {() => void} onClose
+ * @property {() => void} [onAcknowledged]
+ */
+
+const AcknowledgementBadge = ({ label, at }) => (
+  at ? (
+    <Badge className="bg-green-100 text-green-800">
+      <CheckCircle className="h-3 w-3 mr-1" />
+      {label} {format(new Date(at), "MMM dd, HH:mm")}
+    </Badge>
+  ) : (
+    <Badge variant="outline">
+      <Clock className="h-3 w-3 mr-1" />
+      {label} pending
+    </Badge>
+  )
+);
+
+export const TicketHandoverDialog = ({ transaction, onClose, onAcknowledged }) => {
+  const [handover, setHandover] = useState(null);
+  const [error, setError] = useState(null);
+  const [isAcknowledging, setIsAcknowledging] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    setHandover(null);
+    setError(null);
+    if (transaction) loadHandover(transaction.id);
+  }, [transaction?.id]);
+
+  const loadHandover = async (transactionId) => {
+    const { data, error } = await supabase.functions.invoke('ticket-handover', {
+      body: { transactionId }
+    });
+
+    if (error || data?.error) {
+      setError(data?.error || error.message);
+      return;
+    }
+    setHandover(data);
+  };
+
+  const handleAcknowledge = async () => {
+    setIsAcknowledging(true);
+    try {
+      const { data, error } = await supabase.rpc('acknowledge_ticket_handover', {
+        p_transaction_id: transaction.id
+      });
+
+      if (error) throw error;
+
+      setHandover(current => ({
+        ...current,
+        acknowledgements: {
+          sellerAcknowledgedAt: data.seller_acknowledged_at,
+          buyerAcknowledgedAt: data.buyer_acknowledged_at
+        }
+      }));
+      toast({
+        title: "Handover Acknowledged",
+        description: "We've recorded your acknowledgement on the purchase.",
+      });
+      onAcknowledged?.();
+    } catch (error) {
+      toast({
+        title: "Couldn't acknowledge the handover",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setIsAcknowledging(false);
+    }
+  };
+
+  const isBuyer = handover?.role === 'buyer';
+  const acknowledgedAt = isBuyer
+    ? handover?.acknowledgements.buyerAcknowledgedAt
+    : handover?.acknowledgements.sellerAcknowledgedAt;
+
+  return (
+    <Dialog open={!!transaction} onOpenChange={(open) => { if (!open) onClose(); }}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Ticket handover</DialogTitle>
+          <DialogDescription>
+            {isBuyer
+              ? "Everything you need to take over the booking. Keep these details private."
+              : "What the buyer has been given, and the steps to hand the booking over."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : !handover ? (
+          <div className="flex justify-center py-8">
+            <Loader className="h-6 w-6 animate-spin" />
+          </div>
+        ) : (
+          <div className="space-y-5">
+            <div className="grid grid-cols-2 gap-3 text-sm bg-muted/50 p-4 rounded-lg">
+              <div>
+                <div className="text-xs text-gray-500">PNR</div>
+                <div className="font-mono font-semibold">{handover.booking.pnrNumber}</div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Passenger</div>
+                <div className="font-medium">{handover.booking.passengerName}</div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Operator</div>
+                <div className="font-medium">{handover.booking.busOperator}</div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Seat</div>
+                <div className="font-medium">{handover.booking.seatNumber}</div>
+              </div>
+              <div className="col-span-2">
+                <div className="text-xs text-gray-500">Journey</div>
+                <div className="font-medium">
+                  {handover.booking.fromLocation} → {handover.booking.toLocation} on {handover.booking.departureDate} at {handover.booking.departureTime}
+                </div>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <h4 className="text-sm font-semibold">Ticket documents</h4>
+              {handover.documents.length === 0 ? (
+                <p className="text-sm text-gray-500">No documents were uploaded with this ticket.</p>
+              ) : (
+                <>
+                  <ul className="space-y-1">
+                    {handover.documents.map(document => (
+                      <li key={document.id}>
+                        <a
+                          href={document.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="flex items-center gap-2 text-sm text-blue-600 hover:underline"
+                        >
+                          <FileText className="h-4 w-4" />
+                          {document.fileName}
+                        </a>
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="text-xs text-gray-500">
+                    Links expire at {format(new Date(handover.linksExpireAt), "HH:mm")}. Reopen the handover for new ones.
+                  </p>
+                </>
+              )}
+            </div>
+
+            <div className="space-y-3">
+              <h4 className="text-sm font-semibold">Checklist</h4>
+              {handover.checklist.map(item => (
+                <div key={item.id}>
+                  <div className="text-sm font-medium">{item.title}</div>
+                  <ul className="list-disc pl-5 text-sm text-gray-600 space-y-0.5">
+                    {item.steps.map(step => <li key={step}>{step}</li>)}
+                  </ul>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+              <AcknowledgementBadge label="Seller handed over" at={handover.acknowledgements.sellerAcknowledgedAt} />
+              <AcknowledgementBadge label="Buyer received" at={handover.acknowledgements.buyerAcknowledgedAt} />
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Close
+          </Button>
+          {handover && !acknowledgedAt && (
+            <Button onClick={handleAcknowledge} disabled={isAcknowledging}>
+              {isAcknowledging ? (
+                <Loader className="h-4 w-4 animate-spin mr-2" />
+              ) : (
+                <CheckCircle className="h-4 w-4 mr-2" />
+              )}
+              {isBuyer ? "I've received the ticket" : "I've handed the ticket over"}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
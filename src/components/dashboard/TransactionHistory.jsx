@@ -3,24 +3,49 @@ import { useState, useEffect } from "react";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
 import { supabase } from "@/integrations/supabase/client";
 import { useToast } from "@/hooks/use-toast";
 import { formatDistanceToNow } from "date-fns";
-import { Receipt, Loader } from "lucide-react";
+import { Receipt, Loader, CheckCircle, AlertTriangle, MessageSquare, KeyRound } from "lucide-react";
+import { canConfirmBoarding, canRespondToDispute, ESCROW_STATUS_DETAILS, isDisputeWindowOpen } from "@/utils/escrow";
+import { uploadDisputeEvidence } from "@/utils/fileUpload";
+import { TicketHandoverDialog } from "./TicketHandoverDialog";
 
 /**
  * @typedef {Object} Transaction
  * @property {string} id
+ * @property {string} buyer_id
+ * @property {string} seller_id
  * @property {number} amount
  * @property {string} status
+ * @property {string} escrow_status
+ * @property {string|null} escrow_release_at
  * @property {string} payment_method
  * @property {string} created_at
  * @property {string|null} completed_at
+ * @property {string|null} seller_handover_acknowledged_at
+ * @property {string|null} buyer_handover_acknowledged_at
  * @property {Object} tickets
  * @property {string} tickets.pnr_number
  * @property {string} tickets.from_location
  * @property {string} tickets.to_location
  * @property {string} tickets.departure_date
+ * @property {string} tickets.departure_time
+ */
+
+/**
+ * @typedef {Object} Dispute
+ * @property {string} id
+ * @property {string} transaction_id
+ * @property {string} respondent_id
+ * @property {string} status
+ * @property {string|null} response_due_at
+ * @property {string|null} responded_at
  */
 
 /**
@@ -31,23 +56,32 @@ import { Receipt, Loader } from "lucide-react";
 export const TransactionHistory = ({ userId }) => {
   const [transactions, setTransactions] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [actionInProgress, setActionInProgress] = useState(null);
+  const [reportingTransaction, setReportingTransaction] = useState(null);
+  const [issueReason, setIssueReason] = useState("");
+  const [respondingDispute, setRespondingDispute] = useState(null);
+  const [disputeResponse, setDisputeResponse] = useState("");
+  const [evidenceFiles, setEvidenceFiles] = useState([]);
+  const [disputes, setDisputes] = useState({});
+  const [handoverTransaction, setHandoverTransaction] = useState(null);
   const { toast } = useToast();
 
   useEffect(() => {
-    loadTransactions();
+    if (userId) loadTransactions();
   }, [userId]);
 
   const loadTransactions = async () => {
     try {
       const { data, error } = await supabase
-        .from('transactions')
+        .from('enhanced_transactions')
         .select(`
           *,
           tickets (
             pnr_number,
             from_location,
             to_location,
-            departure_date
+            departure_date,
+            departure_time
           )
         `)
         .or(`buyer_id.eq.${userId},seller_id.eq.${userId}`)
@@ -55,6 +89,23 @@ export const TransactionHistory = ({ userId }) => {
 
       if (error) throw error;
       setTransactions(data || []);
+
+      const transactionIds = (data || []).map(transaction => transaction.id);
+      if (transactionIds.length > 0) {
+        const { data: disputeRows } = await supabase
+          .from('support_tickets')
+          .select('id, transaction_id, respondent_id, status, response_due_at, responded_at')
+          .eq('category', 'dispute')
+          .in('transaction_id', transactionIds)
+          .order('created_at', { ascending: false });
+
+        // Keep the latest dispute per transaction
+        const byTransaction = {};
+        for (const dispute of disputeRows || []) {
+          byTransaction[dispute.transaction_id] ??= dispute;
+        }
+        setDisputes(byTransaction);
+      }
     } catch (error) {
       toast({
         title: "Error loading transactions",
@@ -66,6 +117,105 @@ export const TransactionHistory = ({ userId }) => {
     }
   };
 
+  const handleConfirmBoarding = async (transaction) => {
+    setActionInProgress(transaction.id);
+    try {
+      const { data, error } = await supabase.functions.invoke('confirm-boarding', {
+        body: { transactionId: transaction.id }
+      });
+
+      if (error || data?.error) throw new Error(data?.error || error.message);
+
+      toast({
+        title: "Boarding Confirmed",
+        description: "Thanks! The payment has been released to the seller.",
+      });
+      loadTransactions();
+    } catch (error) {
+      toast({
+        title: "Couldn't confirm boarding",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const closeDisputeDialogs = () => {
+    setReportingTransaction(null);
+    setIssueReason("");
+    setRespondingDispute(null);
+    setDisputeResponse("");
+    setEvidenceFiles([]);
+  };
+
+  const uploadEvidence = async (ticketId) => {
+    if (evidenceFiles.length === 0) return [];
+
+    const upload = await uploadDisputeEvidence(evidenceFiles, ticketId);
+    if (!upload.success) throw new Error(upload.error);
+    return upload.files;
+  };
+
+  const handleReportIssue = async () => {
+    if (!reportingTransaction || !issueReason.trim()) return;
+
+    setActionInProgress(reportingTransaction.id);
+    try {
+      const evidence = await uploadEvidence(reportingTransaction.ticket_id);
+      const { data, error } = await supabase.functions.invoke('open-dispute', {
+        body: { transactionId: reportingTransaction.id, reason: issueReason.trim(), evidence }
+      });
+
+      if (error || data?.error) throw new Error(data?.error || error.message);
+
+      toast({
+        title: "Dispute Opened",
+        description: "The payment is on hold. The seller can respond before our team reviews it.",
+      });
+      closeDisputeDialogs();
+      loadTransactions();
+    } catch (error) {
+      toast({
+        title: "Couldn't report the problem",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const handleRespondToDispute = async () => {
+    if (!respondingDispute || !disputeResponse.trim()) return;
+
+    setActionInProgress(respondingDispute.transaction_id);
+    try {
+      const evidence = await uploadEvidence(respondingDispute.ticket_id);
+      const { data, error } = await supabase.functions.invoke('respond-dispute', {
+        body: { disputeId: respondingDispute.id, response: disputeResponse.trim(), evidence }
+      });
+
+      if (error || data?.error) throw new Error(data?.error || error.message);
+
+      toast({
+        title: "Response Sent",
+        description: "Our team will review both sides and let you know the outcome.",
+      });
+      closeDisputeDialogs();
+      loadTransactions();
+    } catch (error) {
+      toast({
+        title: "Couldn't send your response",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed': return 'bg-green-100 text-green-800';
@@ -106,36 +256,182 @@ export const TransactionHistory = ({ userId }) => {
                 <TableHead>Route</TableHead>
                 <TableHead>Amount</TableHead>
                 <TableHead>Status</TableHead>
+                <TableHead>Payment</TableHead>
                 <TableHead>Date</TableHead>
+                <TableHead></TableHead>
               </TableRow>
             </TableHeader>
             <TableBody>
-              {transactions.map((transaction) => (
-                <TableRow key={transaction.id}>
-                  <TableCell className="font-medium">
-                    {transaction.tickets?.pnr_number || 'N/A'}
-                  </TableCell>
-                  <TableCell>
-                    {transaction.tickets 
-                      ? `${transaction.tickets.from_location} → ${transaction.tickets.to_location}`
-                      : 'N/A'
-                    }
-                  </TableCell>
-                  <TableCell>₹{transaction.amount}</TableCell>
-                  <TableCell>
-                    <Badge className={getStatusColor(transaction.status)}>
-                      {transaction.status}
-                    </Badge>
-                  </TableCell>
-                  <TableCell>
-                    {formatDistanceToNow(new Date(transaction.created_at), { addSuffix: true })}
-                  </TableCell>
-                </TableRow>
-              ))}
+              {transactions.map((transaction) => {
+                const escrow = ESCROW_STATUS_DETAILS[transaction.escrow_status];
+                const isBuyer = transaction.buyer_id === userId;
+                const isBusy = actionInProgress === transaction.id;
+                const dispute = disputes[transaction.id];
+                const handoverAcknowledged = isBuyer
+                  ? transaction.buyer_handover_acknowledged_at
+                  : transaction.seller_handover_acknowledged_at;
+
+                return (
+                  <TableRow key={transaction.id}>
+                    <TableCell className="font-medium">
+                      {transaction.tickets?.pnr_number || 'N/A'}
+                    </TableCell>
+                    <TableCell>
+                      {transaction.tickets
+                        ? `${transaction.tickets.from_location} → ${transaction.tickets.to_location}`
+                        : 'N/A'
+                      }
+                    </TableCell>
+                    <TableCell>₹{transaction.amount}</TableCell>
+                    <TableCell>
+                      <Badge className={getStatusColor(transaction.status)}>
+                        {transaction.status}
+                      </Badge>
+                    </TableCell>
+                    <TableCell>
+                      {escrow ? (
+                        <Badge className={escrow.className}>{escrow.label}</Badge>
+                      ) : (
+                        <span className="text-gray-400">—</span>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {formatDistanceToNow(new Date(transaction.created_at), { addSuffix: true })}
+                    </TableCell>
+                    <TableCell>
+                      {transaction.status === 'completed' && (
+                        <div className="flex justify-end mb-2">
+                          <Button
+                            size="sm"
+                            variant={handoverAcknowledged ? "outline" : "default"}
+                            onClick={() => setHandoverTransaction(transaction)}
+                          >
+                            <KeyRound className="h-3 w-3 mr-1" />
+                            {handoverAcknowledged ? "Handover" : "Complete handover"}
+                          </Button>
+                        </div>
+                      )}
+                      {!isBuyer && canRespondToDispute(dispute, userId) && (
+                        <div className="flex justify-end">
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => setRespondingDispute({ ...dispute, ticket_id: transaction.ticket_id })}
+                            disabled={isBusy}
+                          >
+                            <MessageSquare className="h-3 w-3 mr-1" />
+                            Respond to dispute
+                          </Button>
+                        </div>
+                      )}
+                      {isBuyer && (
+                        <div className="flex gap-2 justify-end">
+                          {canConfirmBoarding(transaction) && (
+                            <Button
+                              size="sm"
+                              onClick={() => handleConfirmBoarding(transaction)}
+                              disabled={isBusy}
+                            >
+                              {isBusy ? (
+                                <Loader className="h-3 w-3 animate-spin mr-1" />
+                              ) : (
+                                <CheckCircle className="h-3 w-3 mr-1" />
+                              )}
+                              I boarded
+                            </Button>
+                          )}
+                          {isDisputeWindowOpen(transaction) && (
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => setReportingTransaction(transaction)}
+                              disabled={isBusy}
+                            >
+                              <AlertTriangle className="h-3 w-3 mr-1" />
+                              Report problem
+                            </Button>
+                          )}
+                        </div>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
             </TableBody>
           </Table>
         )}
       </CardContent>
+
+      <TicketHandoverDialog
+        transaction={handoverTransaction}
+        onClose={() => setHandoverTransaction(null)}
+        onAcknowledged={loadTransactions}
+      />
+
+      <Dialog
+        open={!!reportingTransaction || !!respondingDispute}
+        onOpenChange={(open) => {
+          if (!open) closeDisputeDialogs();
+        }}
+      >
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{respondingDispute ? "Respond to dispute" : "Open a dispute"}</DialogTitle>
+            <DialogDescription>
+              {respondingDispute
+                ? `The buyer reported a problem with this ticket. Share your side before ${new Date(respondingDispute.response_due_at).toLocaleString('en-IN')}; the payment stays on hold until our team decides.`
+                : "Tell us what went wrong. The payment stays on hold and isn't released to the seller while we review it."
+              }
+            </DialogDescription>
+          </DialogHeader>
+          {respondingDispute ? (
+            <Textarea
+              value={disputeResponse}
+              onChange={(e) => setDisputeResponse(e.target.value)}
+              placeholder="e.g. The booking was valid; here is the operator's confirmation"
+              rows={4}
+            />
+          ) : (
+            <Textarea
+              value={issueReason}
+              onChange={(e) => setIssueReason(e.target.value)}
+              placeholder="e.g. The operator said the booking was cancelled"
+              rows={4}
+            />
+          )}
+          <div className="space-y-2">
+            <Label htmlFor="dispute-evidence">Evidence (optional)</Label>
+            <Input
+              id="dispute-evidence"
+              type="file"
+              multiple
+              accept="image/jpeg,image/png,application/pdf"
+              onChange={(e) => setEvidenceFiles(Array.from(e.target.files || []).slice(0, 5))}
+            />
+            <p className="text-xs text-gray-500">Up to 5 screenshots, photos or PDFs, 10MB each</p>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={closeDisputeDialogs}>
+              Cancel
+            </Button>
+            {respondingDispute ? (
+              <Button
+                onClick={handleRespondToDispute}
+                disabled={!disputeResponse.trim() || actionInProgress === respondingDispute.transaction_id}
+              >
+                Send response
+              </Button>
+            ) : (
+              <Button
+                onClick={handleReportIssue}
+                disabled={!issueReason.trim() || actionInProgress === reportingTransaction?.id}
+              >
+                Open dispute
+              </Button>
+            )}
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
     </Card>
   );
 };
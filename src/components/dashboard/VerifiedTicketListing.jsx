@@ -40,7 +40,6 @@ export const VerifiedTicketListing = ({ verifiedTicketData, onListingComplete })
         throw new Error('User not authenticated');
       }
 
-      // Create verified ticket listing
       const { data, error } = await supabase
         .from('tickets')
         .insert({
@@ -55,12 +54,8 @@ export const VerifiedTicketListing = ({ verifiedTicketData, onListingComplete })
           seat_number: verifiedTicketData.seat_number,
           ticket_price: parseFloat(verifiedTicketData.ticket_price),
           selling_price: parseFloat(sellingPrice),
-          status: 'available',
-          verification_status: 'verified', // Mark as verified
-          api_verified: true,
-          api_provider: 'ticekt-demo-api',
-          verification_confidence: 100,
-          verified_at: new Date().toISOString()
+          // Verification is filled in by the tickets trigger from verify-pnr's record
+          status: 'available'
         })
         .select();
 
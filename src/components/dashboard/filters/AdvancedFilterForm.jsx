@@ -2,46 +2,43 @@
 import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Button } from "@/components/ui/button";
+import { LocationAutocomplete } from "@/components/tickets/LocationAutocomplete";
+import { SEARCH_SORTS, TIME_BANDS } from "@/utils/ticketSearch";
+
+const ANY = "any";
+
+// Counts come with the first page of results, so there may be none yet
+const withCount = (label, count) => (count == null ? label : `${label} (${count})`);
 
 export const AdvancedFilterForm = ({ 
   filters, 
-  uniqueLocations, 
-  uniqueOperators, 
+  facets, 
   onUpdateFilter, 
   onApplyFilters, 
   onClearFilters 
 }) => {
+  const operators = facets?.operators || [];
+  const bandCount = (band) => facets?.time_bands?.find(facet => facet.value === band)?.count;
+
   return (
     <div className="space-y-4 p-4 bg-gray-50 rounded-lg">
       {/* Location & Route */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         <div>
           <label className="block text-sm font-medium mb-1">From</label>
-          <Select value={filters.fromLocation} onValueChange={(value) => onUpdateFilter("fromLocation", value)}>
-            <SelectTrigger>
-              <SelectValue placeholder="Any departure city" />
-            </SelectTrigger>
-            <SelectContent>
-              <SelectItem value="">Any departure city</SelectItem>
-              {uniqueLocations.map(location => (
-                <SelectItem key={location} value={location}>{location}</SelectItem>
-              ))}
-            </SelectContent>
-          </Select>
+          <LocationAutocomplete
+            placeholder="Any departure city"
+            value={filters.fromLocation}
+            onChange={(value) => onUpdateFilter("fromLocation", value)}
+          />
         </div>
         <div>
           <label className="block text-sm font-medium mb-1">To</label>
-          <Select value={filters.toLocation} onValueChange={(value) => onUpdateFilter("toLocation", value)}>
-            <SelectTrigger>
-              <SelectValue placeholder="Any destination city" />
-            </SelectTrigger>
-            <SelectContent>
-              <SelectItem value="">Any destination city</SelectItem>
-              {uniqueLocations.map(location => (
-                <SelectItem key={location} value={location}>{location}</SelectItem>
-              ))}
-            </SelectContent>
-          </Select>
+          <LocationAutocomplete
+            placeholder="Any destination city"
+            value={filters.toLocation}
+            onChange={(value) => onUpdateFilter("toLocation", value)}
+          />
         </div>
       </div>
 
@@ -91,30 +88,37 @@ export const AdvancedFilterForm = ({
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         <div>
           <label className="block text-sm font-medium mb-1">Bus Operator</label>
-          <Select value={filters.operator} onValueChange={(value) => onUpdateFilter("operator", value)}>
+          <Select
+            value={filters.operator || ANY}
+            onValueChange={(value) => onUpdateFilter("operator", value === ANY ? "" : value)}
+          >
             <SelectTrigger>
               <SelectValue placeholder="Any operator" />
             </SelectTrigger>
             <SelectContent>
-              <SelectItem value="">Any operator</SelectItem>
-              {uniqueOperators.map(operator => (
-                <SelectItem key={operator} value={operator}>{operator}</SelectItem>
+              <SelectItem value={ANY}>Any operator</SelectItem>
+              {operators.map(operator => (
+                <SelectItem key={operator.value} value={operator.value}>
+                  {withCount(operator.value, operator.count)}
+                </SelectItem>
               ))}
             </SelectContent>
           </Select>
         </div>
         <div>
           <label className="block text-sm font-medium mb-1">Departure Time</label>
-          <Select value={filters.timeRange} onValueChange={(value) => onUpdateFilter("timeRange", value)}>
+          <Select
+            value={filters.timeRange || ANY}
+            onValueChange={(value) => onUpdateFilter("timeRange", value === ANY ? "" : value)}
+          >
             <SelectTrigger>
               <SelectValue placeholder="Any time" />
             </SelectTrigger>
             <SelectContent>
-              <SelectItem value="">Any time</SelectItem>
-              <SelectItem value="morning">Morning (6 AM - 12 PM)</SelectItem>
-              <SelectItem value="afternoon">Afternoon (12 PM - 6 PM)</SelectItem>
-              <SelectItem value="evening">Evening (6 PM - 12 AM)</SelectItem>
-              <SelectItem value="night">Night (12 AM - 6 AM)</SelectItem>
+              <SelectItem value={ANY}>Any time</SelectItem>
+              {TIME_BANDS.map(band => (
+                <SelectItem key={band.value} value={band.value}>{withCount(band.label, bandCount(band.value))}</SelectItem>
+              ))}
             </SelectContent>
           </Select>
         </div>
@@ -128,11 +132,9 @@ export const AdvancedFilterForm = ({
             <SelectValue />
           </SelectTrigger>
           <SelectContent>
-            <SelectItem value="departure_date">Departure Date</SelectItem>
-            <SelectItem value="departure_time">Departure Time</SelectItem>
-            <SelectItem value="price_low">Price: Low to High</SelectItem>
-            <SelectItem value="price_high">Price: High to Low</SelectItem>
-            <SelectItem value="created_at">Recently Listed</SelectItem>
+            {SEARCH_SORTS.map(sort => (
+              <SelectItem key={sort.value} value={sort.value}>{sort.label}</SelectItem>
+            ))}
           </SelectContent>
         </Select>
       </div>
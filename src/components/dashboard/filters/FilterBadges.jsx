@@ -1,6 +1,7 @@
 
 import { Badge } from "@/components/ui/badge";
 import { X, IndianRupee, Clock, Bus } from "lucide-react";
+import { TIME_BANDS } from "@/utils/ticketSearch";
 
 export const FilterBadges = ({ filters, onRemoveFilter }) => {
   return (
@@ -27,10 +28,7 @@ export const FilterBadges = ({ filters, onRemoveFilter }) => {
         <Badge variant="secondary" className="flex items-center gap-1">
           <IndianRupee className="h-3 w-3" />
           {filters.minPrice || "0"} - {filters.maxPrice || "∞"}
-          <X className="h-3 w-3 cursor-pointer" onClick={() => {
-            onRemoveFilter("minPrice");
-            onRemoveFilter("maxPrice");
-          }} />
+          <X className="h-3 w-3 cursor-pointer" onClick={() => onRemoveFilter("minPrice", "maxPrice")} />
         </Badge>
       )}
       {filters.operator && (
@@ -43,7 +41,7 @@ export const FilterBadges = ({ filters, onRemoveFilter }) => {
       {filters.timeRange && (
         <Badge variant="secondary" className="flex items-center gap-1">
           <Clock className="h-3 w-3" />
-          {filters.timeRange}
+          {TIME_BANDS.find(band => band.value === filters.timeRange)?.label || filters.timeRange}
           <X className="h-3 w-3 cursor-pointer" onClick={() => onRemoveFilter("timeRange")} />
         </Badge>
       )}
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -7,6 +7,7 @@ import { Badge } from '@/components/ui/badge';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Textarea } from '@/components/ui/textarea';
 import { TicketApiClient } from '@/utils/ticketApiClient';
+import { VERIFICATION_MODES } from '@/utils/verificationResult';
 import { 
   Globe, 
   Send, 
@@ -24,6 +25,13 @@ export const ApiTestUtility = () => {
   const [testResult, setTestResult] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [rawResponse, setRawResponse] = useState('');
+  const [verificationMode, setVerificationMode] = useState(null);
+
+  useEffect(() => {
+    TicketApiClient.testConnectivity().then(result => {
+      setVerificationMode(result.success ? result.mode : 'unreachable');
+    });
+  }, []);
 
   const testCustomApi = async () => {
     setIsLoading(true);
@@ -83,6 +91,7 @@ export const ApiTestUtility = () => {
     setIsLoading(true);
     try {
       const result = await TicketApiClient.testConnectivity();
+      setVerificationMode(result.success ? result.mode : 'unreachable');
       setTestResult({
         success: result.success,
         clientTest: true,
@@ -120,6 +129,21 @@ export const ApiTestUtility = () => {
           </p>
         </CardHeader>
         <CardContent className="space-y-4">
+          {/* PNR Verification Mode */}
+          <div className="flex items-center gap-2 text-sm">
+            <strong>PNR Verification Mode:</strong>
+            {verificationMode === null ? (
+              <Loader className="h-3 w-3 animate-spin" />
+            ) : (
+              <Badge variant={verificationMode === 'live' ? 'default' : 'destructive'}>
+                {VERIFICATION_MODES[verificationMode]?.label || 'Unreachable'}
+              </Badge>
+            )}
+            {VERIFICATION_MODES[verificationMode] && (
+              <span className="text-muted-foreground">{VERIFICATION_MODES[verificationMode].description}</span>
+            )}
+          </div>
+
           {/* API URL Input */}
           <div className="space-y-2">
             <Label htmlFor="api-url">API Endpoint URL</Label>
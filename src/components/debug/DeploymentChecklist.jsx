@@ -4,11 +4,14 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { useToast } from '@/hooks/use-toast';
 import { supabase } from '@/integrations/supabase/client';
+import { TicketApiClient } from '@/utils/ticketApiClient';
+import { VERIFICATION_MODES } from '@/utils/verificationResult';
 import { 
   Mail, 
   Database, 
   CreditCard, 
   Shield, 
+  Ticket,
   CheckCircle,
   AlertTriangle,
   ExternalLink 
@@ -20,8 +23,10 @@ export const DeploymentChecklist = () => {
     razorpay: false,
     email: false,
     security: false,
+    verification: false,
     testing: false
   });
+  const [verificationMode, setVerificationMode] = useState(null);
   const [isRunning, setIsRunning] = useState(false);
   const { toast } = useToast();
 
@@ -76,16 +81,27 @@ export const DeploymentChecklist = () => {
       // Check 4: Security Headers
       newChecks.security = !!document.querySelector('meta[http-equiv="Content-Security-Policy"]');
 
-      // Check 5: Basic Testing
+      // Check 5: PNR Verification Mode - production must verify against live providers
+      try {
+        const result = await TicketApiClient.testConnectivity();
+        setVerificationMode(result.success ? result.mode : null);
+        newChecks.verification = result.success && result.mode === 'live';
+      } catch {
+        setVerificationMode(null);
+        newChecks.verification = false;
+      }
+
+      // Check 6: Basic Testing
       newChecks.testing = true; // Assume manual testing completed
 
       setChecks(newChecks);
       
+      const totalChecks = Object.keys(newChecks).length;
       const passedChecks = Object.values(newChecks).filter(Boolean).length;
       toast({
         title: `System Check Complete`,
-        description: `${passedChecks}/5 checks passed. ${passedChecks === 5 ? 'Ready for deployment!' : 'Some issues need attention.'}`,
-        variant: passedChecks === 5 ? "default" : "destructive"
+        description: `${passedChecks}/${totalChecks} checks passed. ${passedChecks === totalChecks ? 'Ready for deployment!' : 'Some issues need attention.'}`,
+        variant: passedChecks === totalChecks ? "default" : "destructive"
       });
 
     } catch (error) {
@@ -128,7 +144,7 @@ export const DeploymentChecklist = () => {
 
   const getReadinessScore = () => {
     const passed = Object.values(checks).filter(Boolean).length;
-    return Math.round((passed / 5) * 100);
+    return Math.round((passed / Object.keys(checks).length) * 100);
   };
 
   return (
@@ -183,6 +199,14 @@ export const DeploymentChecklist = () => {
           requirement="Security headers component is loaded (auto-configured)"
         />
 
+        <CheckItem
+          passed={checks.verification}
+          title={`PNR Verification (${verificationMode ? VERIFICATION_MODES[verificationMode]?.label : 'Unknown'} mode)`}
+          description={verificationMode ? VERIFICATION_MODES[verificationMode]?.description : 'verify-pnr function not reachable'}
+          icon={Ticket}
+          requirement="Deploy verify-pnr and set PNR_VERIFICATION_MODE=live with provider credentials in Supabase secrets"
+        />
+
         <CheckItem
           passed={checks.testing}
           title="User Flow Testing"
@@ -13,6 +13,7 @@ import {
   formatPNR 
 } from '@/utils/pnrValidation';
 import { TicketApiClient } from '@/utils/ticketApiClient';
+import { getVerificationError, verificationFailure, VERIFICATION_ERRORS } from '@/utils/verificationResult';
 import { ApiTestUtility } from './ApiTestUtility';
 import { 
   CheckCircle, 
@@ -61,10 +62,7 @@ export const PNRDebugPanel = () => {
       });
       setValidationResult(result);
     } catch (error) {
-      setValidationResult({
-        isValid: false,
-        error: error.message
-      });
+      setValidationResult(verificationFailure(VERIFICATION_ERRORS.VERIFICATION_FAILED));
     } finally {
       setIsLoading(false);
     }
@@ -219,12 +217,12 @@ export const PNRDebugPanel = () => {
                     {apiConnectivity.success && apiConnectivity.data && (
                       <div className="bg-green-50 border border-green-200 rounded p-3">
                         <p className="text-sm text-green-800">
-                          <strong>API Response:</strong> Found {apiConnectivity.data.length} tickets
+                          <strong>API Response:</strong> {apiConnectivity.data.length} providers registered
                         </p>
                         <details className="mt-2">
-                          <summary className="cursor-pointer text-sm font-medium">View Sample Data</summary>
+                          <summary className="cursor-pointer text-sm font-medium">View Providers</summary>
                           <pre className="mt-2 text-xs bg-white p-2 rounded border overflow-auto max-h-32">
-                            {JSON.stringify(apiConnectivity.data.slice(0, 2), null, 2)}
+                            {JSON.stringify(apiConnectivity.data, null, 2)}
                           </pre>
                         </details>
                       </div>
@@ -241,7 +239,7 @@ export const PNRDebugPanel = () => {
                   </div>
                 ) : (
                   <p className="text-sm text-muted-foreground">
-                    Click "Test API Connectivity" to check if the PNR validation API is accessible.
+                    Click "Test API Connectivity" to check if the verify-pnr function is reachable.
                   </p>
                 )}
               </CardContent>
@@ -319,10 +317,27 @@ export const PNRDebugPanel = () => {
                       <Alert>
                         <XCircle className="h-4 w-4" />
                         <AlertDescription>
-                          <strong>Validation Failed:</strong> {validationResult.error}
+                          <div className="flex items-center gap-2">
+                            <strong>{getVerificationError(validationResult.code).title}</strong>
+                            <Badge variant="outline">{validationResult.code}</Badge>
+                          </div>
+                          <p className="mt-1">{getVerificationError(validationResult.code).message}</p>
                         </AlertDescription>
                       </Alert>
                     )}
+
+                    {validationResult.debug ? (
+                      <details>
+                        <summary className="cursor-pointer text-sm font-medium">Provider Debug Detail (admin)</summary>
+                        <pre className="mt-2 text-xs bg-gray-100 p-2 rounded border overflow-auto">
+                          {JSON.stringify(validationResult.debug, null, 2)}
+                        </pre>
+                      </details>
+                    ) : (
+                      <p className="text-xs text-muted-foreground">
+                        Provider debug detail is only returned for admin accounts.
+                      </p>
+                    )}
                   </div>
                 )}
                 
@@ -332,9 +347,7 @@ export const PNRDebugPanel = () => {
                   <div className="flex gap-2 flex-wrap">
                     {[
                       { pnr: 'ABC123', name: 'John Doe' },
-                      { pnr: 'XYZ789', name: 'Jane Smith' },
-                      { pnr: 'TEST123', name: 'Test User' },
-                      { pnr: 'DEMO456', name: 'Demo User' }
+                      { pnr: 'KA12345678', name: 'Ramesh Kumar' }
                     ].map((test) => (
                       <Button
                         key={test.pnr}
@@ -404,7 +417,7 @@ export const PNRDebugPanel = () => {
             </CardHeader>
             <CardContent className="space-y-3">
               <div className="text-sm space-y-2">
-                <div><strong>API Endpoint:</strong> https://ticekt-demo-api.onrender.com/tickets</div>
+                <div><strong>API Endpoint:</strong> functions/v1/verify-pnr</div>
                 <div><strong>Environment:</strong> {import.meta.env.DEV ? 'Development' : 'Production'}</div>
                 <div><strong>Debug Mode:</strong> {import.meta.env.DEV ? 'Enabled' : 'Disabled'}</div>
                 <div><strong>Browser:</strong> {navigator.userAgent}</div>
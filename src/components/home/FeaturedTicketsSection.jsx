@@ -4,8 +4,10 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { supabase } from "@/integrations/supabase/client";
+import { LISTED_TICKET_STATUSES } from "@/utils/ticketHolds";
 import { MapPin, Clock, Users, IndianRupee } from "lucide-react";
 import { useNavigate } from "react-router-dom";
+import { TicketHoldBadge } from "@/components/purchase/TicketHoldBadge";
 
 export const FeaturedTicketsSection = () => {
   const [availableTickets, setAvailableTickets] = useState([]);
@@ -26,7 +28,7 @@ export const FeaturedTicketsSection = () => {
             full_name
           )
         `)
-        .eq('status', 'available')
+        .in('status', LISTED_TICKET_STATUSES)
         .order('created_at', { ascending: false })
         .limit(6);
 
@@ -96,9 +98,12 @@ export const FeaturedTicketsSection = () => {
                     <CardTitle className="text-lg font-semibold">
                       {ticket.bus_operator}
                     </CardTitle>
-                    <Badge variant="secondary" className="text-xs">
-                      {ticket.verification_status}
-                    </Badge>
+                    <div className="flex flex-col items-end gap-1">
+                      <Badge variant="secondary" className="text-xs">
+                        {ticket.verification_status}
+                      </Badge>
+                      <TicketHoldBadge ticket={ticket} className="text-xs" />
+                    </div>
                   </div>
                   <div className="flex items-center text-sm text-muted-foreground">
                     <MapPin className="h-4 w-4 mr-1" />
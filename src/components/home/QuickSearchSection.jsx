@@ -6,6 +6,7 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Search, MapPin, Calendar } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
+import { LocationAutocomplete } from "@/components/tickets/LocationAutocomplete";
 
 export const QuickSearchSection = ({ onSearch }) => {
   const [searchData, setSearchData] = useState({
@@ -46,30 +47,24 @@ export const QuickSearchSection = ({ onSearch }) => {
             <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
               <div className="space-y-2">
                 <Label className="text-sm font-medium text-foreground">From</Label>
-                <div className="relative">
-                  <MapPin className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
-                  <Input
-                    type="text"
-                    placeholder="Departure city"
-                    value={searchData.fromLocation}
-                    onChange={(e) => setSearchData(prev => ({ ...prev, fromLocation: e.target.value }))}
-                    className="pl-10 border-border focus:ring-primary focus:border-primary"
-                  />
-                </div>
+                <LocationAutocomplete
+                  icon={MapPin}
+                  placeholder="Departure city"
+                  value={searchData.fromLocation}
+                  onChange={(fromLocation) => setSearchData(prev => ({ ...prev, fromLocation }))}
+                  className="border-border focus:ring-primary focus:border-primary"
+                />
               </div>
               
               <div className="space-y-2">
                 <Label className="text-sm font-medium text-foreground">To</Label>
-                <div className="relative">
-                  <MapPin className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
-                  <Input
-                    type="text"
-                    placeholder="Destination city"
-                    value={searchData.toLocation}
-                    onChange={(e) => setSearchData(prev => ({ ...prev, toLocation: e.target.value }))}
-                    className="pl-10 border-border focus:ring-primary focus:border-primary"
-                  />
-                </div>
+                <LocationAutocomplete
+                  icon={MapPin}
+                  placeholder="Destination city"
+                  value={searchData.toLocation}
+                  onChange={(toLocation) => setSearchData(prev => ({ ...prev, toLocation }))}
+                  className="border-border focus:ring-primary focus:border-primary"
+                />
               </div>
               
               <div className="space-y-2">
@@ -0,0 +1,73 @@
+import React from 'react';
+import { Loader, Tag } from 'lucide-react';
+import { useFeeQuote } from '@/hooks/useFeeQuote';
+
+const Row = ({ label, value, className = '' }) => (
+  <div className={`flex justify-between ${className}`}>
+    <span>{label}</span>
+    <span>{value}</span>
+  </div>
+);
+
+/**
+ * Itemized platform fee for a ticket price. The buyer pays the listing
+ * price; the fee and GST on it come out of the seller's share.
+ * @param {Object} props
+ * @param {number|string} props.amount - listing price
+ * @param {string} [props.listingType]
+ * @param {string} [props.busOperator]
+ * @param {'buyer'|'seller'} [props.viewer]
+ */
+export const FeeBreakdown = ({ amount, listingType, busOperator, viewer = 'buyer' }) => {
+  const { breakdown, isLoading, error } = useFeeQuote({ amount, listingType, busOperator });
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-muted-foreground">
+        <Loader className="h-4 w-4 animate-spin" />
+        Calculating fees...
+      </div>
+    );
+  }
+
+  if (error || !breakdown) {
+    return error
+      ? <p className="text-sm text-muted-foreground">Fee details are unavailable right now.</p>
+      : null;
+  }
+
+  const feeLabel = breakdown.fixedFee > 0
+    ? `Platform fee (${breakdown.percentage}% + ₹${breakdown.fixedFee})`
+    : `Platform fee (${breakdown.percentage}%)`;
+
+  return (
+    <div className="space-y-1 text-sm">
+      <Row
+        label={viewer === 'buyer' ? 'You pay' : 'Buyer pays'}
+        value={`₹${breakdown.amount}`}
+        className="font-medium"
+      />
+      {breakdown.promotion ? (
+        <div className="flex items-center gap-1 text-green-700">
+          <Tag className="h-3 w-3" />
+          <span>No platform fee: {breakdown.promotion.name}</span>
+        </div>
+      ) : (
+        <>
+          <Row label={feeLabel} value={`−₹${breakdown.fee}`} className="text-muted-foreground" />
+          <Row label={`GST on fee (${breakdown.gstRate}%)`} value={`−₹${breakdown.gst}`} className="text-muted-foreground" />
+        </>
+      )}
+      <Row
+        label={viewer === 'buyer' ? 'Seller receives' : 'You receive'}
+        value={`₹${breakdown.sellerAmount}`}
+        className="border-t pt-1 font-medium"
+      />
+      {viewer === 'buyer' && (
+        <p className="text-xs text-muted-foreground">
+          Fees are deducted from the seller's payout. There is nothing extra to pay.
+        </p>
+      )}
+    </div>
+  );
+};
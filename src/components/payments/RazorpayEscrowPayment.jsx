@@ -5,6 +5,7 @@ import { Label } from '@/components/ui/label';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { useToast } from '@/hooks/use-toast';
 import { supabase } from '@/integrations/supabase/client';
+import { FeeBreakdown } from '@/components/payments/FeeBreakdown';
 import { CreditCard, Loader, Shield, DollarSign } from 'lucide-react';
 
 export const RazorpayEscrowPayment = ({ 
@@ -24,22 +25,19 @@ export const RazorpayEscrowPayment = ({
 
   const runMockPayment = async () => {
     try {
-      // Simulate processing delay
-      await new Promise((resolve) => setTimeout(resolve, 800));
-
-      // Ensure user is logged in
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) throw new Error('User not authenticated');
-
-      // Mark ticket as sold to remove it from available list
-      const { error: updateError } = await supabase
-        .from('tickets')
-        .update({ status: 'sold' })
-        .eq('id', ticket.id);
+      // Test cards and UPI ids are checked server-side, and the purchase runs
+      // through the same transaction and escrow steps as a real payment
+      const { data, error } = await supabase.functions.invoke('mock-payment-gateway', {
+        body: {
+          ticketId: ticket.id,
+          ...(mockUpi.trim()
+            ? { upiId: mockUpi.trim() }
+            : { card: { number: mockCardNumber, expiry: mockExpiry, cvv: mockCvv } })
+        }
+      });
 
-      if (updateError) {
-        // Non-fatal: continue, but log it
-        console.error('Mock payment: failed to update ticket status', updateError);
+      if (error || data?.error) {
+        throw new Error(data?.error || error.message);
       }
 
       toast({
@@ -47,36 +45,20 @@ export const RazorpayEscrowPayment = ({
         description: 'This was a mock payment for testing purposes.',
       });
 
-      onSuccess && onSuccess({ mock: true, ticketId: ticket.id });
+      onSuccess && onSuccess(data);
+    } catch (error) {
+      toast({
+        title: 'Mock payment failed',
+        description: error.message,
+        variant: 'destructive'
+      });
     } finally {
       setIsProcessing(false);
     }
   };
 
-  const isFutureExpiry = (value) => {
-    // Accept MM/YY or MM/YYYY
-    const match = value.match(/^\s*(\d{2})\s*\/\s*(\d{2}(\d{2})?)\s*$/);
-    if (!match) return false;
-    const mm = parseInt(match[1], 10);
-    let yy = match[2].length === 2 ? 2000 + parseInt(match[2], 10) : parseInt(match[2], 10);
-    if (mm < 1 || mm > 12) return false;
-    const now = new Date();
-    const exp = new Date(yy, mm - 1, 1);
-    // set to end of month
-    exp.setMonth(exp.getMonth() + 1);
-    return exp > now;
-  };
-
   const handleMockSubmit = async () => {
-    // Allowed test paths: Card 4111111111111111 or 5555555555554444, valid expiry, 3-digit CVV
-    // Or UPI success@upi
-    const normalizedCard = mockCardNumber.replace(/\s|-/g, '');
-    const cardOk = (normalizedCard === '4111111111111111' || normalizedCard === '5555555555554444')
-      && isFutureExpiry(mockExpiry)
-      && /^\d{3,4}$/.test(mockCvv);
-    const upiOk = mockUpi.trim().toLowerCase() === 'success@upi' || mockUpi.trim().toLowerCase() === 'success@razorpay';
-
-    if (!cardOk && !upiOk) {
+    if (!mockUpi.trim() && !mockCardNumber.trim()) {
       toast({
         title: 'Mock payment failed',
         description: 'Use card 4111111111111111 (any future expiry, any 3-4 digit CVV) or UPI success@upi',
@@ -106,21 +88,13 @@ export const RazorpayEscrowPayment = ({
         return;
       }
 
-      // Calculate commission (5% of selling price)
-      const commissionRate = 0.05;
-      const sellingPrice = ticket.selling_price;
-      const platformCommission = Math.round(sellingPrice * commissionRate);
-      const sellerAmount = sellingPrice - platformCommission;
-
-      // Create Razorpay order via edge function
+      // Create Razorpay order via edge function; the amount and fees are
+      // worked out server-side from the listing
       const { data: orderData, error: orderError } = await supabase.functions.invoke(
         'create-razorpay-order',
         {
           body: {
-            ticketId: ticket.id,
-            amount: sellingPrice,
-            sellerAmount: sellerAmount,
-            platformCommission: platformCommission
+            ticketId: ticket.id
           }
         }
       );
@@ -147,6 +121,10 @@ export const RazorpayEscrowPayment = ({
           name: 'Bus Ticket Exchange',
           description: `Bus ticket from ${ticket.from_location} to ${ticket.to_location}`,
           order_id: orderData.orderId,
+          // Close checkout when the ticket hold runs out
+          timeout: orderData.holdExpiresAt
+            ? Math.max(60, Math.floor((new Date(orderData.holdExpiresAt) - Date.now()) / 1000))
+            : undefined,
           handler: async (response) => {
             try {
               // Verify payment and trigger split payment
@@ -172,7 +150,7 @@ export const RazorpayEscrowPayment = ({
 
               toast({
                 title: "Payment Successful!",
-                description: "Your ticket purchase is complete. The seller will receive their payment automatically.",
+                description: "Your ticket purchase is complete. Open it in your transactions for the booking details and handover checklist.",
               });
 
               onSuccess && onSuccess(verifyData);
@@ -235,8 +213,8 @@ export const RazorpayEscrowPayment = ({
               <span className="font-medium">{new Date(ticket.departure_date).toLocaleDateString()}</span>
             </div>
             <div className="flex justify-between">
-              <span>PNR:</span>
-              <span className="font-medium">{ticket.pnr_number}</span>
+              <span>Operator:</span>
+              <span className="font-medium">{ticket.bus_operator}</span>
             </div>
             <div className="border-t pt-2 mt-2">
               <div className="flex justify-between text-lg font-semibold">
@@ -246,9 +224,13 @@ export const RazorpayEscrowPayment = ({
                   ₹{ticket.selling_price}
                 </span>
               </div>
-              <p className="text-sm text-muted-foreground mt-1">
-                Includes 5% platform fee. Seller receives ₹{ticket.selling_price - Math.round(ticket.selling_price * 0.05)} via UPI.
-              </p>
+              <div className="mt-2">
+                <FeeBreakdown
+                  amount={ticket.selling_price}
+                  listingType={ticket.listing_type}
+                  busOperator={ticket.bus_operator}
+                />
+              </div>
             </div>
           </div>
 
@@ -294,7 +276,7 @@ export const RazorpayEscrowPayment = ({
                 </Button>
               </div>
               <div className="text-xs text-muted-foreground">
-                Use card 4111 1111 1111 1111 with any future expiry and any 3-4 digit CVV, or UPI success@upi.
+                Use card 4111 1111 1111 1111 with any future expiry and any 3-4 digit CVV, or UPI success@upi. Card 4000 0000 0000 0002 and UPI failure@upi are declined.
               </div>
             </div>
           ) : (
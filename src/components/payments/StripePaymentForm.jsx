@@ -10,6 +10,7 @@ import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { useToast } from '@/hooks/use-toast';
 import { supabase } from '@/integrations/supabase/client';
+import { FeeBreakdown } from '@/components/payments/FeeBreakdown';
 import { Loader, CreditCard, Shield } from 'lucide-react';
 
 const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY || '');
@@ -33,8 +34,7 @@ const CheckoutForm = ({ ticket, onSuccess, onCancel }) => {
         'create-payment-intent',
         {
           body: {
-            ticketId: ticket.id,
-            amount: ticket.selling_price
+            ticketId: ticket.id
           }
         }
       );
@@ -64,7 +64,7 @@ const CheckoutForm = ({ ticket, onSuccess, onCancel }) => {
 
       toast({
         title: 'Payment Successful!',
-        description: 'Your ticket purchase has been confirmed.',
+        description: 'Your ticket purchase has been confirmed. Open it in your transactions for the booking details and handover checklist.',
       });
 
       onSuccess(paymentIntent);
@@ -104,6 +104,14 @@ const CheckoutForm = ({ ticket, onSuccess, onCancel }) => {
       </CardHeader>
       <CardContent>
         <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="bg-muted/50 p-3 rounded-lg">
+            <FeeBreakdown
+              amount={ticket.selling_price}
+              listingType={ticket.listing_type}
+              busOperator={ticket.bus_operator}
+            />
+          </div>
+
           <div className="space-y-2">
             <label className="text-sm font-medium">Card Details</label>
             <div className="border rounded-md p-3">
@@ -1,46 +1,55 @@
 import React, { useMemo } from 'react'
 import { FixedSizeList as List } from 'react-window'
-import { TicketCard } from '@/components/dashboard/TicketCard'
-import { useInfiniteQuery } from '@tanstack/react-query'
+import TicketCard from '@/components/dashboard/TicketCard'
 import { InfiniteScrollPagination } from './InfiniteScrollPagination'
 
 const ITEM_HEIGHT = 200
-const ITEMS_PER_PAGE = 20
 
 const TicketItem = ({ index, style, data }) => {
   const ticket = data.tickets[index]
-  
+
+  // The row after the last ticket loads the next page once it scrolls into
+  // view inside the list
   if (!ticket) {
     return (
-      <div style={style} className="p-4">
-        <div className="animate-pulse bg-muted rounded-lg h-40" />
+      <div style={style}>
+        <InfiniteScrollPagination {...data.pagination} />
       </div>
     )
   }
 
   return (
     <div style={style} className="p-2">
-      <TicketCard ticket={ticket} />
+      {data.renderTicket
+        ? data.renderTicket(ticket)
+        : <TicketCard ticket={ticket} onBuyClick={data.onBuyClick} />}
     </div>
   )
 }
 
-export const VirtualizedTicketList = ({ 
-  tickets = [], 
-  hasNextPage, 
-  fetchNextPage, 
+export const VirtualizedTicketList = ({
+  tickets = [],
+  hasNextPage,
+  fetchNextPage,
   isFetchingNextPage,
   isError,
   error,
-  height = 600 
+  height = 600,
+  itemHeight = ITEM_HEIGHT,
+  onBuyClick,
+  renderTicket
 }) => {
+  // Takes either a flat list or one array per page
   const flattenedTickets = useMemo(() => {
     return tickets.flat()
   }, [tickets])
 
   const itemData = useMemo(() => ({
-    tickets: flattenedTickets
-  }), [flattenedTickets])
+    tickets: flattenedTickets,
+    onBuyClick,
+    renderTicket,
+    pagination: { hasNextPage, fetchNextPage, isFetchingNextPage, isError, error }
+  }), [flattenedTickets, onBuyClick, renderTicket, hasNextPage, fetchNextPage, isFetchingNextPage, isError, error])
 
   if (!flattenedTickets.length) {
     return (
@@ -50,26 +59,18 @@ export const VirtualizedTicketList = ({
     )
   }
 
+  const showPagination = hasNextPage || isError
+
   return (
-    <div className="space-y-4">
-      <List
-        height={height}
-        itemCount={flattenedTickets.length}
-        itemSize={ITEM_HEIGHT}
-        itemData={itemData}
-        overscanCount={5}
-        className="scrollbar-thin scrollbar-thumb-muted scrollbar-track-background"
-      >
-        {TicketItem}
-      </List>
-      
-      <InfiniteScrollPagination
-        hasNextPage={hasNextPage}
-        fetchNextPage={fetchNextPage}
-        isFetchingNextPage={isFetchingNextPage}
-        isError={isError}
-        error={error}
-      />
-    </div>
+    <List
+      height={Math.min(height, (flattenedTickets.length + (showPagination ? 1 : 0)) * itemHeight)}
+      itemCount={flattenedTickets.length + (showPagination ? 1 : 0)}
+      itemSize={itemHeight}
+      itemData={itemData}
+      overscanCount={5}
+      className="scrollbar-thin scrollbar-thumb-muted scrollbar-track-background"
+    >
+      {TicketItem}
+    </List>
   )
-}
\ No newline at end of file
+}
@@ -1,11 +1,66 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Loader } from 'lucide-react';
 import { RazorpayEscrowPayment } from '@/components/payments/RazorpayEscrowPayment';
 import { StripePaymentForm } from '@/components/payments/StripePaymentForm';
+import { OperatorTransferPolicy } from '@/components/tickets/OperatorTransferPolicy';
+import { useOperatorPolicy } from '@/hooks/useOperatorPolicy';
+
+// The buyer reads the operator's transfer rules before paying
+const TransferTermsStep = ({ ticket, onClose, onContinue }) => {
+  const { policy, transfer, isLoading } = useOperatorPolicy({ busOperator: ticket.bus_operator, ticket });
+
+  return (
+    <Dialog open onOpenChange={(open) => { if (!open) onClose(); }}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Before you pay</DialogTitle>
+          <DialogDescription>
+            The seller transfers the booking to you through {ticket.bus_operator || 'the operator'}. These are the operator's rules.
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading || !policy ? (
+          <div className="flex justify-center py-6">
+            <Loader className="h-6 w-6 animate-spin" />
+          </div>
+        ) : (
+          <OperatorTransferPolicy policy={policy} transfer={transfer} />
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={onContinue} disabled={!transfer?.allowed}>
+            Continue to payment
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
 
 export const CompletePurchaseFlow = ({ ticket, isOpen, onClose, onSuccess }) => {
+  const [termsAccepted, setTermsAccepted] = useState(false);
   const useMockPayments = (import.meta?.env?.VITE_MOCK_PAYMENTS === 'true') || import.meta?.env?.DEV;
   const useStripe = !!import.meta?.env?.VITE_STRIPE_PUBLISHABLE_KEY && !useMockPayments;
 
+  useEffect(() => {
+    if (!isOpen) setTermsAccepted(false);
+  }, [isOpen]);
+
+  if (isOpen && !termsAccepted) {
+    return (
+      <TransferTermsStep
+        ticket={ticket}
+        onClose={onClose}
+        onContinue={() => setTermsAccepted(true)}
+      />
+    );
+  }
+
   if (useStripe) {
     return (
       <StripePaymentForm
@@ -24,4 +79,4 @@ export const CompletePurchaseFlow = ({ ticket, isOpen, onClose, onSuccess }) =>
       onSuccess={onSuccess}
     />
   );
-};
\ No newline at end of file
+};
@@ -3,8 +3,9 @@ import { Button } from '@/components/ui/button';
 import { useToast } from '@/hooks/use-toast';
 import { supabase } from '@/integrations/supabase/client';
 import { CompletePurchaseFlow } from './CompletePurchaseFlow';
-import { CreditCard, Loader, ShieldCheck } from 'lucide-react';
+import { Clock, CreditCard, Loader, ShieldCheck } from 'lucide-react';
 import { isEmailVerified } from '@/utils/emailVerification';
+import { isTicketOnHold, isTicketPurchasable } from '@/utils/ticketHolds';
 
 export const QuickPurchaseButton = ({ 
   ticket, 
@@ -44,16 +45,26 @@ export const QuickPurchaseButton = ({
         return;
       }
 
-      // Check if ticket is still available
+      // Check if ticket is still available. The listing view only has
+      // listed tickets, so a sold one comes back empty.
       const { data: currentTicket, error: ticketError } = await supabase
-        .from('tickets')
-        .select('status')
+        .from('tickets_with_seller')
+        .select('status, reserved_until')
         .eq('id', ticket.id)
-        .single();
+        .maybeSingle();
 
       if (ticketError) throw ticketError;
 
-      if (currentTicket.status !== 'available') {
+      if (isTicketOnHold(currentTicket)) {
+        toast({
+          title: "Being Purchased",
+          description: "Another buyer is completing payment for this ticket. Check back in a few minutes.",
+          variant: "destructive"
+        });
+        return;
+      }
+
+      if (!isTicketPurchasable(currentTicket)) {
         toast({
           title: "Ticket Unavailable",
           description: "This ticket is no longer available for purchase",
@@ -94,11 +105,13 @@ export const QuickPurchaseButton = ({
     onPurchaseSuccess && onPurchaseSuccess(transactionData);
   };
 
+  const onHold = isTicketOnHold(ticket);
+
   return (
     <>
       <Button
         onClick={handlePurchaseClick}
-        disabled={disabled || isCheckingAuth || ticket.status !== 'available'}
+        disabled={disabled || isCheckingAuth || !isTicketPurchasable(ticket)}
         variant={variant}
         size={size}
         className={`flex items-center gap-2 ${className}`}
@@ -108,6 +121,11 @@ export const QuickPurchaseButton = ({
             <Loader className="h-4 w-4 animate-spin" />
             Checking...
           </>
+        ) : onHold ? (
+          <>
+            <Clock className="h-4 w-4" />
+            Being purchased
+          </>
         ) : (
           <>
             <CreditCard className="h-4 w-4" />
@@ -0,0 +1,18 @@
+import React from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Clock } from 'lucide-react';
+import { isTicketOnHold } from '@/utils/ticketHolds';
+
+/**
+ * "Being purchased" badge, shown while another buyer holds the ticket
+ */
+export const TicketHoldBadge = ({ ticket, className = "" }) => {
+  if (!isTicketOnHold(ticket)) return null;
+
+  return (
+    <Badge variant="outline" className={`border-yellow-300 bg-yellow-50 text-yellow-800 ${className}`}>
+      <Clock className="h-3 w-3 mr-1" />
+      Being purchased
+    </Badge>
+  );
+};
@@ -5,7 +5,11 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
 import { useToast } from "@/hooks/use-toast";
-import { getAllTickets, validatePNR } from "@/utils/pnrValidation";
+import { supabase } from "@/integrations/supabase/client";
+import { validatePNR } from "@/utils/pnrValidation";
+import { isTicketOnHold, LISTED_TICKET_STATUSES } from "@/utils/ticketHolds";
+import { QuickPurchaseButton } from "@/components/purchase/QuickPurchaseButton";
+import { TicketHoldBadge } from "@/components/purchase/TicketHoldBadge";
 import { Loader, Search, MapPin, Clock, User, CreditCard, CheckCircle, RefreshCw } from "lucide-react";
 
 export const LiveTicketBrowser = () => {
@@ -19,12 +23,18 @@ export const LiveTicketBrowser = () => {
   const fetchTickets = async () => {
     try {
       setLoading(true);
-      const apiTickets = await getAllTickets();
-      setTickets(apiTickets);
+      const { data, error } = await supabase
+        .from('tickets')
+        .select('*')
+        .in('status', LISTED_TICKET_STATUSES)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setTickets(data || []);
     } catch (error) {
       toast({
         title: "Error",
-        description: "Failed to load tickets from API",
+        description: "Failed to load tickets",
         variant: "destructive",
       });
     } finally {
@@ -42,7 +52,9 @@ export const LiveTicketBrowser = () => {
   const handleVerifyTicket = async (ticket) => {
     setVerifying(ticket.pnr_number);
     try {
-      const result = await validatePNR(ticket.pnr_number);
+      const result = await validatePNR(ticket.pnr_number, ticket.bus_operator, {
+        passengerName: ticket.passenger_name
+      });
       if (result.isValid) {
         toast({
           title: "Ticket Verified",
@@ -86,7 +98,7 @@ export const LiveTicketBrowser = () => {
                 Live Ticket Browser
               </CardTitle>
               <CardDescription>
-                Browse and verify tickets from the live API
+                Browse and verify listed tickets
               </CardDescription>
             </div>
             <Button onClick={fetchTickets} disabled={loading} variant="outline" size="sm">
@@ -116,7 +128,7 @@ export const LiveTicketBrowser = () => {
         <Card>
           <CardContent className="flex items-center justify-center py-8">
             <Loader className="h-6 w-6 animate-spin mr-2" />
-            <span>Loading tickets from API...</span>
+            <span>Loading tickets...</span>
           </CardContent>
         </Card>
       )}
@@ -125,18 +137,19 @@ export const LiveTicketBrowser = () => {
       {!loading && (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
           {filteredTickets.map((ticket) => (
-            <Card key={ticket.pnr_number} className="hover:shadow-lg transition-shadow cursor-pointer">
+            <Card key={ticket.id} className="hover:shadow-lg transition-shadow cursor-pointer">
               <CardHeader className="pb-3">
                 <div className="flex items-center justify-between">
                   <Badge variant="outline" className="text-xs">
                     PNR: {ticket.pnr_number}
                   </Badge>
-                  <Badge 
-                    variant={ticket.status === 'available' ? 'default' : 'destructive'}
-                    className="text-xs"
-                  >
-                    {ticket.status}
-                  </Badge>
+                  {isTicketOnHold(ticket) ? (
+                    <TicketHoldBadge ticket={ticket} className="text-xs" />
+                  ) : (
+                    <Badge variant="default" className="text-xs">
+                      available
+                    </Badge>
+                  )}
                 </div>
                 <CardTitle className="text-lg flex items-center gap-2">
                   <User className="h-4 w-4" />
@@ -269,9 +282,14 @@ export const LiveTicketBrowser = () => {
             )}
             
             <div className="flex gap-2 pt-4">
-              <Button className="flex-1">
-                Purchase Ticket
-              </Button>
+              <QuickPurchaseButton
+                ticket={selectedTicket}
+                className="flex-1"
+                onPurchaseSuccess={() => {
+                  setSelectedTicket(null);
+                  fetchTickets();
+                }}
+              />
               <Button variant="outline" className="flex-1">
                 Contact Seller
               </Button>
@@ -0,0 +1,105 @@
+import React, { useId, useMemo, useState } from 'react';
+import { Input } from '@/components/ui/input';
+import { cn } from '@/lib/utils';
+import { useLocations } from '@/hooks/useLocations';
+import { searchLocations } from '@/utils/locations';
+
+/**
+ * Text input that suggests canonical locations by name or alias. Typing
+ * stays free text; picking a suggestion fills in the location's name.
+ * @param {Object} props
+ * @param {string} [props.id]
+ * @param {string} props.value
+ * @param {(text: string) => void} props.onChange
+ * @param {(location: Object|null) => void} [props.onSelect] - the picked location, or null once the text is edited
+ * @param {string} [props.placeholder]
+ * @param {string} [props.className] - for the input
+ * @param {React.ComponentType} [props.icon] - shown inside the input on the left
+ */
+export const LocationAutocomplete = ({ id, value, onChange, onSelect, placeholder, className, icon: Icon }) => {
+  const generatedId = useId();
+  const inputId = id || generatedId;
+  const { locations } = useLocations();
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const suggestions = useMemo(() => searchLocations(locations, value || ''), [locations, value]);
+  const showSuggestions = isOpen && suggestions.length > 0;
+
+  const select = ({ location }) => {
+    onChange(location.name);
+    onSelect?.(location);
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!showSuggestions) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(index => (index - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      select(suggestions[Math.min(highlighted, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      {Icon && <Icon className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />}
+      <Input
+        id={inputId}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          onSelect?.(null);
+          setIsOpen(true);
+          setHighlighted(0);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        autoComplete="off"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showSuggestions}
+        aria-controls={`${inputId}-suggestions`}
+        className={cn(Icon && 'pl-10', className)}
+      />
+      {showSuggestions && (
+        <ul
+          id={`${inputId}-suggestions`}
+          role="listbox"
+          className="absolute z-50 mt-1 w-full max-h-64 overflow-auto rounded-md border bg-popover text-popover-foreground shadow-md"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.location.id}
+              role="option"
+              aria-selected={index === highlighted}
+              // mousedown, not click, so the input's blur doesn't close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                select(suggestion);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+              className={cn('px-3 py-2 text-sm cursor-pointer', index === highlighted && 'bg-accent text-accent-foreground')}
+            >
+              <div className="font-medium">{suggestion.location.name}</div>
+              <div className="text-xs text-muted-foreground">
+                {suggestion.location.state}
+                {suggestion.alias && ` · ${suggestion.alias}`}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,57 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { ArrowRightLeft, FileText, XCircle } from 'lucide-react';
+import { describeNameChangeFee, TRANSFER_DOCUMENT_LABELS } from '@/utils/operatorPolicies';
+
+/**
+ * An operator's rules for moving a booking to another passenger
+ * @param {Object} props
+ * @param {Object} props.policy - operator_policies row
+ * @param {Object|null} [props.transfer] - checkTransfer result for the ticket
+ */
+export const OperatorTransferPolicy = ({ policy, transfer }) => {
+  if (transfer && !transfer.allowed) {
+    return (
+      <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+        <p className="text-sm font-medium text-red-700 flex items-center gap-1">
+          <XCircle className="h-4 w-4" />
+          This ticket can't be transferred
+        </p>
+        <p className="text-sm text-red-600">{transfer.reason}</p>
+        {policy.notes && <p className="text-xs text-red-600 mt-1">{policy.notes}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-3 bg-blue-50 border border-blue-200 rounded-md space-y-2 text-sm">
+      <p className="font-medium text-blue-800 flex items-center gap-1">
+        <ArrowRightLeft className="h-4 w-4" />
+        {policy.operator_id === 'default' ? 'Transferring the booking' : `Transferring a ${policy.name} booking`}
+      </p>
+      <div className="grid grid-cols-2 gap-2 text-xs text-blue-900">
+        <div><strong>Name change:</strong> {describeNameChangeFee(policy)}</div>
+        <div>
+          <strong>Deadline:</strong>{' '}
+          {transfer?.cutoffAt
+            ? format(transfer.cutoffAt, 'MMM dd, HH:mm')
+            : `${policy.cutoff_hours} hours before departure`}
+        </div>
+      </div>
+      {policy.required_documents?.length > 0 && (
+        <div className="text-xs text-blue-900">
+          <strong>Documents needed:</strong>
+          <ul className="mt-1 space-y-0.5">
+            {policy.required_documents.map(document => (
+              <li key={document} className="flex items-center gap-1">
+                <FileText className="h-3 w-3" />
+                {TRANSFER_DOCUMENT_LABELS[document] ?? document}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {policy.notes && <p className="text-xs text-blue-700">{policy.notes}</p>}
+    </div>
+  );
+};
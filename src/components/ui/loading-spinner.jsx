@@ -2,12 +2,14 @@
 import { Loader2 } from "lucide-react";
 import { cn } from "@/lib/utils";
 
-interface LoadingSpinnerProps {
-  size?: "sm" | "md" | "lg";
-  className?: string;
-}
+/**
+ * @typedef {Object} LoadingSpinnerProps
+ * @property {"sm" | "md" | "lg"} [size]
+ * @property {string} [className]
+ */
 
-export const LoadingSpinner = ({ size = "md", className }: LoadingSpinnerProps) => {
+/** @param {LoadingSpinnerProps} props */
+export const LoadingSpinner = ({ size = "md", className }) => {
   const sizeClasses = {
     sm: "h-4 w-4",
     md: "h-6 w-6",
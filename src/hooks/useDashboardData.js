@@ -1,7 +1,9 @@
 
 import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
+import { useQueryClient } from "@tanstack/react-query";
 import { supabase } from "@/integrations/supabase/client";
+import { LISTED_TICKET_STATUSES } from "@/utils/ticketHolds";
 import { useToast } from "@/hooks/use-toast";
 
 /**
@@ -28,6 +30,7 @@ import { useToast } from "@/hooks/use-toast";
  * @property {number} selling_price
  * @property {string} status
  * @property {string} verification_status
+ * @property {string|null} [reserved_until]
  * @property {string} created_at
  */
 
@@ -35,9 +38,10 @@ export const useDashboardData = () => {
   const [user, setUser] = useState(null);
   const [profile, setProfile] = useState(null);
   const [tickets, setTickets] = useState([]);
-  const [availableTickets, setAvailableTickets] = useState([]);
+  const [availableTicketCount, setAvailableTicketCount] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
   const navigate = useNavigate();
+  const queryClient = useQueryClient();
   const { toast } = useToast();
 
   useEffect(() => {
@@ -59,6 +63,7 @@ export const useDashboardData = () => {
           () => {
             console.log('Ticket data changed, reloading...');
             loadAvailableTickets();
+            queryClient.invalidateQueries({ queryKey: ['ticket-search'] });
             loadUserTickets(user.id);
           }
         )
@@ -174,34 +179,34 @@ export const useDashboardData = () => {
     }
   };
 
+  // Only the count; the buy tab pages through listings with search_tickets
   const loadAvailableTickets = async () => {
     try {
       // Get current user to exclude their tickets
       const { data: { user } } = await supabase.auth.getUser();
       
-      // Fetch tickets excluding current user's tickets
       let query = supabase
-        .from('tickets')
-        .select('*')
-        .eq('status', 'available')
-        .order('created_at', { ascending: false });
+        .from('tickets_with_seller')
+        .select('id', { count: 'exact', head: true })
+        .in('status', LISTED_TICKET_STATUSES)
+        .eq('verification_status', 'verified');
       
       // Exclude current user's tickets if user is logged in
       if (user) {
         query = query.neq('seller_id', user.id);
       }
 
-      const { data: ticketData, error } = await query;
+      const { count, error } = await query;
 
       if (error) {
         console.error("Error loading available tickets:", error);
-        setAvailableTickets([]);
+        setAvailableTicketCount(0);
       } else {
-        setAvailableTickets(ticketData || []);
+        setAvailableTicketCount(count || 0);
       }
     } catch (error) {
       console.error("Error loading available tickets:", error);
-      setAvailableTickets([]);
+      setAvailableTicketCount(0);
     }
   };
 
@@ -226,7 +231,7 @@ export const useDashboardData = () => {
     user,
     profile,
     tickets,
-    availableTickets,
+    availableTicketCount,
     isLoading,
     handleLogout
   };
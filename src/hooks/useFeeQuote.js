@@ -0,0 +1,25 @@
+import { useQuery } from '@tanstack/react-query';
+import { calculateFees, fetchFeeSchedule } from '@/utils/fees';
+
+/**
+ * Itemized platform fees for selling or buying a ticket at a price
+ * @param {Object} params
+ * @param {number|string} params.amount - listing price
+ * @param {string} [params.listingType]
+ * @param {string} [params.busOperator]
+ * @returns {{ breakdown: Object|null, isLoading: boolean, error: Error|null }}
+ */
+export const useFeeQuote = ({ amount, listingType, busOperator }) => {
+  const { data: schedule, isLoading, error } = useQuery({
+    queryKey: ['fee-schedule'],
+    queryFn: fetchFeeSchedule,
+    staleTime: 5 * 60 * 1000
+  });
+
+  let breakdown = null;
+  if (schedule && Number(amount) > 0) {
+    breakdown = calculateFees(schedule, { amount: Number(amount), listingType, busOperator });
+  }
+
+  return { breakdown, isLoading, error };
+};
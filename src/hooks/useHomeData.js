@@ -1,5 +1,9 @@
 import { useState, useEffect } from 'react';
 import { supabase } from '@/integrations/supabase/client';
+import { DEFAULT_SEARCH_FILTERS, searchTickets as searchListedTickets } from '@/utils/ticketSearch';
+
+// The home page shows the latest few; the dashboard pages through the rest
+const LATEST_TICKETS_LIMIT = 12;
 
 export const useHomeData = () => {
   const [availableTickets, setAvailableTickets] = useState([]);
@@ -27,31 +31,12 @@ export const useHomeData = () => {
         throw new Error('Unable to connect to the database. Please check your internet connection.');
       }
       
-      // Get current user to exclude their tickets
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      // Fetch only verified tickets from local database, excluding current user's tickets
-      let query = supabase
-        .from('tickets')
-        .select('*')
-        .eq('status', 'available')
-        .eq('verification_status', 'verified')
-        .order('created_at', { ascending: false });
-      
-      // Exclude current user's tickets if user is logged in
-      if (user) {
-        query = query.neq('seller_id', user.id);
-      }
-
-      const { data: ticketData, error } = await query;
-
-      if (error) {
-        console.error("Error loading verified tickets:", error);
-        setError(`Failed to load tickets: ${error.message}`);
-        setAvailableTickets([]);
-      } else {
-        setAvailableTickets(ticketData || []);
-      }
+      // search_tickets only returns verified tickets, and not the current user's own
+      const { items } = await searchListedTickets(
+        { ...DEFAULT_SEARCH_FILTERS, sortBy: 'newest' },
+        { limit: LATEST_TICKETS_LIMIT }
+      );
+      setAvailableTickets(items);
     } catch (err) {
       console.error('Error loading tickets:', err);
       setError(err.message || 'Failed to load tickets');
@@ -72,50 +57,13 @@ export const useHomeData = () => {
 
   const searchTickets = async (filters) => {
     try {
-      // Get current user to exclude their tickets
-      const { data: { user } } = await supabase.auth.getUser();
-      
-      // Fetch only verified tickets from local database, excluding current user's tickets
-      let query = supabase
-        .from('tickets')
-        .select('*')
-        .eq('status', 'available')
-        .eq('verification_status', 'verified');
-      
-      // Exclude current user's tickets if user is logged in
-      if (user) {
-        query = query.neq('seller_id', user.id);
-      }
-
-      const { data: allTickets, error } = await query;
-      
-      if (error) {
-        console.error("Error searching tickets:", error);
-        return [];
-      }
-
-      // Filter the tickets client-side
-      let filteredTickets = allTickets || [];
-      
-      if (filters.fromLocation) {
-        filteredTickets = filteredTickets.filter(ticket => 
-          ticket.from_location?.toLowerCase().includes(filters.fromLocation.toLowerCase())
-        );
-      }
-
-      if (filters.toLocation) {
-        filteredTickets = filteredTickets.filter(ticket => 
-          ticket.to_location?.toLowerCase().includes(filters.toLocation.toLowerCase())
-        );
-      }
-
-      if (filters.date) {
-        filteredTickets = filteredTickets.filter(ticket => 
-          new Date(ticket.departure_date) >= new Date(filters.date)
-        );
-      }
-
-      return filteredTickets;
+      const { items } = await searchListedTickets({
+        ...DEFAULT_SEARCH_FILTERS,
+        fromLocation: filters.fromLocation,
+        toLocation: filters.toLocation,
+        departureDate: filters.date
+      });
+      return items;
     } catch (error) {
       console.error("Error searching tickets:", error);
       return [];
@@ -0,0 +1,18 @@
+import { useQuery } from '@tanstack/react-query';
+import { fetchLocations, LOCATION_DATASET } from '@/utils/locations';
+
+/**
+ * The canonical location catalog. The bundled dataset stands in until the
+ * table has loaded, so suggestions show from the first keystroke.
+ * @returns {{ locations: Object[], isLoading: boolean }}
+ */
+export const useLocations = () => {
+  const { data, isLoading } = useQuery({
+    queryKey: ['locations'],
+    queryFn: fetchLocations,
+    placeholderData: LOCATION_DATASET,
+    staleTime: 60 * 60 * 1000
+  });
+
+  return { locations: data?.length ? data : LOCATION_DATASET, isLoading };
+};
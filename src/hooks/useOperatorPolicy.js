@@ -0,0 +1,22 @@
+import { useQuery } from '@tanstack/react-query';
+import { checkTransfer, fetchOperatorPolicies, findOperatorPolicy } from '@/utils/operatorPolicies';
+
+/**
+ * An operator's transfer policy, and whether a ticket can still be transferred under it
+ * @param {Object} params
+ * @param {string} [params.busOperator]
+ * @param {{ departure_date: string, departure_time?: string }} [params.ticket] - checked once it has a departure date
+ * @returns {{ policy: Object|null, transfer: Object|null, isLoading: boolean, error: Error|null }}
+ */
+export const useOperatorPolicy = ({ busOperator, ticket }) => {
+  const { data: policies, isLoading, error } = useQuery({
+    queryKey: ['operator-policies'],
+    queryFn: fetchOperatorPolicies,
+    staleTime: 5 * 60 * 1000
+  });
+
+  const policy = policies ? findOperatorPolicy(policies, busOperator) : null;
+  const transfer = policy && ticket?.departure_date ? checkTransfer(policy, ticket) : null;
+
+  return { policy, transfer, isLoading, error };
+};
@@ -1,5 +1,5 @@
-import { useQuery, useQueryClient } from '@tanstack/react-query';
-import { useState, useCallback, useMemo } from 'react';
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import React, { useState, useCallback, useMemo } from 'react';
 import { debounce } from '@/utils/performance';
 
 // Optimized query hook with caching and pagination
@@ -120,6 +120,41 @@ export const useOptimizedQuery = (
   };
 };
 
+// Keyset-paginated query for infinite lists. queryFn gets { cursor } (null
+// for the first page) and returns { items, nextCursor }.
+export const useOptimizedInfiniteQuery = (
+  queryKey,
+  queryFn,
+  options = {}
+) => {
+  const {
+    cacheTime = 5 * 60 * 1000, // 5 minutes
+    staleTime = 1 * 60 * 1000, // 1 minute
+    ...queryOptions
+  } = options;
+
+  const queryResult = useInfiniteQuery({
+    queryKey,
+    queryFn: ({ pageParam }) => queryFn({ cursor: pageParam }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+    gcTime: cacheTime,
+    staleTime,
+    ...queryOptions
+  });
+
+  const pages = useMemo(() => queryResult.data?.pages || [], [queryResult.data]);
+  const items = useMemo(() => pages.flatMap(page => page.items), [pages]);
+
+  return {
+    ...queryResult,
+    pages,
+    items,
+    // Page-level data that only comes with the first page (totals, facets)
+    firstPage: pages[0] || null
+  };
+};
+
 // Optimized mutation hook with optimistic updates
 export const useOptimizedMutation = (
   mutationFn,
@@ -0,0 +1,15 @@
+import { useOptimizedInfiniteQuery } from '@/hooks/useOptimizedQuery';
+import { searchTickets, toSearchParams } from '@/utils/ticketSearch';
+
+/**
+ * Listed tickets matching the filters, a page at a time. The first page also
+ * carries the total and the facet counts for the filter controls.
+ * @param {Object} filters - shaped like DEFAULT_SEARCH_FILTERS
+ * @param {Object} [options] - passed on to useOptimizedInfiniteQuery
+ */
+export const useTicketSearch = (filters, options = {}) =>
+  useOptimizedInfiniteQuery(
+    ['ticket-search', toSearchParams(filters)],
+    ({ cursor }) => searchTickets(filters, { cursor }),
+    options
+  );
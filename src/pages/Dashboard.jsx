@@ -5,17 +5,18 @@ import { Bus, LogOut, User, MessageSquare } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import QuickSellForm from "@/components/dashboard/QuickSellForm";
 import TicketCard from "@/components/dashboard/TicketCard";
+import { AvailableTickets } from "@/components/dashboard/AvailableTickets";
 import { KYCCompletion } from "@/components/dashboard/KYCCompletion";
 import { EmailVerificationBanner } from "@/components/dashboard/EmailVerificationBanner";
 
 import { MessagesList } from "@/components/messaging/MessagesList";
-import { MessagingIntegration } from "@/components/messaging/MessagingIntegration";
 import { RealtimeMessagingProvider } from "@/components/messaging/RealtimeMessagingProvider";
 import { MessageNotificationBadge } from "@/components/messaging/MessageNotificationBadge";
 import { useDashboardData } from "@/hooks/useDashboardData";
 import { useToast } from "@/hooks/use-toast";
 import { PaymentSettings } from "@/components/dashboard/PaymentSettings";
 import { PendingPayouts } from "@/components/dashboard/PendingPayouts";
+import { TransactionHistory } from "@/components/dashboard/TransactionHistory";
 import { EmailVerificationStatus } from "@/components/dashboard/EmailVerificationStatus";
 
 
@@ -27,7 +28,7 @@ const Dashboard = () => {
     user,
     profile,
     tickets,
-    availableTickets,
+    availableTicketCount,
     isLoading,
     handleLogout
   } = useDashboardData();
@@ -42,28 +43,6 @@ const Dashboard = () => {
     });
   };
 
-  const handleBuyTicket = (transactionData) => {
-    // Refresh dashboard data after successful purchase
-    window.location.reload();
-    toast({
-      title: "Purchase Successful!",
-      description: "Your ticket has been purchased successfully.",
-    });
-  };
-
-  const handleTicketAction = (ticket, action) => {
-    switch (action) {
-      case 'buy':
-        handleBuyTicket(ticket);
-        break;
-      case 'message':
-        // This will be handled by the MessagingIntegration component
-        break;
-      default:
-        break;
-    }
-  };
-
   if (isLoading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -110,7 +89,7 @@ const Dashboard = () => {
           </div>
           <div className="bg-white p-6 rounded-lg shadow-sm border">
             <h3 className="text-lg font-semibold text-gray-900">Available</h3>
-            <p className="text-3xl font-bold text-green-600">{availableTickets.length}</p>
+            <p className="text-3xl font-bold text-green-600">{availableTicketCount}</p>
             <p className="text-sm text-gray-500">Tickets to buy</p>
           </div>
           <div className="bg-white p-6 rounded-lg shadow-sm border">
@@ -169,34 +148,7 @@ const Dashboard = () => {
           </TabsContent>
 
           <TabsContent value="buy" className="space-y-6">
-            <div className="space-y-4">
-              <h2 className="text-xl font-semibold">Available Tickets</h2>
-              {availableTickets.length === 0 ? (
-                <div className="text-center py-8">
-                  <Bus className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-                  <p className="text-gray-500">No tickets available at the moment</p>
-                </div>
-              ) : (
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                  {availableTickets.map((ticket) => (
-                    <div key={ticket.id} className="space-y-3">
-                      <TicketCard
-                        ticket={ticket}
-                        onBuyClick={handleBuyTicket}
-                        isOwner={false}
-                      />
-                      <MessagingIntegration
-                        ticket={ticket}
-                        currentUserId={user?.id}
-                        triggerText="Message Seller"
-                        triggerVariant="outline"
-                        triggerSize="sm"
-                      />
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
+            <AvailableTickets />
           </TabsContent>
 
           <TabsContent value="my-tickets" className="space-y-6">
@@ -226,6 +178,7 @@ const Dashboard = () => {
               <PaymentSettings />
               <PendingPayouts />
             </div>
+            <TransactionHistory userId={user?.id} />
           </TabsContent>
 
           <TabsContent value="verification" className="space-y-6">
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest'
+import { MAX_EVIDENCE_FILES, validateEvidence } from '../../../supabase/functions/open-dispute/disputes.ts'
+import { canRespondToDispute } from '../../utils/escrow'
+
+const userId = 'user-1'
+const file = (path) => ({ path, name: 'photo.jpg', type: 'image/jpeg' })
+
+describe('validateEvidence', () => {
+  it('accepts files from the user\'s own folder', () => {
+    const evidence = [file('user-1/ticket-1/dispute_1_0.jpg')]
+    expect(validateEvidence(userId, evidence)).toEqual(evidence)
+  })
+
+  it('treats missing evidence as none', () => {
+    expect(validateEvidence(userId)).toEqual([])
+  })
+
+  it('rejects files from another user\'s folder', () => {
+    expect(() => validateEvidence(userId, [file('user-2/ticket-1/x.jpg')])).toThrow()
+  })
+
+  it('rejects paths that escape the folder', () => {
+    expect(() => validateEvidence(userId, [file('user-1/../user-2/x.jpg')])).toThrow()
+  })
+
+  it('limits the number of files', () => {
+    const evidence = Array.from({ length: MAX_EVIDENCE_FILES + 1 }, (_, i) => file(`user-1/t/${i}.jpg`))
+    expect(() => validateEvidence(userId, evidence)).toThrow()
+  })
+})
+
+describe('canRespondToDispute', () => {
+  const dispute = {
+    respondent_id: 'seller-1',
+    status: 'open',
+    responded_at: null,
+    response_due_at: '2025-03-12T10:00:00Z'
+  }
+  const now = new Date('2025-03-11T10:00:00Z')
+
+  it('lets the seller respond within the window', () => {
+    expect(canRespondToDispute(dispute, 'seller-1', now)).toBe(true)
+  })
+
+  it('only lets the respondent reply', () => {
+    expect(canRespondToDispute(dispute, 'buyer-1', now)).toBe(false)
+  })
+
+  it('closes after the deadline or a response', () => {
+    expect(canRespondToDispute(dispute, 'seller-1', new Date('2025-03-12T11:00:00Z'))).toBe(false)
+    expect(canRespondToDispute({ ...dispute, responded_at: '2025-03-11T09:00:00Z' }, 'seller-1', now)).toBe(false)
+  })
+})
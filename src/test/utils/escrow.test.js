@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest'
+import {
+  canConfirmBoarding,
+  escrowReleaseTime,
+  isWithinDisputeWindow
+} from '../../../supabase/functions/release-escrow/escrow.ts'
+
+// 2025-03-10 20:00 IST is 14:30 UTC
+const ticket = { departure_date: '2025-03-10', departure_time: '20:00' }
+
+describe('escrowReleaseTime', () => {
+  it('adds the grace window to the departure time', () => {
+    expect(escrowReleaseTime(ticket, 6).toISOString()).toBe('2025-03-10T20:30:00.000Z')
+  })
+})
+
+describe('isWithinDisputeWindow', () => {
+  const held = { escrow_status: 'held', escrow_release_at: '2025-03-10T20:30:00Z' }
+
+  it('is open while funds are held and the window has not passed', () => {
+    expect(isWithinDisputeWindow(held, new Date('2025-03-10T18:00:00Z'))).toBe(true)
+  })
+
+  it('closes once the release time passes', () => {
+    expect(isWithinDisputeWindow(held, new Date('2025-03-10T21:00:00Z'))).toBe(false)
+  })
+
+  it('is closed once funds have left escrow', () => {
+    const released = { ...held, escrow_status: 'released' }
+    expect(isWithinDisputeWindow(released, new Date('2025-03-10T18:00:00Z'))).toBe(false)
+  })
+})
+
+describe('canConfirmBoarding', () => {
+  it('allows confirmation from an hour before departure', () => {
+    expect(canConfirmBoarding(ticket, new Date('2025-03-10T13:00:00Z'))).toBe(false)
+    expect(canConfirmBoarding(ticket, new Date('2025-03-10T13:45:00Z'))).toBe(true)
+  })
+})
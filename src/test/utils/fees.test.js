@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import { calculateFees, selectFeeRule } from '../../../supabase/functions/_shared/fees.ts'
+
+const rule = (overrides) => ({
+  id: 'default',
+  name: 'Standard',
+  listing_type: null,
+  bus_operator: null,
+  percentage: 5,
+  fixed_fee: 0,
+  min_fee: null,
+  max_fee: null,
+  ...overrides
+})
+
+const schedule = (rules, promotions = [], gstRate = 18) => ({ rules, promotions, gstRate })
+
+describe('selectFeeRule', () => {
+  const rules = [
+    rule(),
+    rule({ id: 'premium', listing_type: 'premium', percentage: 8 }),
+    rule({ id: 'operator', bus_operator: 'VRL Travels', percentage: 3 })
+  ]
+
+  it('prefers an operator rule over a listing-type rule over the default', () => {
+    expect(selectFeeRule(rules, 'premium', 'vrl travels ').id).toBe('operator')
+    expect(selectFeeRule(rules, 'premium', 'SRS Travels').id).toBe('premium')
+    expect(selectFeeRule(rules, null, null).id).toBe('default')
+  })
+
+  it('ignores disabled rules and falls back to 5% when nothing matches', () => {
+    expect(selectFeeRule([rule({ active: false, percentage: 9 })]).percentage).toBe(5)
+  })
+})
+
+describe('calculateFees', () => {
+  it('adds the fixed fee to the percentage and GST on top of the fee', () => {
+    const fees = calculateFees(schedule([rule({ fixed_fee: 10 })]), { amount: 1000 })
+    expect(fees).toMatchObject({ fee: 60, gst: 10.8, platformFee: 70.8, sellerAmount: 929.2, promotion: null })
+  })
+
+  it('clamps the fee to the rule minimum and maximum', () => {
+    const capped = schedule([rule({ min_fee: 20, max_fee: 100 })], [], 0)
+    expect(calculateFees(capped, { amount: 100 }).fee).toBe(20)
+    expect(calculateFees(capped, { amount: 5000 }).fee).toBe(100)
+  })
+
+  it('waives the fee and GST during a matching promotion', () => {
+    const promotions = [{
+      id: 'diwali',
+      name: 'Diwali week',
+      listing_type: null,
+      bus_operator: null,
+      starts_at: '2025-10-18T00:00:00Z',
+      ends_at: '2025-10-25T00:00:00Z'
+    }]
+    const during = calculateFees(schedule([rule()], promotions), { amount: 1000, at: new Date('2025-10-20T00:00:00Z') })
+    const after = calculateFees(schedule([rule()], promotions), { amount: 1000, at: new Date('2025-10-25T00:00:00Z') })
+
+    expect(during).toMatchObject({ platformFee: 0, sellerAmount: 1000, promotion: { id: 'diwali' } })
+    expect(after.platformFee).toBe(59)
+  })
+
+  it('never takes more than the sale amount', () => {
+    const fees = calculateFees(schedule([rule({ min_fee: 500 })]), { amount: 100 })
+    expect(fees.platformFee).toBeLessThanOrEqual(100)
+    expect(fees.sellerAmount).toBeGreaterThanOrEqual(0)
+  })
+
+  it('rejects non-positive amounts', () => {
+    expect(() => calculateFees(schedule([rule()]), { amount: 0 })).toThrow()
+  })
+})
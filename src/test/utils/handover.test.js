@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildHandoverChecklist,
+  getHandoverRole,
+  HandoverRole
+} from '../../../supabase/functions/ticket-handover/handover.ts'
+
+const transaction = { buyer_id: 'buyer-1', seller_id: 'seller-1', status: 'completed' }
+
+const ticket = {
+  bus_operator: 'KSRTC',
+  from_location: 'Bangalore',
+  departure_date: '2025-03-10',
+  departure_time: '00:10',
+  passenger_name: 'Ramesh Kumar'
+}
+
+describe('getHandoverRole', () => {
+  it('knows which side of a completed sale the user is on', () => {
+    expect(getHandoverRole(transaction, 'buyer-1')).toBe(HandoverRole.BUYER)
+    expect(getHandoverRole(transaction, 'seller-1')).toBe(HandoverRole.SELLER)
+  })
+
+  it('hands nothing over before the payment completes', () => {
+    for (const status of ['pending', 'failed', 'cancelled', 'refunded']) {
+      expect(getHandoverRole({ ...transaction, status }, 'buyer-1')).toBeNull()
+    }
+  })
+
+  it('keeps other users out', () => {
+    expect(getHandoverRole(transaction, 'someone-else')).toBeNull()
+    expect(getHandoverRole(null, 'buyer-1')).toBeNull()
+  })
+})
+
+describe('buildHandoverChecklist', () => {
+  it('covers the name change, ID, boarding and documents', () => {
+    const checklist = buildHandoverChecklist(ticket, 2)
+    expect(checklist.map(item => item.id)).toEqual(['name_change', 'id_proof', 'boarding_point', 'documents'])
+    expect(checklist[0].title).toContain('KSRTC')
+    expect(checklist[1].steps.join(' ')).toContain('Ramesh Kumar')
+    expect(checklist[3].steps[0]).toContain('2 documents')
+  })
+
+  it("spells out the operator's transfer fee, deadline and documents", () => {
+    const policy = {
+      operator_id: 'ksrtc',
+      name: 'KSRTC',
+      aliases: [],
+      transferable: true,
+      name_change_fee: 50,
+      cutoff_hours: 24,
+      required_documents: ['original_ticket', 'buyer_id_proof'],
+      notes: 'Name changes are made at a KSRTC reservation counter.'
+    }
+    const steps = buildHandoverChecklist(ticket, 1, policy)[0].steps.join(' ')
+    expect(steps).toContain('until 24 hours before departure')
+    expect(steps).toContain('9 Mar 2025')
+    expect(steps).toContain('₹50')
+    expect(steps).toContain("New passenger's photo ID")
+    expect(steps).toContain('reservation counter')
+  })
+
+  it('asks passengers to arrive early, across midnight', () => {
+    const boarding = buildHandoverChecklist(ticket, 0).find(item => item.id === 'boarding_point')
+    expect(boarding.steps.join(' ')).toContain('by 23:55')
+  })
+
+  it('tells the buyer to ask the seller when no documents were uploaded', () => {
+    const documents = buildHandoverChecklist(ticket, 0).find(item => item.id === 'documents')
+    expect(documents.steps[0]).toContain("hasn't uploaded")
+  })
+})
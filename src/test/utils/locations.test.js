@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normalizeLocationText,
+  resolveLocation,
+  searchLocations
+} from '../../../supabase/functions/_shared/locations.ts'
+import { LOCATION_DATASET } from '../../../supabase/functions/_shared/locationDataset.ts'
+import migration from '../../../supabase/migrations/20250828090000-canonical-locations.sql?raw'
+
+describe('resolveLocation', () => {
+  it('maps every spelling of a city to one location', () => {
+    for (const text of ['Bengaluru', 'Bangalore', 'BLR', ' bangalore ', 'bengaluru']) {
+      expect(resolveLocation(LOCATION_DATASET, text)?.id).toBe('bengaluru')
+    }
+  })
+
+  it('reads the city from stop names with extra detail', () => {
+    expect(resolveLocation(LOCATION_DATASET, 'Bengaluru (Majestic)')?.id).toBe('bengaluru')
+    expect(resolveLocation(LOCATION_DATASET, 'Hyderabad, Telangana')?.id).toBe('hyderabad')
+    expect(resolveLocation(LOCATION_DATASET, 'Pune - Swargate')?.id).toBe('pune')
+    expect(resolveLocation(LOCATION_DATASET, 'Hubli-Dharwad')?.id).toBe('hubballi')
+  })
+
+  it("leaves places it doesn't know alone", () => {
+    expect(resolveLocation(LOCATION_DATASET, 'Atlantis')).toBeNull()
+    expect(resolveLocation(LOCATION_DATASET, '')).toBeNull()
+    expect(resolveLocation(LOCATION_DATASET, null)).toBeNull()
+  })
+})
+
+describe('searchLocations', () => {
+  it('puts name matches ahead of alias matches', () => {
+    const ids = searchLocations(LOCATION_DATASET, 'ma').map(suggestion => suggestion.location.id)
+    expect(ids.slice(0, 3)).toEqual(['madurai', 'manali', 'mangaluru'])
+    expect(ids).toContain('chennai')
+  })
+
+  it('says which alias matched', () => {
+    const [suggestion] = searchLocations(LOCATION_DATASET, 'bangal')
+    expect(suggestion.location.id).toBe('bengaluru')
+    expect(suggestion.alias).toBe('Bangalore')
+  })
+
+  it('caps the number of suggestions', () => {
+    expect(searchLocations(LOCATION_DATASET, 'a', 5)).toHaveLength(5)
+    expect(searchLocations(LOCATION_DATASET, '  ')).toEqual([])
+  })
+})
+
+describe('LOCATION_DATASET', () => {
+  it('never gives two locations the same spelling', () => {
+    const owners = new Map()
+    for (const location of LOCATION_DATASET) {
+      for (const spelling of [location.id, location.name, ...location.aliases].map(normalizeLocationText)) {
+        expect(owners.get(spelling) ?? location.id).toBe(location.id)
+        owners.set(spelling, location.id)
+      }
+    }
+  })
+
+  it('is what the locations migration seeds', () => {
+    const seeded = [...migration.matchAll(/^ {2}\('([a-z0-9-]+)', '([^']+)', '([^']+)'/gm)]
+      .map(([, id, name, state]) => ({ id, name, state }))
+
+    expect(seeded).toEqual(LOCATION_DATASET.map(({ id, name, state }) => ({ id, name, state })))
+  })
+})
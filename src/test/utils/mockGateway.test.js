@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest'
+import {
+  mockGateway,
+  mockPaymentId,
+  mockPaymentResult,
+  mockPaymentSignature,
+} from '../../../supabase/functions/_shared/payments/mock.ts'
+
+const orderInput = { receipt: 'ticket_1_1700000000000', amount: 1050.5, description: 'Bus ticket', metadata: {} }
+
+describe('mockGateway', () => {
+  it('creates the same order for the same receipt', async () => {
+    const first = await mockGateway.createOrder(orderInput)
+    const second = await mockGateway.createOrder(orderInput)
+
+    expect(first).toEqual(second)
+    expect(first.orderId).toMatch(/^order_mock_105050_/)
+    expect(first.amount).toBe(1050.5)
+  })
+
+  it('verifies a signed payment and reports the order amount and fee', async () => {
+    const { orderId } = await mockGateway.createOrder(orderInput)
+    const paymentId = await mockPaymentId(orderId)
+    const signature = await mockPaymentSignature(orderId, paymentId)
+
+    expect(await mockGateway.verifyPayment({ orderId, paymentId, signature })).toEqual({
+      paymentId,
+      amount: 1050.5,
+      captured: true,
+      fee: 24.79,
+    })
+  })
+
+  it('reports a declined payment as not captured', async () => {
+    const { orderId } = await mockGateway.createOrder(orderInput)
+    const paymentId = await mockPaymentId(orderId, true)
+    const signature = await mockPaymentSignature(orderId, paymentId)
+
+    expect((await mockGateway.verifyPayment({ orderId, paymentId, signature })).captured).toBe(false)
+  })
+
+  it('rejects a payment signed for another order', async () => {
+    const { orderId } = await mockGateway.createOrder(orderInput)
+    const paymentId = await mockPaymentId(orderId)
+    const signature = await mockPaymentSignature('order_mock_100_other', paymentId)
+
+    await expect(mockGateway.verifyPayment({ orderId, paymentId, signature })).rejects.toThrow('Invalid payment signature')
+  })
+
+  it('issues deterministic refunds', async () => {
+    const first = await mockGateway.refund('pay_mock_1', 200, { receipt: 'r1' })
+
+    expect(first).toEqual(await mockGateway.refund('pay_mock_1', 200, { receipt: 'r1' }))
+    expect(first).toMatchObject({ amount: 200, processed: true })
+  })
+})
+
+describe('mockPaymentResult', () => {
+  const now = new Date(2025, 7, 15)
+  const card = (number, expiry = '12/29', cvv = '123') => ({ card: { number, expiry, cvv } })
+
+  it('accepts the success test card and UPI ids', () => {
+    expect(mockPaymentResult(card('4111 1111 1111 1111'), now)).toBe('success')
+    expect(mockPaymentResult({ upiId: ' Success@UPI ' }, now)).toBe('success')
+  })
+
+  it('declines the failure test card and UPI ids', () => {
+    expect(mockPaymentResult(card('4000000000000002'), now)).toBe('declined')
+    expect(mockPaymentResult({ upiId: 'failure@upi' }, now)).toBe('declined')
+  })
+
+  it('refuses unknown instruments', () => {
+    expect(() => mockPaymentResult(card('4242424242424242'), now)).toThrow('test card')
+    expect(() => mockPaymentResult({ upiId: 'someone@okbank' }, now)).toThrow('test UPI id')
+  })
+
+  it('requires a future expiry and a CVV', () => {
+    expect(mockPaymentResult(card('4111111111111111', '08/25'), now)).toBe('success')
+    expect(() => mockPaymentResult(card('4111111111111111', '07/25'), now)).toThrow('future expiry')
+    expect(() => mockPaymentResult(card('4111111111111111', '12/29', '12'), now)).toThrow('CVV')
+  })
+})
+
+describe('mockGateway.verifyDestination', () => {
+  const input = { referenceId: 'dest_1', name: 'Ravi Kumar' }
+
+  it('verifies accounts and returns the holder name the bank would', async () => {
+    const result = await mockGateway.verifyDestination({ type: 'vpa', address: 'ravi@upi' }, input)
+
+    expect(result).toMatchObject({ status: 'verified', registeredName: 'RAVI KUMAR', reason: null })
+    expect(result.id).toMatch(/^fav_mock_/)
+    expect(await mockGateway.verifyDestination({ type: 'vpa', address: 'ravi@upi' }, input)).toEqual(result)
+  })
+
+  it('fails the test failure details', async () => {
+    expect((await mockGateway.verifyDestination({ type: 'vpa', address: 'failure@upi' }, input)).status).toBe('failed')
+    expect((await mockGateway.verifyDestination(
+      { type: 'bank_account', accountNumber: '50100012340000', ifsc: 'HDFC0001234', name: 'Ravi Kumar' },
+      input
+    )).status).toBe('failed')
+  })
+})
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import {
+  scoreNameMatch,
+  verificationStatusForScore,
+  AUTO_APPROVE_THRESHOLD,
+  MANUAL_REVIEW_THRESHOLD
+} from '../../../supabase/functions/verify-pnr/nameMatching.ts'
+
+describe('scoreNameMatch', () => {
+  it('scores identical names as 100', () => {
+    expect(scoreNameMatch('Ramesh Kumar', 'ramesh  kumar')).toBe(100)
+  })
+
+  it('ignores honorifics, punctuation and diacritics', () => {
+    expect(scoreNameMatch('Shri Ramesh Kumar', 'Mr. Ramesh Kumar')).toBe(100)
+    expect(scoreNameMatch('José Fernandes', 'Jose Fernandes')).toBe(100)
+  })
+
+  it('matches surname-first ordering', () => {
+    expect(scoreNameMatch('Ramesh Kumar', 'Kumar Ramesh')).toBe(100)
+  })
+
+  it('accepts initials for given names', () => {
+    expect(scoreNameMatch('Ramesh Kumar', 'R. Kumar')).toBeGreaterThanOrEqual(AUTO_APPROVE_THRESHOLD)
+  })
+
+  it('folds common transliteration variants', () => {
+    expect(scoreNameMatch('Lakshmi Sharma', 'Laxmi Sarma')).toBeGreaterThanOrEqual(AUTO_APPROVE_THRESHOLD)
+    expect(scoreNameMatch('Mohammed Iqbal', 'Muhammad Iqbal')).toBeGreaterThanOrEqual(AUTO_APPROVE_THRESHOLD)
+  })
+
+  it('tolerates small typos', () => {
+    expect(scoreNameMatch('Venkatesh Rao', 'Venkatesh Raoo')).toBeGreaterThanOrEqual(AUTO_APPROVE_THRESHOLD)
+    expect(scoreNameMatch('Srinivasan Iyer', 'Srinivasn Iyer')).toBeGreaterThanOrEqual(AUTO_APPROVE_THRESHOLD)
+  })
+
+  it('sends a missing surname to manual review', () => {
+    const score = scoreNameMatch('Ramesh Kumar Sharma', 'Ramesh Kumar')
+    expect(score).toBeGreaterThanOrEqual(MANUAL_REVIEW_THRESHOLD)
+    expect(score).toBeLessThan(AUTO_APPROVE_THRESHOLD)
+  })
+
+  it('rejects initials-only and unrelated names', () => {
+    expect(scoreNameMatch('Ramesh Kumar', 'R K')).toBeLessThan(MANUAL_REVIEW_THRESHOLD)
+    expect(scoreNameMatch('Ramesh Kumar', 'Priya Nair')).toBe(0)
+    expect(scoreNameMatch('Ramesh Kumar', '')).toBe(0)
+  })
+})
+
+describe('verificationStatusForScore', () => {
+  it('maps scores to verification statuses', () => {
+    expect(verificationStatusForScore(AUTO_APPROVE_THRESHOLD)).toBe('verified')
+    expect(verificationStatusForScore(MANUAL_REVIEW_THRESHOLD)).toBe('pending')
+    expect(verificationStatusForScore(MANUAL_REVIEW_THRESHOLD - 1)).toBe('rejected')
+  })
+})
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import {
+  checkTransfer,
+  DEFAULT_OPERATOR_POLICY,
+  findOperatorPolicy,
+  sellerDocuments,
+  TransferBlock
+} from '../../../supabase/functions/_shared/operatorPolicies.ts'
+
+const policy = (overrides) => ({ ...DEFAULT_OPERATOR_POLICY, ...overrides })
+
+const policies = [
+  policy({ operator_id: 'default', name: 'Other operators', cutoff_hours: 6 }),
+  policy({
+    operator_id: 'ksrtc',
+    name: 'KSRTC',
+    aliases: ['Karnataka State Road Transport Corporation'],
+    cutoff_hours: 24,
+    required_documents: ['original_ticket', 'seller_id_proof', 'buyer_id_proof']
+  }),
+  policy({ operator_id: 'msrtc', name: 'MSRTC', transferable: false })
+]
+
+// 10:00 IST on 10 March
+const departure = { departure_date: '2025-03-10', departure_time: '10:00' }
+
+describe('findOperatorPolicy', () => {
+  it('matches the id, name or an alias regardless of case', () => {
+    expect(findOperatorPolicy(policies, 'ksrtc').operator_id).toBe('ksrtc')
+    expect(findOperatorPolicy(policies, ' KSRTC ').operator_id).toBe('ksrtc')
+    expect(findOperatorPolicy(policies, 'karnataka state road transport corporation').operator_id).toBe('ksrtc')
+  })
+
+  it('falls back to the default row, then the built-in default', () => {
+    expect(findOperatorPolicy(policies, 'VRL Travels').cutoff_hours).toBe(6)
+    expect(findOperatorPolicy(policies, null).operator_id).toBe('default')
+    expect(findOperatorPolicy([], 'KSRTC')).toBe(DEFAULT_OPERATOR_POLICY)
+  })
+})
+
+describe('checkTransfer', () => {
+  const ksrtc = policies[1]
+
+  it('allows a transfer up to the cutoff, in Indian time', () => {
+    const check = checkTransfer(ksrtc, departure, new Date('2025-03-09T04:29:00Z'))
+    expect(check.allowed).toBe(true)
+    expect(check.cutoffAt.toISOString()).toBe('2025-03-09T04:30:00.000Z')
+  })
+
+  it('refuses once the cutoff has passed', () => {
+    const check = checkTransfer(ksrtc, departure, new Date('2025-03-09T04:30:00Z'))
+    expect(check.allowed).toBe(false)
+    expect(check.code).toBe(TransferBlock.PAST_CUTOFF)
+    expect(check.reason).toContain('24 hours before departure')
+  })
+
+  it('never allows operators that refuse transfers', () => {
+    const check = checkTransfer(policies[2], departure, new Date('2025-01-01T00:00:00Z'))
+    expect(check.allowed).toBe(false)
+    expect(check.code).toBe(TransferBlock.NOT_TRANSFERABLE)
+    expect(check.cutoffAt).toBeNull()
+  })
+
+  it('treats a missing departure time as midnight', () => {
+    const check = checkTransfer(policy({ cutoff_hours: 0 }), { departure_date: '2025-03-10' }, new Date('2025-03-09T18:29:00Z'))
+    expect(check.allowed).toBe(true)
+  })
+})
+
+describe('sellerDocuments', () => {
+  it('only asks the seller to upload documents, not ID shown in person', () => {
+    expect(sellerDocuments(policies[1])).toEqual(['original_ticket'])
+    expect(sellerDocuments(policy({ required_documents: ['buyer_id_proof'] }))).toEqual([])
+  })
+})
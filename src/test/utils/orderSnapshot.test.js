@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import { calculateFees } from '../../../supabase/functions/_shared/fees.ts'
+import { buildOrderSnapshot, capturedAmountMatches } from '../../../supabase/functions/_shared/payments/transactions.ts'
+
+const fees = calculateFees({ rules: [], promotions: [], gstRate: 18 }, { amount: 1050.5 })
+const order = { orderId: 'order_1', amount: 1050.5, currency: 'INR', clientData: {} }
+const sale = { ticketId: 't1', buyerId: 'b1', sellerId: 's1', fees, expiresAt: '2025-08-19T10:10:00.000Z' }
+
+describe('buildOrderSnapshot', () => {
+  it('records the price, fees and hold expiry the order was created for', () => {
+    const snapshot = buildOrderSnapshot(order, sale, new Date('2025-08-19T10:00:00Z'))
+
+    expect(snapshot).toMatchObject({
+      orderId: 'order_1',
+      listingPrice: 1050.5,
+      amount: 1050.5,
+      currency: 'INR',
+      createdAt: '2025-08-19T10:00:00.000Z',
+      expiresAt: '2025-08-19T10:10:00.000Z'
+    })
+    expect(snapshot.fees.platformFee).toBe(fees.platformFee)
+  })
+})
+
+describe('capturedAmountMatches', () => {
+  const transaction = { amount: 1050.5, order_snapshot: buildOrderSnapshot(order, sale) }
+
+  it('accepts the snapshot amount, ignoring float noise', () => {
+    expect(capturedAmountMatches(transaction, 105050 / 100)).toBe(true)
+    expect(capturedAmountMatches(transaction, 1050.5000000001)).toBe(true)
+  })
+
+  it('rejects any other amount', () => {
+    expect(capturedAmountMatches(transaction, 1)).toBe(false)
+    expect(capturedAmountMatches(transaction, 1050.49)).toBe(false)
+  })
+
+  it('checks the snapshot rather than the editable amount column', () => {
+    expect(capturedAmountMatches({ ...transaction, amount: 1 }, 1)).toBe(false)
+  })
+
+  it('falls back to the amount for transactions without a snapshot', () => {
+    expect(capturedAmountMatches({ amount: 500, order_snapshot: null }, 500)).toBe(true)
+  })
+})
@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest'
+import {
+  toGatewayDestination,
+  validateAccountNumber,
+  validateDestination,
+  validateIfsc,
+  validateVpa,
+  verificationOutcome,
+} from '../../../supabase/functions/_shared/payouts/destinations.ts'
+import { lookupIfsc } from '../../../supabase/functions/_shared/payouts/ifsc.ts'
+import {
+  afterFailedAttempt,
+  MAX_PAYOUT_ATTEMPTS,
+  payoutDestinationFor,
+  retryDelayMs,
+} from '../../../supabase/functions/_shared/payouts/index.ts'
+import { connectedAccountVerification } from '../../../supabase/functions/_shared/payments/stripe.ts'
+
+const MINUTE = 60 * 1000
+
+describe('validateDestination', () => {
+  it('accepts a UPI VPA and a complete bank account', () => {
+    expect(validateDestination({ type: 'vpa', vpa: 'ravi.kumar@okaxis' })).toEqual({})
+    expect(validateDestination({
+      type: 'bank_account',
+      account_number: '50100012345678',
+      ifsc: 'hdfc0001234',
+      account_holder_name: 'Ravi Kumar'
+    })).toEqual({})
+  })
+
+  it('rejects malformed details field by field', () => {
+    expect(validateDestination({ type: 'vpa', vpa: '9876543210' })).toHaveProperty('vpa')
+    expect(Object.keys(validateDestination({
+      type: 'bank_account',
+      account_number: '12-34',
+      ifsc: 'HDFC1234567',
+      account_holder_name: ' '
+    })).sort()).toEqual(['account_holder_name', 'account_number', 'ifsc'])
+    expect(validateDestination({})).toHaveProperty('type')
+  })
+
+  it('normalizes bank details for the gateway and refuses invalid ones', () => {
+    expect(toGatewayDestination({
+      type: 'bank_account',
+      account_number: ' 50100012345678 ',
+      ifsc: 'hdfc0001234',
+      account_holder_name: 'Ravi Kumar'
+    })).toEqual({ type: 'bank_account', accountNumber: '50100012345678', ifsc: 'HDFC0001234', name: 'Ravi Kumar' })
+    expect(() => toGatewayDestination({ type: 'vpa', vpa: 'nope' })).toThrow()
+  })
+
+  it('passes connected accounts to the gateway by account id', () => {
+    expect(toGatewayDestination({ type: 'connected_account', stripe_account_id: 'acct_1PqRsT' }))
+      .toEqual({ type: 'connected_account', accountId: 'acct_1PqRsT' })
+    expect(validateDestination({ type: 'connected_account', stripe_account_id: null })).toHaveProperty('stripe_account_id')
+  })
+})
+
+describe('payoutDestinationFor', () => {
+  const upi = { id: 'd1', type: 'vpa', is_default: true, active: true, verification_status: 'verified' }
+  const bank = { id: 'd2', type: 'bank_account', is_default: false, active: true, verification_status: 'verified' }
+  const stripe = { id: 'd3', type: 'connected_account', is_default: false, active: true, verification_status: 'verified' }
+
+  it('pays the default UPI ID or bank account on the Razorpay rail', () => {
+    expect(payoutDestinationFor('razorpay', [stripe, bank, upi])).toBe(upi)
+    expect(payoutDestinationFor(null, [stripe, upi])).toBe(upi)
+  })
+
+  it('pays the connected account on the Stripe rail', () => {
+    expect(payoutDestinationFor('stripe', [upi, bank, stripe])).toBe(stripe)
+    expect(payoutDestinationFor('stripe', [upi, bank])).toBeNull()
+  })
+
+  it('only pays verified destinations', () => {
+    expect(payoutDestinationFor('razorpay', [{ ...upi, verification_status: 'pending' }, bank])).toBeNull()
+    expect(payoutDestinationFor('stripe', [{ ...stripe, verification_status: 'failed' }])).toBeNull()
+  })
+})
+
+describe('connectedAccountVerification', () => {
+  const account = {
+    id: 'acct_1PqRsT',
+    business_profile: { name: null },
+    individual: { first_name: 'Ravi', last_name: 'Kumar' },
+    details_submitted: true,
+    payouts_enabled: true,
+    capabilities: { transfers: 'active' },
+    requirements: { currently_due: [], disabled_reason: null }
+  }
+
+  it('verifies accounts Stripe can transfer to', () => {
+    expect(connectedAccountVerification(account))
+      .toEqual({ id: 'acct_1PqRsT', status: 'verified', registeredName: 'Ravi Kumar', reason: null })
+  })
+
+  it('waits on onboarding and Stripe review', () => {
+    const unfinished = { ...account, details_submitted: false, payouts_enabled: false, capabilities: { transfers: 'inactive' } }
+    const underReview = { ...account, payouts_enabled: false, capabilities: { transfers: 'pending' } }
+
+    expect(connectedAccountVerification(unfinished)).toMatchObject({ status: 'pending', reason: 'Finish setting up your Stripe account' })
+    expect(connectedAccountVerification(underReview)).toMatchObject({ status: 'pending', reason: 'Stripe is reviewing your account' })
+  })
+
+  it('fails accounts Stripe rejected', () => {
+    expect(connectedAccountVerification({
+      ...account,
+      payouts_enabled: false,
+      requirements: { currently_due: [], disabled_reason: 'rejected.fraud' }
+    }).status).toBe('failed')
+  })
+})
+
+describe('destination details', () => {
+  it('only accepts UPI handles payouts can reach', () => {
+    expect(validateVpa('ravi.kumar@ybl')).toBeNull()
+    expect(validateVpa('ravi.kumar@OKSBI')).toBeNull()
+    expect(validateVpa('ravi.kumar@madeupbank')).toMatch('@madeupbank')
+    expect(validateVpa('ravi kumar@upi')).not.toBeNull()
+  })
+
+  it('looks IFSCs up in the branch list', () => {
+    expect(lookupIfsc('sbin0000001')).toEqual({
+      ifsc: 'SBIN0000001',
+      bankCode: 'SBIN',
+      bank: 'State Bank of India',
+      branchCode: '000001',
+      sponsorBank: null
+    })
+    expect(lookupIfsc('SBIN0999999')).toBeNull()
+    expect(lookupIfsc('SBIN1000001')).toBeNull()
+    expect(validateIfsc('SBIN0999999')).toBe('No bank branch has this IFSC')
+  })
+
+  it('names the member bank for an IFSC issued through a sponsor bank', () => {
+    expect(lookupIfsc('HDFC0CAACOB')).toMatchObject({
+      bankCode: 'AACX',
+      bank: 'Akhand Anand Co.op Bank',
+      branchCode: 'CAACOB',
+      sponsorBank: 'HDFC Bank'
+    })
+  })
+
+  it('checks account numbers against the bank\'s length', () => {
+    expect(validateAccountNumber('123456789012', 'ICIC0000001')).toBeNull()
+    expect(validateAccountNumber('1234567890123', 'ICIC0000001')).toBe('ICICI Bank account numbers are 12 digits')
+    expect(validateAccountNumber('1234567890123', null)).toBeNull()
+    expect(validateAccountNumber('111111111111', 'ICIC0000001')).toBe('Enter your real account number')
+  })
+})
+
+describe('verificationOutcome', () => {
+  const bankAccount = { type: 'bank_account', account_holder_name: 'Ravi Kumar' }
+
+  it('verifies a bank account registered to the holder', () => {
+    expect(verificationOutcome(bankAccount, { id: 'fav_1', status: 'verified', registeredName: 'RAVI KUMAR', reason: null }))
+      .toEqual({ verification_status: 'verified', verified_name: 'RAVI KUMAR', verification_error: null })
+  })
+
+  it('fails a bank account registered to someone else', () => {
+    const outcome = verificationOutcome(bankAccount, { id: 'fav_1', status: 'verified', registeredName: 'SUNITA SHARMA', reason: null })
+
+    expect(outcome.verification_status).toBe('failed')
+    expect(outcome.verification_error).toMatch('SUNITA SHARMA')
+  })
+
+  it('passes pending and failed checks through', () => {
+    expect(verificationOutcome(bankAccount, { id: 'fav_1', status: 'pending', registeredName: null, reason: null }).verification_status)
+      .toBe('pending')
+    expect(verificationOutcome({ type: 'vpa' }, { id: 'fav_1', status: 'failed', registeredName: null, reason: 'Invalid VPA' }))
+      .toEqual({ verification_status: 'failed', verified_name: null, verification_error: 'Invalid VPA' })
+  })
+})
+
+describe('payout retries', () => {
+  it('backs off exponentially from 15 minutes, capped at a day', () => {
+    expect(retryDelayMs(1)).toBe(15 * MINUTE)
+    expect(retryDelayMs(2)).toBe(30 * MINUTE)
+    expect(retryDelayMs(3)).toBe(60 * MINUTE)
+    expect(retryDelayMs(20)).toBe(24 * 60 * MINUTE)
+  })
+
+  it('schedules the next attempt until the attempts run out', () => {
+    const now = new Date('2025-08-20T10:00:00Z')
+
+    expect(afterFailedAttempt(2, now)).toEqual({ status: 'pending', next_attempt_at: '2025-08-20T10:30:00.000Z' })
+    expect(afterFailedAttempt(MAX_PAYOUT_ATTEMPTS, now)).toEqual({ status: 'failed', next_attempt_at: null })
+  })
+})
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest'
+import { createHmac } from 'node:crypto'
+import { verifyWebhookSignature } from '../../../supabase/functions/_shared/payments/razorpay.ts'
+
+const secret = 'whsec_test'
+const body = JSON.stringify({ event: 'payment.captured', payload: { payment: { entity: { id: 'pay_1' } } } })
+const sign = (payload, key = secret) => createHmac('sha256', key).update(payload).digest('hex')
+
+describe('verifyWebhookSignature', () => {
+  it('accepts the HMAC of the raw body', async () => {
+    expect(await verifyWebhookSignature(body, sign(body), secret)).toBe(true)
+  })
+
+  it('rejects a tampered body', async () => {
+    expect(await verifyWebhookSignature(body.replace('pay_1', 'pay_2'), sign(body), secret)).toBe(false)
+  })
+
+  it('rejects a signature made with another secret', async () => {
+    expect(await verifyWebhookSignature(body, sign(body, 'other'), secret)).toBe(false)
+  })
+
+  it('rejects a truncated signature', async () => {
+    expect(await verifyWebhookSignature(body, sign(body).slice(0, 10), secret)).toBe(false)
+  })
+})
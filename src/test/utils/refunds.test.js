@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest'
+import { calculateRefund, calculateVoidRefund } from '../../../supabase/functions/create-razorpay-refund/refunds.ts'
+
+// Buyer paid 1100, of which 100 is the platform fee
+const sale = { amount: 1100, platform_fee: 100, refunded_amount: 0, refunded_commission: 0 }
+
+describe('calculateRefund', () => {
+  it('keeps the commission when the buyer cancels', () => {
+    expect(calculateRefund(sale, 'buyer_cancelled')).toMatchObject({ amount: 1000, commission: 0, full: true })
+  })
+
+  it('returns the commission when the sale fell through on the seller side', () => {
+    expect(calculateRefund(sale, 'seller_cancelled')).toMatchObject({ amount: 1100, commission: 100, full: true })
+  })
+
+  it('returns a proportional share of the commission on a partial refund', () => {
+    expect(calculateRefund(sale, 'dispute', 550)).toMatchObject({ amount: 550, commission: 50, full: false })
+  })
+
+  it('refunds only what is left after earlier refunds', () => {
+    const partlyRefunded = { ...sale, refunded_amount: 550, refunded_commission: 50 }
+    expect(calculateRefund(partlyRefunded, 'dispute')).toMatchObject({ amount: 550, commission: 50, full: true })
+    expect(() => calculateRefund(partlyRefunded, 'dispute', 600)).toThrow()
+  })
+
+  it('caps the total refunded at the policy ceiling, not what is left', () => {
+    const partlyRefunded = { ...sale, refunded_amount: 300, refunded_commission: 0 }
+    expect(calculateRefund(partlyRefunded, 'buyer_cancelled', 200)).toMatchObject({ amount: 200, refundable: 1000 })
+    expect(calculateRefund(partlyRefunded, 'seller_cancelled', 200)).toMatchObject({ amount: 200, refundable: 1100 })
+  })
+
+  it('rejects unknown reasons and non-positive amounts', () => {
+    expect(() => calculateRefund(sale, 'changed_mind')).toThrow()
+    expect(() => calculateRefund(sale, 'other', 0)).toThrow()
+  })
+})
+
+describe('calculateVoidRefund', () => {
+  it('refunds the whole purchase, commission included', () => {
+    expect(calculateVoidRefund(sale)).toMatchObject({ amount: 1100, commission: 100, full: true })
+  })
+
+  it('refunds what was captured when it differs from the order', () => {
+    expect(calculateVoidRefund(sale, 1500)).toMatchObject({ amount: 1500, commission: 100, full: true, refundable: 1500 })
+    expect(calculateVoidRefund(sale, 50)).toMatchObject({ amount: 50, commission: 50 })
+  })
+
+  it('refuses once everything has been refunded', () => {
+    expect(() => calculateVoidRefund({ ...sale, refunded_amount: 1100, refunded_commission: 100 })).toThrow()
+  })
+})
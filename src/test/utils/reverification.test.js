@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest'
+import { isReverificationDue } from '../../../supabase/functions/verify-pnr/reverification.ts'
+
+const ticket = {
+  departure_date: '2025-03-10',
+  departure_time: '20:00',
+  created_at: '2025-03-01T00:00:00Z',
+  last_reverified_at: null
+}
+
+// 2025-03-10 20:00 IST is 14:30 UTC
+const hoursBeforeDeparture = (hours) =>
+  new Date(Date.UTC(2025, 2, 10, 14, 30) - hours * 60 * 60 * 1000)
+
+describe('isReverificationDue', () => {
+  it('is not due before the first checkpoint', () => {
+    expect(isReverificationDue(ticket, hoursBeforeDeparture(80))).toBe(false)
+  })
+
+  it('is due once a checkpoint passes', () => {
+    expect(isReverificationDue(ticket, hoursBeforeDeparture(70))).toBe(true)
+  })
+
+  it('is not due again until the next checkpoint', () => {
+    const checked = { ...ticket, last_reverified_at: hoursBeforeDeparture(70).toISOString() }
+    expect(isReverificationDue(checked, hoursBeforeDeparture(30))).toBe(false)
+    expect(isReverificationDue(checked, hoursBeforeDeparture(20))).toBe(true)
+  })
+})
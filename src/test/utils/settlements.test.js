@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest'
+import {
+  matchSettlement,
+  parseCsv,
+  parseSettlementExport,
+  reconcileSettlement,
+  settlementPeriod,
+  summarizeSettlement,
+  toCsv
+} from '../../utils/settlements'
+
+const razorpayExport = [
+  'entity_id,type,debit,credit,amount,currency,fee,tax,on_hold,settled,created_at,settled_at,settlement_id,description,notes,payment_id,arn,settlement_utr,order_id',
+  'pay_A1,payment,0,980.40,1000,INR,23.60,3.60,0,1,04/08/2025 10:15:00,05/08/2025 09:00:00,setl_1,,"{""ticket"":""t1""}",,,UTR1,order_A1',
+  'pay_B2,payment,0,490.20,500,INR,11.80,1.80,0,1,04/08/2025 23:40:00,05/08/2025 09:00:00,setl_1,,,,,UTR1,order_B2',
+  'rfnd_C3,refund,500,0,500,INR,0,0,0,1,06/08/2025 08:00:00,07/08/2025 09:00:00,setl_2,,,pay_B2,ARN1,UTR2,order_B2'
+].join('\r\n')
+
+const stripeExport = [
+  'balance_transaction_id,created_utc,available_on_utc,currency,gross,fee,net,reporting_category,source_id,description,payment_intent_id',
+  'txn_1,2025-08-04 10:15:00,2025-08-06 00:00:00,inr,1000.00,29.50,970.50,charge,ch_1,,pi_1',
+  'txn_2,2025-08-05 12:00:00,2025-08-07 00:00:00,inr,-950.00,0.00,-950.00,transfer,tr_1,,',
+  'txn_3,2025-08-05 13:00:00,2025-08-07 00:00:00,inr,-2.00,0.00,-2.00,fee,,Connect fee,'
+].join('\n')
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and CRLF line endings', () => {
+    expect(parseCsv('A,b\r\n"x, y","say ""hi"""\r\n\r\n')).toEqual([{ a: 'x, y', b: 'say "hi"' }])
+  })
+})
+
+describe('parseSettlementExport', () => {
+  it('recognises a Razorpay Settlement Recon report', () => {
+    const { gateway, rows } = parseSettlementExport(razorpayExport)
+
+    expect(gateway).toBe('razorpay')
+    expect(rows[0]).toMatchObject({ type: 'payment', paymentId: 'pay_A1', amount: 1000, fee: 23.6 })
+    expect(rows[2]).toMatchObject({ type: 'refund', paymentId: 'pay_B2', amount: 500 })
+    // Razorpay's dd/mm/yyyy times are IST
+    expect(rows[0].date.toISOString()).toBe('2025-08-04T04:45:00.000Z')
+  })
+
+  it('recognises a Stripe itemized balance report', () => {
+    const { gateway, rows } = parseSettlementExport(stripeExport)
+
+    expect(gateway).toBe('stripe')
+    expect(rows.map(row => row.type)).toEqual(['payment', 'transfer', 'fee'])
+    expect(rows[1].amount).toBe(950)
+    expect(rows[0].date.toISOString()).toBe('2025-08-04T10:15:00.000Z')
+  })
+
+  it('rejects other files', () => {
+    expect(() => parseSettlementExport('id,amount\n1,100')).toThrow(/Settlement Recon/)
+  })
+})
+
+describe('settlementPeriod', () => {
+  it('covers whole days from the first row to the last', () => {
+    const { rows } = parseSettlementExport(razorpayExport)
+    const { from, to } = settlementPeriod(rows)
+
+    expect(from.toISOString()).toBe('2025-08-04T00:00:00.000Z')
+    expect(to.toISOString()).toBe('2025-08-07T00:00:00.000Z')
+    expect(settlementPeriod([])).toBeNull()
+  })
+})
+
+describe('reconcileSettlement', () => {
+  it('compares Razorpay totals with the ledger, without payouts', () => {
+    const { rows } = parseSettlementExport(razorpayExport)
+    const lines = reconcileSettlement('razorpay', summarizeSettlement(rows), {
+      gateway: 'razorpay', payments: '1500.00', refunds: '0', gateway_fees: '35.40', payouts: '900'
+    })
+
+    expect(lines.map(line => [line.key, line.difference])).toEqual([
+      ['payments', 0],
+      ['refunds', 500],
+      ['gatewayFees', 0]
+    ])
+  })
+
+  it('counts Stripe transfers and fee rows', () => {
+    const { rows } = parseSettlementExport(stripeExport)
+
+    expect(summarizeSettlement(rows)).toEqual({ payments: 1000, refunds: 0, gatewayFees: 31.5, payouts: 950 })
+    expect(reconcileSettlement('stripe', summarizeSettlement(rows), undefined).map(line => line.ledger))
+      .toEqual([0, 0, 0, 0])
+  })
+})
+
+describe('matchSettlement', () => {
+  const transaction = (overrides) => ({
+    id: 'tx-a',
+    gateway: 'razorpay',
+    razorpay_payment_id: 'pay_A1',
+    payment_intent_id: null,
+    amount: 1000,
+    order_snapshot: null,
+    refunded_amount: 0,
+    status: 'completed',
+    completed_at: '2025-08-04T04:46:00Z',
+    ...overrides
+  })
+
+  it('matches payment and refund lines to transactions', () => {
+    const { rows } = parseSettlementExport(razorpayExport)
+    const result = matchSettlement('razorpay', rows, [
+      transaction(),
+      transaction({ id: 'tx-b', razorpay_payment_id: 'pay_B2', amount: 480, order_snapshot: { amount: 500 }, refunded_amount: 500 })
+    ])
+
+    expect(result).toEqual({ matched: 3, exceptions: [] })
+  })
+
+  it('flags missing, duplicated and mismatched lines', () => {
+    const { rows } = parseSettlementExport(razorpayExport)
+    const repeated = [...rows, rows[0], { ...rows[0], id: 'pay_A1_again' }]
+    const { matched, exceptions } = matchSettlement('razorpay', repeated, [
+      transaction({ amount: 999 }),
+      transaction({ id: 'tx-c', razorpay_payment_id: 'pay_C3', completed_at: '2025-08-05T10:00:00Z' })
+    ])
+
+    expect(matched).toBe(0)
+    expect(exceptions.map(e => [e.kind, e.paymentId, e.transactionId])).toEqual([
+      ['amount_mismatch', 'pay_A1', 'tx-a'],
+      ['missing_from_records', 'pay_B2', null],
+      ['missing_from_records', 'pay_B2', null],
+      ['duplicate', 'pay_A1', 'tx-a'],
+      ['duplicate', 'pay_A1', 'tx-a'],
+      ['missing_from_settlement', 'pay_C3', 'tx-c']
+    ])
+  })
+
+  it('flags refunds beyond what was recorded', () => {
+    const { rows } = parseSettlementExport(razorpayExport)
+    const { exceptions } = matchSettlement('razorpay', rows, [
+      transaction(),
+      transaction({ id: 'tx-b', razorpay_payment_id: 'pay_B2', amount: 500, refunded_amount: 200 })
+    ])
+
+    expect(exceptions).toEqual([expect.objectContaining({
+      kind: 'amount_mismatch', paymentId: 'pay_B2', settlementAmount: 500, recordedAmount: 200
+    })])
+  })
+
+  it('matches Stripe lines by payment intent', () => {
+    const { rows } = parseSettlementExport(stripeExport)
+    const result = matchSettlement('stripe', rows, [
+      transaction({ gateway: 'stripe', razorpay_payment_id: null, payment_intent_id: 'pi_1', completed_at: '2025-08-04T10:16:00Z' })
+    ])
+
+    expect(result).toEqual({ matched: 1, exceptions: [] })
+  })
+})
+
+describe('toCsv', () => {
+  it('quotes fields that need it', () => {
+    const columns = [{ key: 'id', label: 'Id' }, { key: 'detail', label: 'Detail' }]
+
+    expect(toCsv([{ id: 'pay_1', detail: 'Settled ₹1,000, "charged" ₹999' }, { id: null }], columns))
+      .toBe('Id,Detail\r\npay_1,"Settled ₹1,000, ""charged"" ₹999"\r\n,')
+  })
+})
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest'
+import { isTicketOnHold, isTicketPurchasable } from '@/utils/ticketHolds'
+
+const now = new Date('2025-03-10T10:00:00Z')
+
+describe('ticket holds', () => {
+  it('treats an available ticket as purchasable', () => {
+    const ticket = { status: 'available', reserved_until: null }
+    expect(isTicketOnHold(ticket, now)).toBe(false)
+    expect(isTicketPurchasable(ticket, now)).toBe(true)
+  })
+
+  it('blocks purchase while a hold is active', () => {
+    const ticket = { status: 'reserved', reserved_until: '2025-03-10T10:05:00Z' }
+    expect(isTicketOnHold(ticket, now)).toBe(true)
+    expect(isTicketPurchasable(ticket, now)).toBe(false)
+  })
+
+  it('allows purchase once a hold has expired', () => {
+    const ticket = { status: 'reserved', reserved_until: '2025-03-10T09:55:00Z' }
+    expect(isTicketOnHold(ticket, now)).toBe(false)
+    expect(isTicketPurchasable(ticket, now)).toBe(true)
+  })
+
+  it('never allows purchase of a sold ticket', () => {
+    expect(isTicketPurchasable({ status: 'sold' }, now)).toBe(false)
+  })
+})
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest'
+import { countActiveFilters, DEFAULT_SEARCH_FILTERS, toSearchParams } from '../../utils/ticketSearch'
+
+describe('toSearchParams', () => {
+  it('leaves out empty filters', () => {
+    expect(toSearchParams(DEFAULT_SEARCH_FILTERS)).toEqual({
+      p_from: null,
+      p_to: null,
+      p_query: null,
+      p_date_from: null,
+      p_date_to: null,
+      p_min_price: null,
+      p_max_price: null,
+      p_operator: null,
+      p_time_band: null,
+      p_sort: 'departure',
+      p_cursor: null,
+      p_limit: 20
+    })
+  })
+
+  it('passes filters, the cursor and the page size through', () => {
+    const cursor = { price: 450, id: 'ticket-1' }
+    const params = toSearchParams({
+      ...DEFAULT_SEARCH_FILTERS,
+      fromLocation: ' Bangalore ',
+      toLocation: '   ',
+      departureDate: new Date(2025, 7, 24),
+      returnDate: '2025-08-30',
+      minPrice: '0',
+      maxPrice: '1500',
+      operator: 'VRL Travels',
+      timeRange: 'night',
+      sortBy: 'price_low'
+    }, { cursor, limit: 50 })
+
+    expect(params).toMatchObject({
+      p_from: 'Bangalore',
+      p_to: null,
+      p_date_from: '2025-08-24',
+      p_date_to: '2025-08-30',
+      p_min_price: 0,
+      p_max_price: 1500,
+      p_operator: 'VRL Travels',
+      p_time_band: 'night',
+      p_sort: 'price_low',
+      p_cursor: cursor,
+      p_limit: 50
+    })
+  })
+})
+
+describe('countActiveFilters', () => {
+  it('counts narrowing filters but not the sort order', () => {
+    expect(countActiveFilters({ ...DEFAULT_SEARCH_FILTERS, sortBy: 'newest' })).toBe(0)
+    expect(countActiveFilters({ ...DEFAULT_SEARCH_FILTERS, operator: 'SRS', departureDate: new Date() })).toBe(2)
+  })
+})
@@ -35,6 +35,23 @@ export const DatabaseOperations = {
         .select()
         .single();
       
+      // 23505: unique violation on the active PNR + seat index
+      if (error?.code === '23505') {
+        await supabase.rpc('log_listing_conflict', {
+          p_pnr_number: ticketData.pnr_number,
+          p_seat_number: ticketData.seat_number
+        });
+        return {
+          data: null,
+          error: { ...error, code: 'DUPLICATE_LISTING', message: 'This PNR and seat is already listed for sale.' }
+        };
+      }
+
+      // The listing trigger refused it under the operator's transfer policy
+      if (error?.hint === 'OPERATOR_POLICY') {
+        return { data: null, error: { ...error, code: 'OPERATOR_POLICY' } };
+      }
+
       if (error) throw error;
       return { data, error: null };
     } catch (error) {
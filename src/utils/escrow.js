@@ -0,0 +1,62 @@
+/**
+ * Escrow states for enhanced_transactions
+ * Transitions happen server-side (see supabase/functions/release-escrow/escrow.ts);
+ * these helpers only decide what the buyer is offered in the UI.
+ */
+
+export const ESCROW_STATUS = {
+  NONE: 'none',
+  HELD: 'held',
+  RELEASED: 'released',
+  DISPUTED: 'disputed',
+  REFUNDED: 'refunded'
+};
+
+export const ESCROW_STATUS_DETAILS = {
+  [ESCROW_STATUS.HELD]: { label: 'Held in escrow', className: 'bg-yellow-100 text-yellow-800' },
+  [ESCROW_STATUS.RELEASED]: { label: 'Released to seller', className: 'bg-green-100 text-green-800' },
+  [ESCROW_STATUS.DISPUTED]: { label: 'Under review', className: 'bg-orange-100 text-orange-800' },
+  [ESCROW_STATUS.REFUNDED]: { label: 'Refunded', className: 'bg-blue-100 text-blue-800' }
+};
+
+// Matches BOARDING_CONFIRMATION_LEAD_HOURS in the edge function
+const BOARDING_CONFIRMATION_LEAD_HOURS = 1;
+
+// Departure dates and times are stored as Indian local time
+const departureTime = (ticket) =>
+  new Date(`${ticket.departure_date}T${ticket.departure_time || '00:00'}+05:30`);
+
+/**
+ * Check if the buyer can still report a problem with a purchase
+ * @param {Object} transaction - enhanced_transactions row
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isDisputeWindowOpen = (transaction, now = new Date()) =>
+  transaction.escrow_status === ESCROW_STATUS.HELD &&
+  (!transaction.escrow_release_at || new Date(transaction.escrow_release_at) > now);
+
+/**
+ * Check if the buyer can confirm boarding, releasing funds early
+ * @param {Object} transaction - enhanced_transactions row with its ticket
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const canConfirmBoarding = (transaction, now = new Date()) =>
+  transaction.escrow_status === ESCROW_STATUS.HELD &&
+  !!transaction.tickets &&
+  now.getTime() >= departureTime(transaction.tickets).getTime() - BOARDING_CONFIRMATION_LEAD_HOURS * 60 * 60 * 1000;
+
+/**
+ * Check if the seller can still respond to a dispute on their sale
+ * @param {Object|null} dispute - support_tickets row with category 'dispute'
+ * @param {string} userId
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const canRespondToDispute = (dispute, userId, now = new Date()) =>
+  !!dispute &&
+  dispute.respondent_id === userId &&
+  dispute.status === 'open' &&
+  !dispute.responded_at &&
+  (!dispute.response_due_at || new Date(dispute.response_due_at) > now);
@@ -0,0 +1,38 @@
+/**
+ * Platform fees
+ * The calculation is shared with the edge functions that create orders
+ * (supabase/functions/_shared/fees.ts), so what checkout and the sell form
+ * show is what the buyer is charged and the seller receives.
+ */
+import { supabase } from '@/integrations/supabase/client';
+import { calculateFees, loadFeeSchedule } from '../../supabase/functions/_shared/fees.ts';
+
+export { calculateFees };
+
+export const LISTING_TYPES = [
+  { value: 'standard', label: 'Standard' },
+  { value: 'premium', label: 'Premium' },
+  { value: 'urgent', label: 'Urgent' }
+];
+
+/**
+ * Load the active fee rules, promotions and GST rate
+ * @returns {Promise<import('../../supabase/functions/_shared/fees.ts').FeeSchedule>}
+ */
+export const fetchFeeSchedule = () => loadFeeSchedule(supabase);
+
+/**
+ * Describe how a rule's fee is worked out, e.g. "5% + ₹10 (min ₹20)"
+ * @param {Object} rule - fee_rules row
+ * @returns {string}
+ */
+export const describeFeeRule = (rule) => {
+  const parts = [];
+  if (Number(rule.percentage) > 0) parts.push(`${Number(rule.percentage)}%`);
+  if (Number(rule.fixed_fee) > 0) parts.push(`₹${Number(rule.fixed_fee)}`);
+  const caps = [
+    rule.min_fee != null && `min ₹${Number(rule.min_fee)}`,
+    rule.max_fee != null && `max ₹${Number(rule.max_fee)}`
+  ].filter(Boolean);
+  return `${parts.join(' + ') || 'No fee'}${caps.length ? ` (${caps.join(', ')})` : ''}`;
+};
@@ -137,6 +137,55 @@ export const uploadAvatar = async (file) => {
   }
 };
 
+/**
+ * Upload dispute evidence to the private ticket-documents bucket. Files go in
+ * the user's own folder, which is what open-dispute and respond-dispute accept.
+ * @param {File[]} files - Screenshots, photos or PDFs
+ * @param {string} ticketId - The disputed ticket ID
+ * @returns {Promise<{success: boolean, files?: Array<{path: string, name: string, type: string}>, error?: string}>}
+ */
+export const uploadDisputeEvidence = async (files, ticketId) => {
+  try {
+    const maxSize = 10 * 1024 * 1024; // 10MB
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf'];
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw new Error('You must be signed in to upload evidence');
+    }
+
+    const uploaded = [];
+    for (const [index, file] of files.entries()) {
+      if (file.size > maxSize) {
+        throw new Error(`${file.name} exceeds the 10MB limit`);
+      }
+      if (!allowedTypes.includes(file.type)) {
+        throw new Error(`${file.name} must be an image or PDF`);
+      }
+
+      const extension = file.name.split('.').pop();
+      const path = `${user.id}/${ticketId}/dispute_${Date.now()}_${index}.${extension}`;
+      const { error } = await supabase.storage
+        .from('ticket-documents')
+        .upload(path, file, { contentType: file.type });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      uploaded.push({ path, name: file.name, type: file.type });
+    }
+
+    return { success: true, files: uploaded };
+  } catch (error) {
+    console.error('Evidence upload error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 /**
  * Get file from storage
  * @param {string} bucket - The storage bucket name
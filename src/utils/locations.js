@@ -0,0 +1,31 @@
+/**
+ * Canonical locations
+ * Matching is shared with the tickets trigger's rules
+ * (supabase/functions/_shared/locations.ts), so a city picked or typed here
+ * resolves to the same location id the listing gets.
+ */
+import { supabase } from '@/integrations/supabase/client';
+import {
+  loadLocations,
+  normalizeLocationText,
+  resolveLocation,
+  searchLocations
+} from '../../supabase/functions/_shared/locations.ts';
+import { LOCATION_DATASET } from '../../supabase/functions/_shared/locationDataset.ts';
+
+export { LOCATION_DATASET, normalizeLocationText, resolveLocation, searchLocations };
+
+/**
+ * Load every canonical location
+ * @returns {Promise<import('../../supabase/functions/_shared/locations.ts').Location[]>}
+ */
+export const fetchLocations = () => loadLocations(supabase);
+
+/**
+ * Label a ticket's route by its canonical locations, falling back to the
+ * listed text for places that aren't in the catalog
+ * @param {Object} ticket - with from/to_location and, if embedded, from/to location rows
+ * @returns {string}
+ */
+export const routeLabel = (ticket) =>
+  `${ticket.from_canonical?.name ?? ticket.from_location} → ${ticket.to_canonical?.name ?? ticket.to_location}`;
@@ -0,0 +1,33 @@
+/**
+ * Operator transfer policies
+ * The rules are shared with the listing trigger and the edge functions that
+ * create orders (supabase/functions/_shared/operatorPolicies.ts), so the sell
+ * form and checkout show what is enforced.
+ */
+import { supabase } from '@/integrations/supabase/client';
+import {
+  checkTransfer,
+  findOperatorPolicy,
+  loadOperatorPolicies,
+  sellerDocuments,
+  TRANSFER_DOCUMENT_LABELS,
+  TransferBlock
+} from '../../supabase/functions/_shared/operatorPolicies.ts';
+
+export { checkTransfer, findOperatorPolicy, sellerDocuments, TRANSFER_DOCUMENT_LABELS, TransferBlock };
+
+/**
+ * Load every operator's transfer policy, including the default
+ * @returns {Promise<import('../../supabase/functions/_shared/operatorPolicies.ts').OperatorPolicy[]>}
+ */
+export const fetchOperatorPolicies = () => loadOperatorPolicies(supabase);
+
+/**
+ * Describe the name-change fee, e.g. "₹50 charged by KSRTC"
+ * @param {Object} policy - operator_policies row
+ * @returns {string}
+ */
+export const describeNameChangeFee = (policy) =>
+  Number(policy.name_change_fee) > 0
+    ? `₹${Number(policy.name_change_fee)} charged by ${policy.name}`
+    : 'No operator fee';
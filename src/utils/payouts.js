@@ -0,0 +1,69 @@
+/**
+ * Seller payout destinations
+ * Validation is shared with the edge functions that send payouts
+ * (supabase/functions/_shared/payouts/destinations.ts), so the Payment
+ * Settings form rejects exactly what a payout would. It checks IFSCs against
+ * a bundled branch list of about half a megabyte, so it's loaded on demand
+ * rather than with the app.
+ */
+const loadValidation = () => import('../../supabase/functions/_shared/payouts/destinations.ts');
+
+/**
+ * Field-by-field problems with a destination, empty when it can be saved
+ * @param {Object} destination - payout_destinations fields
+ * @returns {Promise<Object<string, string>>}
+ */
+export const validatePayoutDestination = async (destination) =>
+  (await loadValidation()).validateDestination(destination);
+
+/**
+ * The bank and branch an IFSC belongs to, e.g. "State Bank of India, branch
+ * 000001", or null if it isn't a listed branch
+ * @param {string} ifsc
+ * @returns {Promise<string|null>}
+ */
+export const describeIfsc = async (ifsc) => {
+  const { lookupIfsc } = await import('../../supabase/functions/_shared/payouts/ifsc.ts');
+  const details = lookupIfsc(ifsc);
+  if (!details) return null;
+  const sponsor = details.sponsorBank ? ` (through ${details.sponsorBank})` : '';
+  return `${details.bank}, branch ${details.branchCode}${sponsor}`;
+};
+
+/**
+ * Short description of a saved destination, e.g. "name@okaxis",
+ * "HDFC0001234 ••••6789" or "Stripe account"
+ * @param {Object} destination - payout_destinations row
+ * @returns {string}
+ */
+export const describeDestination = (destination) => {
+  switch (destination.type) {
+    case 'vpa':
+      return destination.vpa;
+    case 'connected_account':
+      return 'Stripe account';
+    default:
+      return `${destination.ifsc} ••••${destination.account_number?.slice(-4)}`;
+  }
+};
+
+export const PAYOUT_RAIL_LABELS = {
+  razorpay: 'My default UPI ID or bank account',
+  stripe: 'My Stripe account'
+};
+
+export const PAYOUT_STATUS_LABELS = {
+  pending: 'Waiting to be sent',
+  processing: 'Sent to bank',
+  processed: 'Paid',
+  failed: 'Failed',
+  reversed: 'Returned by bank',
+  cancelled: 'Cancelled'
+};
+
+export const VERIFICATION_LABELS = {
+  unverified: 'Not verified',
+  pending: 'Verifying',
+  verified: 'Verified',
+  failed: 'Verification failed'
+};
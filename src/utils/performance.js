@@ -1,4 +1,5 @@
 // Performance optimization utilities
+import React from 'react';
 
 // Debounce function for search and API calls
 export const debounce = (func, wait, immediate = false) => {
@@ -123,6 +124,6 @@ export const withPerformanceProfiler = (WrappedComponent, componentName) => {
       }
     });
     
-    return <WrappedComponent {...props} ref={ref} />;
+    return React.createElement(WrappedComponent, { ...props, ref });
   }));
 };
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * Refund reasons offered to admins. Mirrors REFUND_POLICIES in
+ * supabase/functions/create-razorpay-refund/refunds.ts, which is what actually
+ * decides whether the platform commission is returned.
+ */
+
+export const REFUND_REASONS = [
+  { value: 'buyer_cancelled', label: 'Buyer cancelled', refundsCommission: false },
+  { value: 'seller_cancelled', label: 'Seller cancelled', refundsCommission: true },
+  { value: 'operator_cancelled', label: 'Operator cancelled the trip', refundsCommission: true },
+  { value: 'invalid_ticket', label: 'Ticket was invalid', refundsCommission: true },
+  { value: 'dispute', label: 'Dispute', refundsCommission: true },
+  { value: 'other', label: 'Other', refundsCommission: false }
+];
+
+/**
+ * Most that can still be refunded on a sale for the given reason
+ * @param {Object} transaction - enhanced_transactions row
+ * @param {string} reason
+ * @returns {number}
+ */
+export const maxRefundable = (transaction, reason) => {
+  const policy = REFUND_REASONS.find(option => option.value === reason);
+  const total = Number(transaction.amount);
+  const refundable = policy?.refundsCommission ? total : total - Number(transaction.platform_fee || 0);
+  return Math.max(0, Math.round((refundable - Number(transaction.refunded_amount || 0)) * 100) / 100);
+};
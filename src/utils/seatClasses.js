@@ -0,0 +1,21 @@
+/**
+ * Seat classes
+ * Public listings show the class of seat instead of the seat number; the
+ * values match the tickets.seat_class check constraint.
+ */
+
+export const SEAT_CLASSES = [
+  { value: 'seater', label: 'Seater' },
+  { value: 'semi_sleeper', label: 'Semi-sleeper' },
+  { value: 'sleeper', label: 'Sleeper' },
+  { value: 'ac_seater', label: 'AC Seater' },
+  { value: 'ac_sleeper', label: 'AC Sleeper' }
+];
+
+/**
+ * Label for a seat class, or null when the seller didn't give one
+ * @param {string|null|undefined} value
+ * @returns {string|null}
+ */
+export const seatClassLabel = (value) =>
+  SEAT_CLASSES.find(seatClass => seatClass.value === value)?.label ?? null;
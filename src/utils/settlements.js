@@ -0,0 +1,323 @@
+/**
+ * Gateway settlement exports
+ * Reads the settlement files admins download from the gateways, so they can
+ * be reconciled against the ledger and matched line by line to our
+ * transactions:
+ * - Razorpay: Reports → Settlement Recon (one row per payment, refund or
+ *   adjustment, with fee and tax)
+ * - Stripe: Reports → Balance → Itemized balance change from activity
+ * Amounts are in rupees.
+ */
+
+const roundRupees = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Parse CSV text into one object per row, keyed by lower-cased header
+ * @param {string} text
+ * @returns {Object<string, string>[]}
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(row => row.some(value => value.trim()));
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim().toLowerCase());
+  return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, (row[index] ?? '').trim()])));
+};
+
+// Razorpay writes dates as epoch seconds, dd/mm/yyyy hh:mm:ss or ISO
+// depending on the report; Stripe writes UTC without a zone
+const parseDate = (value) => {
+  if (/^\d{10}$/.test(value)) return new Date(Number(value) * 1000);
+
+  const dayFirst = value.match(/^(\d{2})\/(\d{2})\/(\d{4})(?:\s+(\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (dayFirst) {
+    const [, day, month, year, hours = '00', minutes = '00', seconds = '00'] = dayFirst;
+    return new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}+05:30`);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(value)) return new Date(`${value.replace(' ', 'T')}Z`);
+  return new Date(value);
+};
+
+const amount = (value) => Number(String(value ?? '').replace(/,/g, '')) || 0;
+
+const STRIPE_TYPES = {
+  charge: 'payment',
+  payment: 'payment',
+  refund: 'refund',
+  transfer: 'transfer',
+  payout: 'payout',
+  fee: 'fee'
+};
+
+const razorpayRow = (row) => ({
+  id: row.entity_id,
+  type: row.type === 'payment' || row.type === 'refund' ? row.type : 'other',
+  paymentId: row.type === 'payment' ? row.entity_id : row.payment_id || null,
+  orderId: row.order_id || null,
+  amount: Math.abs(amount(row.amount)),
+  fee: amount(row.fee),
+  date: parseDate(row.created_at)
+});
+
+const stripeRow = (row) => ({
+  id: row.balance_transaction_id,
+  type: STRIPE_TYPES[row.reporting_category] ?? 'other',
+  paymentId: row.payment_intent_id || null,
+  orderId: row.payment_intent_id || null,
+  amount: Math.abs(amount(row.gross)),
+  fee: amount(row.fee),
+  date: parseDate(row.created_utc)
+});
+
+/**
+ * Read a settlement export and work out which gateway it came from
+ * @param {string} text - CSV contents
+ * @returns {{ gateway: string, rows: Object[] }}
+ */
+export const parseSettlementExport = (text) => {
+  const records = parseCsv(text);
+  const columns = Object.keys(records[0] ?? {});
+
+  if (columns.includes('entity_id') && columns.includes('settlement_id')) {
+    return { gateway: 'razorpay', rows: records.map(razorpayRow) };
+  }
+  if (columns.includes('balance_transaction_id') && columns.includes('reporting_category')) {
+    return { gateway: 'stripe', rows: records.map(stripeRow) };
+  }
+
+  throw new Error('Upload a Razorpay Settlement Recon or Stripe itemized balance report (CSV)');
+};
+
+/**
+ * The whole days a set of settlement rows covers, as [from, to)
+ * @param {Object[]} rows - from parseSettlementExport
+ * @returns {{ from: Date, to: Date } | null}
+ */
+export const settlementPeriod = (rows) => {
+  const times = rows.map(row => row.date.getTime()).filter(Number.isFinite);
+  if (times.length === 0) return null;
+
+  const from = new Date(Math.min(...times));
+  from.setUTCHours(0, 0, 0, 0);
+  const to = new Date(Math.max(...times));
+  to.setUTCHours(24, 0, 0, 0);
+  return { from, to };
+};
+
+/**
+ * Totals in the terms of the ledger's gateway report
+ * @param {Object[]} rows - from parseSettlementExport
+ * @returns {{ payments: number, refunds: number, gatewayFees: number, payouts: number }}
+ */
+export const summarizeSettlement = (rows) => {
+  const totals = { payments: 0, refunds: 0, gatewayFees: 0, payouts: 0 };
+
+  for (const row of rows) {
+    if (row.type === 'payment') totals.payments += row.amount;
+    if (row.type === 'refund') totals.refunds += row.amount;
+    if (row.type === 'transfer') totals.payouts += row.amount;
+    totals.gatewayFees += row.type === 'fee' ? row.amount : row.fee;
+  }
+
+  return Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, roundRupees(value)]));
+};
+
+const RECONCILIATION_LINES = [
+  { key: 'payments', label: 'Payments captured' },
+  { key: 'refunds', label: 'Refunds paid' },
+  { key: 'gatewayFees', label: 'Gateway fees' },
+  // RazorpayX payouts aren't in Razorpay's settlement report
+  { key: 'payouts', label: 'Transfers to sellers', gateways: ['stripe'] }
+];
+
+/**
+ * Line-by-line comparison of a settlement export with the ledger
+ * @param {string} gateway
+ * @param {Object} settlement - from summarizeSettlement
+ * @param {Object} [ledger] - the gateway's ledger_gateway_totals row
+ * @returns {{ key: string, label: string, settlement: number, ledger: number, difference: number }[]}
+ */
+export const reconcileSettlement = (gateway, settlement, ledger) =>
+  RECONCILIATION_LINES
+    .filter(line => !line.gateways || line.gateways.includes(gateway))
+    .map(line => {
+      const ledgerAmount = Number(ledger?.[line.key === 'gatewayFees' ? 'gateway_fees' : line.key] ?? 0);
+      return {
+        key: line.key,
+        label: line.label,
+        settlement: settlement[line.key],
+        ledger: ledgerAmount,
+        difference: roundRupees(settlement[line.key] - ledgerAmount)
+      };
+    });
+
+export const EXCEPTION_LABELS = {
+  missing_from_records: 'Not in our records',
+  missing_from_settlement: 'Not in settlement',
+  duplicate: 'Duplicate',
+  amount_mismatch: 'Amount mismatch'
+};
+
+/**
+ * The enhanced_transactions column a gateway's settlement rows refer to
+ * @param {string} gateway
+ * @returns {string}
+ */
+export const settlementPaymentColumn = (gateway) =>
+  gateway === 'stripe' ? 'payment_intent_id' : 'razorpay_payment_id';
+
+// What the buyer was charged, as capturedAmountMatches in the edge functions
+const chargedAmount = (transaction) => Number(transaction.order_snapshot?.amount ?? transaction.amount);
+
+/**
+ * Match settlement rows to our transactions, line by line
+ * @param {string} gateway
+ * @param {Object[]} rows - from parseSettlementExport
+ * @param {Object[]} transactions - enhanced_transactions rows: those the
+ *   export refers to, plus those completed in the period it covers
+ * @returns {{ matched: number, exceptions: Object[] }} an exception is
+ *   { kind, id, paymentId, transactionId, settlementAmount, recordedAmount, detail }
+ */
+export const matchSettlement = (gateway, rows, transactions) => {
+  const column = settlementPaymentColumn(gateway);
+  const byPayment = new Map(transactions.filter(t => t[column]).map(t => [t[column], t]));
+  const seenRows = new Set();
+  const settledPayments = new Set();
+  const refundTotals = new Map();
+  const exceptions = [];
+  let matched = 0;
+
+  const flag = (kind, row, transaction, detail, recordedAmount = transaction ? chargedAmount(transaction) : null) =>
+    exceptions.push({
+      kind,
+      id: row?.id ?? null,
+      paymentId: row?.paymentId ?? transaction?.[column] ?? null,
+      transactionId: transaction?.id ?? null,
+      settlementAmount: row?.amount ?? null,
+      recordedAmount,
+      detail
+    });
+
+  for (const row of rows) {
+    if (row.type !== 'payment' && row.type !== 'refund') continue;
+
+    // The same line twice, e.g. from overlapping exports pasted together
+    if (seenRows.has(row.id)) {
+      flag('duplicate', row, byPayment.get(row.paymentId), 'This line appears more than once in the export');
+      continue;
+    }
+    seenRows.add(row.id);
+
+    const transaction = byPayment.get(row.paymentId);
+    if (!transaction) {
+      flag('missing_from_records', row, null, `No transaction has this ${row.type === 'refund' ? 'refund\'s payment' : 'payment'}`);
+      continue;
+    }
+
+    if (row.type === 'refund') {
+      refundTotals.set(row.paymentId, (refundTotals.get(row.paymentId) ?? 0) + row.amount);
+      matched++;
+      continue;
+    }
+
+    if (settledPayments.has(row.paymentId)) {
+      flag('duplicate', row, transaction, 'The gateway settled this payment more than once');
+      continue;
+    }
+    settledPayments.add(row.paymentId);
+
+    if (Math.round(row.amount * 100) !== Math.round(chargedAmount(transaction) * 100)) {
+      flag('amount_mismatch', row, transaction, `Settled ₹${row.amount}, charged ₹${chargedAmount(transaction)}`);
+      continue;
+    }
+    matched++;
+  }
+
+  // An export may not reach back to earlier refunds, so only more than we
+  // refunded is a problem
+  for (const [paymentId, refunded] of refundTotals) {
+    const transaction = byPayment.get(paymentId);
+    const recorded = Number(transaction.refunded_amount ?? 0);
+    if (Math.round(refunded * 100) > Math.round(recorded * 100)) {
+      flag('amount_mismatch', { id: null, paymentId, amount: roundRupees(refunded) }, transaction,
+        `Refunded ₹${roundRupees(refunded)}, we recorded ₹${recorded}`, recorded);
+    }
+  }
+
+  const period = settlementPeriod(rows);
+  for (const transaction of transactions) {
+    const completedAt = transaction.completed_at ? new Date(transaction.completed_at) : null;
+    if (transaction.gateway !== gateway || !completedAt || !period) continue;
+    if (completedAt < period.from || completedAt >= period.to) continue;
+    if (!settledPayments.has(transaction[column])) {
+      flag('missing_from_settlement', null, transaction, 'Completed in this period but not in the export');
+    }
+  }
+
+  return { matched, exceptions };
+};
+
+const csvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows out as CSV
+ * @param {Object[]} rows
+ * @param {{ key: string, label: string }[]} columns
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) => [
+  columns.map(column => csvField(column.label)).join(','),
+  ...rows.map(row => columns.map(column => csvField(row[column.key])).join(','))
+].join('\r\n');
+
+export const EXCEPTION_COLUMNS = [
+  { key: 'kind', label: 'Exception' },
+  { key: 'id', label: 'Settlement line' },
+  { key: 'paymentId', label: 'Payment' },
+  { key: 'transactionId', label: 'Transaction' },
+  { key: 'settlementAmount', label: 'Settlement amount' },
+  { key: 'recordedAmount', label: 'Recorded amount' },
+  { key: 'detail', label: 'Detail' }
+];
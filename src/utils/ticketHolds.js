@@ -0,0 +1,29 @@
+/**
+ * Purchase holds
+ * create-razorpay-order moves a ticket to `reserved` for one buyer until
+ * `reserved_until`. Expired holds are put back on sale by the database every
+ * minute; until then they count as available.
+ */
+
+// Statuses buyers can see in listings
+export const LISTED_TICKET_STATUSES = ['available', 'reserved'];
+
+/**
+ * Check if another buyer is currently paying for a ticket
+ * @param {Object} ticket
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isTicketOnHold = (ticket, now = new Date()) =>
+  ticket?.status === 'reserved' &&
+  !!ticket.reserved_until &&
+  new Date(ticket.reserved_until) > now;
+
+/**
+ * Check if a ticket can be bought right now
+ * @param {Object} ticket
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isTicketPurchasable = (ticket, now = new Date()) =>
+  LISTED_TICKET_STATUSES.includes(ticket?.status) && !isTicketOnHold(ticket, now);
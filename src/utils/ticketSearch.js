@@ -0,0 +1,95 @@
+/**
+ * Ticket search
+ * Listings are filtered, sorted and paged in the database by the
+ * search_tickets RPC; the filter forms only hold the filters and turn them
+ * into its arguments here.
+ */
+import { format } from 'date-fns';
+import { supabase } from '@/integrations/supabase/client';
+
+export const SEARCH_PAGE_SIZE = 20;
+
+export const TIME_BANDS = [
+  { value: 'morning', label: 'Morning (6 AM - 12 PM)' },
+  { value: 'afternoon', label: 'Afternoon (12 PM - 6 PM)' },
+  { value: 'evening', label: 'Evening (6 PM - 12 AM)' },
+  { value: 'night', label: 'Night (12 AM - 6 AM)' }
+];
+
+export const SEARCH_SORTS = [
+  { value: 'departure', label: 'Departure' },
+  { value: 'price_low', label: 'Price: Low to High' },
+  { value: 'price_high', label: 'Price: High to Low' },
+  { value: 'newest', label: 'Recently Listed' }
+];
+
+export const DEFAULT_SEARCH_FILTERS = {
+  searchQuery: '',
+  fromLocation: '',
+  toLocation: '',
+  minPrice: '',
+  maxPrice: '',
+  departureDate: '',
+  returnDate: '',
+  operator: '',
+  timeRange: '',
+  sortBy: 'departure'
+};
+
+const text = (value) => (typeof value === 'string' && value.trim()) || null;
+
+const price = (value) =>
+  value === '' || value == null || Number.isNaN(Number(value)) ? null : Number(value);
+
+// Date pickers give Dates, date inputs give yyyy-MM-dd
+const day = (value) => (value instanceof Date ? format(value, 'yyyy-MM-dd') : text(value));
+
+/**
+ * Count the filters that narrow the results (sorting doesn't)
+ * @param {Object} filters
+ * @returns {number}
+ */
+export const countActiveFilters = (filters) =>
+  Object.keys(DEFAULT_SEARCH_FILTERS)
+    .filter(key => key !== 'sortBy' && filters[key] !== '' && filters[key] != null)
+    .length;
+
+/**
+ * Arguments for the search_tickets RPC
+ * @param {Object} filters - shaped like DEFAULT_SEARCH_FILTERS
+ * @param {{ cursor?: Object|null, limit?: number }} [page]
+ * @returns {Object}
+ */
+export const toSearchParams = (filters, { cursor = null, limit = SEARCH_PAGE_SIZE } = {}) => ({
+  p_from: text(filters.fromLocation),
+  p_to: text(filters.toLocation),
+  p_query: text(filters.searchQuery),
+  p_date_from: day(filters.departureDate),
+  p_date_to: day(filters.returnDate),
+  p_min_price: price(filters.minPrice),
+  p_max_price: price(filters.maxPrice),
+  p_operator: text(filters.operator),
+  p_time_band: text(filters.timeRange),
+  p_sort: filters.sortBy || DEFAULT_SEARCH_FILTERS.sortBy,
+  p_cursor: cursor,
+  p_limit: limit
+});
+
+/**
+ * Fetch one page of listed tickets
+ * @param {Object} filters - shaped like DEFAULT_SEARCH_FILTERS
+ * @param {{ cursor?: Object|null, limit?: number }} [page]
+ * @returns {Promise<{ items: Object[], nextCursor: Object|null, total: number|null, facets: Object|null }>}
+ *   total and facets come with the first page only
+ */
+export const searchTickets = async (filters, page) => {
+  const { data, error } = await supabase.rpc('search_tickets', toSearchParams(filters, page));
+  if (error) throw error;
+
+  return {
+    items: data?.items || [],
+    nextCursor: data?.next_cursor ?? null,
+    total: data?.total ?? null,
+    facets: data?.facets ?? null
+  };
+};
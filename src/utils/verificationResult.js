@@ -0,0 +1,98 @@
+/**
+ * Ticket verification result model
+ * Error codes returned by the verify-pnr edge function and the safe,
+ * user-facing message for each. Never build messages from provider data.
+ */
+
+export const VERIFICATION_ERRORS = {
+  INVALID_PNR_FORMAT: 'INVALID_PNR_FORMAT',
+  PNR_NOT_FOUND: 'PNR_NOT_FOUND',
+  NAME_MISMATCH: 'NAME_MISMATCH',
+  PROVIDER_TIMEOUT: 'PROVIDER_TIMEOUT',
+  PROVIDER_UNAVAILABLE: 'PROVIDER_UNAVAILABLE',
+  VERIFICATION_DISABLED: 'VERIFICATION_DISABLED',
+  VERIFICATION_FAILED: 'VERIFICATION_FAILED'
+};
+
+/**
+ * Verification modes, set with PNR_VERIFICATION_MODE on the verify-pnr function
+ */
+export const VERIFICATION_MODES = {
+  live: {
+    label: 'Live',
+    description: 'PNRs are checked with the bus operators. Failures stay pending until retried.'
+  },
+  fixture: {
+    label: 'Fixture',
+    description: 'PNRs are checked against verify-pnr/fixtures.json. For local development and tests only.'
+  },
+  disabled: {
+    label: 'Disabled',
+    description: 'PNR verification is turned off. New listings cannot be verified.'
+  }
+};
+
+const ERROR_DETAILS = {
+  [VERIFICATION_ERRORS.INVALID_PNR_FORMAT]: {
+    title: 'Invalid PNR',
+    message: 'PNR numbers are 6 to 15 letters and digits. Please check and try again.',
+    retryable: false
+  },
+  [VERIFICATION_ERRORS.PNR_NOT_FOUND]: {
+    title: 'PNR Not Found',
+    message: "We couldn't find this PNR with the operator. Please check the PNR and operator.",
+    retryable: false
+  },
+  [VERIFICATION_ERRORS.NAME_MISMATCH]: {
+    title: 'Passenger Name Mismatch',
+    message: "The passenger name doesn't match this booking. Enter the name exactly as printed on the ticket.",
+    retryable: false
+  },
+  [VERIFICATION_ERRORS.PROVIDER_TIMEOUT]: {
+    title: 'Operator Not Responding',
+    message: 'The bus operator took too long to respond. Please try again in a few minutes.',
+    retryable: true
+  },
+  [VERIFICATION_ERRORS.PROVIDER_UNAVAILABLE]: {
+    title: 'Operator Unavailable',
+    message: "We can't reach the bus operator right now. Please try again later.",
+    retryable: true
+  },
+  [VERIFICATION_ERRORS.VERIFICATION_DISABLED]: {
+    title: 'Verification Paused',
+    message: 'Ticket verification is temporarily turned off. Please try again later.',
+    retryable: false
+  },
+  [VERIFICATION_ERRORS.VERIFICATION_FAILED]: {
+    title: 'Verification Failed',
+    message: 'Something went wrong while verifying your ticket. Please try again.',
+    retryable: true
+  }
+};
+
+/**
+ * Get the user-facing title, message and retry hint for an error code
+ * @param {string} code
+ * @returns {{title: string, message: string, retryable: boolean}}
+ */
+export const getVerificationError = (code) =>
+  ERROR_DETAILS[code] || ERROR_DETAILS[VERIFICATION_ERRORS.VERIFICATION_FAILED];
+
+/**
+ * Build a failed verification result from an error code. Retryable failures
+ * are `pending`: the ticket wasn't rejected, the check just didn't complete.
+ * @param {string} code
+ * @param {Object} [extra] - confidence, apiProvider, and admin-only debug detail
+ * @returns {{isValid: false, pending: boolean, code: string, error: string, retryable: boolean}}
+ */
+export const verificationFailure = (code, extra = {}) => {
+  const { message, retryable } = getVerificationError(code);
+  return {
+    isValid: false,
+    pending: retryable,
+    code: ERROR_DETAILS[code] ? code : VERIFICATION_ERRORS.VERIFICATION_FAILED,
+    error: message,
+    retryable,
+    ...extra
+  };
+};
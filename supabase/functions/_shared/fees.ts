@@ -0,0 +1,195 @@
+/**
+ * Platform fee engine. Fees come from admin-edited rules in fee_rules: a
+ * percentage plus a fixed fee, clamped to optional min/max caps. A rule can
+ * be limited to a listing type, an operator or both, and the most specific
+ * matching rule wins. GST from fee_settings is charged on top of the fee,
+ * and an active fee_promotions window waives both.
+ *
+ * The buyer pays the listing price; the fee and its GST come out of the
+ * seller's share. The browser imports calculateFees from here too so the
+ * breakdown it shows is the one that gets charged.
+ */
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+
+export interface FeeRule {
+  id: string | null;
+  name: string;
+  listing_type: string | null;
+  bus_operator: string | null;
+  percentage: number;
+  fixed_fee: number;
+  min_fee: number | null;
+  max_fee: number | null;
+  active?: boolean;
+  updated_at?: string | null;
+}
+
+export interface FeePromotion {
+  id: string;
+  name: string;
+  listing_type: string | null;
+  bus_operator: string | null;
+  starts_at: string;
+  ends_at: string;
+  active?: boolean;
+}
+
+export interface FeeSchedule {
+  rules: FeeRule[];
+  promotions: FeePromotion[];
+  gstRate: number;
+}
+
+export interface FeeInput {
+  amount: number;
+  listingType?: string | null;
+  busOperator?: string | null;
+  at?: Date;
+}
+
+export interface FeeBreakdown {
+  amount: number;
+  ruleId: string | null;
+  ruleName: string;
+  percentage: number;
+  fixedFee: number;
+  fee: number;
+  gstRate: number;
+  gst: number;
+  // fee + gst, what's recorded as the transaction's platform_fee
+  platformFee: number;
+  sellerAmount: number;
+  promotion: { id: string; name: string } | null;
+}
+
+// Used until an admin has saved a default rule
+export const DEFAULT_FEE_RULE: FeeRule = {
+  id: null,
+  name: "Standard",
+  listing_type: null,
+  bus_operator: null,
+  percentage: 5,
+  fixed_fee: 0,
+  min_fee: null,
+  max_fee: null,
+};
+
+export const DEFAULT_GST_RATE = 18;
+
+const roundRupees = (value: number) => Math.round(value * 100) / 100;
+
+const normalize = (value: string | null | undefined) => value?.trim().toLowerCase() || null;
+
+// A rule or promotion applies when each field it sets matches the listing
+const matches = (
+  scope: { listing_type: string | null; bus_operator: string | null },
+  listingType: string | null,
+  busOperator: string | null
+) =>
+  (!scope.listing_type || normalize(scope.listing_type) === listingType) &&
+  (!scope.bus_operator || normalize(scope.bus_operator) === busOperator);
+
+// An operator override beats a listing-type override, which beats the default
+const specificity = (rule: FeeRule) => (rule.bus_operator ? 2 : 0) + (rule.listing_type ? 1 : 0);
+
+export const selectFeeRule = (rules: FeeRule[], listingType?: string | null, busOperator?: string | null) => {
+  const type = normalize(listingType) ?? "standard";
+  const operator = normalize(busOperator);
+
+  const candidates = rules
+    .filter(rule => rule.active !== false && matches(rule, type, operator))
+    .sort((a, b) =>
+      specificity(b) - specificity(a) ||
+      new Date(b.updated_at ?? 0).getTime() - new Date(a.updated_at ?? 0).getTime()
+    );
+
+  return candidates[0] ?? DEFAULT_FEE_RULE;
+};
+
+export const activePromotion = (
+  promotions: FeePromotion[],
+  listingType?: string | null,
+  busOperator?: string | null,
+  at = new Date()
+) => {
+  const type = normalize(listingType) ?? "standard";
+  const operator = normalize(busOperator);
+
+  return promotions.find(promotion =>
+    promotion.active !== false &&
+    new Date(promotion.starts_at) <= at &&
+    new Date(promotion.ends_at) > at &&
+    matches(promotion, type, operator)
+  ) ?? null;
+};
+
+export const calculateFees = (schedule: FeeSchedule, input: FeeInput): FeeBreakdown => {
+  const amount = roundRupees(Number(input.amount));
+  if (!(amount > 0)) {
+    throw new Error("Amount must be greater than zero");
+  }
+
+  const rule = selectFeeRule(schedule.rules, input.listingType, input.busOperator);
+  const promotion = activePromotion(schedule.promotions, input.listingType, input.busOperator, input.at);
+  const gstRate = Number(schedule.gstRate ?? DEFAULT_GST_RATE);
+
+  let fee = 0;
+  if (!promotion) {
+    fee = amount * Number(rule.percentage) / 100 + Number(rule.fixed_fee ?? 0);
+    if (rule.min_fee != null) fee = Math.max(fee, Number(rule.min_fee));
+    if (rule.max_fee != null) fee = Math.min(fee, Number(rule.max_fee));
+  }
+
+  // The seller can never owe more than the sale brings in. Rounding the
+  // capped fee down keeps fee + GST within the amount after rounding.
+  const maxFee = Math.floor(amount / (1 + gstRate / 100) * 100) / 100;
+  fee = roundRupees(Math.min(fee, maxFee));
+  const gst = Math.min(roundRupees(fee * gstRate / 100), roundRupees(amount - fee));
+  const platformFee = roundRupees(fee + gst);
+
+  return {
+    amount,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    percentage: Number(rule.percentage),
+    fixedFee: Number(rule.fixed_fee ?? 0),
+    fee,
+    gstRate,
+    gst,
+    platformFee,
+    sellerAmount: roundRupees(amount - platformFee),
+    promotion: promotion ? { id: promotion.id, name: promotion.name } : null,
+  };
+};
+
+export const loadFeeSchedule = async (supabaseClient: SupabaseClient): Promise<FeeSchedule> => {
+  const [rules, promotions, settings] = await Promise.all([
+    supabaseClient.from("fee_rules").select("*").eq("active", true),
+    supabaseClient.from("fee_promotions").select("*").eq("active", true),
+    supabaseClient.from("fee_settings").select("gst_rate").maybeSingle(),
+  ]);
+
+  if (rules.error || promotions.error) {
+    throw new Error("Failed to load fee rules");
+  }
+
+  return {
+    rules: rules.data ?? [],
+    promotions: promotions.data ?? [],
+    gstRate: settings.data?.gst_rate ?? DEFAULT_GST_RATE,
+  };
+};
+
+/**
+ * Fees for buying a ticket right now, from its listing price
+ */
+export const quoteTicketFees = async (
+  supabaseClient: SupabaseClient,
+  ticket: { selling_price: number; listing_type?: string | null; bus_operator?: string | null }
+) =>
+  calculateFees(await loadFeeSchedule(supabaseClient), {
+    amount: ticket.selling_price,
+    listingType: ticket.listing_type,
+    busOperator: ticket.bus_operator,
+  });
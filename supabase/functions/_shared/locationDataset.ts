@@ -0,0 +1,105 @@
+/**
+ * Canonical bus locations
+ *
+ * Cities with their state, coordinates and the other names tickets use for
+ * them: old names, short codes and the main bus stands. The locations
+ * migration seeds public.locations from these rows, and the browser bundles
+ * them so autocomplete works before the table has loaded.
+ */
+
+import type { Location } from "./locations.ts";
+
+export const LOCATION_DATASET: Location[] = [
+  // Karnataka
+  { id: "bengaluru", name: "Bengaluru", state: "Karnataka", aliases: ["Bangalore", "BLR", "Majestic", "Kempegowda Bus Station", "Shanti Nagar"], latitude: 12.9716, longitude: 77.5946 },
+  { id: "mysuru", name: "Mysuru", state: "Karnataka", aliases: ["Mysore"], latitude: 12.2958, longitude: 76.6394 },
+  { id: "mangaluru", name: "Mangaluru", state: "Karnataka", aliases: ["Mangalore", "Kudla"], latitude: 12.9141, longitude: 74.8560 },
+  { id: "hubballi", name: "Hubballi", state: "Karnataka", aliases: ["Hubli", "Hubli-Dharwad"], latitude: 15.3647, longitude: 75.1240 },
+  { id: "belagavi", name: "Belagavi", state: "Karnataka", aliases: ["Belgaum"], latitude: 15.8497, longitude: 74.4977 },
+  { id: "davanagere", name: "Davanagere", state: "Karnataka", aliases: ["Davangere"], latitude: 14.4644, longitude: 75.9218 },
+  { id: "hassan", name: "Hassan", state: "Karnataka", aliases: [], latitude: 13.0033, longitude: 76.1004 },
+  { id: "shivamogga", name: "Shivamogga", state: "Karnataka", aliases: ["Shimoga"], latitude: 13.9299, longitude: 75.5681 },
+  { id: "udupi", name: "Udupi", state: "Karnataka", aliases: [], latitude: 13.3409, longitude: 74.7421 },
+  { id: "kalaburagi", name: "Kalaburagi", state: "Karnataka", aliases: ["Gulbarga"], latitude: 17.3297, longitude: 76.8343 },
+  { id: "ballari", name: "Ballari", state: "Karnataka", aliases: ["Bellary"], latitude: 15.1394, longitude: 76.9214 },
+  // Kerala
+  { id: "thiruvananthapuram", name: "Thiruvananthapuram", state: "Kerala", aliases: ["Trivandrum", "TVM", "Thampanoor"], latitude: 8.5241, longitude: 76.9366 },
+  { id: "kochi", name: "Kochi", state: "Kerala", aliases: ["Cochin", "Ernakulam", "Vyttila"], latitude: 9.9312, longitude: 76.2673 },
+  { id: "kozhikode", name: "Kozhikode", state: "Kerala", aliases: ["Calicut"], latitude: 11.2588, longitude: 75.7804 },
+  { id: "thrissur", name: "Thrissur", state: "Kerala", aliases: ["Trichur"], latitude: 10.5276, longitude: 76.2144 },
+  { id: "kannur", name: "Kannur", state: "Kerala", aliases: ["Cannanore"], latitude: 11.8745, longitude: 75.3704 },
+  { id: "palakkad", name: "Palakkad", state: "Kerala", aliases: ["Palghat"], latitude: 10.7867, longitude: 76.6548 },
+  // Tamil Nadu
+  { id: "chennai", name: "Chennai", state: "Tamil Nadu", aliases: ["Madras", "MAA", "Koyambedu", "CMBT", "Kilambakkam"], latitude: 13.0827, longitude: 80.2707 },
+  { id: "coimbatore", name: "Coimbatore", state: "Tamil Nadu", aliases: ["Kovai", "CBE", "Gandhipuram"], latitude: 11.0168, longitude: 76.9558 },
+  { id: "madurai", name: "Madurai", state: "Tamil Nadu", aliases: ["Mattuthavani"], latitude: 9.9252, longitude: 78.1198 },
+  { id: "tiruchirappalli", name: "Tiruchirappalli", state: "Tamil Nadu", aliases: ["Trichy", "Tiruchi"], latitude: 10.7905, longitude: 78.7047 },
+  { id: "salem", name: "Salem", state: "Tamil Nadu", aliases: [], latitude: 11.6643, longitude: 78.1460 },
+  { id: "tirunelveli", name: "Tirunelveli", state: "Tamil Nadu", aliases: ["Nellai"], latitude: 8.7139, longitude: 77.7567 },
+  { id: "vellore", name: "Vellore", state: "Tamil Nadu", aliases: [], latitude: 12.9165, longitude: 79.1325 },
+  { id: "erode", name: "Erode", state: "Tamil Nadu", aliases: [], latitude: 11.3410, longitude: 77.7172 },
+  { id: "hosur", name: "Hosur", state: "Tamil Nadu", aliases: [], latitude: 12.7409, longitude: 77.8253 },
+  { id: "nagercoil", name: "Nagercoil", state: "Tamil Nadu", aliases: [], latitude: 8.1833, longitude: 77.4119 },
+  { id: "puducherry", name: "Puducherry", state: "Puducherry", aliases: ["Pondicherry", "Pondy"], latitude: 11.9416, longitude: 79.8083 },
+  // Andhra Pradesh
+  { id: "visakhapatnam", name: "Visakhapatnam", state: "Andhra Pradesh", aliases: ["Vizag", "Vishakapatnam", "VSKP"], latitude: 17.6868, longitude: 83.2185 },
+  { id: "vijayawada", name: "Vijayawada", state: "Andhra Pradesh", aliases: ["Bezawada"], latitude: 16.5062, longitude: 80.6480 },
+  { id: "tirupati", name: "Tirupati", state: "Andhra Pradesh", aliases: [], latitude: 13.6288, longitude: 79.4192 },
+  { id: "guntur", name: "Guntur", state: "Andhra Pradesh", aliases: [], latitude: 16.3067, longitude: 80.4365 },
+  { id: "nellore", name: "Nellore", state: "Andhra Pradesh", aliases: [], latitude: 14.4426, longitude: 79.9865 },
+  { id: "kurnool", name: "Kurnool", state: "Andhra Pradesh", aliases: [], latitude: 15.8281, longitude: 78.0373 },
+  { id: "rajamahendravaram", name: "Rajamahendravaram", state: "Andhra Pradesh", aliases: ["Rajahmundry"], latitude: 17.0005, longitude: 81.8040 },
+  { id: "kakinada", name: "Kakinada", state: "Andhra Pradesh", aliases: [], latitude: 16.9891, longitude: 82.2475 },
+  { id: "anantapur", name: "Anantapur", state: "Andhra Pradesh", aliases: ["Anantapuramu"], latitude: 14.6819, longitude: 77.6006 },
+  // Telangana
+  { id: "hyderabad", name: "Hyderabad", state: "Telangana", aliases: ["HYD", "Secunderabad", "MGBS", "Mahatma Gandhi Bus Station", "Ameerpet"], latitude: 17.3850, longitude: 78.4867 },
+  { id: "warangal", name: "Warangal", state: "Telangana", aliases: [], latitude: 17.9689, longitude: 79.5941 },
+  { id: "karimnagar", name: "Karimnagar", state: "Telangana", aliases: [], latitude: 18.4386, longitude: 79.1288 },
+  { id: "nizamabad", name: "Nizamabad", state: "Telangana", aliases: [], latitude: 18.6725, longitude: 78.0941 },
+  { id: "khammam", name: "Khammam", state: "Telangana", aliases: [], latitude: 17.2473, longitude: 80.1514 },
+  // Maharashtra
+  { id: "mumbai", name: "Mumbai", state: "Maharashtra", aliases: ["Bombay", "BOM", "Mumbai Central", "Dadar", "Borivali"], latitude: 19.0760, longitude: 72.8777 },
+  { id: "navi-mumbai", name: "Navi Mumbai", state: "Maharashtra", aliases: ["Vashi", "Belapur"], latitude: 19.0330, longitude: 73.0297 },
+  { id: "thane", name: "Thane", state: "Maharashtra", aliases: [], latitude: 19.2183, longitude: 72.9781 },
+  { id: "pune", name: "Pune", state: "Maharashtra", aliases: ["Poona", "Swargate", "Shivajinagar"], latitude: 18.5204, longitude: 73.8567 },
+  { id: "nagpur", name: "Nagpur", state: "Maharashtra", aliases: [], latitude: 21.1458, longitude: 79.0882 },
+  { id: "nashik", name: "Nashik", state: "Maharashtra", aliases: ["Nasik"], latitude: 19.9975, longitude: 73.7898 },
+  { id: "chhatrapati-sambhajinagar", name: "Chhatrapati Sambhajinagar", state: "Maharashtra", aliases: ["Aurangabad"], latitude: 19.8762, longitude: 75.3433 },
+  { id: "kolhapur", name: "Kolhapur", state: "Maharashtra", aliases: [], latitude: 16.7050, longitude: 74.2433 },
+  { id: "solapur", name: "Solapur", state: "Maharashtra", aliases: ["Sholapur"], latitude: 17.6599, longitude: 75.9064 },
+  { id: "shirdi", name: "Shirdi", state: "Maharashtra", aliases: [], latitude: 19.7645, longitude: 74.4762 },
+  // Goa
+  { id: "panaji", name: "Panaji", state: "Goa", aliases: ["Panjim", "Goa"], latitude: 15.4909, longitude: 73.8278 },
+  { id: "margao", name: "Margao", state: "Goa", aliases: ["Madgaon"], latitude: 15.2832, longitude: 73.9862 },
+  // Gujarat
+  { id: "ahmedabad", name: "Ahmedabad", state: "Gujarat", aliases: ["Amdavad", "AMD", "Paldi"], latitude: 23.0225, longitude: 72.5714 },
+  { id: "surat", name: "Surat", state: "Gujarat", aliases: [], latitude: 21.1702, longitude: 72.8311 },
+  { id: "vadodara", name: "Vadodara", state: "Gujarat", aliases: ["Baroda"], latitude: 22.3072, longitude: 73.1812 },
+  { id: "rajkot", name: "Rajkot", state: "Gujarat", aliases: [], latitude: 22.3039, longitude: 70.8022 },
+  // Rajasthan
+  { id: "jaipur", name: "Jaipur", state: "Rajasthan", aliases: ["Sindhi Camp"], latitude: 26.9124, longitude: 75.7873 },
+  { id: "udaipur", name: "Udaipur", state: "Rajasthan", aliases: [], latitude: 24.5854, longitude: 73.7125 },
+  { id: "jodhpur", name: "Jodhpur", state: "Rajasthan", aliases: [], latitude: 26.2389, longitude: 73.0243 },
+  { id: "ajmer", name: "Ajmer", state: "Rajasthan", aliases: [], latitude: 26.4499, longitude: 74.6399 },
+  // North
+  { id: "delhi", name: "Delhi", state: "Delhi", aliases: ["New Delhi", "DEL", "Kashmere Gate", "ISBT Kashmere Gate", "Anand Vihar"], latitude: 28.6139, longitude: 77.2090 },
+  { id: "chandigarh", name: "Chandigarh", state: "Chandigarh", aliases: [], latitude: 30.7333, longitude: 76.7794 },
+  { id: "amritsar", name: "Amritsar", state: "Punjab", aliases: [], latitude: 31.6340, longitude: 74.8723 },
+  { id: "shimla", name: "Shimla", state: "Himachal Pradesh", aliases: ["Simla"], latitude: 31.1048, longitude: 77.1734 },
+  { id: "manali", name: "Manali", state: "Himachal Pradesh", aliases: [], latitude: 32.2432, longitude: 77.1892 },
+  { id: "dehradun", name: "Dehradun", state: "Uttarakhand", aliases: [], latitude: 30.3165, longitude: 78.0322 },
+  { id: "agra", name: "Agra", state: "Uttar Pradesh", aliases: [], latitude: 27.1767, longitude: 78.0081 },
+  { id: "lucknow", name: "Lucknow", state: "Uttar Pradesh", aliases: [], latitude: 26.8467, longitude: 80.9462 },
+  { id: "kanpur", name: "Kanpur", state: "Uttar Pradesh", aliases: ["Cawnpore"], latitude: 26.4499, longitude: 80.3319 },
+  { id: "varanasi", name: "Varanasi", state: "Uttar Pradesh", aliases: ["Banaras", "Benares", "Kashi"], latitude: 25.3176, longitude: 82.9739 },
+  // Central and east
+  { id: "indore", name: "Indore", state: "Madhya Pradesh", aliases: [], latitude: 22.7196, longitude: 75.8577 },
+  { id: "bhopal", name: "Bhopal", state: "Madhya Pradesh", aliases: [], latitude: 23.2599, longitude: 77.4126 },
+  { id: "raipur", name: "Raipur", state: "Chhattisgarh", aliases: [], latitude: 21.2514, longitude: 81.6296 },
+  { id: "kolkata", name: "Kolkata", state: "West Bengal", aliases: ["Calcutta", "CCU", "Esplanade"], latitude: 22.5726, longitude: 88.3639 },
+  { id: "siliguri", name: "Siliguri", state: "West Bengal", aliases: [], latitude: 26.7271, longitude: 88.3953 },
+  { id: "bhubaneswar", name: "Bhubaneswar", state: "Odisha", aliases: [], latitude: 20.2961, longitude: 85.8245 },
+  { id: "patna", name: "Patna", state: "Bihar", aliases: [], latitude: 25.5941, longitude: 85.1376 },
+  { id: "ranchi", name: "Ranchi", state: "Jharkhand", aliases: [], latitude: 23.3441, longitude: 85.3096 },
+  { id: "guwahati", name: "Guwahati", state: "Assam", aliases: ["Gauhati"], latitude: 26.1445, longitude: 91.7362 },
+];
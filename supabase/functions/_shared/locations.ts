@@ -0,0 +1,92 @@
+/**
+ * Canonical locations. Tickets carry from/to text as the operator printed
+ * it, so "Bangalore", "Bengaluru" and "BLR" are the same city spelled three
+ * ways. public.locations lists each city once with its other spellings; a
+ * tickets trigger maps the text to a location id with the same matching as
+ * resolveLocation here, and search, analytics and the location autocomplete
+ * group by that id.
+ */
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+
+export interface Location {
+  id: string;
+  name: string;
+  state: string;
+  aliases: string[];
+  latitude: number | null;
+  longitude: number | null;
+}
+
+export interface LocationSuggestion {
+  location: Location;
+  // The alias the query matched, when it wasn't the name
+  alias: string | null;
+}
+
+// Case, punctuation and spacing don't matter: "Hubli-Dharwad" is "hubli dharwad"
+export const normalizeLocationText = (value: string | null | undefined) =>
+  value?.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim() || null;
+
+// "Bengaluru (Majestic)", "Hyderabad, Telangana" and "Pune - Swargate" name
+// the city first. Matches the pattern resolve_location_id strips.
+const leadingPart = (value: string) => value.replace(/\s*(\(|,|\/|\s-\s).*$/, "");
+
+const spellings = (location: Location) =>
+  [location.id, location.name, ...(location.aliases ?? [])].map(normalizeLocationText);
+
+/**
+ * The location a ticket's from/to text refers to, or null if it isn't one
+ * we know
+ */
+export const resolveLocation = (locations: Location[], text?: string | null): Location | null => {
+  if (!text) return null;
+
+  for (const candidate of [text, leadingPart(text)]) {
+    const spelling = normalizeLocationText(candidate);
+    const match = spelling && locations.find(location => spellings(location).includes(spelling));
+    if (match) return match;
+  }
+
+  return null;
+};
+
+/**
+ * Locations for an autocomplete query. Names starting with the query come
+ * first, then aliases starting with it, then names and aliases containing it.
+ */
+export const searchLocations = (locations: Location[], query: string, limit = 8): LocationSuggestion[] => {
+  const needle = normalizeLocationText(query);
+  if (!needle) return [];
+
+  const ranked: Array<LocationSuggestion & { rank: number }> = [];
+  for (const location of locations) {
+    const name = normalizeLocationText(location.name) ?? "";
+    const aliases = (location.aliases ?? []).map(alias => ({ alias, spelling: normalizeLocationText(alias) ?? "" }));
+    const prefixAlias = aliases.find(({ spelling }) => spelling.startsWith(needle));
+    const containingAlias = aliases.find(({ spelling }) => spelling.includes(needle));
+
+    if (name.startsWith(needle)) ranked.push({ rank: 0, location, alias: null });
+    else if (prefixAlias) ranked.push({ rank: 1, location, alias: prefixAlias.alias });
+    else if (name.includes(needle)) ranked.push({ rank: 2, location, alias: null });
+    else if (containingAlias) ranked.push({ rank: 3, location, alias: containingAlias.alias });
+  }
+
+  return ranked
+    .sort((a, b) => a.rank - b.rank || a.location.name.localeCompare(b.location.name))
+    .slice(0, limit)
+    .map(({ location, alias }) => ({ location, alias }));
+};
+
+export const loadLocations = async (supabaseClient: SupabaseClient): Promise<Location[]> => {
+  const { data, error } = await supabaseClient
+    .from("locations")
+    .select("id, name, state, aliases, latitude, longitude")
+    .order("name");
+
+  if (error) {
+    throw new Error("Failed to load locations");
+  }
+
+  return data ?? [];
+};
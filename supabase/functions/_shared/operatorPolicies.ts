@@ -0,0 +1,159 @@
+/**
+ * Operator transfer policies. Each operator has its own rules for moving a
+ * booking to another passenger: whether it allows it at all, what it charges
+ * for the name change, how long before departure it stops accepting changes
+ * and which documents it asks for. Admins keep these in operator_policies;
+ * operators without a row of their own get the 'default' row.
+ *
+ * A tickets trigger applies the same transferability and cutoff rules when a
+ * listing is created. Order creation checks them again, the handover
+ * checklist spells them out, and the browser imports this module so the sell
+ * form and checkout show the rules that are enforced.
+ */
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+
+export const TransferDocument = {
+  ORIGINAL_TICKET: "original_ticket",
+  BOOKING_CONFIRMATION: "booking_confirmation",
+  AUTHORIZATION_LETTER: "authorization_letter",
+  SELLER_ID_PROOF: "seller_id_proof",
+  BUYER_ID_PROOF: "buyer_id_proof",
+} as const;
+
+export const TRANSFER_DOCUMENT_LABELS: Record<string, string> = {
+  [TransferDocument.ORIGINAL_TICKET]: "Original ticket (PDF or screenshot)",
+  [TransferDocument.BOOKING_CONFIRMATION]: "Booking confirmation SMS or email",
+  [TransferDocument.AUTHORIZATION_LETTER]: "Letter from the original passenger authorizing the change",
+  [TransferDocument.SELLER_ID_PROOF]: "Original passenger's photo ID",
+  [TransferDocument.BUYER_ID_PROOF]: "New passenger's photo ID",
+};
+
+// Documents the seller uploads with the listing; ID proofs are shown in person
+export const SELLER_UPLOADED_DOCUMENTS: string[] = [
+  TransferDocument.ORIGINAL_TICKET,
+  TransferDocument.BOOKING_CONFIRMATION,
+  TransferDocument.AUTHORIZATION_LETTER,
+];
+
+export interface OperatorPolicy {
+  operator_id: string;
+  name: string;
+  aliases: string[];
+  transferable: boolean;
+  name_change_fee: number;
+  cutoff_hours: number;
+  required_documents: string[];
+  notes: string | null;
+}
+
+export interface TransferTicket {
+  departure_date: string;
+  departure_time?: string | null;
+}
+
+export const TransferBlock = {
+  NOT_TRANSFERABLE: "not_transferable",
+  PAST_CUTOFF: "past_cutoff",
+} as const;
+
+export interface TransferCheck {
+  allowed: boolean;
+  code: typeof TransferBlock[keyof typeof TransferBlock] | null;
+  reason: string | null;
+  // Last moment the operator accepts a name change; null if it never does
+  cutoffAt: Date | null;
+}
+
+// Used until an admin has saved a default row; matches the seeded one
+export const DEFAULT_OPERATOR_POLICY: OperatorPolicy = {
+  operator_id: "default",
+  name: "Other operators",
+  aliases: [],
+  transferable: true,
+  name_change_fee: 0,
+  cutoff_hours: 24,
+  required_documents: [TransferDocument.ORIGINAL_TICKET, TransferDocument.BUYER_ID_PROOF],
+  notes: null,
+};
+
+const normalize = (value: string | null | undefined) => value?.trim().toLowerCase() || null;
+
+// Departure dates and times are stored as Indian local time
+const departureTime = (ticket: TransferTicket) =>
+  new Date(`${ticket.departure_date}T${ticket.departure_time || "00:00"}+05:30`);
+
+/**
+ * The policy for a ticket's operator, matched case-insensitively on its id,
+ * name or an alias
+ */
+export const findOperatorPolicy = (policies: OperatorPolicy[], busOperator?: string | null): OperatorPolicy => {
+  const operator = normalize(busOperator);
+  const names = (policy: OperatorPolicy) =>
+    [policy.operator_id, policy.name, ...(policy.aliases ?? [])].map(normalize);
+
+  return (operator && policies.find(policy => policy.operator_id !== "default" && names(policy).includes(operator))) ||
+    policies.find(policy => policy.operator_id === "default") ||
+    DEFAULT_OPERATOR_POLICY;
+};
+
+/**
+ * Whether a ticket can still be handed to another passenger under its
+ * operator's policy
+ */
+export const checkTransfer = (policy: OperatorPolicy, ticket: TransferTicket, at = new Date()): TransferCheck => {
+  if (!policy.transferable) {
+    return {
+      allowed: false,
+      code: TransferBlock.NOT_TRANSFERABLE,
+      reason: `${policy.name} doesn't allow tickets to be transferred to another passenger.`,
+      cutoffAt: null,
+    };
+  }
+
+  const cutoffAt = new Date(departureTime(ticket).getTime() - Number(policy.cutoff_hours) * 60 * 60 * 1000);
+
+  if (at >= cutoffAt) {
+    return {
+      allowed: false,
+      code: TransferBlock.PAST_CUTOFF,
+      reason: `${policy.name} stops accepting name changes ${policy.cutoff_hours} hours before departure.`,
+      cutoffAt,
+    };
+  }
+
+  return { allowed: true, code: null, reason: null, cutoffAt };
+};
+
+/**
+ * Documents from the policy the seller has to upload with the listing
+ */
+export const sellerDocuments = (policy: OperatorPolicy) =>
+  (policy.required_documents ?? []).filter(document => SELLER_UPLOADED_DOCUMENTS.includes(document));
+
+export const loadOperatorPolicies = async (supabaseClient: SupabaseClient): Promise<OperatorPolicy[]> => {
+  const { data, error } = await supabaseClient.from("operator_policies").select("*");
+
+  if (error) {
+    throw new Error("Failed to load operator policies");
+  }
+
+  return data ?? [];
+};
+
+/**
+ * Refuse to sell a ticket its operator won't transfer any more
+ */
+export const assertTicketTransferable = async (
+  supabaseClient: SupabaseClient,
+  ticket: TransferTicket & { bus_operator?: string | null }
+) => {
+  const policy = findOperatorPolicy(await loadOperatorPolicies(supabaseClient), ticket.bus_operator);
+  const check = checkTransfer(policy, ticket);
+
+  if (!check.allowed) {
+    throw new Error(`${check.reason} This ticket can no longer be bought.`);
+  }
+
+  return policy;
+};
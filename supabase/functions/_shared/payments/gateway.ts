@@ -0,0 +1,116 @@
+/**
+ * Payment gateway interface. Order, verify, refund and payout code talks to a
+ * PaymentGateway instead of a specific provider, and every gateway's payments
+ * land in the same enhanced_transactions columns (see transactions.ts), so
+ * escrow, refunds and reporting don't care which gateway took the money.
+ *
+ * Amounts are in rupees throughout; adapters convert to paise where the
+ * provider needs it.
+ */
+
+export const Gateway = {
+  RAZORPAY: "razorpay",
+  STRIPE: "stripe",
+  MOCK: "mock",
+} as const;
+
+export type GatewayName = typeof Gateway[keyof typeof Gateway];
+
+/**
+ * The gateway turned a request down, or it never left us, so no money moved.
+ * Any other error from a payout means we don't know whether it was sent.
+ */
+export class GatewayRejectedError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "GatewayRejectedError";
+  }
+}
+
+export interface CreateOrderInput {
+  // Our own reference for the order, shown in the provider dashboard
+  receipt: string;
+  amount: number;
+  description: string;
+  customerEmail?: string;
+  metadata: Record<string, string>;
+}
+
+export interface GatewayOrder {
+  orderId: string;
+  amount: number;
+  currency: string;
+  // What the browser needs to open checkout (key id, client secret...)
+  clientData: Record<string, unknown>;
+}
+
+export interface VerifyPaymentInput {
+  orderId: string;
+  paymentId?: string;
+  signature?: string;
+}
+
+export interface VerifiedPayment {
+  paymentId: string;
+  amount: number;
+  captured: boolean;
+  // What the gateway keeps for the payment, tax included, when it says at
+  // capture time; otherwise it only shows up in the settlement
+  fee: number | null;
+}
+
+export interface RefundInput {
+  receipt?: string;
+  notes?: Record<string, string>;
+}
+
+export interface GatewayRefund {
+  id: string;
+  amount: number;
+  processed: boolean;
+}
+
+export type PayoutDestination =
+  | { type: "vpa"; address: string }
+  | { type: "bank_account"; accountNumber: string; ifsc: string; name: string }
+  | { type: "connected_account"; accountId: string };
+
+export interface PayoutInput {
+  amount: number;
+  referenceId: string;
+  destination: PayoutDestination;
+  narration: string;
+}
+
+export interface GatewayPayout {
+  id: string;
+  status: string;
+}
+
+export interface VerifyDestinationInput {
+  // Our own reference, e.g. the payout_destinations id
+  referenceId: string;
+  // Name to register the destination under with the provider
+  name: string;
+  // An earlier check still in progress, to look up instead of starting over
+  verificationId?: string | null;
+}
+
+export interface DestinationVerification {
+  id: string;
+  status: "verified" | "failed" | "pending";
+  // The name the bank or UPI app has for the account
+  registeredName: string | null;
+  reason: string | null;
+}
+
+export interface PaymentGateway {
+  name: GatewayName;
+  createOrder(input: CreateOrderInput): Promise<GatewayOrder>;
+  // Throws if the payment can't be authenticated (bad signature, unknown order)
+  verifyPayment(input: VerifyPaymentInput): Promise<VerifiedPayment>;
+  refund(paymentId: string, amount: number, input?: RefundInput): Promise<GatewayRefund>;
+  payout(input: PayoutInput): Promise<GatewayPayout>;
+  // Penny drop: confirm a payout destination exists by crediting it ₹1
+  verifyDestination(destination: PayoutDestination, input: VerifyDestinationInput): Promise<DestinationVerification>;
+}
@@ -0,0 +1,27 @@
+import { Gateway, type GatewayName, type PaymentGateway } from "./gateway.ts";
+import { razorpayGateway } from "./razorpay.ts";
+import { stripeGateway } from "./stripe.ts";
+import { mockGateway } from "./mock.ts";
+
+export * from "./gateway.ts";
+
+export const isMockPaymentsEnabled = () => Deno.env.get("MOCK_PAYMENTS_ENABLED") === "true";
+
+/**
+ * Look up a gateway by name, e.g. the `gateway` recorded on a transaction
+ */
+export const getPaymentGateway = (name: GatewayName | string | null): PaymentGateway => {
+  switch (name) {
+    case Gateway.RAZORPAY:
+      return razorpayGateway;
+    case Gateway.STRIPE:
+      return stripeGateway;
+    case Gateway.MOCK:
+      if (!isMockPaymentsEnabled()) {
+        throw new Error("Mock payments are disabled");
+      }
+      return mockGateway;
+    default:
+      throw new Error(`Unknown payment gateway: ${name}`);
+  }
+};
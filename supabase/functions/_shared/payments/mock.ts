@@ -0,0 +1,162 @@
+/**
+ * Deterministic local gateway for development and tests. Ids are derived
+ * from the inputs, so the same order always gets the same ids, and payments
+ * are signed like Razorpay's with a fixed secret so verification runs the
+ * real code path. Only available when MOCK_PAYMENTS_ENABLED is "true".
+ */
+
+import type {
+  CreateOrderInput,
+  DestinationVerification,
+  GatewayOrder,
+  GatewayPayout,
+  GatewayRefund,
+  PaymentGateway,
+  PayoutDestination,
+  PayoutInput,
+  RefundInput,
+  VerifiedPayment,
+  VerifyDestinationInput,
+  VerifyPaymentInput,
+} from "./gateway.ts";
+import { hmacSha256Hex, safeEqual } from "./razorpay.ts";
+
+export const MOCK_SIGNING_SECRET = "mock_gateway_secret";
+
+// Payment ids with this suffix are declined
+export const MOCK_DECLINED_SUFFIX = "_declined";
+
+// Razorpay's standard 2% plus 18% GST, so test sales post realistic fees
+export const mockGatewayFee = (amount: number) => Math.round(amount * 100 * 0.02 * 1.18) / 100;
+
+const digest = async (value: string) => (await hmacSha256Hex(value, MOCK_SIGNING_SECRET)).slice(0, 14);
+
+// The amount rides along in the order id since the mock keeps no state
+const orderAmount = (orderId: string) => {
+  const match = orderId.match(/^order_mock_(\d+)_/);
+  if (!match) {
+    throw new Error("Unknown mock order");
+  }
+  return Number(match[1]) / 100;
+};
+
+export type MockPaymentResult = "success" | "declined";
+
+// Test instruments accepted by the mock-payment-gateway function
+export const MOCK_TEST_CARDS: Record<string, MockPaymentResult> = {
+  "4111111111111111": "success",
+  "5555555555554444": "success",
+  "4000000000000002": "declined",
+};
+
+export const MOCK_TEST_UPI_IDS: Record<string, MockPaymentResult> = {
+  "success@upi": "success",
+  "success@razorpay": "success",
+  "failure@upi": "declined",
+  "failure@razorpay": "declined",
+};
+
+export interface MockInstrument {
+  card?: { number?: string; expiry?: string; cvv?: string };
+  upiId?: string;
+}
+
+// Accepts MM/YY or MM/YYYY; a card is valid through the end of its month
+export const isFutureExpiry = (value: string, now = new Date()) => {
+  const match = value.match(/^\s*(\d{2})\s*\/\s*(\d{2}(\d{2})?)\s*$/);
+  if (!match) return false;
+  const month = parseInt(match[1], 10);
+  const year = match[2].length === 2 ? 2000 + parseInt(match[2], 10) : parseInt(match[2], 10);
+  if (month < 1 || month > 12) return false;
+  return new Date(year, month, 1) > now;
+};
+
+/**
+ * What a test instrument does at checkout. Throws for anything that isn't
+ * one of the test cards or UPI ids, the way a real checkout would refuse it.
+ */
+export const mockPaymentResult = (instrument: MockInstrument, now = new Date()): MockPaymentResult => {
+  if (instrument.upiId) {
+    const result = MOCK_TEST_UPI_IDS[instrument.upiId.trim().toLowerCase()];
+    if (!result) {
+      throw new Error("Use a test UPI id such as success@upi or failure@upi");
+    }
+    return result;
+  }
+
+  const card = instrument.card;
+  const result = card?.number ? MOCK_TEST_CARDS[card.number.replace(/\s|-/g, "")] : undefined;
+  if (!card || !result) {
+    throw new Error("Use test card 4111 1111 1111 1111 or UPI id success@upi");
+  }
+  if (!isFutureExpiry(card.expiry ?? "", now) || !/^\d{3,4}$/.test(card.cvv ?? "")) {
+    throw new Error("Enter any future expiry date and a 3-4 digit CVV");
+  }
+  return result;
+};
+
+export const mockPaymentId = async (orderId: string, declined = false) =>
+  `pay_mock_${await digest(orderId)}${declined ? MOCK_DECLINED_SUFFIX : ""}`;
+
+export const mockPaymentSignature = (orderId: string, paymentId: string) =>
+  hmacSha256Hex(`${orderId}|${paymentId}`, MOCK_SIGNING_SECRET);
+
+/**
+ * Penny drop outcome for a test destination: VPAs starting "failure@" and
+ * account numbers ending 0000 don't exist, everything else verifies
+ */
+export const mockDestinationExists = (destination: PayoutDestination) =>
+  destination.type === "vpa"
+    ? !destination.address.toLowerCase().startsWith("failure@")
+    : destination.type !== "bank_account" || !destination.accountNumber.endsWith("0000");
+
+export const mockGateway: PaymentGateway = {
+  name: "mock",
+
+  async createOrder(input: CreateOrderInput): Promise<GatewayOrder> {
+    const paise = Math.round(input.amount * 100);
+    const orderId = `order_mock_${paise}_${await digest(input.receipt)}`;
+
+    return {
+      orderId,
+      amount: paise / 100,
+      currency: "INR",
+      clientData: { mock: true, amount: paise },
+    };
+  },
+
+  async verifyPayment(input: VerifyPaymentInput): Promise<VerifiedPayment> {
+    if (!input.paymentId || !input.signature ||
+      !safeEqual(await mockPaymentSignature(input.orderId, input.paymentId), input.signature)) {
+      throw new Error("Invalid payment signature");
+    }
+
+    return {
+      paymentId: input.paymentId,
+      amount: orderAmount(input.orderId),
+      captured: !input.paymentId.endsWith(MOCK_DECLINED_SUFFIX),
+      fee: mockGatewayFee(orderAmount(input.orderId)),
+    };
+  },
+
+  async refund(paymentId: string, amount: number, input: RefundInput = {}): Promise<GatewayRefund> {
+    const paise = Math.round(amount * 100);
+    return {
+      id: `rfnd_mock_${await digest(`${paymentId}|${paise}|${input.receipt ?? ""}`)}`,
+      amount: paise / 100,
+      processed: true,
+    };
+  },
+
+  async payout(input: PayoutInput): Promise<GatewayPayout> {
+    return { id: `pout_mock_${await digest(input.referenceId)}`, status: "processed" };
+  },
+
+  async verifyDestination(destination: PayoutDestination, input: VerifyDestinationInput): Promise<DestinationVerification> {
+    const id = input.verificationId ?? `fav_mock_${await digest(input.referenceId)}`;
+
+    return mockDestinationExists(destination)
+      ? { id, status: "verified", registeredName: input.name.toUpperCase(), reason: null }
+      : { id, status: "failed", registeredName: null, reason: "The bank reported this account as invalid" };
+  },
+};
@@ -0,0 +1,292 @@
+/**
+ * Completes a captured purchase on any gateway: re-verifies the booking,
+ * marks the ticket sold and holds the funds in escrow. Runs from the verify
+ * endpoint when the buyer's browser returns from checkout and from the
+ * gateway's webhook, whichever arrives first; the other finds it done.
+ */
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { capturedAmountMatches, type OrderSnapshot } from "./transactions.ts";
+import { reverifyTicket, type ListedTicket } from "../../verify-pnr/reverification.ts";
+import { processRefund, RefundReason } from "../../create-razorpay-refund/refunds.ts";
+import {
+  EscrowEvent,
+  EscrowStatus,
+  escrowReleaseTime,
+  transitionEscrow,
+} from "../../release-escrow/escrow.ts";
+
+export const PurchaseOutcome = {
+  COMPLETED: "completed",
+  // Another request has completed it, or is completing it right now
+  ALREADY_COMPLETED: "already_completed",
+  IN_PROGRESS: "in_progress",
+  REVERIFICATION_FAILED: "reverification_failed",
+  TICKET_UNAVAILABLE: "ticket_unavailable",
+  CANCELLED: "cancelled",
+  // The gateway captured a different amount from the order snapshot
+  AMOUNT_MISMATCH: "amount_mismatch",
+} as const;
+
+export type PurchaseOutcomeValue = typeof PurchaseOutcome[keyof typeof PurchaseOutcome];
+
+export interface PendingPurchase {
+  id: string;
+  ticket_id: string;
+  buyer_id: string;
+  seller_id: string;
+  amount: number;
+  platform_fee: number | null;
+  gateway: string;
+  order_snapshot?: OrderSnapshot | null;
+  tickets: ListedTicket;
+}
+
+/**
+ * Send a captured payment back when the purchase is cancelled instead of
+ * completed. Never throws: a refund that can't be issued is logged for an
+ * admin to retry from the transaction. Returns the amount refunded, or null.
+ */
+const refundCancelledPurchase = async (
+  supabaseClient: SupabaseClient,
+  transaction: PendingPurchase,
+  paymentId: string,
+  capturedAmount?: number
+): Promise<number | null> => {
+  try {
+    const { refund } = await processRefund(supabaseClient, {
+      transactionId: transaction.id,
+      reason: RefundReason.FAILED_PURCHASE,
+      // One refund per purchase, however many callers cancel it
+      idempotencyKey: `failed_purchase_${transaction.id}`,
+      amount: capturedAmount,
+      notify: false
+    });
+    return Number(refund.amount);
+  } catch (error) {
+    console.error(`Failed to refund cancelled purchase ${transaction.id}:`, error);
+    await supabaseClient
+      .from('security_logs')
+      .insert({
+        user_id: transaction.buyer_id,
+        event_type: 'refund_failed',
+        description: 'Payment captured for a cancelled purchase could not be refunded',
+        severity: 'critical',
+        metadata: {
+          transaction_id: transaction.id,
+          gateway: transaction.gateway,
+          payment_id: paymentId,
+          error: error.message
+        }
+      });
+    return null;
+  }
+};
+
+const refundNotice = (refunded: number | null) => refunded === null
+  ? 'We could not start your refund automatically, so our team will refund your payment shortly.'
+  : `₹${refunded} is being refunded to your original payment method. It usually arrives within 5-7 working days.`;
+
+export const completePurchase = async (
+  supabaseClient: SupabaseClient,
+  transaction: PendingPurchase,
+  paymentId: string,
+  options: { actorId?: string; capturedAmount?: number; gatewayFee?: number | null } = {}
+): Promise<{ outcome: PurchaseOutcomeValue; releaseAt?: Date }> => {
+  // Never sell the ticket for anything other than what the order was for
+  if (options.capturedAmount !== undefined && !capturedAmountMatches(transaction, options.capturedAmount)) {
+    const { data: flagged } = await supabaseClient
+      .from('enhanced_transactions')
+      .update({
+        status: 'cancelled',
+        gateway_payment_id: paymentId,
+        payment_status: 'amount_mismatch',
+        payment_error: `Captured ${options.capturedAmount}, expected ${transaction.order_snapshot?.amount ?? transaction.amount}`,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', transaction.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (flagged?.length) {
+      await supabaseClient
+        .from('security_logs')
+        .insert({
+          user_id: transaction.buyer_id,
+          event_type: 'suspicious_behavior',
+          description: 'Captured payment amount does not match the order',
+          severity: 'high',
+          metadata: {
+            reason: 'amount_mismatch',
+            ticket_id: transaction.ticket_id,
+            transaction_id: transaction.id,
+            gateway: transaction.gateway,
+            payment_id: paymentId,
+            captured_amount: options.capturedAmount,
+            expected_amount: transaction.order_snapshot?.amount ?? transaction.amount
+          }
+        });
+
+      // Give back exactly what was captured, not what the order was for
+      const refunded = await refundCancelledPurchase(supabaseClient, transaction, paymentId, options.capturedAmount);
+
+      await supabaseClient.functions.invoke('send-notification', {
+        body: {
+          userId: transaction.buyer_id,
+          title: 'Purchase Cancelled',
+          message: `The amount paid did not match the order, so this purchase was cancelled. ${refundNotice(refunded)}`,
+          type: 'payment'
+        }
+      });
+    }
+
+    return { outcome: PurchaseOutcome.AMOUNT_MISMATCH };
+  }
+
+  // Claim the transaction by recording the payment on it; only one caller wins
+  const { data: claimed } = await supabaseClient
+    .from('enhanced_transactions')
+    .update({ gateway_payment_id: paymentId, updated_at: new Date().toISOString() })
+    .eq('id', transaction.id)
+    .eq('status', 'pending')
+    .is('gateway_payment_id', null)
+    .select('id');
+
+  if (!claimed || claimed.length === 0) {
+    const { data: current } = await supabaseClient
+      .from('enhanced_transactions')
+      .select('status, escrow_release_at')
+      .eq('id', transaction.id)
+      .single();
+
+    if (current?.status === 'completed') {
+      return {
+        outcome: PurchaseOutcome.ALREADY_COMPLETED,
+        releaseAt: current.escrow_release_at ? new Date(current.escrow_release_at) : undefined
+      };
+    }
+    return { outcome: current?.status === 'pending' ? PurchaseOutcome.IN_PROGRESS : PurchaseOutcome.CANCELLED };
+  }
+
+  try {
+    // Re-check the booking with the operator before the sale goes through.
+    // A provider outage doesn't block the sale; the funds stay in escrow.
+    const reverification = await reverifyTicket(supabaseClient, transaction.tickets);
+    if (!reverification.matched && !reverification.pending && reverification.mode !== 'disabled') {
+      await supabaseClient
+        .from('enhanced_transactions')
+        .update({ status: 'cancelled' })
+        .eq('id', transaction.id);
+
+      const refunded = await refundCancelledPurchase(supabaseClient, transaction, paymentId);
+
+      await supabaseClient.functions.invoke('send-notification', {
+        body: {
+          userId: transaction.buyer_id,
+          title: 'Purchase Cancelled',
+          message: `The seller's booking could not be confirmed with the bus operator, so this purchase was cancelled. ${refundNotice(refunded)}`,
+          type: 'payment'
+        }
+      });
+
+      return { outcome: PurchaseOutcome.REVERIFICATION_FAILED };
+    }
+
+    // Mark ticket as sold, only if this buyer still holds it or nobody else
+    // has taken it since their hold expired
+    const { data: sold } = await supabaseClient
+      .rpc('complete_ticket_sale', { p_ticket_id: transaction.ticket_id, p_buyer_id: transaction.buyer_id });
+
+    if (!sold) {
+      await supabaseClient
+        .from('enhanced_transactions')
+        .update({ status: 'cancelled' })
+        .eq('id', transaction.id);
+
+      await supabaseClient
+        .from('security_logs')
+        .insert({
+          user_id: transaction.buyer_id,
+          event_type: 'suspicious_behavior',
+          description: 'Payment completed for a ticket the buyer no longer holds',
+          severity: 'high',
+          metadata: {
+            reason: 'double_sale_attempt',
+            ticket_id: transaction.ticket_id,
+            transaction_id: transaction.id,
+            gateway: transaction.gateway,
+            payment_id: paymentId
+          }
+        });
+
+      const refunded = await refundCancelledPurchase(supabaseClient, transaction, paymentId);
+
+      await supabaseClient.functions.invoke('send-notification', {
+        body: {
+          userId: transaction.buyer_id,
+          title: 'Purchase Cancelled',
+          message: `This ticket was sold to another buyer before your payment went through, so your purchase was cancelled. ${refundNotice(refunded)}`,
+          type: 'payment'
+        }
+      });
+
+      return { outcome: PurchaseOutcome.TICKET_UNAVAILABLE };
+    }
+
+    // Update transaction as completed - payment received in main account
+    const { error: updateError } = await supabaseClient
+      .from('enhanced_transactions')
+      .update({
+        status: 'completed',
+        payment_status: 'received',
+        gateway_fee: options.gatewayFee ?? null,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', transaction.id);
+
+    if (updateError) {
+      throw new Error("Failed to update transaction");
+    }
+  } catch (error) {
+    // Let a retry (or the webhook) pick the payment up again
+    await supabaseClient
+      .from('enhanced_transactions')
+      .update({ gateway_payment_id: null })
+      .eq('id', transaction.id)
+      .eq('status', 'pending');
+    throw error;
+  }
+
+  // Hold the funds in escrow until departure plus the grace window; the
+  // seller payout is queued when release-escrow or the buyer releases them
+  const releaseAt = escrowReleaseTime(transaction.tickets);
+  await transitionEscrow(supabaseClient, transaction.id, EscrowStatus.HELD, EscrowEvent.PAYMENT_CAPTURED, {
+    actorId: options.actorId,
+    metadata: { gateway: transaction.gateway, payment_id: paymentId },
+    releaseAt
+  });
+
+  // Send success notification to seller
+  await supabaseClient.functions.invoke('send-notification', {
+    body: {
+      userId: transaction.seller_id,
+      title: 'Ticket Sold!',
+      message: `Your ticket has been sold. ₹${transaction.amount - (transaction.platform_fee ?? 0)} is held safely and will be released to you after the journey. Open the sale in your transactions to hand the booking over to the buyer.`,
+      type: 'sale_completed',
+      data: { transactionId: transaction.id }
+    }
+  });
+
+  // Send confirmation to buyer
+  await supabaseClient.functions.invoke('send-notification', {
+    body: {
+      userId: transaction.buyer_id,
+      title: 'Purchase Successful!',
+      message: `Your ticket purchase is confirmed. Open the purchase in your transactions for the booking details, ticket documents and handover checklist.`,
+      type: 'purchase_confirmed',
+      data: { transactionId: transaction.id }
+    }
+  });
+
+  return { outcome: PurchaseOutcome.COMPLETED, releaseAt };
+};
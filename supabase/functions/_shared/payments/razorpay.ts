@@ -0,0 +1,249 @@
+/**
+ * Razorpay adapter, plus the REST and webhook helpers it is built on
+ */
+
+import type {
+  CreateOrderInput,
+  DestinationVerification,
+  GatewayOrder,
+  GatewayPayout,
+  GatewayRefund,
+  PaymentGateway,
+  PayoutDestination,
+  PayoutInput,
+  RefundInput,
+  VerifiedPayment,
+  VerifyDestinationInput,
+  VerifyPaymentInput,
+} from "./gateway.ts";
+import { GatewayRejectedError } from "./gateway.ts";
+
+const RAZORPAY_API = "https://api.razorpay.com/v1";
+
+const credentials = () => {
+  const keyId = Deno.env.get("RAZORPAY_KEY_ID");
+  const keySecret = Deno.env.get("RAZORPAY_KEY_SECRET");
+
+  if (!keyId || !keySecret) {
+    throw new GatewayRejectedError("Razorpay credentials not configured");
+  }
+
+  return { keyId, keySecret };
+};
+
+export const razorpayAuthHeader = () => {
+  const { keyId, keySecret } = credentials();
+  return `Basic ${btoa(`${keyId}:${keySecret}`)}`;
+};
+
+const razorpayRequest = async <T>(path: string, init: RequestInit = {}): Promise<T> => {
+  const response = await fetch(`${RAZORPAY_API}${path}`, {
+    ...init,
+    headers: {
+      "Authorization": razorpayAuthHeader(),
+      "Content-Type": "application/json",
+      ...init.headers,
+    },
+  });
+
+  if (!response.ok) {
+    const errorData = await response.text();
+    // A 4xx is Razorpay refusing the request; a 5xx may have been acted on
+    throw response.status < 500
+      ? new GatewayRejectedError(`Razorpay API error: ${errorData}`)
+      : new Error(`Razorpay API error: ${errorData}`);
+  }
+
+  return await response.json();
+};
+
+interface FundAccountValidation {
+  id: string;
+  status: "created" | "completed" | "failed";
+  results?: { account_status: "active" | "invalid" | null; registered_name: string | null };
+}
+
+// The RazorpayX current account payouts and penny drops are sent from
+const payoutAccountNumber = () => {
+  const accountNumber = Deno.env.get("RAZORPAYX_ACCOUNT_NUMBER");
+  if (!accountNumber) {
+    throw new GatewayRejectedError("RazorpayX account number not configured");
+  }
+  return accountNumber;
+};
+
+const fundAccount = (destination: PayoutDestination) => {
+  if (destination.type === "vpa") {
+    return { account_type: "vpa", vpa: { address: destination.address } };
+  }
+  if (destination.type === "bank_account") {
+    return {
+      account_type: "bank_account",
+      bank_account: { name: destination.name, ifsc: destination.ifsc, account_number: destination.accountNumber },
+    };
+  }
+  throw new GatewayRejectedError("Razorpay can't pay out to a connected account");
+};
+
+const toHex = (buffer: ArrayBuffer) =>
+  Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, "0")).join("");
+
+export const hmacSha256Hex = async (message: string, secret: string) => {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  return toHex(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message)));
+};
+
+// Compare in constant time so a check doesn't leak how much matched
+export const safeEqual = (expected: string, actual: string) => {
+  if (expected.length !== actual.length) return false;
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+/**
+ * Check X-Razorpay-Signature: a hex HMAC-SHA256 of the raw request body keyed
+ * with the webhook secret set in the Razorpay dashboard
+ */
+export const verifyWebhookSignature = async (body: string, signature: string, secret: string) =>
+  safeEqual(await hmacSha256Hex(body, secret), signature);
+
+/**
+ * Check the signature checkout returns: HMAC-SHA256 of "order_id|payment_id"
+ * keyed with the API key secret
+ */
+export const verifyPaymentSignature = async (
+  orderId: string,
+  paymentId: string,
+  signature: string,
+  secret: string
+) => safeEqual(await hmacSha256Hex(`${orderId}|${paymentId}`, secret), signature);
+
+export const razorpayGateway: PaymentGateway = {
+  name: "razorpay",
+
+  async createOrder(input: CreateOrderInput): Promise<GatewayOrder> {
+    const { keyId } = credentials();
+    const order = await razorpayRequest<{ id: string; amount: number; currency: string }>("/orders", {
+      method: "POST",
+      body: JSON.stringify({
+        amount: Math.round(input.amount * 100),
+        currency: "INR",
+        receipt: input.receipt.slice(0, 40),
+        notes: input.metadata,
+      }),
+    });
+
+    return {
+      orderId: order.id,
+      amount: order.amount / 100,
+      currency: order.currency,
+      clientData: { razorpayKeyId: keyId, amount: order.amount },
+    };
+  },
+
+  async verifyPayment(input: VerifyPaymentInput): Promise<VerifiedPayment> {
+    const { keySecret } = credentials();
+
+    if (!input.paymentId || !input.signature ||
+      !(await verifyPaymentSignature(input.orderId, input.paymentId, input.signature, keySecret))) {
+      throw new Error("Invalid payment signature");
+    }
+
+    const payment = await razorpayRequest<{ id: string; amount: number; status: string; fee: number | null }>(
+      `/payments/${input.paymentId}`
+    );
+
+    return {
+      paymentId: payment.id,
+      amount: payment.amount / 100,
+      // Auto-capture follows authorization, so both count as paid
+      captured: payment.status === "captured" || payment.status === "authorized",
+      // Only set once captured
+      fee: payment.fee != null ? payment.fee / 100 : null,
+    };
+  },
+
+  async refund(paymentId: string, amount: number, input: RefundInput = {}): Promise<GatewayRefund> {
+    const refund = await razorpayRequest<{ id: string; amount: number; status: string }>(
+      `/payments/${paymentId}/refund`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          amount: Math.round(amount * 100),
+          speed: "normal",
+          receipt: input.receipt,
+          notes: input.notes,
+        }),
+      }
+    );
+
+    return { id: refund.id, amount: refund.amount / 100, processed: refund.status === "processed" };
+  },
+
+  async payout(input: PayoutInput): Promise<GatewayPayout> {
+    const { destination } = input;
+    const payout = await razorpayRequest<{ id: string; status: string }>("/payouts", {
+      method: "POST",
+      // A retried request with the same reference returns the same payout
+      headers: { "X-Payout-Idempotency": input.referenceId },
+      body: JSON.stringify({
+        account_number: payoutAccountNumber(),
+        amount: Math.round(input.amount * 100),
+        currency: "INR",
+        mode: destination.type === "vpa" ? "UPI" : "IMPS",
+        purpose: "payout",
+        fund_account: fundAccount(destination),
+        queue_if_low_balance: true,
+        reference_id: input.referenceId,
+        narration: input.narration,
+      }),
+    });
+
+    return { id: payout.id, status: payout.status };
+  },
+
+  async verifyDestination(destination: PayoutDestination, input: VerifyDestinationInput): Promise<DestinationVerification> {
+    // Fund account validation credits ₹1 and reports the registered name.
+    // It usually completes within seconds; until then it's looked up again.
+    const validation = input.verificationId
+      ? await razorpayRequest<FundAccountValidation>(`/fund_accounts/validations/${input.verificationId}`)
+      : await razorpayRequest<FundAccountValidation>("/fund_accounts/validations", {
+        method: "POST",
+        body: JSON.stringify({
+          account_number: payoutAccountNumber(),
+          fund_account: {
+            ...fundAccount(destination),
+            contact: { name: input.name, type: "vendor", reference_id: input.referenceId },
+          },
+          amount: 100,
+          currency: "INR",
+          notes: { reference_id: input.referenceId },
+        }),
+      });
+
+    if (validation.status === "completed") {
+      const active = validation.results?.account_status === "active";
+      return {
+        id: validation.id,
+        status: active ? "verified" : "failed",
+        registeredName: validation.results?.registered_name ?? null,
+        reason: active ? null : "The bank reported this account as invalid",
+      };
+    }
+
+    if (validation.status === "failed") {
+      return { id: validation.id, status: "failed", registeredName: null, reason: "The bank couldn't be reached to verify this account" };
+    }
+
+    return { id: validation.id, status: "pending", registeredName: null, reason: null };
+  },
+};
@@ -0,0 +1,166 @@
+/**
+ * Stripe adapter. Orders are PaymentIntents, confirmed in the browser with
+ * the client secret; payouts are transfers to a connected account.
+ */
+
+import type Stripe from "https://esm.sh/stripe@14.21.0";
+import type {
+  CreateOrderInput,
+  DestinationVerification,
+  GatewayOrder,
+  GatewayPayout,
+  GatewayRefund,
+  PaymentGateway,
+  PayoutDestination,
+  PayoutInput,
+  RefundInput,
+  VerifiedPayment,
+  VerifyPaymentInput,
+} from "./gateway.ts";
+import { GatewayRejectedError } from "./gateway.ts";
+
+let client: Stripe | null = null;
+
+// The SDK is loaded on first use so functions that only ever see Razorpay
+// payments don't pay for it
+export const stripeClient = async () => {
+  if (!client) {
+    const secretKey = Deno.env.get("STRIPE_SECRET_KEY");
+    if (!secretKey) {
+      throw new GatewayRejectedError("Stripe credentials not configured");
+    }
+    const { default: StripeSdk } = await import("https://esm.sh/stripe@14.21.0");
+    client = new StripeSdk(secretKey, { apiVersion: "2023-10-16" });
+  }
+  return client;
+};
+
+/**
+ * Whether a connected account can be paid. Stripe enables transfers once
+ * onboarding is complete and it has verified the seller; until then the
+ * account's requirements say what's missing.
+ */
+export const connectedAccountVerification = (account: Stripe.Account): DestinationVerification => {
+  const individualName = [account.individual?.first_name, account.individual?.last_name].filter(Boolean).join(" ");
+  const registeredName = account.business_profile?.name || individualName || null;
+  const disabledReason = account.requirements?.disabled_reason;
+
+  if (account.payouts_enabled && account.capabilities?.transfers === "active") {
+    return { id: account.id, status: "verified", registeredName, reason: null };
+  }
+  if (disabledReason?.startsWith("rejected")) {
+    return { id: account.id, status: "failed", registeredName, reason: "Stripe rejected this account" };
+  }
+  if (!account.details_submitted) {
+    return { id: account.id, status: "pending", registeredName, reason: "Finish setting up your Stripe account" };
+  }
+  return {
+    id: account.id,
+    status: "pending",
+    registeredName,
+    reason: account.requirements?.currently_due?.length
+      ? "Stripe needs more information about you"
+      : "Stripe is reviewing your account",
+  };
+};
+
+export const stripeGateway: PaymentGateway = {
+  name: "stripe",
+
+  async createOrder(input: CreateOrderInput): Promise<GatewayOrder> {
+    const stripe = await stripeClient();
+
+    let customerId: string | undefined;
+    if (input.customerEmail) {
+      const customers = await stripe.customers.list({ email: input.customerEmail, limit: 1 });
+      customerId = customers.data[0]?.id ??
+        (await stripe.customers.create({ email: input.customerEmail })).id;
+    }
+
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(input.amount * 100),
+      currency: "inr",
+      customer: customerId,
+      metadata: { ...input.metadata, receipt: input.receipt },
+      description: input.description,
+    });
+
+    return {
+      orderId: paymentIntent.id,
+      amount: paymentIntent.amount / 100,
+      currency: paymentIntent.currency.toUpperCase(),
+      clientData: { clientSecret: paymentIntent.client_secret, paymentIntentId: paymentIntent.id },
+    };
+  },
+
+  async verifyPayment(input: VerifyPaymentInput): Promise<VerifiedPayment> {
+    // The PaymentIntent is fetched with our secret key, so no signature is needed
+    const stripe = await stripeClient();
+    const paymentIntent = await stripe.paymentIntents.retrieve(input.orderId, {
+      expand: ["latest_charge.balance_transaction"],
+    });
+    const charge = paymentIntent.latest_charge as Stripe.Charge | null;
+    const balanceTransaction = charge?.balance_transaction as Stripe.BalanceTransaction | null;
+
+    return {
+      paymentId: paymentIntent.id,
+      amount: paymentIntent.amount_received / 100,
+      captured: paymentIntent.status === "succeeded",
+      fee: balanceTransaction ? balanceTransaction.fee / 100 : null,
+    };
+  },
+
+  async refund(paymentId: string, amount: number, input: RefundInput = {}): Promise<GatewayRefund> {
+    const stripe = await stripeClient();
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: paymentId,
+        amount: Math.round(amount * 100),
+        metadata: input.notes,
+      },
+      input.receipt ? { idempotencyKey: input.receipt } : undefined
+    );
+
+    return { id: refund.id, amount: refund.amount / 100, processed: refund.status === "succeeded" };
+  },
+
+  async payout(input: PayoutInput): Promise<GatewayPayout> {
+    if (input.destination.type !== "connected_account") {
+      throw new GatewayRejectedError("Stripe pays out to connected accounts only");
+    }
+
+    const stripe = await stripeClient();
+    let transfer: Stripe.Transfer;
+    try {
+      transfer = await stripe.transfers.create(
+        {
+          amount: Math.round(input.amount * 100),
+          currency: "inr",
+          destination: input.destination.accountId,
+          description: input.narration,
+          metadata: { reference_id: input.referenceId },
+        },
+        { idempotencyKey: input.referenceId }
+      );
+    } catch (error) {
+      // Stripe answered with a 4xx; anything else may have gone through
+      if (error.statusCode && error.statusCode < 500) {
+        throw new GatewayRejectedError(error.message);
+      }
+      throw error;
+    }
+
+    return { id: transfer.id, status: "processed" };
+  },
+
+  // Stripe verifies connected accounts during onboarding, so this reports
+  // how far that has got rather than sending money
+  async verifyDestination(destination: PayoutDestination): Promise<DestinationVerification> {
+    if (destination.type !== "connected_account") {
+      throw new Error("Stripe pays out to connected accounts only");
+    }
+
+    const stripe = await stripeClient();
+    return connectedAccountVerification(await stripe.accounts.retrieve(destination.accountId));
+  },
+};
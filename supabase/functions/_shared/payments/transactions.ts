@@ -0,0 +1,113 @@
+/**
+ * The one enhanced_transactions record every gateway writes. gateway,
+ * gateway_order_id and gateway_payment_id identify the payment whichever
+ * provider took it; a trigger mirrors them into the older razorpay_* and
+ * payment_intent_id columns for code that still reads those.
+ */
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import type { FeeBreakdown } from "../fees.ts";
+import type { GatewayOrder, PaymentGateway } from "./gateway.ts";
+
+export interface Sale {
+  ticketId: string;
+  buyerId: string;
+  sellerId: string;
+  fees: FeeBreakdown;
+  // When the buyer's hold on the ticket runs out
+  expiresAt: string;
+}
+
+/**
+ * What the order was created for, worked out on the server from the ticket
+ * row and the fee rules. The captured payment is checked against it.
+ */
+export interface OrderSnapshot {
+  orderId: string;
+  listingPrice: number;
+  amount: number;
+  currency: string;
+  fees: FeeBreakdown;
+  createdAt: string;
+  expiresAt: string;
+}
+
+export const buildOrderSnapshot = (order: GatewayOrder, sale: Sale, now = new Date()): OrderSnapshot => ({
+  orderId: order.orderId,
+  listingPrice: sale.fees.amount,
+  amount: order.amount,
+  currency: order.currency,
+  fees: sale.fees,
+  createdAt: now.toISOString(),
+  expiresAt: sale.expiresAt,
+});
+
+/**
+ * Whether a captured amount is what the order was for, compared in paise.
+ * Transactions from before snapshots were kept fall back to their amount.
+ */
+export const capturedAmountMatches = (
+  transaction: { amount: number; order_snapshot?: OrderSnapshot | null },
+  capturedAmount: number
+) => {
+  const expected = transaction.order_snapshot?.amount ?? transaction.amount;
+  return Math.round(Number(capturedAmount) * 100) === Math.round(Number(expected) * 100);
+};
+
+export const createPendingTransaction = async (
+  supabaseClient: SupabaseClient,
+  gateway: PaymentGateway,
+  order: GatewayOrder,
+  sale: Sale
+) => {
+  const { data, error } = await supabaseClient
+    .from('enhanced_transactions')
+    .insert({
+      ticket_id: sale.ticketId,
+      buyer_id: sale.buyerId,
+      seller_id: sale.sellerId,
+      amount: sale.fees.amount,
+      platform_fee: sale.fees.platformFee,
+      gst_amount: sale.fees.gst,
+      fee_breakdown: sale.fees,
+      order_snapshot: buildOrderSnapshot(order, sale),
+      order_expires_at: sale.expiresAt,
+      gateway: gateway.name,
+      payment_method: gateway.name,
+      gateway_order_id: order.orderId,
+      status: 'pending',
+      escrow_status: 'none'
+    })
+    .select('id')
+    .single();
+
+  if (error || !data) {
+    throw new Error("Failed to create transaction record");
+  }
+
+  return data.id as string;
+};
+
+/**
+ * Find the transaction for a gateway order, with its ticket, optionally
+ * limited to one buyer
+ */
+export const findTransactionByOrder = async (
+  supabaseClient: SupabaseClient,
+  gatewayName: string,
+  orderId: string,
+  buyerId?: string
+) => {
+  let query = supabaseClient
+    .from('enhanced_transactions')
+    .select('*, tickets(*)')
+    .eq('gateway', gatewayName)
+    .eq('gateway_order_id', orderId);
+
+  if (buyerId) {
+    query = query.eq('buyer_id', buyerId);
+  }
+
+  const { data } = await query.maybeSingle();
+  return data;
+};
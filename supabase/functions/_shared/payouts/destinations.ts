@@ -0,0 +1,181 @@
+/**
+ * Where sellers are paid: a UPI VPA or a bank account paid through RazorpayX,
+ * or a Stripe connected account, saved in payout_destinations. Kept apart
+ * from the payout sending so the browser can import the same validation for
+ * the Payment Settings form.
+ *
+ * A destination has to pass validateDestination to be saved, and a penny
+ * drop (verify-payout-destination) before anything is paid to it. Connected
+ * accounts are created by Stripe onboarding instead, and count as verified
+ * once Stripe enables transfers to them.
+ */
+
+import type { DestinationVerification, PayoutDestination } from "../payments/gateway.ts";
+import { MANUAL_REVIEW_THRESHOLD, scoreNameMatch } from "../../verify-pnr/nameMatching.ts";
+import { IFSC_PATTERN, lookupIfsc } from "./ifsc.ts";
+
+export interface PayoutDestinationRow {
+  id: string;
+  seller_id: string;
+  type: "vpa" | "bank_account" | "connected_account";
+  vpa: string | null;
+  account_number: string | null;
+  ifsc: string | null;
+  account_holder_name: string | null;
+  stripe_account_id?: string | null;
+  is_default?: boolean;
+  active?: boolean;
+  verification_status?: string;
+}
+
+export const VerificationStatus = {
+  UNVERIFIED: "unverified",
+  PENDING: "pending",
+  VERIFIED: "verified",
+  FAILED: "failed",
+} as const;
+
+const VPA_PATTERN = /^([a-z0-9][a-z0-9._-]{1,255})@([a-z][a-z0-9]{1,63})$/i;
+
+// Handles of the UPI apps and banks payouts can reach. NPCI adds new ones
+// now and then; add them here when a seller reports theirs is refused.
+export const UPI_HANDLES = new Set([
+  // BHIM and NPCI
+  "upi",
+  // PhonePe
+  "ybl", "ibl", "axl",
+  // Google Pay
+  "okaxis", "okhdfcbank", "okicici", "oksbi",
+  // Paytm
+  "paytm", "ptyes", "ptaxis", "pthdfc", "ptsbi",
+  // Amazon Pay
+  "apl", "yapl", "rapl",
+  // WhatsApp
+  "waaxis", "wahdfcbank", "waicici", "wasbi",
+  // Other apps
+  "freecharge", "ikwik", "jupiteraxis", "fam", "naviaxis", "slc", "airtel", "jio", "superyes", "razorpay",
+  // Banks
+  "sbi", "hdfcbank", "icici", "axisbank", "axisb", "kotak", "kmbl", "yesbank", "yesbankltd", "idfcbank",
+  "idfcfirst", "indus", "pnb", "barodampay", "unionbank", "unionbankofindia", "cnrb", "boi", "federal",
+  "fbl", "aubank", "rbl", "idbi", "dbs", "citi", "hsbc", "sc", "equitas", "kvb", "cub", "dlb", "kbl",
+  "iob", "indianbank", "centralbank", "mahb", "psb", "uco", "tjsb", "sib", "csbpay", "bandhan",
+]);
+
+// Account number lengths for banks that use a fixed format. Other banks get
+// the general NPCI limit of 9 to 18 digits. Banks don't publish check-digit
+// schemes, so beyond length the only sanity check is rejecting filler like
+// 000000000 or 111111111.
+export const ACCOUNT_NUMBER_LENGTHS: Record<string, number[]> = {
+  SBIN: [11, 17],
+  HDFC: [13, 14],
+  ICIC: [12],
+  UTIB: [15],
+  PUNB: [16],
+  BARB: [14],
+  UBIN: [15],
+  BKID: [15],
+  CBIN: [10],
+  IBKL: [15, 16],
+  IDFB: [10, 11],
+  YESB: [15],
+  FDRL: [14],
+};
+
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+
+const STRIPE_ACCOUNT_PATTERN = /^acct_[A-Za-z0-9]+$/;
+
+export const validateVpa = (value: string | null | undefined) => {
+  const match = value?.trim().match(VPA_PATTERN);
+  if (!match) return "Enter a UPI ID like name@okaxis";
+  if (!UPI_HANDLES.has(match[2].toLowerCase())) return `@${match[2]} isn't a UPI app we can pay to`;
+  return null;
+};
+
+export const validateIfsc = (value: string | null | undefined) => {
+  const ifsc = value?.trim().toUpperCase() ?? "";
+  if (!IFSC_PATTERN.test(ifsc)) return "IFSC codes look like SBIN0001234";
+  if (!lookupIfsc(ifsc)) return "No bank branch has this IFSC";
+  return null;
+};
+
+export const validateAccountNumber = (value: string | null | undefined, ifsc?: string | null) => {
+  const accountNumber = value?.trim() ?? "";
+  if (!ACCOUNT_NUMBER_PATTERN.test(accountNumber)) return "Account numbers are 9 to 18 digits";
+  if (/^(\d)\1+$/.test(accountNumber)) return "Enter your real account number";
+
+  const details = ifsc ? lookupIfsc(ifsc) : null;
+  const lengths = details && ACCOUNT_NUMBER_LENGTHS[details.bankCode];
+  if (lengths && !lengths.includes(accountNumber.length)) {
+    return `${details.bank} account numbers are ${lengths.join(" or ")} digits`;
+  }
+  return null;
+};
+
+/**
+ * Check a destination's details before it's saved or paid to
+ * @returns field name to message, empty when valid
+ */
+export const validateDestination = (destination: Partial<PayoutDestinationRow>) => {
+  const errors: Record<string, string | null> = {};
+
+  if (destination.type === "vpa") {
+    errors.vpa = validateVpa(destination.vpa);
+  } else if (destination.type === "bank_account") {
+    errors.ifsc = validateIfsc(destination.ifsc);
+    errors.account_number = validateAccountNumber(destination.account_number, destination.ifsc);
+    errors.account_holder_name = destination.account_holder_name?.trim() ? null : "Enter the name on the account";
+  } else if (destination.type === "connected_account") {
+    errors.stripe_account_id = STRIPE_ACCOUNT_PATTERN.test(destination.stripe_account_id ?? "")
+      ? null
+      : "Set up your Stripe account first";
+  } else {
+    errors.type = "Choose UPI or bank account";
+  }
+
+  return Object.fromEntries(Object.entries(errors).filter(([, message]) => message)) as Record<string, string>;
+};
+
+export const toGatewayDestination = (destination: PayoutDestinationRow): PayoutDestination => {
+  if (Object.keys(validateDestination(destination)).length > 0) {
+    throw new Error("Payout destination details are invalid");
+  }
+
+  if (destination.type === "connected_account") {
+    return { type: "connected_account", accountId: destination.stripe_account_id! };
+  }
+
+  return destination.type === "vpa"
+    ? { type: "vpa", address: destination.vpa!.trim() }
+    : {
+      type: "bank_account",
+      accountNumber: destination.account_number!.trim(),
+      ifsc: destination.ifsc!.trim().toUpperCase(),
+      name: destination.account_holder_name!.trim(),
+    };
+};
+
+/**
+ * What a penny drop means for the destination. A bank account verifies only
+ * if the bank's name for it is close enough to the holder name the seller
+ * entered, so payouts can't be pointed at someone else's account.
+ */
+export const verificationOutcome = (
+  destination: Pick<PayoutDestinationRow, "type" | "account_holder_name">,
+  result: DestinationVerification
+) => {
+  if (result.status === "verified" && destination.type === "bank_account" && result.registeredName &&
+    scoreNameMatch(result.registeredName, destination.account_holder_name ?? "") < MANUAL_REVIEW_THRESHOLD) {
+    return {
+      verification_status: VerificationStatus.FAILED,
+      verified_name: result.registeredName,
+      verification_error: `The bank has this account under ${result.registeredName}, not ${destination.account_holder_name}`,
+    };
+  }
+
+  return {
+    verification_status: result.status,
+    verified_name: result.registeredName,
+    verification_error: result.reason,
+  };
+};
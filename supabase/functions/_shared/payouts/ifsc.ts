@@ -0,0 +1,89 @@
+/**
+ * Offline IFSC lookup against the RBI branch list, as published in
+ * Razorpay's ifsc dataset (see `source` in ifsc-data.json). An IFSC is a
+ * 4-letter bank code, a 0 and a 6-character branch code. Branch codes are
+ * stored as ranges of the numeric ones plus the alphanumeric ones as-is, e.g.
+ * "1-120,122,NEFT02". Sub-member banks (mostly co-operative banks) clear
+ * through a sponsor's IFSC; `sublets` and `subletPrefixes` map those back to
+ * the bank that holds the account.
+ *
+ * To refresh it, rebuild ifsc-data.json from a newer release of the dataset
+ * in the same shape.
+ */
+
+import IFSC_DATA from "./ifsc-data.json" with { type: "json" };
+
+interface IfscData {
+  banks: Record<string, string>;
+  branches: Record<string, string>;
+  sublets: Record<string, string>;
+  subletPrefixes: Record<string, string>;
+}
+
+const data = IFSC_DATA as IfscData;
+
+export const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+export interface IfscDetails {
+  ifsc: string;
+  bankCode: string;
+  bank: string;
+  // The last six characters, which the dataset lists but doesn't name
+  branchCode: string;
+  // The bank the IFSC was issued through, when a member bank holds the account
+  sponsorBank: string | null;
+}
+
+const branchLists = new Map<string, { ranges: [number, number][]; codes: Set<string> }>();
+
+const branchList = (bankCode: string) => {
+  if (!branchLists.has(bankCode)) {
+    const ranges: [number, number][] = [];
+    const codes = new Set<string>();
+    for (const part of (data.branches[bankCode] ?? "").split(",")) {
+      const range = part.match(/^(\d+)(?:-(\d+))?$/);
+      if (range) {
+        ranges.push([Number(range[1]), Number(range[2] ?? range[1])]);
+      } else if (part) {
+        codes.add(part);
+      }
+    }
+    branchLists.set(bankCode, { ranges, codes });
+  }
+  return branchLists.get(bankCode)!;
+};
+
+const isListedBranch = (bankCode: string, branchCode: string) => {
+  const { ranges, codes } = branchList(bankCode);
+  if (codes.has(branchCode)) return true;
+  if (!/^\d{6}$/.test(branchCode)) return false;
+  const branch = Number(branchCode);
+  return ranges.some(([from, to]) => branch >= from && branch <= to);
+};
+
+// The bank that actually holds accounts for this IFSC
+const accountBankCode = (ifsc: string) => {
+  if (data.sublets[ifsc]) return data.sublets[ifsc];
+  const prefix = Object.keys(data.subletPrefixes).find(candidate => ifsc.startsWith(candidate));
+  return prefix ? data.subletPrefixes[prefix] : ifsc.slice(0, 4);
+};
+
+/**
+ * Look up an IFSC. Returns null when it's malformed or not a listed branch.
+ */
+export const lookupIfsc = (value: string): IfscDetails | null => {
+  const ifsc = value.trim().toUpperCase();
+  if (!IFSC_PATTERN.test(ifsc)) return null;
+
+  const sponsorCode = ifsc.slice(0, 4);
+  if (!isListedBranch(sponsorCode, ifsc.slice(5))) return null;
+
+  const bankCode = accountBankCode(ifsc);
+  return {
+    ifsc,
+    bankCode,
+    bank: data.banks[bankCode] ?? data.banks[sponsorCode] ?? bankCode,
+    branchCode: ifsc.slice(5),
+    sponsorBank: bankCode === sponsorCode ? null : data.banks[sponsorCode] ?? sponsorCode,
+  };
+};
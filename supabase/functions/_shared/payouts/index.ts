@@ -0,0 +1,261 @@
+/**
+ * Seller payouts. Each payout goes to one of the seller's saved destinations
+ * in payout_destinations, picked by the seller's payout rail: their default
+ * UPI VPA or bank account through RazorpayX, or their Stripe connected
+ * account. process-payouts sends what's due in scheduled batches,
+ * create-seller-payout sends one on request and Stripe payouts are
+ * transferred as soon as escrow is released; all go through sendPayout. A failed attempt is retried with
+ * exponential backoff until MAX_PAYOUT_ATTEMPTS, then the payout is failed.
+ * An attempt whose outcome we never heard stays processing until the
+ * gateway's webhook settles it.
+ *
+ *   pending ──sent──▶ processing ──payout.processed──▶ processed ──payout.reversed──▶ reversed
+ *      ▲                  │
+ *      └──attempt failed──┴──attempts exhausted──▶ failed
+ *
+ * Status changes are recorded in payout_events by a trigger, which is what
+ * PendingPayouts shows as the payout's timeline.
+ */
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { Gateway, GatewayRejectedError, getPaymentGateway, type PaymentGateway } from "../payments/index.ts";
+import { toGatewayDestination, VerificationStatus, type PayoutDestinationRow } from "./destinations.ts";
+
+export * from "./destinations.ts";
+
+export const PayoutStatus = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  PROCESSED: "processed",
+  FAILED: "failed",
+  REVERSED: "reversed",
+  CANCELLED: "cancelled",
+} as const;
+
+export const PayoutRail = {
+  RAZORPAY: "razorpay",
+  STRIPE: "stripe",
+} as const;
+
+export const MAX_PAYOUT_ATTEMPTS = 5;
+
+// 15 minutes after the first failure, doubling up to a day
+const RETRY_BASE_MS = 15 * 60 * 1000;
+const RETRY_MAX_MS = 24 * 60 * 60 * 1000;
+
+export interface SellerPayout {
+  id: string;
+  seller_id: string;
+  amount: number;
+  status: string;
+  attempts: number;
+  reference_id?: string | null;
+}
+
+/**
+ * Payouts go out through Stripe for connected accounts and RazorpayX for
+ * everything else. Sales paid in test mode are paid out by the mock gateway,
+ * so no real money moves for them.
+ */
+export const payoutGatewayFor = (saleGateway: string | null | undefined, destination: PayoutDestinationRow) => {
+  if (saleGateway === Gateway.MOCK) return getPaymentGateway(Gateway.MOCK);
+  return getPaymentGateway(destination.type === "connected_account" ? Gateway.STRIPE : Gateway.RAZORPAY);
+};
+
+/**
+ * The destination a seller's payouts go to: their connected account on the
+ * Stripe rail, otherwise their default UPI ID or bank account. Only verified
+ * destinations count.
+ */
+export const payoutDestinationFor = (rail: string | null | undefined, destinations: PayoutDestinationRow[]) =>
+  destinations.find(destination =>
+    destination.active !== false &&
+    destination.verification_status === VerificationStatus.VERIFIED &&
+    (rail === PayoutRail.STRIPE
+      ? destination.type === "connected_account"
+      : destination.type !== "connected_account" && destination.is_default)
+  ) ?? null;
+
+export const loadPayoutDestination = async (supabaseClient: SupabaseClient, sellerId: string) => {
+  const [{ data: profile }, { data: destinations }] = await Promise.all([
+    supabaseClient.from("profiles").select("payout_rail").eq("id", sellerId).single(),
+    supabaseClient.from("payout_destinations").select("*").eq("seller_id", sellerId).eq("active", true),
+  ]);
+
+  return payoutDestinationFor(profile?.payout_rail, (destinations ?? []) as PayoutDestinationRow[]);
+};
+
+/**
+ * How long to wait before the next attempt, after `attempts` have failed
+ */
+export const retryDelayMs = (attempts: number) =>
+  Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+/**
+ * Where a payout goes after a failed attempt: back to pending with a
+ * retry time, or failed once it has used all its attempts
+ */
+export const afterFailedAttempt = (attempts: number, now = new Date()) =>
+  attempts >= MAX_PAYOUT_ATTEMPTS
+    ? { status: PayoutStatus.FAILED, next_attempt_at: null }
+    : { status: PayoutStatus.PENDING, next_attempt_at: new Date(now.getTime() + retryDelayMs(attempts)).toISOString() };
+
+/**
+ * Record a failed attempt, scheduling the retry or failing the payout
+ */
+export const recordPayoutFailure = async (
+  supabaseClient: SupabaseClient,
+  payout: Pick<SellerPayout, "id" | "seller_id" | "amount" | "attempts">,
+  reason: string
+) => {
+  const next = afterFailedAttempt(payout.attempts);
+
+  // Nothing was paid under the old reference, so the next attempt gets a new one
+  await supabaseClient
+    .from("seller_payouts")
+    .update({ ...next, reference_id: null, failure_reason: reason, updated_at: new Date().toISOString() })
+    .eq("id", payout.id);
+
+  if (next.status === PayoutStatus.FAILED) {
+    await supabaseClient.functions.invoke("send-notification", {
+      body: {
+        userId: payout.seller_id,
+        title: "Payout Failed",
+        message: `We couldn't send your payout of ₹${payout.amount} after ${payout.attempts} attempts: ${reason}. Please check your payment details and request it again.`,
+        type: "payment",
+        data: { payoutId: payout.id },
+      },
+    });
+  }
+
+  return next.status;
+};
+
+const sentMessage = (amount: number, destination: PayoutDestinationRow) => {
+  switch (destination.type) {
+    case "vpa":
+      return `₹${amount} has been sent to ${destination.vpa}. It may take 1-2 hours to reflect.`;
+    case "connected_account":
+      return `₹${amount} has been transferred to your Stripe account and will be paid out on your Stripe payout schedule.`;
+    default:
+      return `₹${amount} has been sent to your bank account ending ${destination.account_number!.slice(-4)}. It may take 1-2 hours to reflect.`;
+  }
+};
+
+/**
+ * Send one payout attempt. The payout is claimed by moving it to processing,
+ * so a batch and a seller's request can't both send it. Only destinations that
+ * passed a penny drop (verify-payout-destination) are paid.
+ */
+export const sendPayout = async (
+  supabaseClient: SupabaseClient,
+  gateway: PaymentGateway,
+  payout: SellerPayout,
+  destination: PayoutDestinationRow,
+  batchId: string | null = null
+) => {
+  if (destination.verification_status !== VerificationStatus.VERIFIED) {
+    throw new Error("Verify this payout destination in Payment Settings before payouts can be sent to it");
+  }
+
+  const gatewayDestination = toGatewayDestination(destination);
+  const attempts = payout.attempts + 1;
+  // The gateway's idempotency key. It's kept until an attempt is known to
+  // have failed, so resending after a lost response can't pay twice.
+  const referenceId = payout.reference_id ?? `payout_${payout.id}_${attempts}`;
+
+  const { data: claimed } = await supabaseClient
+    .from("seller_payouts")
+    .update({
+      status: PayoutStatus.PROCESSING,
+      attempts,
+      reference_id: referenceId,
+      destination_id: destination.id,
+      batch_id: batchId,
+      last_attempt_at: new Date().toISOString(),
+      next_attempt_at: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", payout.id)
+    .eq("status", PayoutStatus.PENDING)
+    .eq("attempts", payout.attempts)
+    .select("id");
+
+  if (!claimed?.length) {
+    throw new Error("Payout is already being processed");
+  }
+
+  let result;
+  try {
+    result = await gateway.payout({
+      amount: payout.amount,
+      referenceId,
+      destination: gatewayDestination,
+      narration: "Bus ticket sale payment",
+    });
+  } catch (error) {
+    if (error instanceof GatewayRejectedError) {
+      const status = await recordPayoutFailure(supabaseClient, { ...payout, attempts }, error.message);
+      return { id: null, status, error: error.message };
+    }
+
+    // A timeout or server error: the payout may have gone out. It stays
+    // processing for the webhook to settle, which matches it by reference.
+    await supabaseClient
+      .from("seller_payouts")
+      .update({
+        gateway: gateway.name,
+        failure_reason: `Waiting for the gateway to confirm: ${error.message}`,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", payout.id);
+    return { id: null, status: PayoutStatus.PROCESSING, error: error.message };
+  }
+
+  // Razorpay usually answers processing; payout.processed finishes it
+  const processed = result.status === PayoutStatus.PROCESSED;
+  await supabaseClient
+    .from("seller_payouts")
+    .update({
+      status: processed ? PayoutStatus.PROCESSED : PayoutStatus.PROCESSING,
+      gateway: gateway.name,
+      gateway_payout_id: result.id,
+      processed_at: processed ? new Date().toISOString() : null,
+      failure_reason: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", payout.id);
+
+  await supabaseClient.functions.invoke("send-notification", {
+    body: {
+      userId: payout.seller_id,
+      title: "Payment Sent!",
+      message: sentMessage(payout.amount, destination),
+      type: "payout_sent",
+      data: { payoutId: payout.id },
+    },
+  });
+
+  return { id: result.id, status: processed ? PayoutStatus.PROCESSED : PayoutStatus.PROCESSING, error: null };
+};
+
+/**
+ * Transfer a sale's payout as soon as its escrow is released, for sellers
+ * paid through Stripe. Everyone else is paid in the next process-payouts run.
+ */
+export const transferReleasedPayout = async (supabaseClient: SupabaseClient, transactionId: string) => {
+  const { data: payout } = await supabaseClient
+    .from("seller_payouts")
+    .select("id, seller_id, amount, status, attempts, reference_id, enhanced_transactions(gateway)")
+    .eq("transaction_id", transactionId)
+    .eq("status", PayoutStatus.PENDING)
+    .maybeSingle();
+
+  if (!payout) return null;
+
+  const destination = await loadPayoutDestination(supabaseClient, payout.seller_id);
+  if (destination?.type !== "connected_account") return null;
+
+  const saleGateway = (payout.enhanced_transactions as { gateway?: string } | null)?.gateway;
+  return sendPayout(supabaseClient, payoutGatewayFor(saleGateway, destination), payout as SellerPayout, destination);
+};
@@ -0,0 +1,82 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import {
+  canConfirmBoarding,
+  EscrowEvent,
+  EscrowStatus,
+  releaseEscrow,
+} from "../release-escrow/escrow.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+// Buyer confirms they boarded, releasing the seller's funds before the grace window ends
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "",
+      { auth: { persistSession: false } }
+    );
+
+    const authHeader = req.headers.get("Authorization")!;
+    const token = authHeader.replace("Bearer ", "");
+    const { data } = await supabaseClient.auth.getUser(token);
+    const user = data.user;
+
+    if (!user) {
+      throw new Error("User not authenticated");
+    }
+
+    const { transactionId } = await req.json();
+
+    if (!transactionId) {
+      throw new Error("Missing required field: transactionId");
+    }
+
+    const { data: transaction, error: transactionError } = await supabaseClient
+      .from('enhanced_transactions')
+      .select('id, buyer_id, seller_id, amount, platform_fee, status, escrow_status, escrow_release_at, tickets(departure_date, departure_time)')
+      .eq('id', transactionId)
+      .eq('buyer_id', user.id)
+      .single();
+
+    if (transactionError || !transaction) {
+      throw new Error("Transaction not found");
+    }
+
+    if (transaction.status !== 'completed' || transaction.escrow_status !== EscrowStatus.HELD) {
+      throw new Error("Payment for this purchase is not held in escrow");
+    }
+
+    if (!canConfirmBoarding(transaction.tickets)) {
+      throw new Error("Boarding can only be confirmed close to departure");
+    }
+
+    await releaseEscrow(supabaseClient, transaction, EscrowEvent.BOARDING_CONFIRMED, user.id);
+
+    return new Response(
+      JSON.stringify({ success: true, escrowStatus: EscrowStatus.RELEASED }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error("Error confirming boarding:", error);
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 500,
+      }
+    );
+  }
+});
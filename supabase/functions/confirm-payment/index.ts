@@ -1,6 +1,8 @@
 import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
-import Stripe from "https://esm.sh/stripe@14.21.0";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { stripeGateway } from "../_shared/payments/stripe.ts";
+import { findTransactionByOrder } from "../_shared/payments/transactions.ts";
+import { completePurchase, PurchaseOutcome } from "../_shared/payments/purchase.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -25,84 +27,49 @@ serve(async (req) => {
       throw new Error("Missing payment intent ID");
     }
 
-    const stripe = new Stripe(Deno.env.get("STRIPE_SECRET_KEY") || "", {
-      apiVersion: "2023-10-16",
-    });
-
     // Retrieve payment intent from Stripe
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-    
-    if (paymentIntent.status !== 'succeeded') {
+    const payment = await stripeGateway.verifyPayment({ orderId: paymentIntentId });
+
+    if (!payment.captured) {
       throw new Error("Payment not successful");
     }
 
-    const { ticketId, buyerId, sellerId } = paymentIntent.metadata;
+    const transaction = await findTransactionByOrder(supabaseClient, stripeGateway.name, paymentIntentId);
+
+    if (!transaction) {
+      throw new Error("Transaction not found");
+    }
 
-    // Update transaction status
-    const { error: transactionError } = await supabaseClient
-      .from('enhanced_transactions')
-      .update({
-        status: 'completed',
-        escrow_status: 'released',
-        completion_date: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('payment_intent_id', paymentIntentId);
+    // stripe-webhook may complete it first on payment_intent.succeeded
+    const { outcome, releaseAt } = await completePurchase(supabaseClient, transaction, payment.paymentId, {
+      actorId: transaction.buyer_id,
+      capturedAmount: payment.amount,
+      gatewayFee: payment.fee
+    });
 
-    if (transactionError) {
-      throw new Error("Failed to update transaction");
+    if (outcome === PurchaseOutcome.REVERIFICATION_FAILED) {
+      throw new Error("Ticket failed re-verification with the operator, so the purchase was cancelled. Check your notifications for your refund.");
     }
 
-    // Update ticket status to sold
-    await supabaseClient
-      .from('tickets')
-      .update({ 
-        status: 'sold',
-        buyer_id: buyerId,
-        sold_at: new Date().toISOString()
-      })
-      .eq('id', ticketId);
+    if (outcome === PurchaseOutcome.TICKET_UNAVAILABLE) {
+      throw new Error("Ticket has already been sold to another buyer. Check your notifications for your refund.");
+    }
 
-    // Update user transaction counts
-    await supabaseClient
-      .from('user_profiles')
-      .upsert([
-        { 
-          user_id: buyerId, 
-          successful_purchases: supabaseClient.from('user_profiles').select('successful_purchases').eq('user_id', buyerId).single().then(r => (r.data?.successful_purchases || 0) + 1),
-          total_transactions: supabaseClient.from('user_profiles').select('total_transactions').eq('user_id', buyerId).single().then(r => (r.data?.total_transactions || 0) + 1),
-          updated_at: new Date().toISOString()
-        },
-        { 
-          user_id: sellerId, 
-          successful_sales: supabaseClient.from('user_profiles').select('successful_sales').eq('user_id', sellerId).single().then(r => (r.data?.successful_sales || 0) + 1),
-          total_transactions: supabaseClient.from('user_profiles').select('total_transactions').eq('user_id', sellerId).single().then(r => (r.data?.total_transactions || 0) + 1),
-          updated_at: new Date().toISOString()
-        }
-      ], { onConflict: 'user_id' });
+    if (outcome === PurchaseOutcome.CANCELLED) {
+      throw new Error("This purchase was cancelled. Check your notifications for your refund.");
+    }
 
-    // Create notifications
-    await supabaseClient
-      .from('notifications')
-      .insert([
-        {
-          user_id: buyerId,
-          title: 'Payment Successful',
-          message: 'Your ticket purchase has been confirmed. Check your transaction history for details.',
-          type: 'success',
-          category: 'transaction'
-        },
-        {
-          user_id: sellerId,
-          title: 'Ticket Sold',
-          message: 'Your ticket has been sold successfully. Payment has been processed.',
-          type: 'success',
-          category: 'transaction'
-        }
-      ]);
+    if (outcome === PurchaseOutcome.AMOUNT_MISMATCH) {
+      throw new Error("The amount paid does not match the order, so the purchase was cancelled. Check your notifications for your refund.");
+    }
 
     return new Response(
-      JSON.stringify({ success: true, message: "Payment confirmed successfully" }),
+      JSON.stringify({
+        success: true,
+        message: "Payment confirmed successfully",
+        transactionId: transaction.id,
+        escrowReleaseAt: releaseAt?.toISOString() ?? null
+      }),
       {
         headers: { ...corsHeaders, "Content-Type": "application/json" },
         status: 200,
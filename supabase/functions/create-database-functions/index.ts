@@ -20,44 +20,36 @@ serve(async (req) => {
 
     // Create all missing database functions
     const functions = [
-      // Function 1: get_available_tickets
+      // Function 1: get_available_tickets (listing columns only; no PNR or passenger details)
       `CREATE OR REPLACE FUNCTION get_available_tickets()
       RETURNS TABLE (
         id UUID,
-        pnr_number TEXT,
-        passenger_name TEXT,
         from_location TEXT,
         to_location TEXT,
         departure_date TEXT,
         departure_time TEXT,
         bus_operator TEXT,
-        seat_number TEXT,
         ticket_price DECIMAL,
         selling_price DECIMAL,
         status TEXT,
         verification_status TEXT,
         seller_name TEXT,
-        seller_phone TEXT,
         created_at TIMESTAMP WITH TIME ZONE
       ) AS $$
       BEGIN
         RETURN QUERY
         SELECT 
           t.id,
-          t.pnr_number,
-          t.passenger_name,
           t.from_location,
           t.to_location,
           t.departure_date,
           t.departure_time,
           t.bus_operator,
-          t.seat_number,
           t.ticket_price,
           t.selling_price,
           t.status,
           t.verification_status,
           COALESCE(p.full_name, 'Anonymous') as seller_name,
-          COALESCE(p.phone, '') as seller_phone,
           t.created_at
         FROM tickets t
         LEFT JOIN profiles p ON t.seller_id = p.id
@@ -1,6 +1,11 @@
 import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
-import Stripe from "https://esm.sh/stripe@14.21.0";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { stripeGateway } from "../_shared/payments/stripe.ts";
+import { createPendingTransaction } from "../_shared/payments/transactions.ts";
+import { quoteTicketFees } from "../_shared/fees.ts";
+import { assertTicketTransferable } from "../_shared/operatorPolicies.ts";
+
+const TICKET_HOLD_MINUTES = 10;
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -28,10 +33,10 @@ serve(async (req) => {
       throw new Error("User not authenticated");
     }
 
-    const { ticketId, amount } = await req.json();
+    const { ticketId } = await req.json();
     
-    if (!ticketId || !amount) {
-      throw new Error("Missing required fields: ticketId, amount");
+    if (!ticketId) {
+      throw new Error("Missing required field: ticketId");
     }
 
     // Get ticket details
@@ -39,7 +44,7 @@ serve(async (req) => {
       .from('tickets')
       .select('*, seller_id, selling_price')
       .eq('id', ticketId)
-      .eq('status', 'available')
+      .in('status', ['available', 'reserved'])
       .single();
 
     if (ticketError || !ticket) {
@@ -50,66 +55,63 @@ serve(async (req) => {
       throw new Error("Cannot purchase your own ticket");
     }
 
-    const stripe = new Stripe(Deno.env.get("STRIPE_SECRET_KEY") || "", {
-      apiVersion: "2023-10-16",
-    });
-
-    // Calculate platform fee (5% of selling price)
-    const platformFee = Math.round(ticket.selling_price * 0.05 * 100); // Convert to cents
-    const totalAmount = Math.round(ticket.selling_price * 100); // Convert to cents
-
-    // Create or get Stripe customer
-    const customers = await stripe.customers.list({ email: user.email, limit: 1 });
-    let customerId;
-    if (customers.data.length > 0) {
-      customerId = customers.data[0].id;
-    } else {
-      const customer = await stripe.customers.create({ email: user.email });
-      customerId = customer.id;
+    // The operator may no longer accept a name change this close to departure
+    await assertTicketTransferable(supabaseClient, ticket);
+
+    // Hold the ticket for this buyer while they pay
+    const { data: reservedUntil, error: reserveError } = await supabaseClient
+      .rpc('reserve_ticket', {
+        p_ticket_id: ticketId,
+        p_buyer_id: user.id,
+        p_hold_minutes: TICKET_HOLD_MINUTES
+      });
+
+    if (reserveError || !reservedUntil) {
+      throw new Error("Someone else is already purchasing this ticket");
     }
 
+    const releaseReservation = () => supabaseClient
+      .rpc('release_ticket_reservation', { p_ticket_id: ticketId, p_buyer_id: user.id });
+
     // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: totalAmount,
-      currency: "inr",
-      customer: customerId,
-      metadata: {
-        ticketId: ticket.id,
+    let fees;
+    let transactionId;
+    let order;
+    try {
+      fees = await quoteTicketFees(supabaseClient, ticket);
+
+      order = await stripeGateway.createOrder({
+        receipt: `ticket_${ticketId}_${Date.now()}`,
+        amount: fees.amount,
+        description: `Bus ticket from ${ticket.from_location} to ${ticket.to_location}`,
+        customerEmail: user.email,
+        metadata: {
+          ticketId: ticket.id,
+          buyerId: user.id,
+          sellerId: ticket.seller_id,
+          platformFee: fees.platformFee.toString(),
+        },
+      });
+
+      transactionId = await createPendingTransaction(supabaseClient, stripeGateway, order, {
+        ticketId,
         buyerId: user.id,
         sellerId: ticket.seller_id,
-        platformFee: platformFee.toString(),
-      },
-      description: `Bus ticket from ${ticket.from_location} to ${ticket.to_location}`,
-    });
-
-    // Create transaction record
-    const { error: transactionError } = await supabaseClient
-      .from('enhanced_transactions')
-      .insert({
-        ticket_id: ticketId,
-        buyer_id: user.id,
-        seller_id: ticket.seller_id,
-        amount: ticket.selling_price,
-        platform_fee: platformFee / 100,
-        payment_intent_id: paymentIntent.id,
-        status: 'pending',
-        escrow_status: 'held'
+        fees,
+        expiresAt: reservedUntil
       });
-
-    if (transactionError) {
-      throw new Error("Failed to create transaction record");
+    } catch (error) {
+      await releaseReservation();
+      throw error;
     }
 
-    // Mark ticket as pending purchase
-    await supabaseClient
-      .from('tickets')
-      .update({ status: 'pending_purchase' })
-      .eq('id', ticketId);
-
     return new Response(
       JSON.stringify({
-        clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id,
+        clientSecret: order.clientData.clientSecret,
+        paymentIntentId: order.orderId,
+        transactionId,
+        fees,
+        holdExpiresAt: reservedUntil,
       }),
       {
         headers: { ...corsHeaders, "Content-Type": "application/json" },
@@ -1,5 +1,11 @@
 import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { razorpayGateway } from "../_shared/payments/razorpay.ts";
+import { createPendingTransaction } from "../_shared/payments/transactions.ts";
+import { quoteTicketFees } from "../_shared/fees.ts";
+import { assertTicketTransferable } from "../_shared/operatorPolicies.ts";
+
+const TICKET_HOLD_MINUTES = 10;
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -27,10 +33,11 @@ serve(async (req) => {
       throw new Error("User not authenticated");
     }
 
-    const { ticketId, amount, sellerAmount, platformCommission } = await req.json();
+    // Prices and fees come from the listing and the fee rules, never the client
+    const { ticketId } = await req.json();
     
-    if (!ticketId || !amount) {
-      throw new Error("Missing required fields: ticketId, amount");
+    if (!ticketId) {
+      throw new Error("Missing required field: ticketId");
     }
 
     // Get ticket details and verify availability
@@ -38,7 +45,7 @@ serve(async (req) => {
       .from('tickets')
       .select('*, seller_id')
       .eq('id', ticketId)
-      .eq('status', 'available')
+      .in('status', ['available', 'reserved'])
       .single();
 
     if (ticketError || !ticket) {
@@ -49,75 +56,65 @@ serve(async (req) => {
       throw new Error("Cannot purchase your own ticket");
     }
 
-    // Get Razorpay credentials from secrets
-    const razorpayKeyId = Deno.env.get("RAZORPAY_KEY_ID");
-    const razorpayKeySecret = Deno.env.get("RAZORPAY_KEY_SECRET");
-
-    if (!razorpayKeyId || !razorpayKeySecret) {
-      throw new Error("Razorpay credentials not configured");
-    }
+    // The operator may no longer accept a name change this close to departure
+    await assertTicketTransferable(supabaseClient, ticket);
 
-    // Create Razorpay order - all payments go to main account
-    const orderData = {
-      amount: amount * 100, // Convert to paise
-      currency: 'INR',
-      receipt: `ticket_${ticketId}_${Date.now()}`,
-      notes: {
-        ticket_id: ticketId,
-        buyer_id: user.id,
-        seller_id: ticket.seller_id,
-        type: 'ticket_purchase'
-      }
-    };
+    // Atomically hold the ticket for this buyer; a concurrent buyer loses here.
+    // The hold expires after TICKET_HOLD_MINUTES and the ticket goes back on sale.
+    const { data: reservedUntil, error: reserveError } = await supabaseClient
+      .rpc('reserve_ticket', {
+        p_ticket_id: ticketId,
+        p_buyer_id: user.id,
+        p_hold_minutes: TICKET_HOLD_MINUTES
+      });
 
-    const auth = btoa(`${razorpayKeyId}:${razorpayKeySecret}`);
-    
-    const razorpayResponse = await fetch('https://api.razorpay.com/v1/orders', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(orderData),
-    });
-
-    if (!razorpayResponse.ok) {
-      const errorData = await razorpayResponse.text();
-      throw new Error(`Razorpay API error: ${errorData}`);
+    if (reserveError || !reservedUntil) {
+      throw new Error("Someone else is already purchasing this ticket");
     }
 
-    const order = await razorpayResponse.json();
-
-    // Create transaction record in database
-    const { error: transactionError } = await supabaseClient
-      .from('enhanced_transactions')
-      .insert({
-        ticket_id: ticketId,
-        buyer_id: user.id,
-        seller_id: ticket.seller_id,
-        amount: amount,
-        platform_fee: platformCommission,
-        razorpay_order_id: order.id,
-        status: 'pending',
-        escrow_status: 'held'
+    const releaseReservation = () => supabaseClient
+      .rpc('release_ticket_reservation', { p_ticket_id: ticketId, p_buyer_id: user.id });
+
+    // Create Razorpay order - all payments go to main account
+    let fees;
+    let transactionId;
+    let order;
+    try {
+      fees = await quoteTicketFees(supabaseClient, ticket);
+
+      order = await razorpayGateway.createOrder({
+        receipt: `ticket_${ticketId}_${Date.now()}`,
+        amount: fees.amount,
+        description: `Bus ticket from ${ticket.from_location} to ${ticket.to_location}`,
+        metadata: {
+          ticket_id: ticketId,
+          buyer_id: user.id,
+          seller_id: ticket.seller_id,
+          type: 'ticket_purchase'
+        }
       });
 
-    if (transactionError) {
-      throw new Error("Failed to create transaction record");
+      transactionId = await createPendingTransaction(supabaseClient, razorpayGateway, order, {
+        ticketId,
+        buyerId: user.id,
+        sellerId: ticket.seller_id,
+        fees,
+        expiresAt: reservedUntil
+      });
+    } catch (error) {
+      await releaseReservation();
+      throw error;
     }
 
-    // Mark ticket as pending purchase
-    await supabaseClient
-      .from('tickets')
-      .update({ status: 'pending_purchase' })
-      .eq('id', ticketId);
-
     return new Response(
       JSON.stringify({
-        orderId: order.id,
-        amount: order.amount,
+        orderId: order.orderId,
+        amount: order.clientData.amount,
         currency: order.currency,
-        razorpayKeyId: razorpayKeyId
+        razorpayKeyId: order.clientData.razorpayKeyId,
+        transactionId,
+        fees,
+        holdExpiresAt: reservedUntil
       }),
       {
         headers: { ...corsHeaders, "Content-Type": "application/json" },
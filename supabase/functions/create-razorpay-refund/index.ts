@@ -0,0 +1,95 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { processRefund, REFUND_POLICIES, type RefundReasonValue } from "./refunds.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+// Refund a Razorpay purchase in full or in part. Called by admins from
+// TicketManagement, or by other functions with the service role key.
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      serviceRoleKey,
+      { auth: { persistSession: false } }
+    );
+
+    const authHeader = req.headers.get("Authorization") ?? "";
+    const token = authHeader.replace("Bearer ", "");
+    let actorId: string | undefined;
+
+    if (token !== serviceRoleKey) {
+      const { data } = await supabaseClient.auth.getUser(token);
+      const { data: profile } = await supabaseClient
+        .from("profiles")
+        .select("user_type")
+        .eq("id", data.user?.id ?? "")
+        .single();
+
+      if (profile?.user_type !== "admin") {
+        throw new Error("Only an admin can issue refunds");
+      }
+      actorId = data.user?.id;
+    }
+
+    const { transactionId, ticketId, amount, reason, idempotencyKey, notes } = await req.json();
+
+    if ((!transactionId && !ticketId) || !reason || !idempotencyKey) {
+      throw new Error("Missing required fields: transactionId or ticketId, reason, idempotencyKey");
+    }
+
+    if (!(reason in REFUND_POLICIES)) {
+      throw new Error(`Unknown refund reason: ${reason}`);
+    }
+
+    let targetTransactionId = transactionId;
+    if (!targetTransactionId) {
+      const { data: sale } = await supabaseClient
+        .from("enhanced_transactions")
+        .select("id")
+        .eq("ticket_id", ticketId)
+        .eq("status", "completed")
+        .maybeSingle();
+
+      if (!sale) {
+        throw new Error("No completed purchase found for this ticket");
+      }
+      targetTransactionId = sale.id;
+    }
+
+    const result = await processRefund(supabaseClient, {
+      transactionId: targetTransactionId,
+      reason: reason as RefundReasonValue,
+      idempotencyKey,
+      amount: amount === undefined || amount === null || amount === "" ? undefined : Number(amount),
+      actorId,
+      notes,
+    });
+
+    return new Response(
+      JSON.stringify({ success: true, ...result }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error("Error creating refund:", error);
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 500,
+      }
+    );
+  }
+});
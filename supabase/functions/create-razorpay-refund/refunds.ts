@@ -0,0 +1,359 @@
+/**
+ * Refunds, shared by create-razorpay-refund and resolve-dispute. Every refund
+ * is recorded in the refunds table under an idempotency key first, so a
+ * retried request returns the earlier refund instead of paying out twice.
+ */
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { getPaymentGateway } from "../_shared/payments/index.ts";
+import { EscrowEvent, EscrowStatus, transitionEscrow } from "../release-escrow/escrow.ts";
+
+export const RefundReason = {
+  BUYER_CANCELLED: "buyer_cancelled",
+  SELLER_CANCELLED: "seller_cancelled",
+  OPERATOR_CANCELLED: "operator_cancelled",
+  INVALID_TICKET: "invalid_ticket",
+  DISPUTE: "dispute",
+  // The gateway captured the payment but the sale was cancelled before it
+  // went through, e.g. the ticket failed re-verification
+  FAILED_PURCHASE: "failed_purchase",
+  OTHER: "other",
+} as const;
+
+export type RefundReasonValue = typeof RefundReason[keyof typeof RefundReason];
+
+interface RefundPolicy {
+  // Give back the platform commission along with the seller's share
+  refundCommission: boolean;
+  // Ticket status after a full refund; null leaves the ticket alone
+  ticketStatus: "available" | "cancelled" | null;
+}
+
+// The platform keeps its commission when the buyer backs out, and returns it
+// when the sale fell through on the seller's or operator's side
+export const REFUND_POLICIES: Record<RefundReasonValue, RefundPolicy> = {
+  [RefundReason.BUYER_CANCELLED]: { refundCommission: false, ticketStatus: "available" },
+  [RefundReason.SELLER_CANCELLED]: { refundCommission: true, ticketStatus: "cancelled" },
+  [RefundReason.OPERATOR_CANCELLED]: { refundCommission: true, ticketStatus: "cancelled" },
+  [RefundReason.INVALID_TICKET]: { refundCommission: true, ticketStatus: "cancelled" },
+  [RefundReason.DISPUTE]: { refundCommission: true, ticketStatus: "cancelled" },
+  [RefundReason.FAILED_PURCHASE]: { refundCommission: true, ticketStatus: null },
+  [RefundReason.OTHER]: { refundCommission: false, ticketStatus: null },
+};
+
+export interface RefundableTransaction {
+  amount: number;
+  platform_fee: number | null;
+  refunded_amount: number | null;
+  refunded_commission: number | null;
+}
+
+const roundRupees = (value: number) => Math.round(value * 100) / 100;
+
+/**
+ * Work out a refund under the reason's policy. Without an amount, refunds
+ * everything still refundable. `full` means nothing is left to refund after;
+ * `refundable` is the most the purchase can have refunded in total.
+ */
+export const calculateRefund = (
+  transaction: RefundableTransaction,
+  reason: RefundReasonValue,
+  requestedAmount?: number
+) => {
+  const policy = REFUND_POLICIES[reason];
+  if (!policy) {
+    throw new Error(`Unknown refund reason: ${reason}`);
+  }
+
+  const total = Number(transaction.amount);
+  const fee = Number(transaction.platform_fee ?? 0);
+  const alreadyRefunded = Number(transaction.refunded_amount ?? 0);
+  const commissionRefunded = Number(transaction.refunded_commission ?? 0);
+
+  const refundable = policy.refundCommission ? total : total - fee;
+  const remaining = roundRupees(Math.max(0, refundable - alreadyRefunded));
+  const amount = roundRupees(requestedAmount ?? remaining);
+
+  if (remaining <= 0) {
+    throw new Error("Nothing left to refund on this purchase");
+  }
+  if (!(amount > 0) || amount > remaining) {
+    throw new Error(`Refund amount must be between ₹0 and ₹${remaining}`);
+  }
+
+  const full = amount === remaining;
+  let commission = 0;
+  if (policy.refundCommission && total > 0) {
+    commission = full
+      ? roundRupees(fee - commissionRefunded)
+      : Math.min(roundRupees(amount * fee / total), roundRupees(fee - commissionRefunded));
+  }
+
+  return { amount, commission, full, refundable, policy };
+};
+
+/**
+ * Refund for a purchase cancelled after the gateway captured the payment.
+ * The sale never happened, so everything captured goes back, which after an
+ * amount mismatch isn't the order amount.
+ */
+export const calculateVoidRefund = (transaction: RefundableTransaction, capturedAmount?: number) => {
+  const captured = roundRupees(capturedAmount ?? Number(transaction.amount));
+  const amount = roundRupees(captured - Number(transaction.refunded_amount ?? 0));
+
+  if (!(amount > 0)) {
+    throw new Error("Nothing left to refund on this purchase");
+  }
+
+  const commission = Math.min(amount, roundRupees(Number(transaction.platform_fee ?? 0) - Number(transaction.refunded_commission ?? 0)));
+  return { amount, commission, full: true, refundable: captured, policy: REFUND_POLICIES[RefundReason.FAILED_PURCHASE] };
+};
+
+export interface RefundRequest {
+  transactionId: string;
+  reason: RefundReasonValue;
+  idempotencyKey: string;
+  amount?: number;
+  actorId?: string;
+  notes?: string;
+  // Escrow event for a full refund, e.g. dispute_refunded
+  escrowEvent?: string;
+  metadata?: Record<string, unknown>;
+  // Callers that send their own messages (resolve-dispute) turn this off
+  notify?: boolean;
+}
+
+export const processRefund = async (supabaseClient: SupabaseClient, request: RefundRequest) => {
+  if (!request.idempotencyKey) {
+    throw new Error("An idempotency key is required");
+  }
+
+  const { data: existing } = await supabaseClient
+    .from("refunds")
+    .select("*")
+    .eq("idempotency_key", request.idempotencyKey)
+    .maybeSingle();
+
+  if (existing && existing.status !== "failed") {
+    return { refund: existing, full: existing.full_refund as boolean, duplicate: true };
+  }
+
+  const { data: transaction, error: transactionError } = await supabaseClient
+    .from("enhanced_transactions")
+    .select("id, ticket_id, buyer_id, seller_id, amount, platform_fee, refunded_amount, refunded_commission, status, escrow_status, gateway, gateway_payment_id, tickets(from_location, to_location)")
+    .eq("id", request.transactionId)
+    .single();
+
+  if (transactionError || !transaction) {
+    throw new Error("Transaction not found");
+  }
+
+  // A purchase cancelled after capture never reached escrow; the buyer gets
+  // back whatever the gateway took and the ticket and escrow are left alone
+  const voided = transaction.status === "cancelled" && (transaction.escrow_status ?? EscrowStatus.NONE) === EscrowStatus.NONE;
+
+  if (!voided && transaction.status !== "completed") {
+    throw new Error("Only completed purchases can be refunded");
+  }
+
+  if (!voided && transaction.escrow_status !== EscrowStatus.HELD && transaction.escrow_status !== EscrowStatus.DISPUTED) {
+    throw new Error("The funds for this purchase are no longer in escrow");
+  }
+
+  if (!transaction.gateway_payment_id) {
+    throw new Error("This purchase has no captured payment to refund");
+  }
+
+  const { amount, commission, full: expectedFull, refundable, policy } = voided
+    ? calculateVoidRefund(transaction, request.amount)
+    : calculateRefund(transaction, request.reason, request.amount);
+
+  const refundRow = {
+    transaction_id: transaction.id,
+    idempotency_key: request.idempotencyKey,
+    amount,
+    commission_refunded: commission,
+    full_refund: expectedFull,
+    reason: request.reason,
+    gateway: transaction.gateway,
+    status: "pending",
+    error: null,
+    notes: request.notes ?? null,
+    requested_by: request.actorId ?? null,
+    updated_at: new Date().toISOString(),
+  };
+
+  // A failed attempt is retried under the same key
+  const { data: refund, error: refundError } = existing
+    ? await supabaseClient.from("refunds").update(refundRow).eq("id", existing.id).select().single()
+    : await supabaseClient.from("refunds").insert(refundRow).select().single();
+
+  if (refundError || !refund) {
+    // Lost a race with a concurrent request using the same key
+    const { data: concurrent } = await supabaseClient
+      .from("refunds")
+      .select("*")
+      .eq("idempotency_key", request.idempotencyKey)
+      .single();
+    if (concurrent) {
+      return { refund: concurrent, full: concurrent.full_refund as boolean, duplicate: true };
+    }
+    throw new Error("Failed to record refund");
+  }
+
+  // Add the refund to the purchase's totals before any money moves. The
+  // check against what's refundable happens in the same update, so
+  // concurrent refunds under different keys can't refund more between them.
+  const { data: totals, error: totalsError } = await supabaseClient.rpc("add_refund_totals", {
+    p_transaction_id: transaction.id,
+    p_amount: amount,
+    p_commission: commission,
+    p_refundable: refundable,
+  });
+
+  if (totalsError || !totals?.length) {
+    const message = totalsError ? "Failed to update refund totals" : "Another refund was issued for this purchase; try again";
+    await supabaseClient
+      .from("refunds")
+      .update({ status: "failed", error: message, updated_at: new Date().toISOString() })
+      .eq("id", refund.id);
+    throw new Error(message);
+  }
+
+  // Judged on the totals after this refund, which include any that ran alongside
+  const full = Number(totals[0].refunded_amount) >= refundable;
+
+  // Refunds go back through the gateway the buyer paid with
+  let gatewayRefund;
+  try {
+    gatewayRefund = await getPaymentGateway(transaction.gateway).refund(transaction.gateway_payment_id, amount, {
+      receipt: refund.id.replace(/-/g, ""),
+      notes: { refund_id: refund.id, transaction_id: transaction.id, reason: request.reason },
+    });
+  } catch (gatewayError) {
+    // Nothing was refunded, so give the amount back to the totals
+    await supabaseClient.rpc("add_refund_totals", {
+      p_transaction_id: transaction.id,
+      p_amount: -amount,
+      p_commission: -commission,
+      p_refundable: refundable,
+    });
+    await supabaseClient
+      .from("refunds")
+      .update({ status: "failed", error: gatewayError.message, updated_at: new Date().toISOString() })
+      .eq("id", refund.id);
+    throw gatewayError;
+  }
+
+  const { data: processed } = await supabaseClient
+    .from("refunds")
+    .update({
+      gateway_refund_id: gatewayRefund.id,
+      full_refund: full,
+      status: gatewayRefund.processed ? "processed" : "pending",
+      processed_at: gatewayRefund.processed ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", refund.id)
+    .select()
+    .single();
+
+  // The money has moved; from here on log failures instead of throwing so the
+  // caller doesn't retry the refund itself
+  if (full) {
+    const { error: statusError } = await supabaseClient
+      .from("enhanced_transactions")
+      .update({ status: "refunded", updated_at: new Date().toISOString() })
+      .eq("id", transaction.id);
+
+    if (statusError) {
+      console.error(`Failed to mark ${transaction.id} refunded:`, statusError);
+    }
+  }
+
+  // Nothing was sold, so there's no escrow, ticket or seller to update; the
+  // caller tells the buyer
+  if (voided) {
+    return { refund: processed ?? refund, full, duplicate: false };
+  }
+
+  if (full) {
+    try {
+      await transitionEscrow(supabaseClient, transaction.id, EscrowStatus.REFUNDED, request.escrowEvent ?? EscrowEvent.REFUND_ISSUED, {
+        actorId: request.actorId,
+        metadata: { ...request.metadata, refund_id: refund.id, gateway_refund_id: gatewayRefund.id, refund_amount: amount },
+      });
+    } catch (escrowError) {
+      console.error(`Refunded ${transaction.id} but escrow was not updated:`, escrowError);
+    }
+  }
+
+  await supabaseClient.from("transactions").insert({
+    ticket_id: transaction.ticket_id,
+    buyer_id: transaction.buyer_id,
+    seller_id: transaction.seller_id,
+    amount,
+    transaction_type: "refund",
+    payment_method: transaction.gateway,
+    payment_id: gatewayRefund.id,
+    status: "completed",
+    completed_at: new Date().toISOString(),
+  });
+
+  if (full) {
+    await supabaseClient
+      .from("transactions")
+      .update({ status: "refunded", updated_at: new Date().toISOString() })
+      .eq("ticket_id", transaction.ticket_id)
+      .eq("buyer_id", transaction.buyer_id)
+      .neq("transaction_type", "refund");
+
+    if (policy.ticketStatus === "available") {
+      // The buyer backed out, so the seat goes back on sale for the seller
+      const { error: relistError } = await supabaseClient
+        .from("tickets")
+        .update({ status: "available", buyer_id: null, sold_at: null, reserved_by: null, reserved_until: null, updated_at: new Date().toISOString() })
+        .eq("id", transaction.ticket_id);
+      if (relistError) {
+        console.error(`Failed to relist ticket ${transaction.ticket_id}:`, relistError);
+      }
+    } else if (policy.ticketStatus) {
+      await supabaseClient
+        .from("tickets")
+        .update({ status: policy.ticketStatus, updated_at: new Date().toISOString() })
+        .eq("id", transaction.ticket_id);
+    }
+  }
+
+  if (request.notify !== false) {
+    const route = transaction.tickets
+      ? `${transaction.tickets.from_location} → ${transaction.tickets.to_location}`
+      : "ticket";
+    const sellerShare = Number(transaction.amount) - Number(transaction.platform_fee ?? 0);
+    const sellerDeduction = roundRupees(amount - commission);
+
+    await supabaseClient.functions.invoke("send-notification", {
+      body: {
+        userId: transaction.buyer_id,
+        title: "Refund Initiated",
+        message: `₹${amount} for your ${route} ticket is being refunded to your original payment method. It usually arrives within 5-7 working days.`,
+        type: "payment",
+        data: { transactionId: transaction.id, refundId: refund.id },
+      },
+    });
+
+    await supabaseClient.functions.invoke("send-notification", {
+      body: {
+        userId: transaction.seller_id,
+        title: full ? "Sale Refunded" : "Partial Refund Issued",
+        message: full
+          ? `The buyer of your ${route} ticket has been refunded and the sale was cancelled.`
+          : `The buyer of your ${route} ticket received a partial refund. ₹${sellerDeduction} was deducted from your ₹${sellerShare} payout.`,
+        type: "payment",
+        data: { transactionId: transaction.id, refundId: refund.id },
+      },
+    });
+  }
+
+  return { refund: processed ?? refund, full, duplicate: false };
+};
@@ -1,5 +1,12 @@
 import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import {
+  PayoutStatus,
+  VerificationStatus,
+  loadPayoutDestination,
+  payoutGatewayFor,
+  sendPayout,
+} from "../_shared/payouts/index.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -27,94 +34,100 @@ serve(async (req) => {
       throw new Error("User not authenticated");
     }
 
-    const { payoutId, upiId, phoneNumber } = await req.json();
+    const { payoutId, destinationId } = await req.json();
     
-    if (!payoutId || (!upiId && !phoneNumber)) {
-      throw new Error("Missing required fields: payoutId and (upiId or phoneNumber)");
+    if (!payoutId) {
+      throw new Error("Missing required field: payoutId");
     }
 
-    // Get payout details
-    const { data: payout, error: payoutError } = await supabaseClient
+    const { data: profile } = await supabaseClient
+      .from('profiles')
+      .select('user_type')
+      .eq('id', user.id)
+      .single();
+    const isAdmin = profile?.user_type === 'admin';
+
+    // Sellers send their own pending payouts and retry failed ones. A reversed
+    // payout was returned by the bank or pulled back by us, so only an admin
+    // sends it again, once they've looked into why.
+    let payoutQuery = supabaseClient
       .from('seller_payouts')
-      .select('*')
+      .select('*, enhanced_transactions(gateway)')
       .eq('id', payoutId)
-      .eq('seller_id', user.id)
-      .eq('status', 'pending')
-      .single();
+      .in('status', isAdmin
+        ? [PayoutStatus.PENDING, PayoutStatus.FAILED, PayoutStatus.REVERSED]
+        : [PayoutStatus.PENDING, PayoutStatus.FAILED]);
+
+    if (!isAdmin) {
+      payoutQuery = payoutQuery.eq('seller_id', user.id);
+    }
+
+    const { data: payout, error: payoutError } = await payoutQuery.single();
 
     if (payoutError || !payout) {
-      throw new Error("Payout not found or already processed");
+      throw new Error("Payout not found, already processed or waiting on support");
     }
 
-    // Get Razorpay credentials
-    const razorpayKeyId = Deno.env.get("RAZORPAY_KEY_ID");
-    const razorpayKeySecret = Deno.env.get("RAZORPAY_KEY_SECRET");
+    // The saved destination the seller picked, or the one on their payout rail
+    const destination = destinationId
+      ? (await supabaseClient
+        .from('payout_destinations')
+        .select('*')
+        .eq('id', destinationId)
+        .eq('seller_id', payout.seller_id)
+        .eq('active', true)
+        .maybeSingle()).data
+      : await loadPayoutDestination(supabaseClient, payout.seller_id);
+
+    if (!destination) {
+      throw new Error("Add and verify a UPI ID, bank account or Stripe account in Payment Settings first");
+    }
 
-    if (!razorpayKeyId || !razorpayKeySecret) {
-      throw new Error("Razorpay credentials not configured");
+    if (destination.verification_status !== VerificationStatus.VERIFIED) {
+      throw new Error("Verify this payout destination in Payment Settings first");
     }
 
-    // Create payout via Razorpay Payouts API
-    const payoutData = {
-      account_number: "2323230099089860", // Your business account number
-      amount: payout.amount * 100, // Convert to paise
-      currency: "INR",
-      mode: "UPI",
-      purpose: "refund",
-      fund_account: {
-        account_type: "vpa",
-        vpa: {
-          address: upiId || `${phoneNumber}@paytm` // Default to paytm if only phone provided
-        }
-      },
-      queue_if_low_balance: true,
-      reference_id: `payout_${payoutId}_${Date.now()}`,
-      narration: "Bus ticket sale payment"
-    };
-
-    const auth = btoa(`${razorpayKeyId}:${razorpayKeySecret}`);
-    
-    const razorpayResponse = await fetch('https://api.razorpay.com/v1/payouts', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payoutData),
-    });
-
-    if (!razorpayResponse.ok) {
-      const errorData = await razorpayResponse.text();
-      throw new Error(`Razorpay Payout API error: ${errorData}`);
+    // Sending again after a failure or reversal starts a fresh round of
+    // attempts, usually with corrected details
+    if (payout.status !== PayoutStatus.PENDING) {
+      const { data: reset } = await supabaseClient
+        .from('seller_payouts')
+        .update({
+          status: PayoutStatus.PENDING,
+          attempts: 0,
+          // A reversed payout was paid under the old reference
+          reference_id: null,
+          next_attempt_at: null,
+          failure_reason: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', payoutId)
+        .eq('status', payout.status)
+        .select('id');
+
+      if (!reset?.length) {
+        throw new Error("Payout is already being processed");
+      }
+      payout.attempts = 0;
+      payout.reference_id = null;
     }
 
-    const payoutResult = await razorpayResponse.json();
+    const payoutResult = await sendPayout(
+      supabaseClient,
+      payoutGatewayFor(payout.enhanced_transactions?.gateway, destination),
+      payout,
+      destination
+    );
 
-    // Update payout status
-    const { error: updateError } = await supabaseClient
-      .from('seller_payouts')
-      .update({
-        status: 'processed',
-        razorpay_payout_id: payoutResult.id,
-        processed_at: new Date().toISOString(),
-        upi_id: upiId,
-        phone_number: phoneNumber
-      })
-      .eq('id', payoutId);
-
-    if (updateError) {
-      throw new Error("Failed to update payout status");
+    if (payoutResult.error && payoutResult.status === PayoutStatus.PROCESSING) {
+      throw new Error("The payout was sent but not yet confirmed. It will update once the payment provider confirms it.");
     }
 
-    // Send success notification
-    await supabaseClient.functions.invoke('send-notification', {
-      body: {
-        userId: user.id,
-        title: 'Payment Sent!',
-        message: `₹${payout.amount} has been sent to your UPI. It may take 1-2 hours to reflect.`,
-        type: 'payout_sent'
-      }
-    });
+    if (payoutResult.error) {
+      throw new Error(payoutResult.status === PayoutStatus.PENDING
+        ? `Payout failed: ${payoutResult.error}. It will be retried automatically.`
+        : `Payout failed: ${payoutResult.error}`);
+    }
 
     return new Response(
       JSON.stringify({
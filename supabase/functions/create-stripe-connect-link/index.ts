@@ -0,0 +1,118 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { stripeClient } from "../_shared/payments/stripe.ts";
+import { VerificationStatus } from "../_shared/payouts/index.ts";
+
+// Stripe Connect onboarding for sellers who want to be paid through Stripe.
+// Creates the seller's Express account on first use and returns a Stripe
+// hosted onboarding link; stripe-webhook marks the account verified once
+// Stripe enables transfers to it. Calling it again resumes onboarding.
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+// Where the platform's Stripe account is. Sellers elsewhere are onboarded as
+// recipients, the only kind of account Stripe allows cross-border transfers to.
+const platformCountry = () => Deno.env.get("STRIPE_PLATFORM_COUNTRY") ?? "IN";
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "",
+      { auth: { persistSession: false } }
+    );
+
+    const authHeader = req.headers.get("Authorization")!;
+    const token = authHeader.replace("Bearer ", "");
+    const { data } = await supabaseClient.auth.getUser(token);
+    const user = data.user;
+
+    if (!user?.email) {
+      throw new Error("User not authenticated");
+    }
+
+    const { country, returnUrl } = await req.json();
+
+    if (!returnUrl) {
+      throw new Error("Missing required field: returnUrl");
+    }
+
+    const stripe = await stripeClient();
+
+    const { data: existing } = await supabaseClient
+      .from('payout_destinations')
+      .select('id, stripe_account_id')
+      .eq('seller_id', user.id)
+      .eq('type', 'connected_account')
+      .eq('active', true)
+      .maybeSingle();
+
+    let accountId = existing?.stripe_account_id;
+
+    if (!accountId) {
+      if (!/^[A-Z]{2}$/.test(country ?? "")) {
+        throw new Error("Choose the country your bank account is in");
+      }
+
+      const account = await stripe.accounts.create(
+        {
+          type: "express",
+          country,
+          email: user.email,
+          capabilities: { transfers: { requested: true } },
+          tos_acceptance: country === platformCountry() ? undefined : { service_agreement: "recipient" },
+          metadata: { seller_id: user.id },
+        },
+        { idempotencyKey: `connect_account_${user.id}_${country}` }
+      );
+      accountId = account.id;
+
+      const { error: insertError } = await supabaseClient
+        .from('payout_destinations')
+        .insert({
+          seller_id: user.id,
+          type: 'connected_account',
+          stripe_account_id: accountId,
+          is_default: false,
+          verification_status: VerificationStatus.PENDING,
+          verification_id: accountId
+        });
+
+      if (insertError) {
+        throw new Error(`Failed to save Stripe account: ${insertError.message}`);
+      }
+    }
+
+    const link = await stripe.accountLinks.create({
+      account: accountId,
+      refresh_url: returnUrl,
+      return_url: returnUrl,
+      type: "account_onboarding",
+    });
+
+    return new Response(
+      JSON.stringify({ url: link.url, accountId }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error("Error creating Stripe onboarding link:", error);
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 500,
+      }
+    );
+  }
+});
@@ -147,43 +147,36 @@ serve(async (req) => {
         FOR SELECT USING (auth.uid() = sender_id OR auth.uid() = receiver_id);`,
 
       // Create database functions
+      // get_available_tickets is public: listing columns only, no PNR or passenger details
       `CREATE OR REPLACE FUNCTION get_available_tickets()
       RETURNS TABLE (
         id UUID,
-        pnr_number TEXT,
-        passenger_name TEXT,
         from_location TEXT,
         to_location TEXT,
         departure_date TEXT,
         departure_time TEXT,
         bus_operator TEXT,
-        seat_number TEXT,
         ticket_price DECIMAL,
         selling_price DECIMAL,
         status TEXT,
         verification_status TEXT,
         seller_name TEXT,
-        seller_phone TEXT,
         created_at TIMESTAMP WITH TIME ZONE
       ) AS $$
       BEGIN
         RETURN QUERY
         SELECT 
           t.id,
-          t.pnr_number,
-          t.passenger_name,
           t.from_location,
           t.to_location,
           t.departure_date,
           t.departure_time,
           t.bus_operator,
-          t.seat_number,
           t.ticket_price,
           t.selling_price,
           t.status,
           t.verification_status,
           p.full_name as seller_name,
-          p.phone as seller_phone,
           t.created_at
         FROM tickets t
         LEFT JOIN profiles p ON t.seller_id = p.id
@@ -0,0 +1,186 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { Gateway, getPaymentGateway } from "../_shared/payments/index.ts";
+import { mockPaymentId, mockPaymentResult, mockPaymentSignature } from "../_shared/payments/mock.ts";
+import { createPendingTransaction } from "../_shared/payments/transactions.ts";
+import { quoteTicketFees } from "../_shared/fees.ts";
+import { assertTicketTransferable } from "../_shared/operatorPolicies.ts";
+import { completePurchase, PurchaseOutcome } from "../_shared/payments/purchase.ts";
+
+// Test-mode checkout. Takes one of the test cards or UPI ids and runs the
+// purchase through the same hold, transaction, escrow and notification steps
+// as create-razorpay-order and verify-razorpay-payment, against the mock
+// gateway instead of Razorpay. Refused unless MOCK_PAYMENTS_ENABLED is "true".
+
+const TICKET_HOLD_MINUTES = 10;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "",
+      { auth: { persistSession: false } }
+    );
+
+    const gateway = getPaymentGateway(Gateway.MOCK);
+
+    const authHeader = req.headers.get("Authorization")!;
+    const token = authHeader.replace("Bearer ", "");
+    const { data } = await supabaseClient.auth.getUser(token);
+    const user = data.user;
+
+    if (!user?.email) {
+      throw new Error("User not authenticated");
+    }
+
+    const { ticketId, card, upiId } = await req.json();
+
+    if (!ticketId) {
+      throw new Error("Missing required field: ticketId");
+    }
+
+    // Reject unknown instruments before anything is held
+    const result = mockPaymentResult({ card, upiId });
+
+    const { data: ticket, error: ticketError } = await supabaseClient
+      .from('tickets')
+      .select('*')
+      .eq('id', ticketId)
+      .in('status', ['available', 'reserved'])
+      .single();
+
+    if (ticketError || !ticket) {
+      throw new Error("Ticket not found or not available");
+    }
+
+    if (ticket.seller_id === user.id) {
+      throw new Error("Cannot purchase your own ticket");
+    }
+
+    // The operator may no longer accept a name change this close to departure
+    await assertTicketTransferable(supabaseClient, ticket);
+
+    const { data: reservedUntil, error: reserveError } = await supabaseClient
+      .rpc('reserve_ticket', {
+        p_ticket_id: ticketId,
+        p_buyer_id: user.id,
+        p_hold_minutes: TICKET_HOLD_MINUTES
+      });
+
+    if (reserveError || !reservedUntil) {
+      throw new Error("Someone else is already purchasing this ticket");
+    }
+
+    const releaseReservation = () => supabaseClient
+      .rpc('release_ticket_reservation', { p_ticket_id: ticketId, p_buyer_id: user.id });
+
+    let fees;
+    let order;
+    let transactionId;
+    try {
+      fees = await quoteTicketFees(supabaseClient, ticket);
+
+      order = await gateway.createOrder({
+        receipt: `ticket_${ticketId}_${Date.now()}`,
+        amount: fees.amount,
+        description: `Bus ticket from ${ticket.from_location} to ${ticket.to_location}`,
+        metadata: { ticket_id: ticketId, buyer_id: user.id, seller_id: ticket.seller_id, type: 'ticket_purchase' }
+      });
+
+      transactionId = await createPendingTransaction(supabaseClient, gateway, order, {
+        ticketId,
+        buyerId: user.id,
+        sellerId: ticket.seller_id,
+        fees,
+        expiresAt: reservedUntil
+      });
+    } catch (error) {
+      await releaseReservation();
+      throw error;
+    }
+
+    // What the checkout widget would hand back to the browser
+    const paymentId = await mockPaymentId(order.orderId, result === "declined");
+    const signature = await mockPaymentSignature(order.orderId, paymentId);
+
+    const payment = await gateway.verifyPayment({ orderId: order.orderId, paymentId, signature });
+
+    if (!payment.captured) {
+      await supabaseClient
+        .from('enhanced_transactions')
+        .update({
+          status: 'failed',
+          payment_status: 'failed',
+          payment_error: 'Declined by test instrument',
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', transactionId);
+      await releaseReservation();
+      throw new Error("Payment declined (test mode)");
+    }
+
+    const { data: transaction } = await supabaseClient
+      .from('enhanced_transactions')
+      .select('*, tickets(*)')
+      .eq('id', transactionId)
+      .single();
+
+    const { outcome, releaseAt } = await completePurchase(supabaseClient, transaction, payment.paymentId, {
+      actorId: user.id,
+      capturedAmount: payment.amount,
+      gatewayFee: payment.fee
+    });
+
+    if (outcome === PurchaseOutcome.REVERIFICATION_FAILED) {
+      throw new Error("Ticket failed re-verification with the operator, so the purchase was cancelled. Check your notifications for your refund.");
+    }
+
+    if (outcome === PurchaseOutcome.TICKET_UNAVAILABLE) {
+      throw new Error("Ticket has already been sold to another buyer. Check your notifications for your refund.");
+    }
+
+    if (outcome === PurchaseOutcome.CANCELLED) {
+      throw new Error("This purchase was cancelled. Check your notifications for your refund.");
+    }
+
+    if (outcome === PurchaseOutcome.AMOUNT_MISMATCH) {
+      throw new Error("The amount paid does not match the order, so the purchase was cancelled. Check your notifications for your refund.");
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        mock: true,
+        transactionId,
+        orderId: order.orderId,
+        paymentId: payment.paymentId,
+        fees,
+        escrowReleaseAt: releaseAt?.toISOString() ?? null,
+        ticket: transaction.tickets
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error("Error processing mock payment:", error);
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 500,
+      }
+    );
+  }
+});
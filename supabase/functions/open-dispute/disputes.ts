@@ -0,0 +1,74 @@
+/**
+ * Dispute helpers shared by open-dispute, respond-dispute and resolve-dispute
+ */
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+
+export const MAX_EVIDENCE_FILES = 5;
+
+const DEFAULT_RESPONSE_HOURS = 48;
+
+export const DisputeResolution = {
+  FULL_REFUND: "full_refund",
+  PARTIAL_REFUND: "partial_refund",
+  RELEASE: "release",
+} as const;
+
+export type DisputeResolutionValue = typeof DisputeResolution[keyof typeof DisputeResolution];
+
+// Uploaded by the client to the ticket-documents bucket under `<user id>/`
+export interface EvidenceFile {
+  path: string;
+  name: string;
+  type: string;
+}
+
+/**
+ * Hours the seller has to respond to a dispute, set with DISPUTE_RESPONSE_HOURS
+ */
+export const getDisputeResponseHours = () => {
+  const configured = Deno.env.get("DISPUTE_RESPONSE_HOURS");
+  const hours = Number(configured);
+  return configured && Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_RESPONSE_HOURS;
+};
+
+/**
+ * Check evidence before recording it: a user can only attach files from
+ * their own storage folder
+ */
+export const validateEvidence = (userId: string, evidence: EvidenceFile[] = []) => {
+  if (!Array.isArray(evidence)) {
+    throw new Error("Evidence must be a list of uploaded files");
+  }
+  if (evidence.length > MAX_EVIDENCE_FILES) {
+    throw new Error(`Attach at most ${MAX_EVIDENCE_FILES} files`);
+  }
+  for (const file of evidence) {
+    if (!file?.path?.startsWith(`${userId}/`) || file.path.includes("..")) {
+      throw new Error("Evidence files must be uploaded from your account");
+    }
+  }
+  return evidence;
+};
+
+export const recordEvidence = async (
+  supabaseClient: SupabaseClient,
+  params: { userId: string; ticketId: string; disputeId: string; evidence: EvidenceFile[] }
+) => {
+  if (params.evidence.length === 0) return;
+
+  const { error } = await supabaseClient
+    .from("ticket_documents")
+    .insert(params.evidence.map(file => ({
+      ticket_id: params.ticketId,
+      support_ticket_id: params.disputeId,
+      uploaded_by: params.userId,
+      file_name: file.name,
+      file_path: file.path,
+      file_type: file.type,
+    })));
+
+  if (error) {
+    throw new Error(`Failed to save evidence: ${error.message}`);
+  }
+};
@@ -0,0 +1,150 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import {
+  EscrowEvent,
+  EscrowStatus,
+  isWithinDisputeWindow,
+  transitionEscrow,
+} from "../release-escrow/escrow.ts";
+import {
+  getDisputeResponseHours,
+  recordEvidence,
+  validateEvidence,
+} from "./disputes.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+// Buyer opens a dispute on a purchase: creates a 'dispute' support ticket with
+// evidence, freezes the held funds and gives the seller a window to respond
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "",
+      { auth: { persistSession: false } }
+    );
+
+    const authHeader = req.headers.get("Authorization")!;
+    const token = authHeader.replace("Bearer ", "");
+    const { data } = await supabaseClient.auth.getUser(token);
+    const user = data.user;
+
+    if (!user) {
+      throw new Error("User not authenticated");
+    }
+
+    const { transactionId, reason, evidence } = await req.json();
+
+    if (!transactionId || !reason?.trim()) {
+      throw new Error("Missing required fields: transactionId, reason");
+    }
+
+    const evidenceFiles = validateEvidence(user.id, evidence);
+
+    const { data: transaction, error: transactionError } = await supabaseClient
+      .from('enhanced_transactions')
+      .select('id, ticket_id, buyer_id, seller_id, amount, platform_fee, status, escrow_status, escrow_release_at, tickets(from_location, to_location, departure_date)')
+      .eq('id', transactionId)
+      .eq('buyer_id', user.id)
+      .single();
+
+    if (transactionError || !transaction) {
+      throw new Error("Transaction not found");
+    }
+
+    if (transaction.status !== 'completed' || !isWithinDisputeWindow(transaction)) {
+      throw new Error("The window to report a problem with this purchase has closed");
+    }
+
+    const responseDueAt = new Date(Date.now() + getDisputeResponseHours() * 60 * 60 * 1000);
+    const route = transaction.tickets
+      ? `${transaction.tickets.from_location} → ${transaction.tickets.to_location} on ${transaction.tickets.departure_date}`
+      : 'ticket purchase';
+
+    const { data: dispute, error: disputeError } = await supabaseClient
+      .from('support_tickets')
+      .insert({
+        user_id: user.id,
+        ticket_id: transaction.ticket_id,
+        transaction_id: transaction.id,
+        respondent_id: transaction.seller_id,
+        subject: `Dispute: ${route}`,
+        description: reason.trim(),
+        category: 'dispute',
+        priority: 'high',
+        status: 'open',
+        response_due_at: responseDueAt.toISOString()
+      })
+      .select('id')
+      .single();
+
+    if (disputeError || !dispute) {
+      throw new Error("A dispute is already open for this purchase");
+    }
+
+    try {
+      await recordEvidence(supabaseClient, {
+        userId: user.id,
+        ticketId: transaction.ticket_id,
+        disputeId: dispute.id,
+        evidence: evidenceFiles
+      });
+
+      await transitionEscrow(supabaseClient, transaction.id, EscrowStatus.DISPUTED, EscrowEvent.DISPUTE_OPENED, {
+        actorId: user.id,
+        metadata: { dispute_id: dispute.id }
+      });
+    } catch (openError) {
+      // The evidence couldn't be saved, or the funds were released or
+      // refunded meanwhile. An open dispute left behind would block the
+      // buyer from trying again while escrow carried on as if there were none.
+      await supabaseClient.from('support_tickets').delete().eq('id', dispute.id);
+      throw openError;
+    }
+
+    await supabaseClient.functions.invoke('send-notification', {
+      body: {
+        userId: transaction.seller_id,
+        title: 'Dispute Opened',
+        message: `The buyer opened a dispute about your ${route} ticket. The payment is on hold. Please respond with your side before ${responseDueAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}.`,
+        type: 'payment',
+        data: { transactionId: transaction.id, disputeId: dispute.id }
+      }
+    });
+
+    await supabaseClient.functions.invoke('send-notification', {
+      body: {
+        userId: user.id,
+        title: 'Dispute Opened',
+        message: 'We\'ve put the payment on hold. The seller can respond, then our team will review the dispute and let you know the outcome.',
+        type: 'payment',
+        data: { transactionId: transaction.id, disputeId: dispute.id }
+      }
+    });
+
+    return new Response(
+      JSON.stringify({ success: true, disputeId: dispute.id, escrowStatus: EscrowStatus.DISPUTED }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error("Error opening dispute:", error);
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 500,
+      }
+    );
+  }
+});
@@ -0,0 +1,163 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import {
+  PayoutStatus,
+  VerificationStatus,
+  payoutDestinationFor,
+  payoutGatewayFor,
+  sendPayout,
+  type PayoutDestinationRow,
+  type SellerPayout,
+} from "../_shared/payouts/index.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+// Payouts sent per run; anything left over goes in the next batch
+const BATCH_SIZE = 100;
+
+// Scheduled job: sends every pending payout that's due to the seller's
+// verified destination on their payout rail, and records the run in
+// payout_batches. Payouts wait, pending, until the seller has one. Invoked by
+// the pg_cron job in the 20250820090000-payout-subsystem migration, or
+// manually by an admin.
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      serviceRoleKey,
+      { auth: { persistSession: false } }
+    );
+
+    const authHeader = req.headers.get("Authorization") ?? "";
+    const token = authHeader.replace("Bearer ", "");
+
+    if (token !== serviceRoleKey) {
+      const { data } = await supabaseClient.auth.getUser(token);
+      const { data: profile } = await supabaseClient
+        .from("profiles")
+        .select("user_type")
+        .eq("id", data.user?.id ?? "")
+        .single();
+
+      if (profile?.user_type !== "admin") {
+        throw new Error("Only the scheduler or an admin can run payouts");
+      }
+    }
+
+    // Only payouts with a verified destination, so the ones still waiting on
+    // the seller never crowd the rest out of the batch
+    const { data: payouts, error: payoutsError } = await supabaseClient
+      .rpc("due_seller_payouts", { p_limit: BATCH_SIZE })
+      .select("id, seller_id, amount, status, attempts, reference_id, enhanced_transactions(gateway)");
+
+    if (payoutsError) {
+      throw new Error(`Failed to load payouts: ${payoutsError.message}`);
+    }
+
+    const summary = { attempted: 0, processed: 0, retrying: 0, failed: 0, unconfirmed: 0, skipped: 0, total_amount: 0 };
+
+    if (!payouts?.length) {
+      return new Response(
+        JSON.stringify({ success: true, batchId: null, ...summary }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: 200,
+        }
+      );
+    }
+
+    const sellerIds = [...new Set(payouts.map(payout => payout.seller_id))];
+    const [{ data: profiles }, { data: destinations }] = await Promise.all([
+      supabaseClient.from("profiles").select("id, payout_rail").in("id", sellerIds),
+      supabaseClient
+        .from("payout_destinations")
+        .select("*")
+        .in("seller_id", sellerIds)
+        .eq("active", true)
+        .eq("verification_status", VerificationStatus.VERIFIED),
+    ]);
+
+    const railBySeller = new Map((profiles ?? []).map(profile => [profile.id, profile.payout_rail]));
+    const destinationBySeller = new Map(sellerIds.map(sellerId => [
+      sellerId,
+      payoutDestinationFor(
+        railBySeller.get(sellerId),
+        (destinations as PayoutDestinationRow[] ?? []).filter(destination => destination.seller_id === sellerId)
+      ),
+    ]));
+
+    const { data: batch, error: batchError } = await supabaseClient
+      .from("payout_batches")
+      .insert({})
+      .select("id")
+      .single();
+
+    if (batchError || !batch) {
+      throw new Error("Failed to start payout batch");
+    }
+
+    for (const payout of payouts) {
+      // The seller removed or changed their destination since the query ran
+      const destination = destinationBySeller.get(payout.seller_id);
+      if (!destination) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        const gateway = payoutGatewayFor(payout.enhanced_transactions?.gateway, destination);
+        const result = await sendPayout(supabaseClient, gateway, payout as SellerPayout, destination, batch.id);
+
+        summary.attempted++;
+        if (result.status === PayoutStatus.PENDING) {
+          summary.retrying++;
+        } else if (result.status === PayoutStatus.FAILED) {
+          summary.failed++;
+        } else if (result.error) {
+          // Sent, but the gateway's answer never arrived; its webhook settles it
+          summary.unconfirmed++;
+        } else {
+          summary.processed++;
+          summary.total_amount += Number(payout.amount);
+        }
+      } catch (payoutError) {
+        // Usually the seller requested it themselves since the query ran
+        console.error(`Failed to send payout ${payout.id}:`, payoutError);
+        summary.skipped++;
+      }
+    }
+
+    await supabaseClient
+      .from("payout_batches")
+      .update({ ...summary, status: "completed", completed_at: new Date().toISOString() })
+      .eq("id", batch.id);
+
+    console.log(`Payout batch ${batch.id} complete:`, summary);
+
+    return new Response(
+      JSON.stringify({ success: true, batchId: batch.id, ...summary }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error("Error processing payouts:", error);
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 500,
+      }
+    );
+  }
+});
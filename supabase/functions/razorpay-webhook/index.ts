@@ -0,0 +1,290 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { razorpayGateway, verifyWebhookSignature } from "../_shared/payments/razorpay.ts";
+import { findTransactionByOrder } from "../_shared/payments/transactions.ts";
+import { completePurchase, PurchaseOutcome } from "../_shared/payments/purchase.ts";
+import { PayoutStatus, recordPayoutFailure } from "../_shared/payouts/index.ts";
+
+const supabase = createClient(
+  Deno.env.get("SUPABASE_URL") ?? "",
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "",
+  { auth: { persistSession: false } }
+);
+
+// An event still marked processing after this long is assumed to have died
+// mid-way and is processed again on the next delivery
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+interface RazorpayEntity {
+  id: string;
+  [key: string]: unknown;
+}
+
+interface RazorpayWebhookEvent {
+  event: string;
+  created_at: number;
+  payload: Record<string, { entity: RazorpayEntity }>;
+}
+
+serve(async (req) => {
+  if (req.method !== "POST") {
+    return new Response("Method not allowed", { status: 405 });
+  }
+
+  const signature = req.headers.get("x-razorpay-signature");
+  const webhookSecret = Deno.env.get("RAZORPAY_WEBHOOK_SECRET");
+
+  if (!signature || !webhookSecret) {
+    return new Response("Missing signature or webhook secret", { status: 400 });
+  }
+
+  const body = await req.text();
+
+  if (!(await verifyWebhookSignature(body, signature, webhookSecret))) {
+    return new Response("Invalid signature", { status: 400 });
+  }
+
+  const event: RazorpayWebhookEvent = JSON.parse(body);
+  const entity = Object.values(event.payload ?? {})[0]?.entity;
+  const eventId = req.headers.get("x-razorpay-event-id") ?? `${event.event}:${entity?.id}:${event.created_at}`;
+
+  console.log(`Processing Razorpay webhook event: ${event.event} (${eventId})`);
+
+  if (!(await claimEvent(eventId, event))) {
+    return new Response(JSON.stringify({ received: true, duplicate: true }), {
+      headers: { "Content-Type": "application/json" },
+      status: 200,
+    });
+  }
+
+  try {
+    switch (event.event) {
+      case "payment.captured":
+        await handlePaymentCaptured(event.payload.payment.entity);
+        break;
+
+      case "payment.failed":
+        await handlePaymentFailed(event.payload.payment.entity);
+        break;
+
+      case "refund.processed":
+        await handleRefundProcessed(event.payload.refund.entity);
+        break;
+
+      case "payout.processed":
+        await handlePayoutProcessed(event.payload.payout.entity);
+        break;
+
+      case "payout.failed":
+        await handlePayoutFailed(event.payload.payout.entity);
+        break;
+
+      case "payout.reversed":
+        await handlePayoutReversed(event.payload.payout.entity);
+        break;
+
+      default:
+        console.log(`Unhandled event type: ${event.event}`);
+    }
+
+    await supabase
+      .from("razorpay_webhook_events")
+      .update({ status: "processed", error: null, processed_at: new Date().toISOString() })
+      .eq("id", eventId);
+
+    return new Response(JSON.stringify({ received: true }), {
+      headers: { "Content-Type": "application/json" },
+      status: 200,
+    });
+  } catch (error) {
+    console.error("Webhook error:", error);
+    await supabase
+      .from("razorpay_webhook_events")
+      .update({ status: "failed", error: error.message })
+      .eq("id", eventId);
+
+    // A non-2xx response makes Razorpay deliver the event again later
+    return new Response(`Webhook error: ${error.message}`, { status: 500 });
+  }
+});
+
+/**
+ * Record the event, or take over a failed or abandoned earlier delivery.
+ * Returns false when the event was already handled.
+ */
+async function claimEvent(eventId: string, event: RazorpayWebhookEvent) {
+  const { error } = await supabase
+    .from("razorpay_webhook_events")
+    .insert({ id: eventId, event: event.event, payload: event });
+
+  if (!error) return true;
+  if (error.code !== "23505") throw new Error(`Failed to record webhook event: ${error.message}`);
+
+  const { data: existing } = await supabase
+    .from("razorpay_webhook_events")
+    .select("status, attempts, received_at")
+    .eq("id", eventId)
+    .single();
+
+  const isStale = existing?.status === "processing" &&
+    Date.now() - new Date(existing.received_at).getTime() > STALE_PROCESSING_MS;
+
+  if (existing?.status !== "failed" && !isStale) {
+    return false;
+  }
+
+  const { data: retried } = await supabase
+    .from("razorpay_webhook_events")
+    .update({ status: "processing", attempts: existing.attempts + 1, received_at: new Date().toISOString() })
+    .eq("id", eventId)
+    .eq("status", existing.status)
+    .select("id");
+
+  return !!retried?.length;
+}
+
+// Completes the purchase if the buyer's browser never reached
+// verify-razorpay-payment, e.g. the tab was closed after paying
+async function handlePaymentCaptured(payment: RazorpayEntity) {
+  const transaction = await findTransactionByOrder(supabase, razorpayGateway.name, payment.order_id as string);
+
+  if (!transaction) {
+    console.log(`No transaction for Razorpay order ${payment.order_id}`);
+    return;
+  }
+
+  if (transaction.status !== "pending") {
+    console.log(`Transaction ${transaction.id} is already ${transaction.status}`);
+    return;
+  }
+
+  const { outcome } = await completePurchase(supabase, transaction, payment.id, {
+    capturedAmount: (payment.amount as number) / 100,
+    gatewayFee: payment.fee != null ? (payment.fee as number) / 100 : null
+  });
+  console.log(`Payment ${payment.id} for transaction ${transaction.id}: ${outcome}`);
+
+  // The verify endpoint is completing it right now. If that fails it lets
+  // go of the payment, so have Razorpay deliver this again rather than
+  // taking it as done.
+  if (outcome === PurchaseOutcome.IN_PROGRESS) {
+    throw new Error(`Transaction ${transaction.id} is being completed by another request`);
+  }
+}
+
+async function handlePaymentFailed(payment: RazorpayEntity) {
+  const { error } = await supabase
+    .from("enhanced_transactions")
+    .update({
+      payment_status: "failed",
+      payment_error: (payment.error_description as string) ?? "Payment failed",
+      updated_at: new Date().toISOString(),
+    })
+    .eq("gateway", razorpayGateway.name)
+    .eq("gateway_order_id", payment.order_id as string)
+    .eq("status", "pending");
+
+  if (error) throw error;
+
+  console.log(`Payment failed for Razorpay order ${payment.order_id}`);
+}
+
+async function handleRefundProcessed(refund: RazorpayEntity) {
+  const { data, error } = await supabase
+    .from("refunds")
+    .update({ status: "processed", processed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq("gateway", razorpayGateway.name)
+    .eq("gateway_refund_id", refund.id)
+    .neq("status", "processed")
+    .select("id");
+
+  if (error) throw error;
+
+  if (!data?.length) {
+    console.log(`Refund ${refund.id} is unknown or already processed`);
+  }
+}
+
+const payoutFailureReason = (payout: RazorpayEntity, fallback: string) => {
+  const statusDetails = payout.status_details as { description?: string } | undefined;
+  return statusDetails?.description ?? (payout.failure_reason as string) ?? fallback;
+};
+
+// sendPayout may never have heard back with the payout id; the reference it
+// sent still ties the payout to our row
+const matchesPayout = (payout: RazorpayEntity) =>
+  payout.reference_id
+    ? `gateway_payout_id.eq.${payout.id},reference_id.eq.${payout.reference_id}`
+    : `gateway_payout_id.eq.${payout.id}`;
+
+async function handlePayoutProcessed(payout: RazorpayEntity) {
+  const { error } = await supabase
+    .from("seller_payouts")
+    .update({
+      status: PayoutStatus.PROCESSED,
+      gateway_payout_id: payout.id,
+      processed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("gateway", razorpayGateway.name)
+    .or(matchesPayout(payout))
+    .eq("status", PayoutStatus.PROCESSING);
+
+  if (error) throw error;
+}
+
+// The attempt failed before any money left; back off and try again
+async function handlePayoutFailed(payout: RazorpayEntity) {
+  const { data: sellerPayout, error } = await supabase
+    .from("seller_payouts")
+    .select("id, seller_id, amount, attempts")
+    .eq("gateway", razorpayGateway.name)
+    .or(matchesPayout(payout))
+    .eq("status", PayoutStatus.PROCESSING)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!sellerPayout) {
+    console.log(`Payout ${payout.id} is unknown or no longer processing`);
+    return;
+  }
+
+  await recordPayoutFailure(supabase, sellerPayout, payoutFailureReason(payout, "Payout failed"));
+}
+
+// The bank returned the money, usually because the account or VPA is wrong.
+// The destination is switched off so the next batch doesn't repeat it; the
+// seller adds a working one and an admin sends the payout again.
+async function handlePayoutReversed(payout: RazorpayEntity) {
+  const reason = payoutFailureReason(payout, "Payout reversed by the bank");
+
+  const { data: reversed, error } = await supabase
+    .from("seller_payouts")
+    .update({ status: PayoutStatus.REVERSED, gateway_payout_id: payout.id, failure_reason: reason, updated_at: new Date().toISOString() })
+    .eq("gateway", razorpayGateway.name)
+    .or(matchesPayout(payout))
+    .neq("status", PayoutStatus.REVERSED)
+    .select("id, seller_id, amount, destination_id");
+
+  if (error) throw error;
+
+  for (const sellerPayout of reversed ?? []) {
+    if (sellerPayout.destination_id) {
+      await supabase
+        .from("payout_destinations")
+        .update({ active: false, is_default: false, disabled_reason: reason, updated_at: new Date().toISOString() })
+        .eq("id", sellerPayout.destination_id);
+    }
+
+    await supabase.functions.invoke("send-notification", {
+      body: {
+        userId: sellerPayout.seller_id,
+        title: "Payout Reversed",
+        message: `Your payout of ₹${sellerPayout.amount} was returned by the bank: ${reason}. Please add working payment details in Payment Settings and our support team will send it again.`,
+        type: "payment",
+        data: { payoutId: sellerPayout.id },
+      },
+    });
+  }
+}
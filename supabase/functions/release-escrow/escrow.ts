@@ -0,0 +1,131 @@
+/**
+ * Escrow state machine, shared by verify-razorpay-payment, confirm-payment,
+ * release-escrow, confirm-boarding, the dispute functions and refunds. The
+ * transition_escrow database function validates each move and writes it to
+ * escrow_ledger.
+ */
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { departureTime, type ListedTicket } from "../verify-pnr/reverification.ts";
+import { transferReleasedPayout } from "../_shared/payouts/index.ts";
+
+export const EscrowStatus = {
+  NONE: "none",
+  HELD: "held",
+  RELEASED: "released",
+  DISPUTED: "disputed",
+  REFUNDED: "refunded",
+} as const;
+
+export type EscrowStatusValue = typeof EscrowStatus[keyof typeof EscrowStatus];
+
+export const EscrowEvent = {
+  PAYMENT_CAPTURED: "payment_captured",
+  GRACE_ELAPSED: "grace_elapsed",
+  BOARDING_CONFIRMED: "boarding_confirmed",
+  DISPUTE_OPENED: "dispute_opened",
+  DISPUTE_REFUNDED: "dispute_refunded",
+  DISPUTE_PARTIALLY_REFUNDED: "dispute_partially_refunded",
+  DISPUTE_RELEASED: "dispute_released",
+  REFUND_ISSUED: "refund_issued",
+} as const;
+
+const DEFAULT_GRACE_HOURS = 6;
+
+// Buyers can confirm boarding from this long before departure
+export const BOARDING_CONFIRMATION_LEAD_HOURS = 1;
+
+export interface EscrowTransaction {
+  id: string;
+  buyer_id: string;
+  seller_id: string;
+  amount: number;
+  platform_fee: number | null;
+  status: string;
+  escrow_status: EscrowStatusValue | null;
+  escrow_release_at: string | null;
+}
+
+type DepartureFields = Pick<ListedTicket, "departure_date" | "departure_time">;
+
+/**
+ * Hours after departure that funds stay held, set with ESCROW_GRACE_HOURS
+ */
+export const getEscrowGraceHours = () => {
+  const configured = Deno.env.get("ESCROW_GRACE_HOURS");
+  const hours = Number(configured);
+  return configured && Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_GRACE_HOURS;
+};
+
+export const escrowReleaseTime = (ticket: DepartureFields, graceHours = getEscrowGraceHours()) =>
+  new Date(departureTime(ticket).getTime() + graceHours * 60 * 60 * 1000);
+
+/**
+ * Buyers can raise an issue while funds are held and the grace window is open
+ */
+export const isWithinDisputeWindow = (transaction: EscrowTransaction, now = new Date()) =>
+  transaction.escrow_status === EscrowStatus.HELD &&
+  (!transaction.escrow_release_at || new Date(transaction.escrow_release_at) > now);
+
+export const canConfirmBoarding = (ticket: DepartureFields, now = new Date()) =>
+  now.getTime() >= departureTime(ticket).getTime() - BOARDING_CONFIRMATION_LEAD_HOURS * 60 * 60 * 1000;
+
+export const transitionEscrow = async (
+  supabaseClient: SupabaseClient,
+  transactionId: string,
+  toStatus: EscrowStatusValue,
+  event: string,
+  options: {
+    actorId?: string;
+    metadata?: Record<string, unknown>;
+    releaseAt?: Date;
+    // Seller payout on release, when it isn't the sale amount less the platform fee
+    payoutAmount?: number;
+  } = {}
+) => {
+  const { error } = await supabaseClient.rpc("transition_escrow", {
+    p_transaction_id: transactionId,
+    p_to_status: toStatus,
+    p_event: event,
+    p_actor_id: options.actorId ?? null,
+    p_metadata: options.metadata ?? {},
+    p_release_at: options.releaseAt?.toISOString() ?? null,
+    p_payout_amount: options.payoutAmount ?? null,
+  });
+
+  if (error) {
+    throw new Error(`Escrow transition to ${toStatus} failed: ${error.message}`);
+  }
+
+  // A failed transfer is retried by process-payouts like any other payout
+  if (toStatus === EscrowStatus.RELEASED) {
+    try {
+      await transferReleasedPayout(supabaseClient, transactionId);
+    } catch (transferError) {
+      console.error(`Failed to transfer payout for ${transactionId}:`, transferError);
+    }
+  }
+};
+
+/**
+ * Release held funds to the seller. transition_escrow queues the payout.
+ */
+export const releaseEscrow = async (
+  supabaseClient: SupabaseClient,
+  transaction: EscrowTransaction,
+  event: string,
+  actorId?: string
+) => {
+  await transitionEscrow(supabaseClient, transaction.id, EscrowStatus.RELEASED, event, { actorId });
+
+  const payoutAmount = transaction.amount - (transaction.platform_fee ?? 0);
+  await supabaseClient.functions.invoke("send-notification", {
+    body: {
+      userId: transaction.seller_id,
+      title: "Payment Released",
+      message: `The buyer's journey is complete and ₹${payoutAmount} has been released to you. It will reach your account with the next payout.`,
+      type: "payment",
+      data: { transactionId: transaction.id },
+    },
+  });
+};
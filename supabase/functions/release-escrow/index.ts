@@ -0,0 +1,92 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import {
+  EscrowEvent,
+  EscrowStatus,
+  releaseEscrow,
+  type EscrowTransaction,
+} from "./escrow.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+// Scheduled job: releases held funds to sellers once departure plus the
+// grace window has passed with no dispute. Invoked by the pg_cron job in the
+// 20250813090000-escrow-state-machine migration, or manually by an admin.
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      serviceRoleKey,
+      { auth: { persistSession: false } }
+    );
+
+    const authHeader = req.headers.get("Authorization") ?? "";
+    const token = authHeader.replace("Bearer ", "");
+
+    if (token !== serviceRoleKey) {
+      const { data } = await supabaseClient.auth.getUser(token);
+      const { data: profile } = await supabaseClient
+        .from("profiles")
+        .select("user_type")
+        .eq("id", data.user?.id ?? "")
+        .single();
+
+      if (profile?.user_type !== "admin") {
+        throw new Error("Only the scheduler or an admin can release escrow");
+      }
+    }
+
+    const { data: transactions, error: transactionsError } = await supabaseClient
+      .from("enhanced_transactions")
+      .select("id, buyer_id, seller_id, amount, platform_fee, status, escrow_status, escrow_release_at")
+      .eq("status", "completed")
+      .eq("escrow_status", EscrowStatus.HELD)
+      .lte("escrow_release_at", new Date().toISOString());
+
+    if (transactionsError) {
+      throw new Error(`Failed to load transactions: ${transactionsError.message}`);
+    }
+
+    const summary = { checked: 0, released: 0, failed: 0 };
+
+    for (const transaction of transactions as EscrowTransaction[]) {
+      summary.checked++;
+      try {
+        await releaseEscrow(supabaseClient, transaction, EscrowEvent.GRACE_ELAPSED);
+        summary.released++;
+      } catch (releaseError) {
+        // Usually a dispute opened since the query ran; the next run skips it
+        console.error(`Failed to release escrow for ${transaction.id}:`, releaseError);
+        summary.failed++;
+      }
+    }
+
+    console.log("Escrow release complete:", summary);
+
+    return new Response(
+      JSON.stringify({ success: true, ...summary }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error("Error releasing escrow:", error);
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 500,
+      }
+    );
+  }
+});
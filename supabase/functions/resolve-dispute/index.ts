@@ -0,0 +1,202 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import {
+  EscrowEvent,
+  EscrowStatus,
+  transitionEscrow,
+} from "../release-escrow/escrow.ts";
+import { processRefund, RefundReason } from "../create-razorpay-refund/refunds.ts";
+import { DisputeResolution } from "../open-dispute/disputes.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+// Admin decision on a dispute: refund the buyer in full, refund part and
+// release the rest to the seller, or release everything to the seller
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "",
+      { auth: { persistSession: false } }
+    );
+
+    const authHeader = req.headers.get("Authorization")!;
+    const token = authHeader.replace("Bearer ", "");
+    const { data } = await supabaseClient.auth.getUser(token);
+    const user = data.user;
+
+    if (!user) {
+      throw new Error("User not authenticated");
+    }
+
+    const { data: profile } = await supabaseClient
+      .from("profiles")
+      .select("user_type")
+      .eq("id", user.id)
+      .single();
+
+    if (profile?.user_type !== "admin") {
+      throw new Error("Only an admin can resolve disputes");
+    }
+
+    const { disputeId, resolution, refundAmount, notes } = await req.json();
+
+    if (!disputeId || !Object.values(DisputeResolution).includes(resolution)) {
+      throw new Error("Missing required fields: disputeId, resolution");
+    }
+
+    const { data: dispute, error: disputeError } = await supabaseClient
+      .from('support_tickets')
+      .select('id, status, transaction_id')
+      .eq('id', disputeId)
+      .eq('category', 'dispute')
+      .single();
+
+    if (disputeError || !dispute) {
+      throw new Error("Dispute not found");
+    }
+
+    if (!['open', 'in_progress'].includes(dispute.status)) {
+      throw new Error("This dispute has already been resolved");
+    }
+
+    const { data: transaction, error: transactionError } = await supabaseClient
+      .from('enhanced_transactions')
+      .select('id, buyer_id, seller_id, amount, platform_fee, escrow_status')
+      .eq('id', dispute.transaction_id)
+      .single();
+
+    if (transactionError || !transaction) {
+      throw new Error("Transaction not found");
+    }
+
+    if (transaction.escrow_status !== EscrowStatus.DISPUTED) {
+      throw new Error("The funds for this purchase are not on hold for a dispute");
+    }
+
+    const amount = Number(transaction.amount);
+    let refunded = 0;
+    let refundId: string | null = null;
+    let sellerPayout = amount - Number(transaction.platform_fee ?? 0);
+
+    if (resolution === DisputeResolution.RELEASE) {
+      await transitionEscrow(supabaseClient, transaction.id, EscrowStatus.RELEASED, EscrowEvent.DISPUTE_RELEASED, {
+        actorId: user.id,
+        metadata: { dispute_id: dispute.id }
+      });
+    } else {
+      if (resolution === DisputeResolution.PARTIAL_REFUND && !(Number(refundAmount) > 0 && Number(refundAmount) < amount)) {
+        throw new Error(`Partial refund must be between ₹0 and ₹${amount}`);
+      }
+
+      const { refund, full, duplicate } = await processRefund(supabaseClient, {
+        transactionId: transaction.id,
+        reason: RefundReason.DISPUTE,
+        idempotencyKey: `dispute_${dispute.id}`,
+        amount: resolution === DisputeResolution.PARTIAL_REFUND ? Number(refundAmount) : undefined,
+        actorId: user.id,
+        notes: notes?.trim(),
+        escrowEvent: EscrowEvent.DISPUTE_REFUNDED,
+        metadata: { dispute_id: dispute.id },
+        notify: false
+      });
+      refunded = Number(refund.amount);
+      refundId = refund.id;
+      sellerPayout = Math.max(0, sellerPayout - (refunded - Number(refund.commission_refunded)));
+
+      if (!full) {
+        // transition_escrow takes the refund off the seller's payout
+        await transitionEscrow(supabaseClient, transaction.id, EscrowStatus.RELEASED, EscrowEvent.DISPUTE_PARTIALLY_REFUNDED, {
+          actorId: user.id,
+          metadata: { dispute_id: dispute.id, refund_id: refundId, refund_amount: refunded }
+        });
+      } else if (duplicate) {
+        // An earlier attempt refunded in full, but escrow is still disputed
+        // or we wouldn't have got this far
+        await transitionEscrow(supabaseClient, transaction.id, EscrowStatus.REFUNDED, EscrowEvent.DISPUTE_REFUNDED, {
+          actorId: user.id,
+          metadata: { dispute_id: dispute.id, refund_id: refundId, refund_amount: refunded }
+        });
+      }
+    }
+
+    const { error: updateError } = await supabaseClient
+      .from('support_tickets')
+      .update({
+        status: 'resolved',
+        resolution_type: resolution,
+        refund_amount: refunded,
+        resolution: notes?.trim() || null,
+        resolved_by: user.id,
+        resolved_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', dispute.id);
+
+    if (updateError) {
+      // Money has already moved, so report it rather than fail the request
+      console.error(`Failed to mark dispute ${dispute.id} resolved:`, updateError);
+    }
+
+    const outcomes = {
+      [DisputeResolution.FULL_REFUND]: {
+        buyer: `Your dispute was resolved in your favour. ₹${refunded} is being refunded to your original payment method.`,
+        seller: 'The dispute on your ticket was resolved in the buyer\'s favour and the payment has been refunded to them.'
+      },
+      [DisputeResolution.PARTIAL_REFUND]: {
+        buyer: `Your dispute was resolved with a partial refund of ₹${refunded} to your original payment method.`,
+        seller: `The dispute on your ticket was resolved with a partial refund to the buyer. ₹${sellerPayout} has been released to you.`
+      },
+      [DisputeResolution.RELEASE]: {
+        buyer: 'Your dispute was reviewed and the payment has been released to the seller.',
+        seller: `The dispute on your ticket was resolved in your favour. ₹${sellerPayout} has been released to you.`
+      }
+    };
+    const outcome = outcomes[resolution as keyof typeof outcomes];
+
+    await supabaseClient.functions.invoke('send-notification', {
+      body: {
+        userId: transaction.buyer_id,
+        title: 'Dispute Resolved',
+        message: outcome.buyer,
+        type: 'payment',
+        data: { transactionId: transaction.id, disputeId: dispute.id }
+      }
+    });
+
+    await supabaseClient.functions.invoke('send-notification', {
+      body: {
+        userId: transaction.seller_id,
+        title: 'Dispute Resolved',
+        message: outcome.seller,
+        type: 'payment',
+        data: { transactionId: transaction.id, disputeId: dispute.id }
+      }
+    });
+
+    return new Response(
+      JSON.stringify({ success: true, resolution, refundAmount: refunded, refundId }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error("Error resolving dispute:", error);
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 500,
+      }
+    );
+  }
+});
@@ -0,0 +1,109 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { recordEvidence, validateEvidence } from "../open-dispute/disputes.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+// Seller's side of a dispute, accepted until the response window closes
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "",
+      { auth: { persistSession: false } }
+    );
+
+    const authHeader = req.headers.get("Authorization")!;
+    const token = authHeader.replace("Bearer ", "");
+    const { data } = await supabaseClient.auth.getUser(token);
+    const user = data.user;
+
+    if (!user) {
+      throw new Error("User not authenticated");
+    }
+
+    const { disputeId, response, evidence } = await req.json();
+
+    if (!disputeId || !response?.trim()) {
+      throw new Error("Missing required fields: disputeId, response");
+    }
+
+    const evidenceFiles = validateEvidence(user.id, evidence);
+
+    const { data: dispute, error: disputeError } = await supabaseClient
+      .from('support_tickets')
+      .select('id, user_id, ticket_id, transaction_id, status, response_due_at, responded_at')
+      .eq('id', disputeId)
+      .eq('category', 'dispute')
+      .eq('respondent_id', user.id)
+      .single();
+
+    if (disputeError || !dispute) {
+      throw new Error("Dispute not found");
+    }
+
+    if (dispute.status !== 'open' || dispute.responded_at) {
+      throw new Error("This dispute is no longer waiting for your response");
+    }
+
+    if (dispute.response_due_at && new Date(dispute.response_due_at) < new Date()) {
+      throw new Error("The response window for this dispute has closed");
+    }
+
+    const { error: updateError } = await supabaseClient
+      .from('support_tickets')
+      .update({
+        respondent_response: response.trim(),
+        responded_at: new Date().toISOString(),
+        status: 'in_progress',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', dispute.id);
+
+    if (updateError) {
+      throw new Error("Failed to save your response");
+    }
+
+    await recordEvidence(supabaseClient, {
+      userId: user.id,
+      ticketId: dispute.ticket_id,
+      disputeId: dispute.id,
+      evidence: evidenceFiles
+    });
+
+    await supabaseClient.functions.invoke('send-notification', {
+      body: {
+        userId: dispute.user_id,
+        title: 'Seller Responded',
+        message: 'The seller has responded to your dispute. Our team will now review both sides.',
+        type: 'payment',
+        data: { transactionId: dispute.transaction_id, disputeId: dispute.id }
+      }
+    });
+
+    return new Response(
+      JSON.stringify({ success: true }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error("Error responding to dispute:", error);
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 500,
+      }
+    );
+  }
+});
@@ -0,0 +1,100 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import {
+  departureTime,
+  isReverificationDue,
+  reverifyTicket,
+  type ListedTicket,
+} from "../verify-pnr/reverification.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+// Scheduled job: re-checks available tickets with their operator at each
+// checkpoint before departure. Invoked by the pg_cron job in the
+// 20250810090000-ticket-reverification migration, or manually by an admin.
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      serviceRoleKey,
+      { auth: { persistSession: false } }
+    );
+
+    const authHeader = req.headers.get("Authorization") ?? "";
+    const token = authHeader.replace("Bearer ", "");
+
+    if (token !== serviceRoleKey) {
+      const { data } = await supabaseClient.auth.getUser(token);
+      const { data: profile } = await supabaseClient
+        .from("profiles")
+        .select("user_type")
+        .eq("id", data.user?.id ?? "")
+        .single();
+
+      if (profile?.user_type !== "admin") {
+        throw new Error("Only the scheduler or an admin can run re-verification");
+      }
+    }
+
+    const today = new Date().toISOString().split("T")[0];
+    const { data: tickets, error: ticketsError } = await supabaseClient
+      .from("tickets")
+      .select("id, seller_id, pnr_number, passenger_name, bus_operator, from_location, to_location, departure_date, departure_time, verified_at, last_reverified_at, created_at")
+      .eq("status", "available")
+      .neq("visibility", "hidden")
+      .gte("departure_date", today);
+
+    if (ticketsError) {
+      throw new Error(`Failed to load tickets: ${ticketsError.message}`);
+    }
+
+    const now = new Date();
+    const due = (tickets as ListedTicket[]).filter(ticket =>
+      departureTime(ticket) > now && isReverificationDue(ticket, now)
+    );
+
+    const summary = { checked: 0, passed: 0, hidden: 0, pending: 0, errors: 0 };
+
+    // One ticket failing shouldn't stop the rest; it's picked up next run
+    for (const ticket of due) {
+      try {
+        const result = await reverifyTicket(supabaseClient, ticket);
+        summary.checked++;
+        if (result.matched) summary.passed++;
+        else if (result.pending || result.mode === "disabled") summary.pending++;
+        else summary.hidden++;
+      } catch (error) {
+        console.error(`Failed to re-verify ticket ${ticket.id}:`, error);
+        summary.errors++;
+      }
+    }
+
+    console.log("Ticket re-verification complete:", summary);
+
+    return new Response(
+      JSON.stringify({ success: true, ...summary }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error("Error re-verifying tickets:", error);
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 500,
+      }
+    );
+  }
+});
@@ -2,6 +2,10 @@
 import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
 import Stripe from "https://esm.sh/stripe@14.21.0";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { connectedAccountVerification, stripeGateway } from "../_shared/payments/stripe.ts";
+import { findTransactionByOrder } from "../_shared/payments/transactions.ts";
+import { completePurchase, PurchaseOutcome } from "../_shared/payments/purchase.ts";
+import { PayoutStatus, VerificationStatus } from "../_shared/payouts/index.ts";
 
 const stripe = new Stripe(Deno.env.get("STRIPE_SECRET_KEY") || "", {
   apiVersion: "2023-10-16",
@@ -20,6 +24,9 @@ serve(async (req) => {
 
   const signature = req.headers.get("stripe-signature");
   const webhookSecret = Deno.env.get("STRIPE_WEBHOOK_SECRET");
+  // Events from connected accounts (account.updated) come through a separate
+  // Connect endpoint in the Stripe dashboard, with its own signing secret
+  const connectWebhookSecret = Deno.env.get("STRIPE_CONNECT_WEBHOOK_SECRET");
 
   if (!signature || !webhookSecret) {
     return new Response("Missing signature or webhook secret", { status: 400 });
@@ -29,31 +36,32 @@ serve(async (req) => {
     const body = await req.text();
     
     // Verify webhook signature
-    const event = stripe.webhooks.constructEvent(body, signature, webhookSecret);
+    const event = constructEvent(body, signature, webhookSecret, connectWebhookSecret);
     
     console.log(`Processing webhook event: ${event.type}`);
 
     switch (event.type) {
       case "payment_intent.succeeded":
-        await handlePaymentSuccess(event.data.object);
+        await handlePaymentSuccess(event.data.object as Stripe.PaymentIntent);
         break;
         
       case "payment_intent.payment_failed":
-        await handlePaymentFailure(event.data.object);
+        await handlePaymentFailure(event.data.object as Stripe.PaymentIntent);
         break;
         
-      case "invoice.payment_succeeded":
-        await handleSubscriptionPayment(event.data.object);
+      case "account.updated":
+        await handleAccountUpdated(event.data.object as Stripe.Account);
         break;
-        
-      case "customer.subscription.deleted":
-        await handleSubscriptionCanceled(event.data.object);
+
+      case "transfer.created":
+        await handleTransferCreated(event.data.object as Stripe.Transfer);
         break;
-        
-      case "customer.subscription.updated":
-        await handleSubscriptionUpdated(event.data.object);
+
+      case "transfer.updated":
+      case "transfer.reversed":
+        await handleTransferReversed(event.data.object as Stripe.Transfer);
         break;
-        
+
       default:
         console.log(`Unhandled event type: ${event.type}`);
     }
@@ -68,43 +76,62 @@ serve(async (req) => {
   }
 });
 
-async function handlePaymentSuccess(paymentIntent: any) {
-  try {
-    const { error } = await supabase
-      .from("transactions")
-      .update({
-        status: "completed",
-        stripe_payment_intent_id: paymentIntent.id,
-        updated_at: new Date().toISOString(),
-      })
-      .eq("stripe_payment_intent_id", paymentIntent.id);
+// Errors are thrown so the webhook responds non-2xx and Stripe retries
+async function handlePaymentSuccess(paymentIntent: Stripe.PaymentIntent) {
+  // Ticket purchases complete through the same path as confirm-payment,
+  // in case the buyer's browser never got back to it
+  const purchase = await findTransactionByOrder(supabase, stripeGateway.name, paymentIntent.id);
+  if (purchase) {
+    if (purchase.status === "pending") {
+      // The event doesn't carry the charge's balance transaction, which has the fee
+      const payment = await stripeGateway.verifyPayment({ orderId: paymentIntent.id });
+      const { outcome } = await completePurchase(supabase, purchase, paymentIntent.id, {
+        capturedAmount: payment.amount,
+        gatewayFee: payment.fee
+      });
+      console.log(`Payment ${paymentIntent.id} for transaction ${purchase.id}: ${outcome}`);
 
-    if (error) throw error;
-
-    // Update ticket status to sold
-    const { data: transaction } = await supabase
-      .from("transactions")
-      .select("ticket_id")
-      .eq("stripe_payment_intent_id", paymentIntent.id)
-      .single();
-
-    if (transaction) {
-      await supabase
-        .from("tickets")
-        .update({
-          status: "sold",
-          updated_at: new Date().toISOString(),
-        })
-        .eq("id", transaction.ticket_id);
+      // confirm-payment is completing it right now. If that fails it lets go
+      // of the payment, so have Stripe send this event again.
+      if (outcome === PurchaseOutcome.IN_PROGRESS) {
+        throw new Error(`Transaction ${purchase.id} is being completed by another request`);
+      }
     }
+    return;
+  }
 
-    console.log(`Payment succeeded for payment intent: ${paymentIntent.id}`);
-  } catch (error) {
-    console.error("Error handling payment success:", error);
+  const { error } = await supabase
+    .from("transactions")
+    .update({
+      status: "completed",
+      stripe_payment_intent_id: paymentIntent.id,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("stripe_payment_intent_id", paymentIntent.id);
+
+  if (error) throw error;
+
+  // Update ticket status to sold
+  const { data: transaction } = await supabase
+    .from("transactions")
+    .select("ticket_id")
+    .eq("stripe_payment_intent_id", paymentIntent.id)
+    .single();
+
+  if (transaction) {
+    await supabase
+      .from("tickets")
+      .update({
+        status: "sold",
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", transaction.ticket_id);
   }
+
+  console.log(`Payment succeeded for payment intent: ${paymentIntent.id}`);
 }
 
-async function handlePaymentFailure(paymentIntent: any) {
+async function handlePaymentFailure(paymentIntent: Stripe.PaymentIntent) {
   try {
     const { error } = await supabase
       .from("transactions")
@@ -122,94 +149,112 @@ async function handlePaymentFailure(paymentIntent: any) {
   }
 }
 
-async function handleSubscriptionPayment(invoice: any) {
+function constructEvent(body: string, signature: string, secret: string, connectSecret?: string) {
   try {
-    const customerId = invoice.customer;
-    
-    // Get customer email
-    const customer = await stripe.customers.retrieve(customerId);
-    
-    if (customer && 'email' in customer && customer.email) {
-      const { error } = await supabase
-        .from("subscribers")
-        .upsert({
-          email: customer.email,
-          stripe_customer_id: customerId,
-          subscribed: true,
-          subscription_tier: "Premium",
-          subscription_end: new Date(invoice.period_end * 1000).toISOString(),
-          updated_at: new Date().toISOString(),
-        }, { onConflict: 'email' });
-
-      if (error) throw error;
-    }
-
-    console.log(`Subscription payment succeeded for customer: ${customerId}`);
+    return stripe.webhooks.constructEvent(body, signature, secret);
   } catch (error) {
-    console.error("Error handling subscription payment:", error);
+    if (!connectSecret) throw error;
+    return stripe.webhooks.constructEvent(body, signature, connectSecret);
   }
 }
 
-async function handleSubscriptionCanceled(subscription: any) {
-  try {
-    const customerId = subscription.customer;
-    
-    // Get customer email
-    const customer = await stripe.customers.retrieve(customerId);
-    
-    if (customer && 'email' in customer && customer.email) {
-      const { error } = await supabase
-        .from("subscribers")
-        .update({
-          subscribed: false,
-          subscription_tier: null,
-          subscription_end: new Date(subscription.current_period_end * 1000).toISOString(),
-          updated_at: new Date().toISOString(),
-        })
-        .eq("email", customer.email);
-
-      if (error) throw error;
-    }
+// Onboarding progress on a seller's connected account. Payouts start going
+// to it once Stripe enables transfers.
+async function handleAccountUpdated(account: Stripe.Account) {
+  const { data: destination, error } = await supabase
+    .from("payout_destinations")
+    .select("id, seller_id, verification_status")
+    .eq("stripe_account_id", account.id)
+    .maybeSingle();
 
-    console.log(`Subscription canceled for customer: ${customerId}`);
-  } catch (error) {
-    console.error("Error handling subscription cancellation:", error);
+  if (error) throw error;
+
+  if (!destination) {
+    console.log(`Connected account ${account.id} is not a payout destination`);
+    return;
+  }
+
+  const verification = connectedAccountVerification(account);
+  const { error: updateError } = await supabase
+    .from("payout_destinations")
+    .update({
+      verification_status: verification.status,
+      verification_id: account.id,
+      verified_name: verification.registeredName,
+      verification_error: verification.reason,
+      verified_at: verification.status === VerificationStatus.VERIFIED ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", destination.id);
+
+  if (updateError) throw updateError;
+
+  if (verification.status !== destination.verification_status &&
+    (verification.status === VerificationStatus.VERIFIED || verification.status === VerificationStatus.FAILED)) {
+    await supabase.functions.invoke("send-notification", {
+      body: {
+        userId: destination.seller_id,
+        title: verification.status === VerificationStatus.VERIFIED ? "Stripe Account Ready" : "Stripe Account Rejected",
+        message: verification.status === VerificationStatus.VERIFIED
+          ? "Your Stripe account can now receive payouts. Choose Stripe in Payment Settings to be paid there."
+          : `${verification.reason}. Your payouts will keep going to your UPI ID or bank account.`,
+        type: "payment",
+        data: { destinationId: destination.id },
+      },
+    });
   }
 }
 
-async function handleSubscriptionUpdated(subscription: any) {
-  try {
-    const customerId = subscription.customer;
-    
-    // Get customer email
-    const customer = await stripe.customers.retrieve(customerId);
-    
-    if (customer && 'email' in customer && customer.email) {
-      // Determine tier based on price
-      let tier = "Basic";
-      if (subscription.items.data.length > 0) {
-        const price = await stripe.prices.retrieve(subscription.items.data[0].price.id);
-        const amount = price.unit_amount || 0;
-        if (amount <= 999) tier = "Basic";
-        else if (amount <= 1999) tier = "Premium";
-        else tier = "Enterprise";
-      }
+// sendPayout records the transfer as soon as Stripe accepts it; this covers
+// a function that stopped before it could, or never got Stripe's answer. The
+// transfer carries sendPayout's reference, payout_<payout id>_<attempt>.
+async function handleTransferCreated(transfer: Stripe.Transfer) {
+  const payoutId = transfer.metadata?.reference_id?.match(/^payout_(.+)_\d+$/)?.[1];
+  if (!payoutId) return;
 
-      const { error } = await supabase
-        .from("subscribers")
-        .update({
-          subscribed: subscription.status === "active",
-          subscription_tier: subscription.status === "active" ? tier : null,
-          subscription_end: new Date(subscription.current_period_end * 1000).toISOString(),
-          updated_at: new Date().toISOString(),
-        })
-        .eq("email", customer.email);
-
-      if (error) throw error;
-    }
+  const { error } = await supabase
+    .from("seller_payouts")
+    .update({
+      status: PayoutStatus.PROCESSED,
+      gateway: stripeGateway.name,
+      gateway_payout_id: transfer.id,
+      processed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", payoutId)
+    .eq("status", PayoutStatus.PROCESSING);
 
-    console.log(`Subscription updated for customer: ${customerId}`);
-  } catch (error) {
-    console.error("Error handling subscription update:", error);
+  if (error) throw error;
+}
+
+// We reversed a transfer from the Stripe dashboard; an admin sends the payout
+// again once whatever prompted it is sorted out
+async function handleTransferReversed(transfer: Stripe.Transfer) {
+  if (!transfer.reversed) return;
+
+  const { data: reversed, error } = await supabase
+    .from("seller_payouts")
+    .update({
+      status: PayoutStatus.REVERSED,
+      failure_reason: "Transfer reversed",
+      updated_at: new Date().toISOString(),
+    })
+    .eq("gateway", stripeGateway.name)
+    .eq("gateway_payout_id", transfer.id)
+    .neq("status", PayoutStatus.REVERSED)
+    .select("id, seller_id, amount");
+
+  if (error) throw error;
+
+  for (const sellerPayout of reversed ?? []) {
+    await supabase.functions.invoke("send-notification", {
+      body: {
+        userId: sellerPayout.seller_id,
+        title: "Payout Reversed",
+        message: `Your Stripe transfer of ₹${sellerPayout.amount} was reversed. Our support team will be in touch and will send it again once the issue is resolved.`,
+        type: "payment",
+        data: { payoutId: sellerPayout.id },
+      },
+    });
   }
 }
@@ -0,0 +1,141 @@
+/**
+ * Ticket handover helpers
+ *
+ * Once a purchase completes, the buyer needs the booking details, the
+ * seller's ticket documents and to know what to do before boarding.
+ */
+
+import {
+  checkTransfer,
+  DEFAULT_OPERATOR_POLICY,
+  TRANSFER_DOCUMENT_LABELS,
+  type OperatorPolicy,
+} from "../_shared/operatorPolicies.ts";
+
+export const HandoverRole = {
+  BUYER: "buyer",
+  SELLER: "seller",
+} as const;
+
+export type HandoverRoleValue = typeof HandoverRole[keyof typeof HandoverRole];
+
+// Signed document links stop working after this long
+export const HANDOVER_URL_TTL_SECONDS = 10 * 60;
+
+// Boarding points ask passengers to arrive this early
+const BOARDING_BUFFER_MINUTES = 15;
+
+export interface HandoverTransaction {
+  buyer_id: string;
+  seller_id: string;
+  status: string;
+}
+
+export interface HandoverTicket {
+  bus_operator: string;
+  from_location: string;
+  departure_date: string;
+  departure_time: string;
+  passenger_name: string;
+}
+
+export interface ChecklistItem {
+  id: string;
+  title: string;
+  steps: string[];
+}
+
+/**
+ * Which side of the sale a user is on, or null when the handover isn't
+ * theirs to see. Nothing is handed over until the payment has completed.
+ */
+export const getHandoverRole = (
+  transaction: HandoverTransaction | null,
+  userId: string
+): HandoverRoleValue | null => {
+  if (!transaction || transaction.status !== "completed") return null;
+  if (transaction.buyer_id === userId) return HandoverRole.BUYER;
+  if (transaction.seller_id === userId) return HandoverRole.SELLER;
+  return null;
+};
+
+// 20:30 -> 20:15; wraps past midnight
+const minutesBefore = (time: string, minutes: number) => {
+  const [hours, mins] = time.split(":").map(Number);
+  const total = (((hours * 60 + mins - minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// What the operator's policy adds to the name change: its fee, deadline and paperwork
+const policySteps = (policy: OperatorPolicy, ticket: HandoverTicket) => {
+  const steps: string[] = [];
+  const { cutoffAt } = checkTransfer(policy, ticket);
+
+  if (cutoffAt) {
+    steps.push(
+      `${ticket.bus_operator} accepts name changes until ${policy.cutoff_hours} hours before departure ` +
+      `(${cutoffAt.toLocaleString("en-IN", { timeZone: "Asia/Kolkata", dateStyle: "medium", timeStyle: "short" })}).`
+    );
+  }
+  if (Number(policy.name_change_fee) > 0) {
+    steps.push(`${ticket.bus_operator} charges ₹${Number(policy.name_change_fee)} for the name change.`);
+  }
+  if (policy.required_documents?.length) {
+    steps.push(`${ticket.bus_operator} asks for: ${policy.required_documents.map(document => TRANSFER_DOCUMENT_LABELS[document] ?? document).join("; ")}.`);
+  }
+  if (policy.notes) {
+    steps.push(policy.notes);
+  }
+
+  return steps;
+};
+
+/**
+ * Steps for taking over the booking: getting the operator to change the
+ * passenger name under its transfer policy, the ID to carry, and where and
+ * when to board
+ */
+export const buildHandoverChecklist = (
+  ticket: HandoverTicket,
+  documentCount: number,
+  policy: OperatorPolicy = DEFAULT_OPERATOR_POLICY
+): ChecklistItem[] => [
+  {
+    id: "name_change",
+    title: `Transfer the booking with ${ticket.bus_operator}`,
+    steps: [
+      `The seller asks ${ticket.bus_operator} to change the passenger name on the booking, quoting the PNR.`,
+      ...policySteps(policy, ticket),
+      `If ${ticket.bus_operator} won't change the name, report a problem before departure so the payment stays on hold.`,
+      "Keep the operator's confirmation of the new name (SMS, email or updated ticket).",
+    ],
+  },
+  {
+    id: "id_proof",
+    title: "Carry photo ID",
+    steps: [
+      "Carry a government photo ID (Aadhaar, PAN, driving licence, passport or voter ID).",
+      `The name on your ID must match the passenger on the booking. Until the operator confirms the change, that is ${ticket.passenger_name}.`,
+    ],
+  },
+  {
+    id: "boarding_point",
+    title: "Boarding",
+    steps: [
+      `Board at ${ticket.from_location} on ${ticket.departure_date}; departure is at ${ticket.departure_time}.`,
+      `Be at the boarding point by ${minutesBefore(ticket.departure_time, BOARDING_BUFFER_MINUTES)}.`,
+      "Show the ticket documents or the operator's confirmation to the conductor.",
+    ],
+  },
+  {
+    id: "documents",
+    title: "Ticket documents",
+    steps: documentCount > 0
+      ? [
+        `Download the ${documentCount} document${documentCount === 1 ? "" : "s"} the seller uploaded. The links expire after ${HANDOVER_URL_TTL_SECONDS / 60} minutes; reopen the handover for fresh ones.`,
+      ]
+      : [
+        "The seller hasn't uploaded any ticket documents. Ask them in messages to send the ticket or the operator's confirmation.",
+      ],
+  },
+];
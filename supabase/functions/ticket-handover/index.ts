@@ -0,0 +1,130 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import {
+  buildHandoverChecklist,
+  getHandoverRole,
+  HANDOVER_URL_TTL_SECONDS,
+} from "./handover.ts";
+import { findOperatorPolicy, loadOperatorPolicies } from "../_shared/operatorPolicies.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+// Hands a completed purchase over: the booking details, short-lived links to
+// the seller's ticket documents, the checklist, and where each side's
+// acknowledgement stands. Both parties can open it; nothing is returned
+// before the payment completes.
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "",
+      { auth: { persistSession: false } }
+    );
+
+    const authHeader = req.headers.get("Authorization")!;
+    const token = authHeader.replace("Bearer ", "");
+    const { data } = await supabaseClient.auth.getUser(token);
+    const user = data.user;
+
+    if (!user) {
+      throw new Error("User not authenticated");
+    }
+
+    const { transactionId } = await req.json();
+
+    if (!transactionId) {
+      throw new Error("Missing required field: transactionId");
+    }
+
+    const { data: transaction } = await supabaseClient
+      .from('enhanced_transactions')
+      .select('id, ticket_id, buyer_id, seller_id, status, seller_handover_acknowledged_at, buyer_handover_acknowledged_at, tickets(pnr_number, passenger_name, seat_number, bus_operator, from_location, to_location, departure_date, departure_time)')
+      .eq('id', transactionId)
+      .maybeSingle();
+
+    const role = getHandoverRole(transaction, user.id);
+
+    if (!role || !transaction?.tickets) {
+      throw new Error("The handover for this purchase isn't available");
+    }
+
+    // Evidence attached to disputes is kept out of the handover
+    const { data: documentRows, error: documentsError } = await supabaseClient
+      .from('ticket_documents')
+      .select('id, file_name, file_path, file_type')
+      .eq('ticket_id', transaction.ticket_id)
+      .is('support_ticket_id', null)
+      .order('uploaded_at', { ascending: true });
+
+    if (documentsError) {
+      throw new Error(`Failed to load ticket documents: ${documentsError.message}`);
+    }
+
+    const documents = [];
+    if (documentRows?.length) {
+      const { data: signedUrls, error: signError } = await supabaseClient.storage
+        .from('ticket-documents')
+        .createSignedUrls(documentRows.map(document => document.file_path), HANDOVER_URL_TTL_SECONDS);
+
+      if (signError) {
+        throw new Error(`Failed to link ticket documents: ${signError.message}`);
+      }
+
+      documentRows.forEach((document, index) => {
+        documents.push({
+          id: document.id,
+          fileName: document.file_name,
+          fileType: document.file_type,
+          url: signedUrls?.[index]?.signedUrl ?? null
+        });
+      });
+    }
+
+    const ticket = transaction.tickets;
+    const policy = findOperatorPolicy(await loadOperatorPolicies(supabaseClient), ticket.bus_operator);
+
+    return new Response(
+      JSON.stringify({
+        role,
+        booking: {
+          pnrNumber: ticket.pnr_number,
+          passengerName: ticket.passenger_name,
+          seatNumber: ticket.seat_number,
+          busOperator: ticket.bus_operator,
+          fromLocation: ticket.from_location,
+          toLocation: ticket.to_location,
+          departureDate: ticket.departure_date,
+          departureTime: ticket.departure_time
+        },
+        documents,
+        linksExpireAt: new Date(Date.now() + HANDOVER_URL_TTL_SECONDS * 1000).toISOString(),
+        checklist: buildHandoverChecklist(ticket, documents.length, policy),
+        acknowledgements: {
+          sellerAcknowledgedAt: transaction.seller_handover_acknowledged_at,
+          buyerAcknowledgedAt: transaction.buyer_handover_acknowledged_at
+        }
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error("Error loading ticket handover:", error);
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 500,
+      }
+    );
+  }
+});
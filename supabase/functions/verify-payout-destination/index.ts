@@ -0,0 +1,137 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { Gateway, getPaymentGateway, isMockPaymentsEnabled } from "../_shared/payments/index.ts";
+import {
+  toGatewayDestination,
+  validateDestination,
+  verificationOutcome,
+  VerificationStatus,
+} from "../_shared/payouts/index.ts";
+import { lookupIfsc } from "../_shared/payouts/ifsc.ts";
+
+// Penny drop for a seller's payout destination: the gateway credits ₹1 and
+// reports the name the bank or UPI app holds it under. Payouts are only sent
+// to verified destinations. A pending check (bank accounts can take a few
+// minutes) is polled by calling this again. Stripe connected accounts are
+// checked against their onboarding status instead, which stripe-webhook also
+// keeps up to date. With MOCK_PAYMENTS_ENABLED the mock gateway answers, so
+// it can be tried without RazorpayX.
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "",
+      { auth: { persistSession: false } }
+    );
+
+    const authHeader = req.headers.get("Authorization")!;
+    const token = authHeader.replace("Bearer ", "");
+    const { data } = await supabaseClient.auth.getUser(token);
+    const user = data.user;
+
+    if (!user?.email) {
+      throw new Error("User not authenticated");
+    }
+
+    const { destinationId } = await req.json();
+
+    if (!destinationId) {
+      throw new Error("Missing required field: destinationId");
+    }
+
+    const { data: destination, error: destinationError } = await supabaseClient
+      .from('payout_destinations')
+      .select('*')
+      .eq('id', destinationId)
+      .eq('seller_id', user.id)
+      .eq('active', true)
+      .single();
+
+    if (destinationError || !destination) {
+      throw new Error("Payout destination not found");
+    }
+
+    if (destination.verification_status === VerificationStatus.VERIFIED) {
+      return new Response(
+        JSON.stringify({ status: destination.verification_status, registeredName: destination.verified_name, reason: null }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: 200,
+        }
+      );
+    }
+
+    const invalid = Object.values(validateDestination(destination));
+    if (invalid.length > 0) {
+      throw new Error(invalid[0]);
+    }
+
+    const { data: profile } = await supabaseClient
+      .from('profiles')
+      .select('full_name')
+      .eq('id', user.id)
+      .single();
+
+    const gateway = getPaymentGateway(
+      isMockPaymentsEnabled()
+        ? Gateway.MOCK
+        : destination.type === "connected_account" ? Gateway.STRIPE : Gateway.RAZORPAY
+    );
+    const result = await gateway.verifyDestination(toGatewayDestination(destination), {
+      referenceId: destination.id,
+      name: destination.account_holder_name || profile?.full_name || user.email,
+      verificationId: destination.verification_status === VerificationStatus.PENDING
+        ? destination.verification_id
+        : null,
+    });
+
+    const outcome = verificationOutcome(destination, result);
+
+    const { error: updateError } = await supabaseClient
+      .from('payout_destinations')
+      .update({
+        ...outcome,
+        verification_id: result.id,
+        verified_at: outcome.verification_status === VerificationStatus.VERIFIED ? new Date().toISOString() : null,
+        bank_name: destination.ifsc ? lookupIfsc(destination.ifsc)?.bank ?? null : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', destination.id);
+
+    if (updateError) {
+      throw new Error(`Failed to save verification: ${updateError.message}`);
+    }
+
+    return new Response(
+      JSON.stringify({
+        status: outcome.verification_status,
+        registeredName: outcome.verified_name,
+        reason: outcome.verification_error
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error("Error verifying payout destination:", error);
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 500,
+      }
+    );
+  }
+});
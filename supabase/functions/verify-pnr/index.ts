@@ -0,0 +1,116 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { formatPNR, getVerificationMode, listProviders, type ProviderTicket } from "./providers.ts";
+import { verifyPnr } from "./verification.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+    status,
+  });
+
+// Only the matched booking's own details are ever sent back
+const toTicketData = (ticket: ProviderTicket, operatorName: string) => ({
+  bus_operator: ticket.bus_operator || operatorName,
+  departure_date: ticket.departure_date || null,
+  departure_time: ticket.departure_time || "00:00",
+  from_location: ticket.source_location || "Unknown",
+  to_location: ticket.destination_location || "Unknown",
+  passenger_name: ticket.passenger_name,
+  seat_number: ticket.seat_number || "Unknown",
+  ticket_price: ticket.ticket_price || 0,
+});
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "",
+      { auth: { persistSession: false } }
+    );
+
+    const authHeader = req.headers.get("Authorization")!;
+    const token = authHeader.replace("Bearer ", "");
+    const { data } = await supabaseClient.auth.getUser(token);
+    const user = data.user;
+
+    if (!user) {
+      throw new Error("User not authenticated");
+    }
+
+    const { action, pnr, passengerName, operator } = await req.json();
+
+    if (action === "health") {
+      return jsonResponse({ success: true, mode: getVerificationMode(), providers: listProviders() });
+    }
+
+    if (!pnr || !passengerName) {
+      throw new Error("Missing required fields: pnr, passengerName");
+    }
+
+    // Provider detail is only returned to admins
+    const { data: profile } = await supabaseClient
+      .from("profiles")
+      .select("user_type")
+      .eq("id", user.id)
+      .single();
+    const isAdmin = profile?.user_type === "admin";
+
+    const result = await verifyPnr(pnr, passengerName, operator);
+    const debug = isAdmin
+      ? { debug: { operator: result.operator, provider: result.providerName, nameScore: result.confidence, detail: result.detail } }
+      : {};
+
+    if (!result.matched) {
+      return jsonResponse({
+        matched: false,
+        confidence: 0,
+        code: result.code,
+        pending: result.pending,
+        mode: result.mode,
+        provider: result.provider,
+        ...debug,
+      });
+    }
+
+    // The tickets trigger takes a listing's verification from this record,
+    // never from what the seller's browser sends
+    const { error: recordError } = await supabaseClient
+      .from("pnr_verifications")
+      .insert({
+        seller_id: user.id,
+        pnr_number: formatPNR(pnr),
+        passenger_names: [passengerName, result.ticket?.passenger_name].filter(Boolean),
+        verification_status: result.verificationStatus,
+        confidence: Math.round(result.confidence),
+        provider: result.provider,
+      });
+
+    if (recordError) {
+      console.error("Failed to record PNR verification:", recordError);
+    }
+
+    return jsonResponse({
+      matched: true,
+      confidence: result.confidence,
+      verificationStatus: result.verificationStatus,
+      mode: result.mode,
+      provider: result.provider,
+      ticketData: toTicketData(result.ticket!, result.providerName!),
+      ...debug,
+    });
+
+  } catch (error) {
+    console.error("Error verifying PNR:", error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+});
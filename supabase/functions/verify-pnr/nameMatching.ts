@@ -0,0 +1,136 @@
+/**
+ * Passenger name matching.
+ *
+ * Scores how likely two spellings refer to the same passenger, 0–100.
+ * Handles honorifics (Mr/Mrs/Shri…), diacritics, initials ("R. Kumar" vs
+ * "Ramesh Kumar"), surname-first ordering and common transliteration
+ * variants ("Lakshmi"/"Laxmi", "Mohammed"/"Muhammad").
+ */
+
+// Listings at or above this score are verified automatically
+export const AUTO_APPROVE_THRESHOLD = 85;
+// Between this and AUTO_APPROVE_THRESHOLD a listing goes to manual review
+export const MANUAL_REVIEW_THRESHOLD = 60;
+
+const HONORIFICS = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'mstr', 'master', 'dr', 'prof',
+  'shri', 'sri', 'shree', 'sh', 'smt', 'kumari', 'km', 'kum'
+]);
+
+// Applied in order to each token to fold spelling variants together
+const TRANSLITERATION_RULES: [RegExp, string][] = [
+  [/ksh/g, 'x'],
+  [/ph/g, 'f'],
+  [/([bcdgjkpt])h/g, '$1'],
+  [/sh/g, 's'],
+  [/w/g, 'v'],
+  [/z/g, 'j'],
+  [/q/g, 'k'],
+  [/ck/g, 'k'],
+  [/ee/g, 'i'],
+  [/oo/g, 'u'],
+  [/ou/g, 'u'],
+  [/y$/g, 'i'],
+  [/o/g, 'u'],
+  [/e/g, 'a'],
+  [/([a-z])\1+/g, '$1']
+];
+
+const INITIAL_SCORE = 0.8;
+const MIN_TOKEN_SIMILARITY = 0.75;
+
+const stripDiacritics = (value: string) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+export const tokenizeName = (name: string) =>
+  stripDiacritics(name ?? '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !HONORIFICS.has(token));
+
+const phoneticKey = (token: string) =>
+  TRANSLITERATION_RULES.reduce((key, [pattern, replacement]) => key.replace(pattern, replacement), token);
+
+const levenshtein = (a: string, b: string) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+};
+
+// 0–1 similarity of two name tokens
+const scoreTokens = (a: string, b: string) => {
+  if (a === b) return 1;
+
+  if (a.length === 1 || b.length === 1) {
+    return a[0] === b[0] ? INITIAL_SCORE : 0;
+  }
+
+  const keyA = phoneticKey(a);
+  const keyB = phoneticKey(b);
+  if (keyA === keyB) return 0.95;
+
+  const similarity = 1 - levenshtein(keyA, keyB) / Math.max(keyA.length, keyB.length);
+  return similarity >= MIN_TOKEN_SIMILARITY ? similarity * 0.9 : 0;
+};
+
+/**
+ * Score two passenger names, 0–100
+ * @param expected - name on the booking
+ * @param provided - name entered by the seller
+ */
+export const scoreNameMatch = (expected: string, provided: string) => {
+  const expectedTokens = tokenizeName(expected);
+  const providedTokens = tokenizeName(provided);
+
+  if (expectedTokens.length === 0 || providedTokens.length === 0) return 0;
+
+  // Greedily pair the most similar tokens, regardless of order
+  const pairs: { i: number; j: number; score: number }[] = [];
+  expectedTokens.forEach((a, i) => {
+    providedTokens.forEach((b, j) => {
+      const score = scoreTokens(a, b);
+      if (score > 0) pairs.push({ i, j, score });
+    });
+  });
+  pairs.sort((x, y) => y.score - x.score);
+
+  const usedExpected = new Set<number>();
+  const usedProvided = new Set<number>();
+  let total = 0;
+
+  for (const { i, j, score } of pairs) {
+    if (usedExpected.has(i) || usedProvided.has(j)) continue;
+    usedExpected.add(i);
+    usedProvided.add(j);
+    total += score;
+  }
+
+  // A name made only of initials can't prove identity on its own
+  const providedHasFullToken = providedTokens.some(token => token.length > 1);
+  const dice = (2 * total) / (expectedTokens.length + providedTokens.length);
+
+  return Math.round((providedHasFullToken ? dice : Math.min(dice, 0.5)) * 100);
+};
+
+/**
+ * Map a score to the tickets.verification_status it should produce
+ */
+export const verificationStatusForScore = (score: number) => {
+  if (score >= AUTO_APPROVE_THRESHOLD) return 'verified';
+  if (score >= MANUAL_REVIEW_THRESHOLD) return 'pending';
+  return 'rejected';
+};
@@ -0,0 +1,273 @@
+import fixtureTickets from './fixtures.json' with { type: 'json' };
+
+/**
+ * PNR verification providers.
+ *
+ * Each provider looks up a single PNR at its source and returns only that
+ * booking (or null). Providers never return lists, so nothing about other
+ * passengers can reach the caller.
+ */
+
+export interface ProviderTicket {
+  pnr_number: string;
+  passenger_name: string;
+  bus_operator?: string;
+  source_location?: string;
+  destination_location?: string;
+  departure_date?: string;
+  departure_time?: string;
+  seat_number?: string;
+  ticket_price?: number;
+}
+
+export interface PnrProvider {
+  id: string;
+  name: string;
+  isConfigured(): boolean;
+  lookup(pnr: string): Promise<ProviderTicket | null>;
+}
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+export type VerificationMode = 'live' | 'fixture' | 'disabled';
+
+const VERIFICATION_MODES: VerificationMode[] = ['live', 'fixture', 'disabled'];
+
+/**
+ * PNR_VERIFICATION_MODE: `live` (default) calls real providers, `fixture`
+ * serves fixtures.json, `disabled` turns verification off. An unknown value
+ * is treated as `disabled` rather than guessing.
+ */
+export const getVerificationMode = (): VerificationMode => {
+  const mode = (Deno.env.get('PNR_VERIFICATION_MODE') ?? 'live') as VerificationMode;
+  return VERIFICATION_MODES.includes(mode) ? mode : 'disabled';
+};
+
+export class ProviderTimeoutError extends Error {
+  constructor(providerName: string) {
+    super(`${providerName} did not respond within ${REQUEST_TIMEOUT_MS / 1000} seconds`);
+    this.name = 'ProviderTimeoutError';
+  }
+}
+
+export class ProviderUnavailableError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ProviderUnavailableError';
+  }
+}
+
+export const BUS_OPERATORS = [
+  { id: 'redbus', name: 'RedBus', apiEndpoint: 'https://api.redbus.in/verify' },
+  { id: 'abhibus', name: 'AbhiBus', apiEndpoint: 'https://api.abhibus.com/verify' },
+  { id: 'makemytrip', name: 'MakeMyTrip', apiEndpoint: 'https://api.makemytrip.com/bus/verify' },
+  { id: 'paytm', name: 'Paytm', apiEndpoint: 'https://api.paytm.com/bus/verify' },
+  { id: 'ksrtc', name: 'KSRTC', apiEndpoint: 'https://ksrtc.in/api/verify' },
+  { id: 'msrtc', name: 'MSRTC', apiEndpoint: 'https://msrtc.gov.in/api/verify' },
+  { id: 'tsrtc', name: 'TSRTC', apiEndpoint: 'https://tsrtc.telangana.gov.in/api/verify' }
+];
+
+// Keep in sync with detectOperatorFromPNR in src/utils/pnrValidation.js
+const PNR_PATTERNS: Record<string, RegExp> = {
+  redbus: /^[A-Z]{2}\d{8,10}$/,
+  abhibus: /^[A-Z]{3}\d{6,8}$/,
+  makemytrip: /^MMT\d{8}$/,
+  paytm: /^PTM[A-Z0-9]{8}$/,
+  ksrtc: /^KA\d{8}$/,
+  msrtc: /^MH\d{8}$/,
+  tsrtc: /^TS\d{8}$/
+};
+
+export const formatPNR = (pnr: string) => pnr.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+export const detectOperatorFromPNR = (pnr: string) => {
+  const cleanPNR = formatPNR(pnr);
+
+  for (const [operatorId, pattern] of Object.entries(PNR_PATTERNS)) {
+    if (pattern.test(cleanPNR)) {
+      return operatorId;
+    }
+  }
+
+  return 'unknown';
+};
+
+const fetchWithTimeout = async (providerName: string, url: string, init: RequestInit) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new ProviderTimeoutError(providerName);
+    }
+    throw new ProviderUnavailableError(`${providerName} is unreachable: ${error.message}`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+const normalizeTicket = (raw: Record<string, unknown>): ProviderTicket => ({
+  pnr_number: String(raw.pnr_number ?? raw.pnr ?? ''),
+  passenger_name: String(raw.passenger_name ?? raw.name ?? ''),
+  bus_operator: raw.bus_operator as string | undefined,
+  source_location: (raw.source_location ?? raw.from) as string | undefined,
+  destination_location: (raw.destination_location ?? raw.to) as string | undefined,
+  departure_date: raw.departure_date as string | undefined,
+  departure_time: raw.departure_time as string | undefined,
+  seat_number: (raw.seat_number ?? raw.seat) as string | undefined,
+  ticket_price: Number(raw.ticket_price ?? raw.price ?? 0)
+});
+
+/**
+ * Adapter for an operator's own verification endpoint. Enabled by setting
+ * PNR_API_KEY_<OPERATOR> (e.g. PNR_API_KEY_KSRTC) in the function secrets.
+ */
+export class OperatorApiProvider implements PnrProvider {
+  id: string;
+  name: string;
+  private apiEndpoint: string;
+
+  constructor(operator: { id: string; name: string; apiEndpoint: string }) {
+    this.id = operator.id;
+    this.name = operator.name;
+    this.apiEndpoint = operator.apiEndpoint;
+  }
+
+  private get apiKey() {
+    return Deno.env.get(`PNR_API_KEY_${this.id.toUpperCase()}`);
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async lookup(pnr: string) {
+    const response = await fetchWithTimeout(this.name, this.apiEndpoint, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({ pnr })
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new ProviderUnavailableError(`${this.name} responded with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    const raw = body?.ticket ?? body;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return null;
+    }
+
+    const ticket = normalizeTicket(raw);
+    return formatPNR(ticket.pnr_number) === pnr ? ticket : null;
+  }
+}
+
+/**
+ * The shared bus_tickets dataset the platform verified against before
+ * operator integrations existed. Queried by PNR only, never listed.
+ */
+export class BusTicketsProvider implements PnrProvider {
+  id = 'bus_tickets';
+  name = 'Bus Tickets Registry';
+
+  isConfigured() {
+    return !!Deno.env.get('BUS_TICKETS_API_URL') && !!Deno.env.get('BUS_TICKETS_API_KEY');
+  }
+
+  async lookup(pnr: string) {
+    const apiUrl = Deno.env.get('BUS_TICKETS_API_URL') ?? '';
+    const apiKey = Deno.env.get('BUS_TICKETS_API_KEY') ?? '';
+
+    const response = await fetchWithTimeout(
+      this.name,
+      `${apiUrl}?pnr_number=eq.${encodeURIComponent(pnr)}&limit=1`,
+      {
+        method: 'GET',
+        headers: {
+          'Accept': 'application/json',
+          'apikey': apiKey,
+          'Authorization': `Bearer ${apiKey}`
+        }
+      }
+    );
+
+    if (!response.ok) {
+      throw new ProviderUnavailableError(`${this.name} responded with status ${response.status}`);
+    }
+
+    const rows = await response.json();
+    return Array.isArray(rows) && rows.length > 0 ? normalizeTicket(rows[0]) : null;
+  }
+}
+
+/**
+ * Provider backed by fixtures.json for local development and tests. Only
+ * used when PNR_VERIFICATION_MODE=fixture.
+ */
+export class FixtureProvider implements PnrProvider {
+  id = 'fixture';
+  name = 'Local Fixtures';
+
+  isConfigured() {
+    return true;
+  }
+
+  lookup(pnr: string) {
+    const tickets = fixtureTickets as ProviderTicket[];
+    return Promise.resolve(tickets.find(ticket => ticket.pnr_number === pnr) ?? null);
+  }
+}
+
+const operatorProviders: Record<string, PnrProvider> = Object.fromEntries(
+  BUS_OPERATORS.map(operator => [operator.id, new OperatorApiProvider(operator)])
+);
+
+const busTicketsProvider = new BusTicketsProvider();
+const fixtureProvider = new FixtureProvider();
+
+/**
+ * Resolve an operator hint ("KSRTC", "redbus", "auto", "") to an operator id.
+ */
+export const resolveOperatorId = (pnr: string, operatorHint?: string) => {
+  const hint = (operatorHint ?? '').toLowerCase().replace(/[^a-z]/g, '');
+  if (hint && hint !== 'auto' && operatorProviders[hint]) {
+    return hint;
+  }
+  return detectOperatorFromPNR(pnr);
+};
+
+/**
+ * Pick the provider for a PNR: the fixtures in fixture mode, else the
+ * operator's own adapter when it is configured, else the shared bus_tickets
+ * registry. Live mode never falls back to fixtures.
+ */
+export const selectProvider = (operatorId: string): PnrProvider => {
+  if (getVerificationMode() === 'fixture') {
+    return fixtureProvider;
+  }
+
+  const operatorProvider = operatorProviders[operatorId];
+  if (operatorProvider?.isConfigured()) {
+    return operatorProvider;
+  }
+
+  return busTicketsProvider;
+};
+
+export const listProviders = () =>
+  [...Object.values(operatorProviders), busTicketsProvider, fixtureProvider].map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    configured: provider.isConfigured()
+  }));
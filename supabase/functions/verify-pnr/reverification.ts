@@ -0,0 +1,94 @@
+/**
+ * Re-verification of listed tickets, used by the scheduled reverify-tickets
+ * job and by verify-razorpay-payment right before a sale completes.
+ */
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { verifyPnr, type VerificationOutcome } from "./verification.ts";
+
+// Hours before departure at which an available ticket is re-checked
+export const REVERIFY_CHECKPOINTS_HOURS = [72, 24, 6, 1];
+
+export interface ListedTicket {
+  id: string;
+  seller_id: string;
+  pnr_number: string;
+  passenger_name: string;
+  bus_operator: string;
+  from_location: string;
+  to_location: string;
+  departure_date: string;
+  departure_time: string;
+  verified_at?: string | null;
+  last_reverified_at?: string | null;
+  created_at: string;
+}
+
+// Departure dates and times are stored as Indian local time
+const IST_OFFSET = "+05:30";
+
+export const departureTime = (ticket: Pick<ListedTicket, "departure_date" | "departure_time">) =>
+  new Date(`${ticket.departure_date}T${ticket.departure_time || "00:00"}${IST_OFFSET}`);
+
+/**
+ * A ticket is due when a checkpoint has passed since it was last checked
+ */
+export const isReverificationDue = (ticket: ListedTicket, now = new Date()) => {
+  const departure = departureTime(ticket).getTime();
+  const lastChecked = new Date(ticket.last_reverified_at ?? ticket.verified_at ?? ticket.created_at).getTime();
+
+  return REVERIFY_CHECKPOINTS_HOURS.some(hours => {
+    const checkpoint = departure - hours * 60 * 60 * 1000;
+    return checkpoint <= now.getTime() && checkpoint > lastChecked;
+  });
+};
+
+/**
+ * Re-check a listed ticket with its provider. A definitive failure hides the
+ * listing and notifies the seller; a provider outage changes nothing so the
+ * next run retries.
+ */
+export const reverifyTicket = async (
+  supabaseClient: SupabaseClient,
+  ticket: ListedTicket
+): Promise<VerificationOutcome> => {
+  const result = await verifyPnr(ticket.pnr_number, ticket.passenger_name, ticket.bus_operator);
+  const now = new Date().toISOString();
+
+  if (result.pending || result.mode === "disabled") {
+    return result;
+  }
+
+  if (result.matched) {
+    await supabaseClient
+      .from("tickets")
+      .update({
+        last_reverified_at: now,
+        verification_confidence: result.confidence,
+      })
+      .eq("id", ticket.id);
+    return result;
+  }
+
+  await supabaseClient
+    .from("tickets")
+    .update({
+      visibility: "hidden",
+      verification_status: "rejected",
+      last_reverified_at: now,
+      verification_data: { reverification_code: result.code, reverified_at: now },
+    })
+    .eq("id", ticket.id);
+
+  await supabaseClient.functions.invoke("send-notification", {
+    body: {
+      userId: ticket.seller_id,
+      title: "Listing Hidden",
+      message: `Your ${ticket.from_location} → ${ticket.to_location} ticket on ${ticket.departure_date} could not be re-verified with ${ticket.bus_operator} and has been hidden from buyers. If the booking is still valid, please contact support.`,
+      type: "ticket",
+      data: { ticketId: ticket.id, code: result.code },
+    },
+  });
+
+  return result;
+};
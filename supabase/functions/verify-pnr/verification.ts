@@ -0,0 +1,99 @@
+/**
+ * Core PNR check shared by verify-pnr, reverify-tickets and
+ * verify-razorpay-payment.
+ */
+
+import {
+  formatPNR,
+  getVerificationMode,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+  resolveOperatorId,
+  selectProvider,
+  type ProviderTicket,
+  type VerificationMode,
+} from "./providers.ts";
+import { MANUAL_REVIEW_THRESHOLD, scoreNameMatch, verificationStatusForScore } from "./nameMatching.ts";
+
+// Error codes shared with src/utils/verificationResult.js. The client maps
+// each code to a safe message; nothing from the source record is echoed back.
+export const VerificationCode = {
+  INVALID_PNR_FORMAT: "INVALID_PNR_FORMAT",
+  PNR_NOT_FOUND: "PNR_NOT_FOUND",
+  NAME_MISMATCH: "NAME_MISMATCH",
+  PROVIDER_TIMEOUT: "PROVIDER_TIMEOUT",
+  PROVIDER_UNAVAILABLE: "PROVIDER_UNAVAILABLE",
+  VERIFICATION_DISABLED: "VERIFICATION_DISABLED",
+} as const;
+
+export interface VerificationOutcome {
+  matched: boolean;
+  // Provider failed or timed out: neither confirmed nor rejected, retry later
+  pending: boolean;
+  code?: string;
+  confidence: number;
+  verificationStatus?: string;
+  mode: VerificationMode;
+  provider?: string;
+  providerName?: string;
+  operator?: string;
+  ticket?: ProviderTicket;
+  detail?: string;
+}
+
+export const verifyPnr = async (
+  pnr: string,
+  passengerName: string,
+  operatorHint?: string
+): Promise<VerificationOutcome> => {
+  const mode = getVerificationMode();
+  if (mode === "disabled") {
+    return { matched: false, pending: false, code: VerificationCode.VERIFICATION_DISABLED, confidence: 0, mode };
+  }
+
+  const cleanPNR = formatPNR(pnr);
+  const operatorId = resolveOperatorId(cleanPNR, operatorHint);
+  const provider = selectProvider(operatorId);
+
+  const outcome = { mode, provider: provider.id, providerName: provider.name, operator: operatorId };
+  const failure = (code: string, pending = false, detail?: string): VerificationOutcome =>
+    ({ ...outcome, matched: false, pending, code, confidence: 0, detail });
+
+  if (cleanPNR.length < 6 || cleanPNR.length > 15) {
+    return failure(VerificationCode.INVALID_PNR_FORMAT, false, `length ${cleanPNR.length}`);
+  }
+
+  let ticket: ProviderTicket | null;
+  try {
+    ticket = await provider.lookup(cleanPNR);
+  } catch (lookupError) {
+    // Provider failures leave the ticket pending a retry; there is no fallback data source
+    console.error(`PNR lookup failed with ${provider.id}:`, lookupError);
+    if (lookupError instanceof ProviderTimeoutError) {
+      return failure(VerificationCode.PROVIDER_TIMEOUT, true, lookupError.message);
+    }
+    if (lookupError instanceof ProviderUnavailableError) {
+      return failure(VerificationCode.PROVIDER_UNAVAILABLE, true, lookupError.message);
+    }
+    throw lookupError;
+  }
+
+  if (!ticket) {
+    return failure(VerificationCode.PNR_NOT_FOUND);
+  }
+
+  const confidence = scoreNameMatch(ticket.passenger_name, passengerName);
+
+  if (confidence < MANUAL_REVIEW_THRESHOLD) {
+    return { ...failure(VerificationCode.NAME_MISMATCH, false, `name score ${confidence}`), confidence };
+  }
+
+  return {
+    ...outcome,
+    matched: true,
+    pending: false,
+    confidence,
+    verificationStatus: verificationStatusForScore(confidence),
+    ticket,
+  };
+};
@@ -1,6 +1,8 @@
 import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
-import { createHmac } from "https://deno.land/std@0.190.0/node/crypto.ts";
+import { razorpayGateway } from "../_shared/payments/razorpay.ts";
+import { findTransactionByOrder } from "../_shared/payments/transactions.ts";
+import { completePurchase, PurchaseOutcome } from "../_shared/payments/purchase.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -31,99 +33,55 @@ serve(async (req) => {
     const { 
       razorpay_payment_id, 
       razorpay_order_id, 
-      razorpay_signature,
-      ticketId 
+      razorpay_signature
     } = await req.json();
 
     // Verify Razorpay signature
-    const razorpayKeySecret = Deno.env.get("RAZORPAY_KEY_SECRET");
-    if (!razorpayKeySecret) {
-      throw new Error("Razorpay secret not configured");
-    }
-
-    const body = razorpay_order_id + "|" + razorpay_payment_id;
-    const expectedSignature = createHmac("sha256", razorpayKeySecret)
-      .update(body)
-      .digest("hex");
+    const payment = await razorpayGateway.verifyPayment({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
 
-    if (expectedSignature !== razorpay_signature) {
-      throw new Error("Invalid payment signature");
+    if (!payment.captured) {
+      throw new Error("Payment not successful");
     }
 
     // Get transaction details
-    const { data: transaction, error: transactionError } = await supabaseClient
-      .from('enhanced_transactions')
-      .select('*, tickets(*)')
-      .eq('razorpay_order_id', razorpay_order_id)
-      .eq('buyer_id', user.id)
-      .single();
-
-    if (transactionError || !transaction) {
+    const transaction = await findTransactionByOrder(supabaseClient, razorpayGateway.name, razorpay_order_id, user.id);
+
+    if (!transaction) {
       throw new Error("Transaction not found");
     }
 
-    // Update transaction as completed - payment received in main account
-    const { error: updateError } = await supabaseClient
-      .from('enhanced_transactions')
-      .update({
-        status: 'completed',
-        payment_status: 'received',
-        razorpay_payment_id: razorpay_payment_id,
-        completed_at: new Date().toISOString()
-      })
-      .eq('id', transaction.id);
-
-    if (updateError) {
-      throw new Error("Failed to update transaction");
+    const { outcome, releaseAt } = await completePurchase(supabaseClient, transaction, razorpay_payment_id, {
+      actorId: user.id,
+      capturedAmount: payment.amount,
+      gatewayFee: payment.fee
+    });
+
+    if (outcome === PurchaseOutcome.REVERIFICATION_FAILED) {
+      throw new Error("Ticket failed re-verification with the operator, so the purchase was cancelled. Check your notifications for your refund.");
     }
 
-    // Mark ticket as sold
-    await supabaseClient
-      .from('tickets')
-      .update({ 
-        status: 'sold',
-        buyer_id: user.id,
-        sold_at: new Date().toISOString()
-      })
-      .eq('id', ticketId);
-
-    // Queue seller payout for processing
-    // This will be processed by admin or automated payout system
-    await supabaseClient
-      .from('seller_payouts')
-      .insert({
-        transaction_id: transaction.id,
-        seller_id: transaction.seller_id,
-        amount: transaction.amount - transaction.platform_fee,
-        status: 'pending',
-        created_at: new Date().toISOString()
-      });
-
-    // Send success notification to seller
-    await supabaseClient.functions.invoke('send-notification', {
-      body: {
-        userId: transaction.seller_id,
-        title: 'Ticket Sold!',
-        message: `Your ticket has been sold. You'll receive ₹${transaction.amount - transaction.platform_fee} in your account within 24 hours.`,
-        type: 'sale_completed'
-      }
-    });
+    if (outcome === PurchaseOutcome.TICKET_UNAVAILABLE) {
+      throw new Error("Ticket has already been sold to another buyer. Check your notifications for your refund.");
+    }
 
-    // Send confirmation to buyer
-    await supabaseClient.functions.invoke('send-notification', {
-      body: {
-        userId: user.id,
-        title: 'Purchase Successful!',
-        message: `Your ticket purchase is confirmed. Check your email for ticket details.`,
-        type: 'purchase_confirmed'
-      }
-    });
+    if (outcome === PurchaseOutcome.CANCELLED) {
+      throw new Error("This purchase was cancelled. Check your notifications for your refund.");
+    }
+
+    if (outcome === PurchaseOutcome.AMOUNT_MISMATCH) {
+      throw new Error("The amount paid does not match the order, so the purchase was cancelled. Check your notifications for your refund.");
+    }
 
     return new Response(
       JSON.stringify({
         success: true,
         transactionId: transaction.id,
         paymentId: razorpay_payment_id,
+        escrowReleaseAt: releaseAt?.toISOString() ?? null,
         ticket: transaction.tickets
       }),
       {
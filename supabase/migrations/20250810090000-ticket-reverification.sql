@@ -0,0 +1,30 @@
+-- Scheduled re-verification of listed tickets before departure
+
+ALTER TABLE public.tickets
+ADD COLUMN IF NOT EXISTS last_reverified_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_tickets_reverification
+  ON public.tickets(departure_date, last_reverified_at)
+  WHERE status = 'available';
+
+COMMENT ON COLUMN public.tickets.last_reverified_at IS 'Last time the PNR was re-checked with the operator by reverify-tickets or before sale';
+
+-- Run reverify-tickets every 30 minutes. Needs pg_cron and pg_net, plus the
+-- project_url and service_role_key secrets in Vault.
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+SELECT cron.schedule(
+  'reverify-tickets',
+  '*/30 * * * *',
+  $$
+  SELECT net.http_post(
+    url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url') || '/functions/v1/reverify-tickets',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);
@@ -0,0 +1,149 @@
+-- Duplicate-listing and double-sale guards
+
+-- create-razorpay-order already moves tickets to pending_purchase; allow it
+ALTER TABLE public.tickets DROP CONSTRAINT IF EXISTS tickets_status_check;
+ALTER TABLE public.tickets ADD CONSTRAINT tickets_status_check
+  CHECK (status IN ('available', 'pending_purchase', 'sold', 'cancelled', 'expired'));
+
+-- Buyer holding the ticket while their payment is in flight
+ALTER TABLE public.tickets
+ADD COLUMN IF NOT EXISTS reserved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+-- Cancel existing duplicates, keeping the oldest active listing per PNR +
+-- seat. Each cancellation is logged for admin review, since the listing
+-- kept isn't necessarily the genuine one, and its seller is told why.
+WITH ranked AS (
+  SELECT
+    id,
+    FIRST_VALUE(id) OVER same_seat AS kept_ticket_id,
+    ROW_NUMBER() OVER same_seat AS position
+  FROM public.tickets
+  WHERE status IN ('available', 'pending_purchase')
+  WINDOW same_seat AS (PARTITION BY upper(pnr_number), upper(seat_number) ORDER BY created_at)
+),
+cancelled AS (
+  UPDATE public.tickets t
+  SET status = 'cancelled', visibility = 'hidden', updated_at = now()
+  FROM ranked
+  WHERE t.id = ranked.id AND ranked.position > 1
+  RETURNING t.id, t.seller_id, t.from_location, t.to_location, ranked.kept_ticket_id
+),
+logged AS (
+  INSERT INTO public.security_logs (user_id, event_type, description, severity, metadata)
+  SELECT
+    seller_id,
+    'listing_cancelled',
+    'Duplicate PNR and seat listing cancelled when listings became unique',
+    'medium',
+    jsonb_build_object(
+      'reason', 'duplicate_listing',
+      'ticket_id', id,
+      'kept_ticket_id', kept_ticket_id,
+      'needs_review', true
+    )
+  FROM cancelled
+)
+SELECT public.create_notification(
+  seller_id,
+  'Listing Cancelled',
+  'Your ' || from_location || ' → ' || to_location || ' listing was cancelled because the same PNR and seat was already listed. Our team will review it; contact support if the ticket is yours.',
+  'ticket',
+  jsonb_build_object('ticketId', id)
+)
+FROM cancelled;
+
+-- Only one active listing per PNR + seat, across all sellers
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tickets_active_pnr_seat
+  ON public.tickets (upper(pnr_number), upper(seat_number))
+  WHERE status IN ('available', 'pending_purchase');
+
+-- Only one completed sale per ticket
+CREATE UNIQUE INDEX IF NOT EXISTS idx_enhanced_transactions_completed_ticket
+  ON public.enhanced_transactions (ticket_id)
+  WHERE status = 'completed';
+
+-- Record a rejected duplicate listing attempt so detect_suspicious_activity sees it
+CREATE OR REPLACE FUNCTION public.log_listing_conflict(p_pnr_number TEXT, p_seat_number TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_existing RECORD;
+BEGIN
+  SELECT id, seller_id INTO v_existing
+  FROM public.tickets
+  WHERE upper(pnr_number) = upper(p_pnr_number)
+    AND upper(seat_number) = upper(p_seat_number)
+    AND status IN ('available', 'pending_purchase')
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.security_logs (user_id, event_type, description, severity, metadata)
+  VALUES (
+    auth.uid(),
+    'suspicious_behavior',
+    'Attempted to list a PNR and seat that is already listed',
+    CASE WHEN v_existing.seller_id = auth.uid() THEN 'low' ELSE 'high' END,
+    jsonb_build_object(
+      'reason', 'duplicate_listing',
+      'existing_ticket_id', v_existing.id,
+      'same_seller', v_existing.seller_id = auth.uid()
+    )
+  );
+END;
+$$;
+
+-- Atomically hold an available ticket for a buyer. Returns false, and logs
+-- the attempt, when the ticket is already held or sold.
+CREATE OR REPLACE FUNCTION public.reserve_ticket(p_ticket_id UUID, p_buyer_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.tickets
+  SET status = 'pending_purchase', reserved_by = p_buyer_id, updated_at = now()
+  WHERE id = p_ticket_id
+    AND status = 'available'
+    AND seller_id <> p_buyer_id;
+
+  IF FOUND THEN
+    RETURN true;
+  END IF;
+
+  INSERT INTO public.security_logs (user_id, event_type, description, severity, metadata)
+  VALUES (
+    p_buyer_id,
+    'suspicious_behavior',
+    'Attempted to buy a ticket that is not available',
+    'medium',
+    jsonb_build_object('reason', 'reservation_conflict', 'ticket_id', p_ticket_id)
+  );
+
+  RETURN false;
+END;
+$$;
+
+-- Undo a reservation when order creation fails after reserve_ticket
+CREATE OR REPLACE FUNCTION public.release_ticket_reservation(p_ticket_id UUID, p_buyer_id UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE public.tickets
+  SET status = 'available', reserved_by = NULL, updated_at = now()
+  WHERE id = p_ticket_id
+    AND status = 'pending_purchase'
+    AND reserved_by = p_buyer_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.log_listing_conflict(TEXT, TEXT) TO authenticated;
+REVOKE EXECUTE ON FUNCTION public.reserve_ticket(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.release_ticket_reservation(UUID, UUID) FROM PUBLIC, anon, authenticated;
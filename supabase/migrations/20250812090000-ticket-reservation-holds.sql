@@ -0,0 +1,187 @@
+-- Time-limited purchase holds: a ticket is `reserved` for one buyer while
+-- their payment is in flight and goes back on sale when the hold expires
+
+ALTER TABLE public.tickets
+ADD COLUMN IF NOT EXISTS reserved_until TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS buyer_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS sold_at TIMESTAMPTZ;
+
+-- pending_purchase is replaced by reserved
+ALTER TABLE public.tickets DROP CONSTRAINT IF EXISTS tickets_status_check;
+
+UPDATE public.tickets
+SET status = 'reserved', reserved_until = now() + INTERVAL '10 minutes'
+WHERE status = 'pending_purchase';
+
+ALTER TABLE public.tickets ADD CONSTRAINT tickets_status_check
+  CHECK (status IN ('available', 'reserved', 'sold', 'cancelled', 'expired'));
+
+DROP INDEX IF EXISTS public.idx_tickets_active_pnr_seat;
+CREATE UNIQUE INDEX idx_tickets_active_pnr_seat
+  ON public.tickets (upper(pnr_number), upper(seat_number))
+  WHERE status IN ('available', 'reserved');
+
+CREATE INDEX IF NOT EXISTS idx_tickets_reserved_until
+  ON public.tickets (reserved_until)
+  WHERE status = 'reserved';
+
+-- Buyers keep seeing held tickets so listings can show "being purchased"
+DROP POLICY IF EXISTS "Anyone can view available tickets" ON public.tickets;
+CREATE POLICY "Anyone can view available tickets" ON public.tickets
+  FOR SELECT USING (status IN ('available', 'reserved') OR seller_id = auth.uid());
+
+CREATE OR REPLACE FUNCTION public.log_listing_conflict(p_pnr_number TEXT, p_seat_number TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_existing RECORD;
+BEGIN
+  SELECT id, seller_id INTO v_existing
+  FROM public.tickets
+  WHERE upper(pnr_number) = upper(p_pnr_number)
+    AND upper(seat_number) = upper(p_seat_number)
+    AND status IN ('available', 'reserved')
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.security_logs (user_id, event_type, description, severity, metadata)
+  VALUES (
+    auth.uid(),
+    'suspicious_behavior',
+    'Attempted to list a PNR and seat that is already listed',
+    CASE WHEN v_existing.seller_id = auth.uid() THEN 'low' ELSE 'high' END,
+    jsonb_build_object(
+      'reason', 'duplicate_listing',
+      'existing_ticket_id', v_existing.id,
+      'same_seller', v_existing.seller_id = auth.uid()
+    )
+  );
+END;
+$$;
+
+-- Hold a ticket for a buyer. A buyer who already holds it, say after
+-- retrying checkout, gets a fresh hold; an expired hold can be taken over by
+-- the next buyer. Returns when the hold ends, or NULL (and logs the attempt)
+-- when the ticket is held by someone else or no longer on sale.
+DROP FUNCTION IF EXISTS public.reserve_ticket(UUID, UUID);
+CREATE FUNCTION public.reserve_ticket(
+  p_ticket_id UUID,
+  p_buyer_id UUID,
+  p_hold_minutes INTEGER DEFAULT 10
+)
+RETURNS TIMESTAMPTZ
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_reserved_until TIMESTAMPTZ;
+BEGIN
+  UPDATE public.tickets
+  SET status = 'reserved',
+      reserved_by = p_buyer_id,
+      reserved_until = now() + make_interval(mins => p_hold_minutes),
+      updated_at = now()
+  WHERE id = p_ticket_id
+    AND seller_id <> p_buyer_id
+    AND (
+      status = 'available'
+      OR (status = 'reserved' AND reserved_by = p_buyer_id)
+      OR (status = 'reserved' AND reserved_until <= now())
+    )
+  RETURNING reserved_until INTO v_reserved_until;
+
+  IF FOUND THEN
+    RETURN v_reserved_until;
+  END IF;
+
+  INSERT INTO public.security_logs (user_id, event_type, description, severity, metadata)
+  VALUES (
+    p_buyer_id,
+    'suspicious_behavior',
+    'Attempted to buy a ticket that is not available',
+    'medium',
+    jsonb_build_object('reason', 'reservation_conflict', 'ticket_id', p_ticket_id)
+  );
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.release_ticket_reservation(p_ticket_id UUID, p_buyer_id UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE public.tickets
+  SET status = 'available', reserved_by = NULL, reserved_until = NULL, updated_at = now()
+  WHERE id = p_ticket_id
+    AND status = 'reserved'
+    AND reserved_by = p_buyer_id;
+$$;
+
+-- Mark a ticket sold to the buyer who paid. A payment that lands after the
+-- hold expired still succeeds as long as nobody else has taken the ticket.
+CREATE OR REPLACE FUNCTION public.complete_ticket_sale(p_ticket_id UUID, p_buyer_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.tickets
+  SET status = 'sold',
+      buyer_id = p_buyer_id,
+      sold_at = now(),
+      reserved_by = NULL,
+      reserved_until = NULL,
+      updated_at = now()
+  WHERE id = p_ticket_id
+    AND seller_id <> p_buyer_id
+    AND (
+      (status = 'reserved' AND reserved_by = p_buyer_id)
+      OR status = 'available'
+      OR (status = 'reserved' AND reserved_until <= now())
+    );
+
+  RETURN FOUND;
+END;
+$$;
+
+-- Put tickets with expired holds back on sale
+CREATE OR REPLACE FUNCTION public.release_expired_ticket_holds()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_released INTEGER;
+BEGIN
+  UPDATE public.tickets
+  SET status = 'available', reserved_by = NULL, reserved_until = NULL, updated_at = now()
+  WHERE status = 'reserved'
+    AND reserved_until <= now();
+
+  GET DIAGNOSTICS v_released = ROW_COUNT;
+  RETURN v_released;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.reserve_ticket(UUID, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.complete_ticket_sale(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.release_expired_ticket_holds() FROM PUBLIC, anon, authenticated;
+
+-- Sweep expired holds every minute
+SELECT cron.schedule(
+  'release-expired-ticket-holds',
+  '* * * * *',
+  $$ SELECT public.release_expired_ticket_holds(); $$
+);
@@ -0,0 +1,190 @@
+-- Escrow state machine for ticket sales
+--
+--   none ──payment_captured──▶ held ──grace_elapsed / boarding_confirmed──▶ released
+--                               │                                            ▲
+--                               ├──dispute_opened──▶ disputed ──resolved─────┘
+--                               │                       │
+--                               └──refunded◀────────────┘
+--
+-- Every transition goes through transition_escrow(), which writes a row to
+-- the append-only escrow_ledger. Releasing escrow queues the seller payout.
+
+-- Columns verify-razorpay-payment already writes
+ALTER TABLE public.enhanced_transactions
+ADD COLUMN IF NOT EXISTS payment_status TEXT,
+ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS escrow_release_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS boarding_confirmed_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.enhanced_transactions.escrow_release_at IS 'Departure time plus the escrow grace window; held funds are released after this';
+COMMENT ON COLUMN public.enhanced_transactions.boarding_confirmed_at IS 'When the buyer confirmed boarding, releasing escrow early';
+
+-- The original and Razorpay migrations disagreed on the allowed values
+ALTER TABLE public.enhanced_transactions DROP CONSTRAINT IF EXISTS enhanced_transactions_escrow_status_check;
+ALTER TABLE public.enhanced_transactions ADD CONSTRAINT enhanced_transactions_escrow_status_check
+  CHECK (escrow_status IN ('none', 'held', 'released', 'disputed', 'refunded'));
+ALTER TABLE public.enhanced_transactions ALTER COLUMN escrow_status SET DEFAULT 'none';
+
+-- Unpaid orders were created as held; nothing has been captured for them yet
+UPDATE public.enhanced_transactions
+SET escrow_status = 'none'
+WHERE status IN ('pending', 'failed', 'cancelled') AND escrow_status = 'held';
+
+CREATE INDEX IF NOT EXISTS idx_enhanced_transactions_escrow_release
+  ON public.enhanced_transactions (escrow_release_at)
+  WHERE escrow_status = 'held';
+
+CREATE TABLE IF NOT EXISTS public.escrow_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id UUID NOT NULL REFERENCES public.enhanced_transactions(id) ON DELETE RESTRICT,
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  event TEXT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  -- No foreign key: the ledger can't be updated, so it keeps the id of
+  -- whoever acted even after their account is deleted
+  actor_id UUID,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_escrow_ledger_transaction_id ON public.escrow_ledger (transaction_id, created_at);
+
+ALTER TABLE public.escrow_ledger ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Parties can view their escrow ledger" ON public.escrow_ledger
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.enhanced_transactions t
+      WHERE t.id = escrow_ledger.transaction_id
+        AND (t.buyer_id = auth.uid() OR t.seller_id = auth.uid())
+    )
+  );
+
+CREATE POLICY "Admins can view escrow ledger" ON public.escrow_ledger
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- The ledger is append-only, for every role including the service role
+CREATE OR REPLACE FUNCTION public.prevent_escrow_ledger_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'escrow_ledger is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS escrow_ledger_immutable ON public.escrow_ledger;
+CREATE TRIGGER escrow_ledger_immutable
+  BEFORE UPDATE OR DELETE ON public.escrow_ledger
+  FOR EACH ROW EXECUTE FUNCTION public.prevent_escrow_ledger_changes();
+
+DROP TRIGGER IF EXISTS escrow_ledger_no_truncate ON public.escrow_ledger;
+CREATE TRIGGER escrow_ledger_no_truncate
+  BEFORE TRUNCATE ON public.escrow_ledger
+  FOR EACH STATEMENT EXECUTE FUNCTION public.prevent_escrow_ledger_changes();
+
+-- Move a transaction's escrow to a new state. Raises on a transition the
+-- state machine doesn't allow, so callers can't skip the ledger.
+CREATE OR REPLACE FUNCTION public.transition_escrow(
+  p_transaction_id UUID,
+  p_to_status TEXT,
+  p_event TEXT,
+  p_actor_id UUID DEFAULT NULL,
+  p_metadata JSONB DEFAULT '{}'::jsonb,
+  p_release_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_transaction RECORD;
+  v_from_status TEXT;
+BEGIN
+  SELECT * INTO v_transaction
+  FROM public.enhanced_transactions
+  WHERE id = p_transaction_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Transaction % not found', p_transaction_id;
+  END IF;
+
+  v_from_status := COALESCE(v_transaction.escrow_status, 'none');
+
+  IF NOT (
+    (v_from_status = 'none' AND p_to_status = 'held')
+    OR (v_from_status = 'held' AND p_to_status IN ('released', 'disputed', 'refunded'))
+    OR (v_from_status = 'disputed' AND p_to_status IN ('released', 'refunded'))
+  ) THEN
+    RAISE EXCEPTION 'Invalid escrow transition from % to %', v_from_status, p_to_status;
+  END IF;
+
+  UPDATE public.enhanced_transactions
+  SET escrow_status = p_to_status,
+      escrow_release_at = CASE WHEN p_to_status = 'held' THEN p_release_at ELSE escrow_release_at END,
+      boarding_confirmed_at = CASE WHEN p_event = 'boarding_confirmed' THEN now() ELSE boarding_confirmed_at END,
+      updated_at = now()
+  WHERE id = p_transaction_id;
+
+  INSERT INTO public.escrow_ledger (transaction_id, from_status, to_status, event, amount, actor_id, metadata)
+  VALUES (p_transaction_id, v_from_status, p_to_status, p_event, v_transaction.amount, p_actor_id, COALESCE(p_metadata, '{}'::jsonb));
+
+  IF p_to_status = 'released' THEN
+    INSERT INTO public.seller_payouts (transaction_id, seller_id, amount, status)
+    VALUES (
+      p_transaction_id,
+      v_transaction.seller_id,
+      v_transaction.amount - COALESCE(v_transaction.platform_fee, 0),
+      'pending'
+    );
+  END IF;
+
+  RETURN p_to_status;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.transition_escrow(UUID, TEXT, TEXT, UUID, JSONB, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+
+-- Existing sales: payouts already queued count as released, the rest are
+-- held until departure plus the default 6 hour grace window
+INSERT INTO public.escrow_ledger (transaction_id, from_status, to_status, event, amount, metadata)
+SELECT t.id, t.escrow_status, 'released', 'migrated', t.amount, '{"reason": "payout queued before escrow state machine"}'::jsonb
+FROM public.enhanced_transactions t
+WHERE t.status = 'completed'
+  AND t.escrow_status = 'held'
+  AND EXISTS (SELECT 1 FROM public.seller_payouts p WHERE p.transaction_id = t.id);
+
+UPDATE public.enhanced_transactions t
+SET escrow_status = 'released'
+WHERE t.status = 'completed'
+  AND t.escrow_status = 'held'
+  AND EXISTS (SELECT 1 FROM public.seller_payouts p WHERE p.transaction_id = t.id);
+
+UPDATE public.enhanced_transactions t
+SET escrow_release_at = ((tk.departure_date + tk.departure_time) AT TIME ZONE 'Asia/Kolkata') + INTERVAL '6 hours'
+FROM public.tickets tk
+WHERE tk.id = t.ticket_id
+  AND t.escrow_status = 'held'
+  AND t.escrow_release_at IS NULL;
+
+-- Release escrow for transactions whose grace window has passed, every 15 minutes.
+-- Uses the same Vault secrets as the reverify-tickets job.
+SELECT cron.schedule(
+  'release-escrow',
+  '*/15 * * * *',
+  $$
+  SELECT net.http_post(
+    url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url') || '/functions/v1/release-escrow',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);
@@ -0,0 +1,142 @@
+-- Buyer disputes on support_tickets
+--
+-- open-dispute creates a 'dispute' support ticket and moves escrow to
+-- disputed, respond-dispute records the seller's side within the response
+-- window and resolve-dispute lets an admin refund (fully or partly) or
+-- release the funds.
+
+ALTER TABLE public.support_tickets
+ADD COLUMN IF NOT EXISTS transaction_id UUID REFERENCES public.enhanced_transactions(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS respondent_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS response_due_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS respondent_response TEXT,
+ADD COLUMN IF NOT EXISTS responded_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS resolution_type TEXT CHECK (resolution_type IN ('full_refund', 'partial_refund', 'release')),
+ADD COLUMN IF NOT EXISTS refund_amount DECIMAL(10,2),
+ADD COLUMN IF NOT EXISTS resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.support_tickets.respondent_id IS 'Other party in a dispute (the seller), who can respond until response_due_at';
+
+-- One open dispute per transaction
+CREATE UNIQUE INDEX IF NOT EXISTS idx_support_tickets_open_dispute
+  ON public.support_tickets (transaction_id)
+  WHERE category = 'dispute' AND status IN ('open', 'in_progress');
+
+CREATE INDEX IF NOT EXISTS idx_support_tickets_respondent_id ON public.support_tickets (respondent_id);
+
+CREATE POLICY "Respondents can view disputes against them" ON public.support_tickets
+  FOR SELECT USING (respondent_id = auth.uid());
+
+CREATE POLICY "Admins can view all support tickets" ON public.support_tickets
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+CREATE POLICY "Admins can update support tickets" ON public.support_tickets
+  FOR UPDATE USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- Dispute evidence lives in ticket_documents, linked to the dispute
+ALTER TABLE public.ticket_documents
+ADD COLUMN IF NOT EXISTS uploaded_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS support_ticket_id UUID REFERENCES public.support_tickets(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_ticket_documents_support_ticket_id ON public.ticket_documents (support_ticket_id);
+
+CREATE POLICY "Dispute parties can view evidence" ON public.ticket_documents
+  FOR SELECT USING (
+    support_ticket_id IS NOT NULL AND EXISTS (
+      SELECT 1 FROM public.support_tickets s
+      WHERE s.id = ticket_documents.support_ticket_id
+        AND (s.user_id = auth.uid() OR s.respondent_id = auth.uid())
+    )
+  );
+
+CREATE POLICY "Admins can view ticket documents" ON public.ticket_documents
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- Admins open evidence files with signed URLs
+CREATE POLICY "Admins can view ticket document files" ON storage.objects
+  FOR SELECT USING (
+    bucket_id = 'ticket-documents' AND
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- Partial refunds release the rest of the sale to the seller, so
+-- transition_escrow takes an optional payout amount
+DROP FUNCTION IF EXISTS public.transition_escrow(UUID, TEXT, TEXT, UUID, JSONB, TIMESTAMPTZ);
+CREATE FUNCTION public.transition_escrow(
+  p_transaction_id UUID,
+  p_to_status TEXT,
+  p_event TEXT,
+  p_actor_id UUID DEFAULT NULL,
+  p_metadata JSONB DEFAULT '{}'::jsonb,
+  p_release_at TIMESTAMPTZ DEFAULT NULL,
+  p_payout_amount DECIMAL DEFAULT NULL
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_transaction RECORD;
+  v_from_status TEXT;
+  v_payout_amount DECIMAL;
+BEGIN
+  SELECT * INTO v_transaction
+  FROM public.enhanced_transactions
+  WHERE id = p_transaction_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Transaction % not found', p_transaction_id;
+  END IF;
+
+  v_from_status := COALESCE(v_transaction.escrow_status, 'none');
+
+  IF NOT (
+    (v_from_status = 'none' AND p_to_status = 'held')
+    OR (v_from_status = 'held' AND p_to_status IN ('released', 'disputed', 'refunded'))
+    OR (v_from_status = 'disputed' AND p_to_status IN ('released', 'refunded'))
+  ) THEN
+    RAISE EXCEPTION 'Invalid escrow transition from % to %', v_from_status, p_to_status;
+  END IF;
+
+  v_payout_amount := COALESCE(p_payout_amount, v_transaction.amount - COALESCE(v_transaction.platform_fee, 0));
+
+  UPDATE public.enhanced_transactions
+  SET escrow_status = p_to_status,
+      escrow_release_at = CASE WHEN p_to_status = 'held' THEN p_release_at ELSE escrow_release_at END,
+      boarding_confirmed_at = CASE WHEN p_event = 'boarding_confirmed' THEN now() ELSE boarding_confirmed_at END,
+      updated_at = now()
+  WHERE id = p_transaction_id;
+
+  INSERT INTO public.escrow_ledger (transaction_id, from_status, to_status, event, amount, actor_id, metadata)
+  VALUES (
+    p_transaction_id,
+    v_from_status,
+    p_to_status,
+    p_event,
+    v_transaction.amount,
+    p_actor_id,
+    COALESCE(p_metadata, '{}'::jsonb) || CASE
+      WHEN p_to_status = 'released' THEN jsonb_build_object('payout_amount', v_payout_amount)
+      ELSE '{}'::jsonb
+    END
+  );
+
+  IF p_to_status = 'released' AND v_payout_amount > 0 THEN
+    INSERT INTO public.seller_payouts (transaction_id, seller_id, amount, status)
+    VALUES (p_transaction_id, v_transaction.seller_id, v_payout_amount, 'pending');
+  END IF;
+
+  RETURN p_to_status;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.transition_escrow(UUID, TEXT, TEXT, UUID, JSONB, TIMESTAMPTZ, DECIMAL) FROM PUBLIC, anon, authenticated;
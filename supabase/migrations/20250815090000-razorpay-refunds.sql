@@ -0,0 +1,134 @@
+-- Razorpay refunds
+--
+-- create-razorpay-refund (and resolve-dispute, through the same module)
+-- records every refund in refunds, keyed by an idempotency key so a retried
+-- request never refunds twice. Refunds are only issued while funds are still
+-- in escrow; a partial refund reduces the seller's payout on release.
+
+CREATE TABLE IF NOT EXISTS public.refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id UUID NOT NULL REFERENCES public.enhanced_transactions(id) ON DELETE CASCADE,
+  idempotency_key TEXT NOT NULL UNIQUE,
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  commission_refunded DECIMAL(10,2) NOT NULL DEFAULT 0,
+  reason TEXT NOT NULL CHECK (reason IN ('buyer_cancelled', 'seller_cancelled', 'operator_cancelled', 'invalid_ticket', 'dispute', 'other')),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processed', 'failed')),
+  razorpay_refund_id TEXT,
+  error TEXT,
+  notes TEXT,
+  requested_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_transaction_id ON public.refunds (transaction_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_razorpay_refund_id ON public.refunds (razorpay_refund_id);
+
+ALTER TABLE public.refunds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Parties can view refunds on their transactions" ON public.refunds
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.enhanced_transactions t
+      WHERE t.id = refunds.transaction_id
+        AND (t.buyer_id = auth.uid() OR t.seller_id = auth.uid())
+    )
+  );
+
+CREATE POLICY "Admins can view refunds" ON public.refunds
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- Running totals on the sale; refunded_commission is the part of the
+-- platform fee given back, the rest of refunded_amount comes out of the
+-- seller's share
+ALTER TABLE public.enhanced_transactions
+ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS refunded_commission DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Refund records in the legacy transactions table
+ALTER TABLE public.transactions
+ADD COLUMN IF NOT EXISTS transaction_type TEXT DEFAULT 'purchase' CHECK (transaction_type IN ('purchase', 'refund', 'payout')),
+ADD COLUMN IF NOT EXISTS payment_id TEXT,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+
+-- Seller payout on release now accounts for refunds already issued
+CREATE OR REPLACE FUNCTION public.transition_escrow(
+  p_transaction_id UUID,
+  p_to_status TEXT,
+  p_event TEXT,
+  p_actor_id UUID DEFAULT NULL,
+  p_metadata JSONB DEFAULT '{}'::jsonb,
+  p_release_at TIMESTAMPTZ DEFAULT NULL,
+  p_payout_amount DECIMAL DEFAULT NULL
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_transaction RECORD;
+  v_from_status TEXT;
+  v_payout_amount DECIMAL;
+BEGIN
+  SELECT * INTO v_transaction
+  FROM public.enhanced_transactions
+  WHERE id = p_transaction_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Transaction % not found', p_transaction_id;
+  END IF;
+
+  v_from_status := COALESCE(v_transaction.escrow_status, 'none');
+
+  IF NOT (
+    (v_from_status = 'none' AND p_to_status = 'held')
+    OR (v_from_status = 'held' AND p_to_status IN ('released', 'disputed', 'refunded'))
+    OR (v_from_status = 'disputed' AND p_to_status IN ('released', 'refunded'))
+  ) THEN
+    RAISE EXCEPTION 'Invalid escrow transition from % to %', v_from_status, p_to_status;
+  END IF;
+
+  v_payout_amount := COALESCE(
+    p_payout_amount,
+    GREATEST(
+      v_transaction.amount - COALESCE(v_transaction.platform_fee, 0)
+        - (v_transaction.refunded_amount - v_transaction.refunded_commission),
+      0
+    )
+  );
+
+  UPDATE public.enhanced_transactions
+  SET escrow_status = p_to_status,
+      escrow_release_at = CASE WHEN p_to_status = 'held' THEN p_release_at ELSE escrow_release_at END,
+      boarding_confirmed_at = CASE WHEN p_event = 'boarding_confirmed' THEN now() ELSE boarding_confirmed_at END,
+      updated_at = now()
+  WHERE id = p_transaction_id;
+
+  INSERT INTO public.escrow_ledger (transaction_id, from_status, to_status, event, amount, actor_id, metadata)
+  VALUES (
+    p_transaction_id,
+    v_from_status,
+    p_to_status,
+    p_event,
+    v_transaction.amount,
+    p_actor_id,
+    COALESCE(p_metadata, '{}'::jsonb) || CASE
+      WHEN p_to_status = 'released' THEN jsonb_build_object('payout_amount', v_payout_amount)
+      ELSE '{}'::jsonb
+    END
+  );
+
+  IF p_to_status = 'released' AND v_payout_amount > 0 THEN
+    INSERT INTO public.seller_payouts (transaction_id, seller_id, amount, status)
+    VALUES (p_transaction_id, v_transaction.seller_id, v_payout_amount, 'pending');
+  END IF;
+
+  RETURN p_to_status;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.transition_escrow(UUID, TEXT, TEXT, UUID, JSONB, TIMESTAMPTZ, DECIMAL) FROM PUBLIC, anon, authenticated;
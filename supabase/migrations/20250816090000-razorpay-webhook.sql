@@ -0,0 +1,44 @@
+-- Razorpay webhook receiver
+--
+-- razorpay-webhook records each delivery by its X-Razorpay-Event-Id before
+-- acting on it. Razorpay retries until it gets a 2xx, so a replayed event
+-- that was already processed is acknowledged and skipped.
+
+CREATE TABLE IF NOT EXISTS public.razorpay_webhook_events (
+  id TEXT PRIMARY KEY,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'processed', 'failed')),
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_razorpay_webhook_events_event ON public.razorpay_webhook_events (event, received_at DESC);
+
+ALTER TABLE public.razorpay_webhook_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view Razorpay webhook events" ON public.razorpay_webhook_events
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- payout.reversed returns a payout's money to the platform account
+ALTER TABLE public.seller_payouts DROP CONSTRAINT IF EXISTS seller_payouts_status_check;
+ALTER TABLE public.seller_payouts
+ADD CONSTRAINT seller_payouts_status_check CHECK (status IN ('pending', 'processed', 'failed', 'cancelled', 'reversed'));
+
+ALTER TABLE public.seller_payouts
+ADD COLUMN IF NOT EXISTS failure_reason TEXT,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS idx_seller_payouts_razorpay_payout_id ON public.seller_payouts (razorpay_payout_id);
+
+ALTER TABLE public.refunds
+ADD COLUMN IF NOT EXISTS processed_at TIMESTAMPTZ;
+
+-- payment.failed fires for each failed attempt; the buyer can retry in the
+-- same checkout, so it's recorded without cancelling the order
+ALTER TABLE public.enhanced_transactions
+ADD COLUMN IF NOT EXISTS payment_error TEXT;
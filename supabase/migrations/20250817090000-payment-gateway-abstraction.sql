@@ -0,0 +1,85 @@
+-- One transaction record for every payment gateway
+--
+-- Stripe and Razorpay used to write different columns (payment_intent_id vs
+-- razorpay_order_id/razorpay_payment_id). gateway, gateway_order_id and
+-- gateway_payment_id now identify a payment whichever gateway took it, and
+-- refunds and payouts record their gateway ids the same way. Triggers keep
+-- the old gateway-specific columns filled in for anything still reading them.
+
+ALTER TABLE public.enhanced_transactions
+ADD COLUMN IF NOT EXISTS gateway TEXT CHECK (gateway IN ('razorpay', 'stripe', 'mock')),
+ADD COLUMN IF NOT EXISTS gateway_order_id TEXT,
+ADD COLUMN IF NOT EXISTS gateway_payment_id TEXT;
+
+UPDATE public.enhanced_transactions
+SET gateway = 'razorpay',
+    gateway_order_id = razorpay_order_id,
+    gateway_payment_id = razorpay_payment_id
+WHERE gateway IS NULL AND razorpay_order_id IS NOT NULL;
+
+UPDATE public.enhanced_transactions
+SET gateway = 'stripe',
+    gateway_order_id = payment_intent_id,
+    gateway_payment_id = CASE WHEN status IN ('completed', 'refunded') THEN payment_intent_id END
+WHERE gateway IS NULL AND payment_intent_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_enhanced_transactions_gateway_order
+  ON public.enhanced_transactions (gateway, gateway_order_id);
+CREATE INDEX IF NOT EXISTS idx_enhanced_transactions_gateway_payment
+  ON public.enhanced_transactions (gateway_payment_id);
+
+CREATE OR REPLACE FUNCTION public.sync_transaction_gateway_columns()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.gateway = 'razorpay' THEN
+    NEW.razorpay_order_id := NEW.gateway_order_id;
+    NEW.razorpay_payment_id := NEW.gateway_payment_id;
+  ELSIF NEW.gateway = 'stripe' THEN
+    NEW.payment_intent_id := NEW.gateway_order_id;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sync_transaction_gateway_columns ON public.enhanced_transactions;
+CREATE TRIGGER sync_transaction_gateway_columns
+  BEFORE INSERT OR UPDATE OF gateway, gateway_order_id, gateway_payment_id ON public.enhanced_transactions
+  FOR EACH ROW EXECUTE FUNCTION public.sync_transaction_gateway_columns();
+
+-- Refunds are only issued through the gateway the payment came in on
+ALTER TABLE public.refunds RENAME COLUMN razorpay_refund_id TO gateway_refund_id;
+ALTER INDEX IF EXISTS idx_refunds_razorpay_refund_id RENAME TO idx_refunds_gateway_refund_id;
+
+ALTER TABLE public.refunds
+ADD COLUMN IF NOT EXISTS gateway TEXT CHECK (gateway IN ('razorpay', 'stripe', 'mock'));
+
+UPDATE public.refunds SET gateway = 'razorpay' WHERE gateway IS NULL AND gateway_refund_id IS NOT NULL;
+
+ALTER TABLE public.seller_payouts
+ADD COLUMN IF NOT EXISTS gateway TEXT CHECK (gateway IN ('razorpay', 'stripe', 'mock')),
+ADD COLUMN IF NOT EXISTS gateway_payout_id TEXT;
+
+UPDATE public.seller_payouts
+SET gateway = 'razorpay', gateway_payout_id = razorpay_payout_id
+WHERE gateway IS NULL AND razorpay_payout_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_seller_payouts_gateway_payout_id ON public.seller_payouts (gateway_payout_id);
+
+CREATE OR REPLACE FUNCTION public.sync_payout_gateway_columns()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.gateway = 'razorpay' THEN
+    NEW.razorpay_payout_id := NEW.gateway_payout_id;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sync_payout_gateway_columns ON public.seller_payouts;
+CREATE TRIGGER sync_payout_gateway_columns
+  BEFORE INSERT OR UPDATE OF gateway, gateway_payout_id ON public.seller_payouts
+  FOR EACH ROW EXECUTE FUNCTION public.sync_payout_gateway_columns();
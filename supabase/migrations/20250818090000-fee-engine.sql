@@ -0,0 +1,85 @@
+-- Configurable platform fees
+--
+-- Replaces the hardcoded 5% commission. Admins edit fee_rules (percentage
+-- plus fixed fee with optional min/max caps, optionally limited to a listing
+-- type and/or bus operator), the GST rate in fee_settings, and zero-fee
+-- windows in fee_promotions. Order creation works the fee out from these
+-- (supabase/functions/_shared/fees.ts); everyone can read them so checkout
+-- and the sell form can show the same breakdown.
+
+CREATE TABLE IF NOT EXISTS public.fee_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  listing_type TEXT CHECK (listing_type IN ('standard', 'premium', 'urgent')),
+  bus_operator TEXT,
+  percentage DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (percentage >= 0 AND percentage <= 100),
+  fixed_fee DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (fixed_fee >= 0),
+  min_fee DECIMAL(10,2) CHECK (min_fee >= 0),
+  max_fee DECIMAL(10,2) CHECK (max_fee >= 0),
+  active BOOLEAN NOT NULL DEFAULT true,
+  updated_by UUID REFERENCES public.profiles(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (min_fee IS NULL OR max_fee IS NULL OR min_fee <= max_fee)
+);
+
+-- One active rule per scope; operators are matched case-insensitively
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fee_rules_scope
+  ON public.fee_rules (COALESCE(listing_type, ''), COALESCE(lower(trim(bus_operator)), ''))
+  WHERE active;
+
+CREATE TABLE IF NOT EXISTS public.fee_promotions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  listing_type TEXT CHECK (listing_type IN ('standard', 'premium', 'urgent')),
+  bus_operator TEXT,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES public.profiles(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_promotions_window ON public.fee_promotions (starts_at, ends_at) WHERE active;
+
+CREATE TABLE IF NOT EXISTS public.fee_settings (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  gst_rate DECIMAL(5,2) NOT NULL DEFAULT 18 CHECK (gst_rate >= 0 AND gst_rate <= 100),
+  updated_by UUID REFERENCES public.profiles(id),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.fee_settings (id, gst_rate) VALUES (true, 18) ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO public.fee_rules (name, percentage)
+SELECT 'Standard', 5
+WHERE NOT EXISTS (SELECT 1 FROM public.fee_rules WHERE listing_type IS NULL AND bus_operator IS NULL);
+
+ALTER TABLE public.fee_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.fee_promotions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.fee_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view fee rules" ON public.fee_rules FOR SELECT USING (true);
+CREATE POLICY "Anyone can view fee promotions" ON public.fee_promotions FOR SELECT USING (true);
+CREATE POLICY "Anyone can view fee settings" ON public.fee_settings FOR SELECT USING (true);
+
+CREATE POLICY "Admins can manage fee rules" ON public.fee_rules
+  FOR ALL USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+CREATE POLICY "Admins can manage fee promotions" ON public.fee_promotions
+  FOR ALL USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+CREATE POLICY "Admins can update fee settings" ON public.fee_settings
+  FOR UPDATE USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- What the buyer was charged for, itemized as at order time
+ALTER TABLE public.enhanced_transactions
+ADD COLUMN IF NOT EXISTS gst_amount DECIMAL(10,2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS fee_breakdown JSONB;
@@ -0,0 +1,15 @@
+-- Server-side order snapshots
+--
+-- Order creation prices the ticket from its row and the fee rules and keeps
+-- what the order was for: listing price, fee breakdown, gateway amount and
+-- when the buyer's hold runs out. Verification compares the captured amount
+-- with order_snapshot->amount; a mismatch cancels the sale with
+-- payment_status 'amount_mismatch' and the payment id kept for the refund.
+
+ALTER TABLE public.enhanced_transactions
+ADD COLUMN IF NOT EXISTS order_snapshot JSONB,
+ADD COLUMN IF NOT EXISTS order_expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_enhanced_transactions_amount_mismatch
+  ON public.enhanced_transactions (created_at)
+  WHERE payment_status = 'amount_mismatch';
@@ -0,0 +1,210 @@
+-- Seller payout subsystem
+--
+-- Sellers save where they want to be paid in payout_destinations, a UPI VPA
+-- or a bank account with IFSC, one of them the default. process-payouts sends
+-- pending payouts in scheduled batches (payout_batches); a failed attempt goes
+-- back to pending with next_attempt_at backed off exponentially until the
+-- attempts run out (supabase/functions/_shared/payouts.ts). Every status
+-- change is appended to payout_events for the seller's timeline.
+
+CREATE TABLE IF NOT EXISTS public.payout_destinations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  seller_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('vpa', 'bank_account')),
+  vpa TEXT,
+  account_number TEXT,
+  ifsc TEXT,
+  account_holder_name TEXT,
+  label TEXT,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  active BOOLEAN NOT NULL DEFAULT true,
+  disabled_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (
+    (type = 'vpa' AND vpa ~* '^[a-z0-9][a-z0-9._-]{1,255}@[a-z][a-z0-9]{1,63}$'
+      AND account_number IS NULL AND ifsc IS NULL)
+    OR
+    (type = 'bank_account' AND vpa IS NULL
+      AND account_number ~ '^[0-9]{9,18}$'
+      AND ifsc ~ '^[A-Z]{4}0[A-Z0-9]{6}$'
+      AND length(trim(account_holder_name)) > 0)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_destinations_seller_id ON public.payout_destinations (seller_id);
+
+-- At most one default per seller, and it has to be usable
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_destinations_default
+  ON public.payout_destinations (seller_id)
+  WHERE is_default AND active;
+
+ALTER TABLE public.payout_destinations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Sellers can view own payout destinations" ON public.payout_destinations
+  FOR SELECT USING (seller_id = auth.uid());
+
+CREATE POLICY "Sellers can add payout destinations" ON public.payout_destinations
+  FOR INSERT WITH CHECK (seller_id = auth.uid());
+
+CREATE POLICY "Sellers can update own payout destinations" ON public.payout_destinations
+  FOR UPDATE USING (seller_id = auth.uid()) WITH CHECK (seller_id = auth.uid());
+
+CREATE POLICY "Admins can view payout destinations" ON public.payout_destinations
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- Make a destination the seller's default in place of the current one
+CREATE OR REPLACE FUNCTION public.set_default_payout_destination(p_destination_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_seller_id UUID;
+BEGIN
+  SELECT seller_id INTO v_seller_id
+  FROM public.payout_destinations
+  WHERE id = p_destination_id AND active AND seller_id = auth.uid();
+
+  IF v_seller_id IS NULL THEN
+    RAISE EXCEPTION 'Payout destination not found';
+  END IF;
+
+  UPDATE public.payout_destinations
+  SET is_default = false, updated_at = now()
+  WHERE seller_id = v_seller_id AND is_default AND id <> p_destination_id;
+
+  UPDATE public.payout_destinations
+  SET is_default = true, updated_at = now()
+  WHERE id = p_destination_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.set_default_payout_destination(UUID) TO authenticated;
+
+-- Carry over UPI ids saved on profiles by the old PaymentSettings form
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'profiles' AND column_name = 'upi_id'
+  ) THEN
+    INSERT INTO public.payout_destinations (seller_id, type, vpa, is_default)
+    SELECT p.id, 'vpa', lower(trim(p.upi_id)), true
+    FROM public.profiles p
+    WHERE trim(p.upi_id) ~* '^[a-z0-9][a-z0-9._-]{1,255}@[a-z][a-z0-9]{1,63}$'
+      AND NOT EXISTS (SELECT 1 FROM public.payout_destinations d WHERE d.seller_id = p.id);
+  END IF;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS public.payout_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed')),
+  attempted INTEGER NOT NULL DEFAULT 0,
+  processed INTEGER NOT NULL DEFAULT 0,
+  retrying INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  skipped INTEGER NOT NULL DEFAULT 0,
+  total_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  completed_at TIMESTAMPTZ
+);
+
+ALTER TABLE public.payout_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view payout batches" ON public.payout_batches
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+ALTER TABLE public.seller_payouts DROP CONSTRAINT IF EXISTS seller_payouts_status_check;
+ALTER TABLE public.seller_payouts
+ADD CONSTRAINT seller_payouts_status_check
+  CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'cancelled', 'reversed'));
+
+ALTER TABLE public.seller_payouts
+ADD COLUMN IF NOT EXISTS destination_id UUID REFERENCES public.payout_destinations(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES public.payout_batches(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_seller_payouts_due
+  ON public.seller_payouts (next_attempt_at)
+  WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS public.payout_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  payout_id UUID NOT NULL REFERENCES public.seller_payouts(id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  attempt INTEGER NOT NULL DEFAULT 0,
+  detail TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_events_payout_id ON public.payout_events (payout_id, created_at);
+
+ALTER TABLE public.payout_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Sellers can view own payout events" ON public.payout_events
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.seller_payouts p
+      WHERE p.id = payout_events.payout_id AND p.seller_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Admins can view payout events" ON public.payout_events
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- Record each status change. A failed attempt shows as a return to pending
+-- with the reason and the retry time in next_attempt_at.
+CREATE OR REPLACE FUNCTION public.record_payout_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO public.payout_events (payout_id, status, attempt, detail)
+    VALUES (
+      NEW.id,
+      NEW.status,
+      NEW.attempts,
+      CASE WHEN NEW.status IN ('pending', 'failed', 'reversed') THEN NEW.failure_reason END
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_payout_event ON public.seller_payouts;
+CREATE TRIGGER record_payout_event
+  AFTER INSERT OR UPDATE ON public.seller_payouts
+  FOR EACH ROW EXECUTE FUNCTION public.record_payout_event();
+
+INSERT INTO public.payout_events (payout_id, status, attempt, created_at)
+SELECT p.id, p.status, p.attempts, COALESCE(p.processed_at, p.created_at)
+FROM public.seller_payouts p
+WHERE NOT EXISTS (SELECT 1 FROM public.payout_events e WHERE e.payout_id = p.id);
+
+-- Send due payouts every hour. Uses the same Vault secrets as the other jobs.
+SELECT cron.schedule(
+  'process-payouts',
+  '5 * * * *',
+  $$
+  SELECT net.http_post(
+    url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url') || '/functions/v1/process-payouts',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);
@@ -0,0 +1,61 @@
+-- Payout destination verification
+--
+-- A destination has to pass a penny drop (verify-payout-destination) before
+-- payouts are sent to it. The verification fields are written only by the
+-- service role; sellers can't mark their own destination verified, and
+-- changing the account details starts verification over.
+
+ALTER TABLE public.payout_destinations
+  ADD COLUMN IF NOT EXISTS verification_status TEXT NOT NULL DEFAULT 'unverified'
+    CHECK (verification_status IN ('unverified', 'pending', 'verified', 'failed')),
+  ADD COLUMN IF NOT EXISTS verification_id TEXT,
+  ADD COLUMN IF NOT EXISTS verified_name TEXT,
+  ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS verification_error TEXT,
+  ADD COLUMN IF NOT EXISTS bank_name TEXT;
+
+CREATE OR REPLACE FUNCTION public.guard_payout_destination_verification()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF auth.role() IS DISTINCT FROM 'service_role' THEN
+      NEW.verification_status := 'unverified';
+      NEW.verification_id := NULL;
+      NEW.verified_name := NULL;
+      NEW.verified_at := NULL;
+      NEW.verification_error := NULL;
+      NEW.bank_name := NULL;
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  IF auth.role() IS DISTINCT FROM 'service_role' THEN
+    NEW.verification_status := OLD.verification_status;
+    NEW.verification_id := OLD.verification_id;
+    NEW.verified_name := OLD.verified_name;
+    NEW.verified_at := OLD.verified_at;
+    NEW.verification_error := OLD.verification_error;
+    NEW.bank_name := OLD.bank_name;
+  END IF;
+
+  IF NEW.vpa IS DISTINCT FROM OLD.vpa
+    OR NEW.account_number IS DISTINCT FROM OLD.account_number
+    OR NEW.ifsc IS DISTINCT FROM OLD.ifsc
+    OR NEW.account_holder_name IS DISTINCT FROM OLD.account_holder_name THEN
+    NEW.verification_status := 'unverified';
+    NEW.verification_id := NULL;
+    NEW.verified_name := NULL;
+    NEW.verified_at := NULL;
+    NEW.verification_error := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS guard_payout_destination_verification ON public.payout_destinations;
+CREATE TRIGGER guard_payout_destination_verification
+  BEFORE INSERT OR UPDATE ON public.payout_destinations
+  FOR EACH ROW EXECUTE FUNCTION public.guard_payout_destination_verification();
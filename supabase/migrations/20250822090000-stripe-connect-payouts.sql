@@ -0,0 +1,88 @@
+-- Stripe Connect payouts
+--
+-- Sellers can be paid through a Stripe connected account instead of UPI or a
+-- bank account. The account is a payout_destinations row of type
+-- connected_account, created by create-stripe-connect-link and verified by
+-- stripe-webhook once Stripe enables transfers to it. profiles.payout_rail
+-- says which one a seller's payouts go to.
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS payout_rail TEXT NOT NULL DEFAULT 'razorpay'
+    CHECK (payout_rail IN ('razorpay', 'stripe'));
+
+ALTER TABLE public.payout_destinations
+  ADD COLUMN IF NOT EXISTS stripe_account_id TEXT UNIQUE;
+
+ALTER TABLE public.payout_destinations DROP CONSTRAINT IF EXISTS payout_destinations_type_check;
+ALTER TABLE public.payout_destinations DROP CONSTRAINT IF EXISTS payout_destinations_check;
+
+ALTER TABLE public.payout_destinations
+  ADD CONSTRAINT payout_destinations_type_check
+    CHECK (type IN ('vpa', 'bank_account', 'connected_account')),
+  ADD CONSTRAINT payout_destinations_check CHECK (
+    (type = 'vpa' AND vpa ~* '^[a-z0-9][a-z0-9._-]{1,255}@[a-z][a-z0-9]{1,63}$'
+      AND account_number IS NULL AND ifsc IS NULL AND stripe_account_id IS NULL)
+    OR
+    (type = 'bank_account' AND vpa IS NULL AND stripe_account_id IS NULL
+      AND account_number ~ '^[0-9]{9,18}$'
+      AND ifsc ~ '^[A-Z]{4}0[A-Z0-9]{6}$'
+      AND length(trim(account_holder_name)) > 0)
+    OR
+    (type = 'connected_account' AND stripe_account_id ~ '^acct_[A-Za-z0-9]+$'
+      AND vpa IS NULL AND account_number IS NULL AND ifsc IS NULL AND NOT is_default)
+  );
+
+-- As in 20250821090000-payout-destination-verification, plus: only
+-- onboarding adds connected accounts, and changing the account starts
+-- verification over
+CREATE OR REPLACE FUNCTION public.guard_payout_destination_verification()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF auth.role() IS DISTINCT FROM 'service_role' THEN
+      IF NEW.type = 'connected_account' THEN
+        RAISE EXCEPTION 'Stripe accounts are added through Stripe onboarding';
+      END IF;
+
+      NEW.verification_status := 'unverified';
+      NEW.verification_id := NULL;
+      NEW.verified_name := NULL;
+      NEW.verified_at := NULL;
+      NEW.verification_error := NULL;
+      NEW.bank_name := NULL;
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  IF auth.role() IS DISTINCT FROM 'service_role' THEN
+    NEW.stripe_account_id := OLD.stripe_account_id;
+    NEW.verification_status := OLD.verification_status;
+    NEW.verification_id := OLD.verification_id;
+    NEW.verified_name := OLD.verified_name;
+    NEW.verified_at := OLD.verified_at;
+    NEW.verification_error := OLD.verification_error;
+    NEW.bank_name := OLD.bank_name;
+  END IF;
+
+  IF NEW.vpa IS DISTINCT FROM OLD.vpa
+    OR NEW.account_number IS DISTINCT FROM OLD.account_number
+    OR NEW.ifsc IS DISTINCT FROM OLD.ifsc
+    OR NEW.account_holder_name IS DISTINCT FROM OLD.account_holder_name
+    OR NEW.stripe_account_id IS DISTINCT FROM OLD.stripe_account_id THEN
+    NEW.verification_status := 'unverified';
+    NEW.verification_id := NULL;
+    NEW.verified_name := NULL;
+    NEW.verified_at := NULL;
+    NEW.verification_error := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- A seller has at most one connected account in use
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_destinations_connected_account
+  ON public.payout_destinations (seller_id)
+  WHERE type = 'connected_account' AND active;
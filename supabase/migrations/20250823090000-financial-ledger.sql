@@ -0,0 +1,494 @@
+-- Double-entry financial ledger
+--
+-- Every money movement posts a balanced journal to ledger_entries, from a
+-- trigger on the row that records the movement, so the posting commits or
+-- rolls back with it:
+--
+--   purchase         escrow_ledger none -> held     Dr buyer_clearing  Cr escrow
+--   gateway_fee      enhanced_transactions.gateway_fee set
+--                                                   Dr gateway_fees    Cr buyer_clearing
+--   refund           refunds accepted by gateway     Dr escrow          Cr refunds
+--   refund_paid      refunds -> processed            Dr refunds         Cr buyer_clearing
+--   refund_failed    refunds -> failed after acceptance
+--                                                   Dr refunds         Cr escrow
+--   release          escrow_ledger -> released       Dr escrow          Cr seller_payable, platform_revenue
+--   refund_retained  escrow_ledger -> refunded       Dr escrow          Cr platform_revenue
+--   payout           seller_payouts -> processed     Dr seller_payable  Cr buyer_clearing
+--   payout_reversed  seller_payouts processed -> reversed
+--                                                   Dr buyer_clearing  Cr seller_payable
+--
+-- buyer_clearing is money collected from buyers and held with the gateways.
+-- platform_revenue is the platform fee including GST. Journals are
+-- append-only and idempotent on their key, and a deferred check rejects any
+-- transaction that leaves a journal unbalanced. ledger_gateway_totals feeds
+-- the admin reconciliation against gateway settlement exports.
+
+CREATE TABLE IF NOT EXISTS public.ledger_accounts (
+  code TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('asset', 'liability', 'revenue', 'expense')),
+  normal_balance TEXT NOT NULL CHECK (normal_balance IN ('debit', 'credit'))
+);
+
+INSERT INTO public.ledger_accounts (code, name, type, normal_balance) VALUES
+  ('buyer_clearing', 'Buyer clearing', 'asset', 'debit'),
+  ('escrow', 'Escrow', 'liability', 'credit'),
+  ('seller_payable', 'Seller payable', 'liability', 'credit'),
+  ('refunds', 'Refunds payable', 'liability', 'credit'),
+  ('platform_revenue', 'Platform revenue', 'revenue', 'credit'),
+  ('gateway_fees', 'Gateway fees', 'expense', 'debit')
+ON CONFLICT (code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.ledger_journals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  idempotency_key TEXT NOT NULL UNIQUE,
+  event TEXT NOT NULL,
+  gateway TEXT,
+  transaction_id UUID REFERENCES public.enhanced_transactions(id) ON DELETE RESTRICT,
+  payout_id UUID REFERENCES public.seller_payouts(id) ON DELETE RESTRICT,
+  refund_id UUID REFERENCES public.refunds(id) ON DELETE RESTRICT,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_journals_occurred_at ON public.ledger_journals (occurred_at);
+CREATE INDEX IF NOT EXISTS idx_ledger_journals_transaction_id ON public.ledger_journals (transaction_id);
+
+CREATE TABLE IF NOT EXISTS public.ledger_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  journal_id UUID NOT NULL REFERENCES public.ledger_journals(id) ON DELETE RESTRICT,
+  account_code TEXT NOT NULL REFERENCES public.ledger_accounts(code),
+  debit DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (debit >= 0),
+  credit DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (credit >= 0),
+  CHECK ((debit = 0) <> (credit = 0))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_journal_id ON public.ledger_entries (journal_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account_code ON public.ledger_entries (account_code);
+
+ALTER TABLE public.ledger_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.ledger_journals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.ledger_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view ledger accounts" ON public.ledger_accounts
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+CREATE POLICY "Admins can view ledger journals" ON public.ledger_journals
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+CREATE POLICY "Admins can view ledger entries" ON public.ledger_entries
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- Corrections are made with a reversing journal, never by editing
+CREATE OR REPLACE FUNCTION public.prevent_ledger_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'The ledger is append-only; post a reversing journal instead';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS prevent_ledger_journal_changes ON public.ledger_journals;
+CREATE TRIGGER prevent_ledger_journal_changes
+  BEFORE UPDATE OR DELETE ON public.ledger_journals
+  FOR EACH ROW EXECUTE FUNCTION public.prevent_ledger_changes();
+
+DROP TRIGGER IF EXISTS prevent_ledger_entry_changes ON public.ledger_entries;
+CREATE TRIGGER prevent_ledger_entry_changes
+  BEFORE UPDATE OR DELETE ON public.ledger_entries
+  FOR EACH ROW EXECUTE FUNCTION public.prevent_ledger_changes();
+
+CREATE OR REPLACE FUNCTION public.check_ledger_journal_balanced()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_difference DECIMAL;
+BEGIN
+  SELECT COALESCE(SUM(debit), 0) - COALESCE(SUM(credit), 0) INTO v_difference
+  FROM public.ledger_entries
+  WHERE journal_id = NEW.journal_id;
+
+  IF v_difference <> 0 THEN
+    RAISE EXCEPTION 'Ledger journal % is out of balance by %', NEW.journal_id, v_difference;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_ledger_journal_balanced ON public.ledger_entries;
+CREATE CONSTRAINT TRIGGER check_ledger_journal_balanced
+  AFTER INSERT ON public.ledger_entries
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION public.check_ledger_journal_balanced();
+
+-- Post a journal. p_lines is an array of {account, amount}: positive amounts
+-- are debits, negative ones credits, zeros are skipped. Returns NULL when a
+-- journal with this key was already posted.
+CREATE OR REPLACE FUNCTION public.post_ledger_journal(
+  p_idempotency_key TEXT,
+  p_event TEXT,
+  p_lines JSONB,
+  p_gateway TEXT DEFAULT NULL,
+  p_transaction_id UUID DEFAULT NULL,
+  p_payout_id UUID DEFAULT NULL,
+  p_refund_id UUID DEFAULT NULL,
+  p_occurred_at TIMESTAMPTZ DEFAULT now()
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_journal_id UUID;
+  v_line JSONB;
+  v_amount DECIMAL;
+BEGIN
+  INSERT INTO public.ledger_journals (idempotency_key, event, gateway, transaction_id, payout_id, refund_id, occurred_at)
+  VALUES (p_idempotency_key, p_event, p_gateway, p_transaction_id, p_payout_id, p_refund_id, COALESCE(p_occurred_at, now()))
+  ON CONFLICT (idempotency_key) DO NOTHING
+  RETURNING id INTO v_journal_id;
+
+  IF v_journal_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  FOR v_line IN SELECT * FROM jsonb_array_elements(p_lines) LOOP
+    v_amount := round(COALESCE((v_line->>'amount')::DECIMAL, 0), 2);
+    CONTINUE WHEN v_amount = 0;
+
+    INSERT INTO public.ledger_entries (journal_id, account_code, debit, credit)
+    VALUES (v_journal_id, v_line->>'account', GREATEST(v_amount, 0), GREATEST(-v_amount, 0));
+  END LOOP;
+
+  RETURN v_journal_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.post_ledger_journal(TEXT, TEXT, JSONB, TEXT, UUID, UUID, UUID, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+
+-- Escrow: the purchase coming in, and what's left in escrow going to the
+-- seller and the platform when it closes
+CREATE OR REPLACE FUNCTION public.post_escrow_journal(p_entry public.escrow_ledger)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_transaction RECORD;
+  v_remaining DECIMAL;
+  v_payout DECIMAL;
+BEGIN
+  SELECT amount, refunded_amount, gateway INTO v_transaction
+  FROM public.enhanced_transactions
+  WHERE id = p_entry.transaction_id;
+
+  IF p_entry.to_status = 'held' THEN
+    PERFORM public.post_ledger_journal(
+      'purchase:' || p_entry.transaction_id,
+      'purchase',
+      jsonb_build_array(
+        jsonb_build_object('account', 'buyer_clearing', 'amount', p_entry.amount),
+        jsonb_build_object('account', 'escrow', 'amount', -p_entry.amount)
+      ),
+      v_transaction.gateway, p_entry.transaction_id, NULL, NULL, p_entry.created_at
+    );
+  ELSIF p_entry.to_status IN ('released', 'refunded') THEN
+    -- Refunds have already taken their share out of escrow
+    v_remaining := v_transaction.amount - COALESCE(v_transaction.refunded_amount, 0);
+    v_payout := CASE
+      WHEN p_entry.to_status = 'released' THEN COALESCE((p_entry.metadata->>'payout_amount')::DECIMAL, 0)
+      ELSE 0
+    END;
+
+    PERFORM public.post_ledger_journal(
+      p_entry.to_status || ':' || p_entry.transaction_id,
+      CASE WHEN p_entry.to_status = 'released' THEN 'release' ELSE 'refund_retained' END,
+      jsonb_build_array(
+        jsonb_build_object('account', 'escrow', 'amount', v_remaining),
+        jsonb_build_object('account', 'seller_payable', 'amount', -v_payout),
+        jsonb_build_object('account', 'platform_revenue', 'amount', v_payout - v_remaining)
+      ),
+      v_transaction.gateway, p_entry.transaction_id, NULL, NULL, p_entry.created_at
+    );
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.post_escrow_ledger_journal()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.post_escrow_journal(NEW);
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS post_escrow_ledger_journal ON public.escrow_ledger;
+CREATE TRIGGER post_escrow_ledger_journal
+  AFTER INSERT ON public.escrow_ledger
+  FOR EACH ROW EXECUTE FUNCTION public.post_escrow_ledger_journal();
+
+-- What the gateway kept, as reported when the payment was captured
+ALTER TABLE public.enhanced_transactions
+ADD COLUMN IF NOT EXISTS gateway_fee DECIMAL(10,2);
+
+CREATE OR REPLACE FUNCTION public.post_gateway_fee_journal()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF COALESCE(NEW.gateway_fee, 0) > 0 AND OLD.gateway_fee IS NULL THEN
+    PERFORM public.post_ledger_journal(
+      'gateway_fee:' || NEW.id,
+      'gateway_fee',
+      jsonb_build_array(
+        jsonb_build_object('account', 'gateway_fees', 'amount', NEW.gateway_fee),
+        jsonb_build_object('account', 'buyer_clearing', 'amount', -NEW.gateway_fee)
+      ),
+      NEW.gateway, NEW.id, NULL, NULL, COALESCE(NEW.completed_at, now())
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS post_gateway_fee_journal ON public.enhanced_transactions;
+CREATE TRIGGER post_gateway_fee_journal
+  AFTER UPDATE OF gateway_fee ON public.enhanced_transactions
+  FOR EACH ROW EXECUTE FUNCTION public.post_gateway_fee_journal();
+
+-- Refunds: owed to the buyer once the gateway accepts them, paid once
+-- processed. Keys include the gateway refund id, since a failed refund is
+-- retried on the same row.
+CREATE OR REPLACE FUNCTION public.post_refund_journal(p_refund public.refunds, p_old_status TEXT, p_old_gateway_refund_id TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_key TEXT;
+BEGIN
+  IF p_refund.gateway_refund_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  v_key := p_refund.id || ':' || p_refund.gateway_refund_id;
+
+  IF p_refund.gateway_refund_id IS DISTINCT FROM p_old_gateway_refund_id THEN
+    PERFORM public.post_ledger_journal(
+      'refund:' || v_key,
+      'refund',
+      jsonb_build_array(
+        jsonb_build_object('account', 'escrow', 'amount', p_refund.amount),
+        jsonb_build_object('account', 'refunds', 'amount', -p_refund.amount)
+      ),
+      p_refund.gateway, p_refund.transaction_id, NULL, p_refund.id, p_refund.updated_at
+    );
+  END IF;
+
+  IF p_refund.status = 'processed' AND p_old_status IS DISTINCT FROM 'processed' THEN
+    PERFORM public.post_ledger_journal(
+      'refund_paid:' || v_key,
+      'refund_paid',
+      jsonb_build_array(
+        jsonb_build_object('account', 'refunds', 'amount', p_refund.amount),
+        jsonb_build_object('account', 'buyer_clearing', 'amount', -p_refund.amount)
+      ),
+      p_refund.gateway, p_refund.transaction_id, NULL, p_refund.id, COALESCE(p_refund.processed_at, p_refund.updated_at)
+    );
+  ELSIF p_refund.status = 'failed' AND p_old_status IS DISTINCT FROM 'failed' THEN
+    PERFORM public.post_ledger_journal(
+      'refund_failed:' || v_key,
+      'refund_failed',
+      jsonb_build_array(
+        jsonb_build_object('account', 'refunds', 'amount', p_refund.amount),
+        jsonb_build_object('account', 'escrow', 'amount', -p_refund.amount)
+      ),
+      p_refund.gateway, p_refund.transaction_id, NULL, p_refund.id, p_refund.updated_at
+    );
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.post_refund_ledger_journal()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM public.post_refund_journal(NEW, NULL, NULL);
+  ELSE
+    PERFORM public.post_refund_journal(NEW, OLD.status, OLD.gateway_refund_id);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS post_refund_ledger_journal ON public.refunds;
+CREATE TRIGGER post_refund_ledger_journal
+  AFTER INSERT OR UPDATE OF status, gateway_refund_id ON public.refunds
+  FOR EACH ROW EXECUTE FUNCTION public.post_refund_ledger_journal();
+
+-- Payouts: paid when processed, back in clearing if the bank returns them
+CREATE OR REPLACE FUNCTION public.post_payout_journal(p_payout public.seller_payouts, p_old_status TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_key TEXT;
+BEGIN
+  v_key := p_payout.id || ':' || COALESCE(p_payout.gateway_payout_id, '');
+
+  IF p_payout.status = 'processed' AND p_old_status IS DISTINCT FROM 'processed' THEN
+    PERFORM public.post_ledger_journal(
+      'payout:' || v_key,
+      'payout',
+      jsonb_build_array(
+        jsonb_build_object('account', 'seller_payable', 'amount', p_payout.amount),
+        jsonb_build_object('account', 'buyer_clearing', 'amount', -p_payout.amount)
+      ),
+      p_payout.gateway, p_payout.transaction_id, p_payout.id, NULL, COALESCE(p_payout.processed_at, p_payout.updated_at)
+    );
+  ELSIF p_payout.status = 'reversed' AND p_old_status = 'processed' THEN
+    PERFORM public.post_ledger_journal(
+      'payout_reversed:' || v_key,
+      'payout_reversed',
+      jsonb_build_array(
+        jsonb_build_object('account', 'buyer_clearing', 'amount', p_payout.amount),
+        jsonb_build_object('account', 'seller_payable', 'amount', -p_payout.amount)
+      ),
+      p_payout.gateway, p_payout.transaction_id, p_payout.id, NULL, p_payout.updated_at
+    );
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.post_payout_ledger_journal()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.post_payout_journal(NEW, OLD.status);
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS post_payout_ledger_journal ON public.seller_payouts;
+CREATE TRIGGER post_payout_ledger_journal
+  AFTER UPDATE OF status ON public.seller_payouts
+  FOR EACH ROW EXECUTE FUNCTION public.post_payout_ledger_journal();
+
+-- Post what's already happened, oldest first
+SELECT public.post_escrow_journal(l) FROM public.escrow_ledger l ORDER BY l.created_at;
+
+SELECT public.post_ledger_journal(
+  'gateway_fee:' || t.id,
+  'gateway_fee',
+  jsonb_build_array(
+    jsonb_build_object('account', 'gateway_fees', 'amount', t.gateway_fee),
+    jsonb_build_object('account', 'buyer_clearing', 'amount', -t.gateway_fee)
+  ),
+  t.gateway, t.id, NULL, NULL, COALESCE(t.completed_at, t.created_at)
+)
+FROM public.enhanced_transactions t
+WHERE COALESCE(t.gateway_fee, 0) > 0;
+
+SELECT public.post_refund_journal(r, 'pending', NULL) FROM public.refunds r ORDER BY r.created_at;
+
+DO $$
+DECLARE
+  v_payout public.seller_payouts;
+  v_paid public.seller_payouts;
+BEGIN
+  FOR v_payout IN
+    SELECT * FROM public.seller_payouts
+    WHERE status = 'processed' OR (status = 'reversed' AND processed_at IS NOT NULL)
+    ORDER BY created_at
+  LOOP
+    v_paid := v_payout;
+    v_paid.status := 'processed';
+    PERFORM public.post_payout_journal(v_paid, NULL);
+
+    IF v_payout.status = 'reversed' THEN
+      PERFORM public.post_payout_journal(v_payout, 'processed');
+    END IF;
+  END LOOP;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.post_escrow_journal(public.escrow_ledger) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.post_refund_journal(public.refunds, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.post_payout_journal(public.seller_payouts, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Account balances in their normal direction, for the trial balance
+CREATE OR REPLACE VIEW public.ledger_account_balances
+WITH (security_invoker = true) AS
+SELECT
+  a.code,
+  a.name,
+  a.type,
+  a.normal_balance,
+  COALESCE(SUM(e.debit), 0) AS debits,
+  COALESCE(SUM(e.credit), 0) AS credits,
+  CASE
+    WHEN a.normal_balance = 'debit' THEN COALESCE(SUM(e.debit), 0) - COALESCE(SUM(e.credit), 0)
+    ELSE COALESCE(SUM(e.credit), 0) - COALESCE(SUM(e.debit), 0)
+  END AS balance
+FROM public.ledger_accounts a
+LEFT JOIN public.ledger_entries e ON e.account_code = a.code
+GROUP BY a.code, a.name, a.type, a.normal_balance;
+
+-- Money in and out of each gateway over a period, in the terms a settlement
+-- export uses: payments captured, refunds paid, fees kept and payouts or
+-- transfers sent
+CREATE OR REPLACE FUNCTION public.ledger_gateway_totals(p_from TIMESTAMPTZ, p_to TIMESTAMPTZ)
+RETURNS TABLE (gateway TEXT, payments DECIMAL, refunds DECIMAL, gateway_fees DECIMAL, payouts DECIMAL)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin') THEN
+    RAISE EXCEPTION 'Only admins can view the ledger';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    j.gateway,
+    COALESCE(SUM(e.debit) FILTER (WHERE j.event = 'purchase'), 0),
+    COALESCE(SUM(e.credit) FILTER (WHERE j.event = 'refund_paid'), 0),
+    COALESCE(SUM(e.credit) FILTER (WHERE j.event = 'gateway_fee'), 0),
+    COALESCE(SUM(e.credit) FILTER (WHERE j.event = 'payout'), 0)
+      - COALESCE(SUM(e.debit) FILTER (WHERE j.event = 'payout_reversed'), 0)
+  FROM public.ledger_journals j
+  JOIN public.ledger_entries e ON e.journal_id = j.id AND e.account_code = 'buyer_clearing'
+  WHERE j.occurred_at >= p_from AND j.occurred_at < p_to
+  GROUP BY j.gateway;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.ledger_gateway_totals(TIMESTAMPTZ, TIMESTAMPTZ) TO authenticated;
@@ -0,0 +1,238 @@
+-- Server-side ticket search
+--
+-- The buy tab and home page used to load every listed ticket and filter and
+-- sort them in the browser. search_tickets does it in the database: filters
+-- by route, date window, price, operator and departure-time band, sorts,
+-- and returns one page at a time with a keyset cursor, plus facet counts for
+-- the filter controls on the first page.
+--
+-- Route and free-text filters match case-insensitive partial text; operator
+-- matches the exact name, as listed in the operator facet.
+
+-- Night 00-06, morning 06-12, afternoon 12-18, evening 18-24
+CREATE OR REPLACE FUNCTION public.departure_time_band(p_time TIME)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_time < TIME '06:00' THEN 'night'
+    WHEN p_time < TIME '12:00' THEN 'morning'
+    WHEN p_time < TIME '18:00' THEN 'afternoon'
+    ELSE 'evening'
+  END;
+$$;
+
+-- Listed, verified tickets from other sellers that match the filters.
+-- Plain SQL so the planner inlines it into search_tickets' queries.
+CREATE OR REPLACE FUNCTION public.search_ticket_matches(
+  p_from TEXT,
+  p_to TEXT,
+  p_query TEXT,
+  p_date_from DATE,
+  p_date_to DATE,
+  p_min_price NUMERIC,
+  p_max_price NUMERIC,
+  p_operator TEXT,
+  p_time_band TEXT
+)
+RETURNS SETOF public.tickets
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT t.*
+  FROM public.tickets t
+  WHERE t.status IN ('available', 'reserved')
+    AND t.verification_status = 'verified'
+    AND t.seller_id IS DISTINCT FROM auth.uid()
+    AND (p_from IS NULL OR strpos(lower(t.from_location), lower(p_from)) > 0)
+    AND (p_to IS NULL OR strpos(lower(t.to_location), lower(p_to)) > 0)
+    AND (p_query IS NULL
+      OR strpos(lower(t.from_location), lower(p_query)) > 0
+      OR strpos(lower(t.to_location), lower(p_query)) > 0
+      OR strpos(lower(t.bus_operator), lower(p_query)) > 0)
+    AND (p_date_from IS NULL OR t.departure_date >= p_date_from)
+    AND (p_date_to IS NULL OR t.departure_date <= p_date_to)
+    AND (p_min_price IS NULL OR COALESCE(t.selling_price, t.ticket_price) >= p_min_price)
+    AND (p_max_price IS NULL OR COALESCE(t.selling_price, t.ticket_price) <= p_max_price)
+    AND (p_operator IS NULL OR lower(t.bus_operator) = lower(p_operator))
+    AND (p_time_band IS NULL OR public.departure_time_band(t.departure_time) = p_time_band);
+$$;
+
+-- Sort keys and the cursor each one pages with:
+--   departure   departure_date, departure_time, id   {"date", "time", "id"}
+--   price_low   price, id                            {"price", "id"}
+--   price_high  price desc, id desc                  {"price", "id"}
+--   newest      created_at desc, id desc             {"created_at", "id"}
+-- Returns { items, next_cursor, total, facets }. total and facets are only
+-- worked out for the first page (no cursor); each facet counts the matches
+-- with every other filter applied, so picking an operator still shows the
+-- other operators' counts.
+CREATE OR REPLACE FUNCTION public.search_tickets(
+  p_from TEXT DEFAULT NULL,
+  p_to TEXT DEFAULT NULL,
+  p_query TEXT DEFAULT NULL,
+  p_date_from DATE DEFAULT NULL,
+  p_date_to DATE DEFAULT NULL,
+  p_min_price NUMERIC DEFAULT NULL,
+  p_max_price NUMERIC DEFAULT NULL,
+  p_operator TEXT DEFAULT NULL,
+  p_time_band TEXT DEFAULT NULL,
+  p_sort TEXT DEFAULT 'departure',
+  p_cursor JSONB DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SET search_path = public
+AS $$
+DECLARE
+  v_limit INTEGER := LEAST(GREATEST(COALESCE(p_limit, 20), 1), 100);
+  v_page JSONB;
+  v_last JSONB;
+  v_next_cursor JSONB;
+  v_total BIGINT;
+  v_facets JSONB;
+BEGIN
+  IF p_sort NOT IN ('departure', 'price_low', 'price_high', 'newest') THEN
+    RAISE EXCEPTION 'Unknown sort %', p_sort;
+  END IF;
+
+  IF p_time_band IS NOT NULL AND p_time_band NOT IN ('night', 'morning', 'afternoon', 'evening') THEN
+    RAISE EXCEPTION 'Unknown departure time band %', p_time_band;
+  END IF;
+
+  -- One extra row says whether there's another page
+  IF p_sort = 'departure' THEN
+    SELECT jsonb_agg(to_jsonb(m) ORDER BY m.departure_date, m.departure_time, m.id) INTO v_page
+    FROM (
+      SELECT * FROM public.search_ticket_matches(
+        p_from, p_to, p_query, p_date_from, p_date_to, p_min_price, p_max_price, p_operator, p_time_band
+      ) t
+      WHERE p_cursor IS NULL
+        OR (t.departure_date, t.departure_time, t.id)
+          > ((p_cursor->>'date')::DATE, (p_cursor->>'time')::TIME, (p_cursor->>'id')::UUID)
+      ORDER BY t.departure_date, t.departure_time, t.id
+      LIMIT v_limit + 1
+    ) m;
+  ELSIF p_sort = 'price_low' THEN
+    SELECT jsonb_agg(to_jsonb(m) ORDER BY COALESCE(m.selling_price, m.ticket_price), m.id) INTO v_page
+    FROM (
+      SELECT * FROM public.search_ticket_matches(
+        p_from, p_to, p_query, p_date_from, p_date_to, p_min_price, p_max_price, p_operator, p_time_band
+      ) t
+      WHERE p_cursor IS NULL
+        OR (COALESCE(t.selling_price, t.ticket_price), t.id)
+          > ((p_cursor->>'price')::NUMERIC, (p_cursor->>'id')::UUID)
+      ORDER BY COALESCE(t.selling_price, t.ticket_price), t.id
+      LIMIT v_limit + 1
+    ) m;
+  ELSIF p_sort = 'price_high' THEN
+    SELECT jsonb_agg(to_jsonb(m) ORDER BY COALESCE(m.selling_price, m.ticket_price) DESC, m.id DESC) INTO v_page
+    FROM (
+      SELECT * FROM public.search_ticket_matches(
+        p_from, p_to, p_query, p_date_from, p_date_to, p_min_price, p_max_price, p_operator, p_time_band
+      ) t
+      WHERE p_cursor IS NULL
+        OR (COALESCE(t.selling_price, t.ticket_price), t.id)
+          < ((p_cursor->>'price')::NUMERIC, (p_cursor->>'id')::UUID)
+      ORDER BY COALESCE(t.selling_price, t.ticket_price) DESC, t.id DESC
+      LIMIT v_limit + 1
+    ) m;
+  ELSE
+    SELECT jsonb_agg(to_jsonb(m) ORDER BY m.created_at DESC, m.id DESC) INTO v_page
+    FROM (
+      SELECT * FROM public.search_ticket_matches(
+        p_from, p_to, p_query, p_date_from, p_date_to, p_min_price, p_max_price, p_operator, p_time_band
+      ) t
+      WHERE p_cursor IS NULL
+        OR (t.created_at, t.id) < ((p_cursor->>'created_at')::TIMESTAMPTZ, (p_cursor->>'id')::UUID)
+      ORDER BY t.created_at DESC, t.id DESC
+      LIMIT v_limit + 1
+    ) m;
+  END IF;
+
+  v_page := COALESCE(v_page, '[]'::JSONB);
+
+  IF jsonb_array_length(v_page) > v_limit THEN
+    v_page := v_page - v_limit;
+    v_last := v_page -> (v_limit - 1);
+    v_next_cursor := CASE p_sort
+      WHEN 'departure' THEN jsonb_build_object(
+        'date', v_last->'departure_date', 'time', v_last->'departure_time', 'id', v_last->'id')
+      WHEN 'newest' THEN jsonb_build_object('created_at', v_last->'created_at', 'id', v_last->'id')
+      ELSE jsonb_build_object(
+        'price', COALESCE(NULLIF(v_last->'selling_price', 'null'::JSONB), v_last->'ticket_price'), 'id', v_last->'id')
+    END;
+  END IF;
+
+  IF p_cursor IS NULL THEN
+    SELECT count(*) INTO v_total
+    FROM public.search_ticket_matches(
+      p_from, p_to, p_query, p_date_from, p_date_to, p_min_price, p_max_price, p_operator, p_time_band
+    );
+
+    v_facets := jsonb_build_object(
+      'operators', (
+        SELECT COALESCE(jsonb_agg(jsonb_build_object('value', operator, 'count', matches)
+          ORDER BY matches DESC, operator), '[]'::JSONB)
+        FROM (
+          SELECT t.bus_operator AS operator, count(*) AS matches
+          FROM public.search_ticket_matches(
+            p_from, p_to, p_query, p_date_from, p_date_to, p_min_price, p_max_price, NULL, p_time_band
+          ) t
+          GROUP BY t.bus_operator
+          ORDER BY count(*) DESC, t.bus_operator
+          LIMIT 50
+        ) operators
+      ),
+      'price_buckets', (
+        SELECT jsonb_agg(jsonb_build_object('min', b.min, 'max', b.max, 'count', (
+          SELECT count(*)
+          FROM public.search_ticket_matches(
+            p_from, p_to, p_query, p_date_from, p_date_to, NULL, NULL, p_operator, p_time_band
+          ) t
+          WHERE COALESCE(t.selling_price, t.ticket_price) >= b.min
+            AND (b.max IS NULL OR COALESCE(t.selling_price, t.ticket_price) < b.max)
+        )) ORDER BY b.min)
+        FROM (VALUES (0, 500), (500, 1000), (1000, 2000), (2000, 5000), (5000, NULL)) AS b(min, max)
+      ),
+      'time_bands', (
+        SELECT jsonb_agg(jsonb_build_object('value', band, 'count', (
+          SELECT count(*)
+          FROM public.search_ticket_matches(
+            p_from, p_to, p_query, p_date_from, p_date_to, p_min_price, p_max_price, p_operator, NULL
+          ) t
+          WHERE public.departure_time_band(t.departure_time) = band
+        )) ORDER BY position)
+        FROM unnest(ARRAY['morning', 'afternoon', 'evening', 'night']) WITH ORDINALITY AS bands(band, position)
+      )
+    );
+  END IF;
+
+  RETURN jsonb_build_object(
+    'items', v_page,
+    'next_cursor', v_next_cursor,
+    'total', v_total,
+    'facets', v_facets
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_tickets(
+  TEXT, TEXT, TEXT, DATE, DATE, NUMERIC, NUMERIC, TEXT, TEXT, TEXT, JSONB, INTEGER
+) TO anon, authenticated;
+
+-- One index per sort order, over the listings search can return
+CREATE INDEX IF NOT EXISTS idx_tickets_search_departure
+  ON public.tickets (departure_date, departure_time, id)
+  WHERE status IN ('available', 'reserved') AND verification_status = 'verified';
+
+CREATE INDEX IF NOT EXISTS idx_tickets_search_price
+  ON public.tickets ((COALESCE(selling_price, ticket_price)), id)
+  WHERE status IN ('available', 'reserved') AND verification_status = 'verified';
+
+CREATE INDEX IF NOT EXISTS idx_tickets_search_newest
+  ON public.tickets (created_at DESC, id DESC)
+  WHERE status IN ('available', 'reserved') AND verification_status = 'verified';
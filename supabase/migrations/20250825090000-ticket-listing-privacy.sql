@@ -0,0 +1,194 @@
+-- Public and private ticket projections
+--
+-- Anyone holding a PNR and passenger name can manage or cancel the booking
+-- with the operator, but the listing policies, tickets_with_seller and
+-- get_available_tickets handed both (and the seat number and ticket image)
+-- to every visitor. Listings are now split:
+--
+--   public   tickets_with_seller / get_available_tickets / search_tickets:
+--            route, time, operator, seat class, price and seller rating
+--   private  the tickets row itself and get_ticket_booking_details():
+--            the seller, admins, and the buyer once their payment completed
+--
+-- RLS filters rows, not columns, so the tickets table no longer has a
+-- policy for listed rows; the public projection is a view that leaves the
+-- booking columns out. Realtime on tickets follows the same policies, so
+-- buyers only get change events for tickets they can read in full.
+
+ALTER TABLE public.tickets
+ADD COLUMN IF NOT EXISTS seat_class TEXT
+  CHECK (seat_class IN ('seater', 'semi_sleeper', 'sleeper', 'ac_seater', 'ac_sleeper'));
+
+COMMENT ON COLUMN public.tickets.seat_class IS 'Shown in public listings instead of the seat number';
+
+-- Every policy that ever opened listed rows to all readers
+DROP POLICY IF EXISTS "Anyone can view available tickets" ON public.tickets;
+DROP POLICY IF EXISTS "Users can view available tickets" ON public.tickets;
+DROP POLICY IF EXISTS "Users can view available tickets with seller info" ON public.tickets;
+DROP POLICY IF EXISTS "tickets_select_available_or_own" ON public.tickets;
+DROP POLICY IF EXISTS "Admins can view all tickets" ON public.tickets;
+
+CREATE POLICY "Sellers can view their own tickets" ON public.tickets
+  FOR SELECT USING (seller_id = auth.uid());
+
+CREATE POLICY "Buyers can view tickets they paid for" ON public.tickets
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.enhanced_transactions et
+      WHERE et.ticket_id = tickets.id
+        AND et.buyer_id = auth.uid()
+        AND et.status = 'completed'
+    )
+  );
+
+CREATE POLICY "Admins can view all tickets" ON public.tickets
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- Read tickets to decide which profiles are visible, which now loops back
+-- through the admin check above; "Public profile access for ticket display"
+-- already covers what it allowed
+DROP POLICY IF EXISTS "Users can view profiles for ticket listings" ON public.profiles;
+
+-- The public projection. Views run as their owner, so this reads listed
+-- rows past the policies above and only exposes the columns named here.
+DROP VIEW IF EXISTS public.tickets_with_seller;
+CREATE VIEW public.tickets_with_seller AS
+SELECT
+  t.id,
+  t.seller_id,
+  t.bus_operator,
+  t.from_location,
+  t.to_location,
+  t.departure_date,
+  t.departure_time,
+  t.seat_class,
+  t.ticket_price,
+  t.selling_price,
+  t.listing_type,
+  t.status,
+  t.reserved_until,
+  t.verification_status,
+  t.api_verified,
+  t.created_at,
+  p.full_name AS seller_name,
+  p.rating AS seller_rating,
+  p.kyc_status AS seller_kyc_status
+FROM public.tickets t
+LEFT JOIN public.profiles p ON p.id = t.seller_id
+WHERE t.status IN ('available', 'reserved');
+
+GRANT SELECT ON public.tickets_with_seller TO anon, authenticated;
+
+DROP FUNCTION IF EXISTS public.get_available_tickets();
+CREATE FUNCTION public.get_available_tickets()
+RETURNS SETOF public.tickets_with_seller
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT *
+  FROM public.tickets_with_seller
+  WHERE status = 'available'
+    AND departure_date >= CURRENT_DATE
+  ORDER BY verification_status DESC, created_at DESC;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_available_tickets() TO anon, authenticated;
+
+-- Took any user's id and returned their tickets with PNRs
+DROP FUNCTION IF EXISTS public.get_user_tickets(UUID);
+DROP FUNCTION IF EXISTS public.get_user_tickets();
+CREATE FUNCTION public.get_user_tickets()
+RETURNS SETOF public.tickets
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT * FROM public.tickets
+  WHERE seller_id = auth.uid()
+  ORDER BY created_at DESC;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_user_tickets() TO authenticated;
+
+-- search_tickets items come from the public projection too. Same filters as
+-- before; only the row type changes.
+DROP FUNCTION IF EXISTS public.search_ticket_matches(TEXT, TEXT, TEXT, DATE, DATE, NUMERIC, NUMERIC, TEXT, TEXT);
+CREATE FUNCTION public.search_ticket_matches(
+  p_from TEXT,
+  p_to TEXT,
+  p_query TEXT,
+  p_date_from DATE,
+  p_date_to DATE,
+  p_min_price NUMERIC,
+  p_max_price NUMERIC,
+  p_operator TEXT,
+  p_time_band TEXT
+)
+RETURNS SETOF public.tickets_with_seller
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT t.*
+  FROM public.tickets_with_seller t
+  WHERE t.verification_status = 'verified'
+    AND t.seller_id IS DISTINCT FROM auth.uid()
+    AND (p_from IS NULL OR strpos(lower(t.from_location), lower(p_from)) > 0)
+    AND (p_to IS NULL OR strpos(lower(t.to_location), lower(p_to)) > 0)
+    AND (p_query IS NULL
+      OR strpos(lower(t.from_location), lower(p_query)) > 0
+      OR strpos(lower(t.to_location), lower(p_query)) > 0
+      OR strpos(lower(t.bus_operator), lower(p_query)) > 0)
+    AND (p_date_from IS NULL OR t.departure_date >= p_date_from)
+    AND (p_date_to IS NULL OR t.departure_date <= p_date_to)
+    AND (p_min_price IS NULL OR COALESCE(t.selling_price, t.ticket_price) >= p_min_price)
+    AND (p_max_price IS NULL OR COALESCE(t.selling_price, t.ticket_price) <= p_max_price)
+    AND (p_operator IS NULL OR lower(t.bus_operator) = lower(p_operator))
+    AND (p_time_band IS NULL OR public.departure_time_band(t.departure_time) = p_time_band);
+$$;
+
+-- The private projection, for handing the booking over. Raises rather than
+-- returning nothing so callers can tell "not yours" from "no such ticket".
+CREATE OR REPLACE FUNCTION public.get_ticket_booking_details(p_ticket_id UUID)
+RETURNS TABLE (
+  ticket_id UUID,
+  pnr_number TEXT,
+  passenger_name TEXT,
+  seat_number TEXT,
+  ticket_image_url TEXT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket public.tickets%ROWTYPE;
+BEGIN
+  SELECT * INTO v_ticket FROM public.tickets WHERE id = p_ticket_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Ticket % not found', p_ticket_id;
+  END IF;
+
+  IF v_ticket.seller_id IS DISTINCT FROM auth.uid()
+    AND NOT EXISTS (
+      SELECT 1 FROM public.enhanced_transactions et
+      WHERE et.ticket_id = p_ticket_id
+        AND et.buyer_id = auth.uid()
+        AND et.status = 'completed'
+    )
+    AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  THEN
+    RAISE EXCEPTION 'Booking details are only available to the seller and the buyer after payment';
+  END IF;
+
+  RETURN QUERY
+  SELECT v_ticket.id, v_ticket.pnr_number, v_ticket.passenger_name, v_ticket.seat_number, v_ticket.ticket_image_url;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.get_ticket_booking_details(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.get_ticket_booking_details(UUID) TO authenticated;
@@ -0,0 +1,62 @@
+-- Ticket handover
+--
+-- After payment the ticket-handover function gives the buyer the booking
+-- details, short-lived links to the seller's ticket_documents and a
+-- checklist for taking over the booking. Each side then acknowledges the
+-- handover, recorded here on the transaction.
+
+ALTER TABLE public.enhanced_transactions
+ADD COLUMN IF NOT EXISTS seller_handover_acknowledged_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS buyer_handover_acknowledged_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.enhanced_transactions.seller_handover_acknowledged_at IS 'When the seller confirmed they handed the booking over';
+COMMENT ON COLUMN public.enhanced_transactions.buyer_handover_acknowledged_at IS 'When the buyer confirmed they received the booking details and documents';
+
+-- Records the caller's side of the handover. Acknowledging twice keeps the
+-- first time. Returns both sides' acknowledgement times.
+CREATE OR REPLACE FUNCTION public.acknowledge_ticket_handover(p_transaction_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_transaction RECORD;
+BEGIN
+  SELECT id, buyer_id, seller_id, status
+  INTO v_transaction
+  FROM public.enhanced_transactions
+  WHERE id = p_transaction_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR auth.uid() IS NULL OR auth.uid() NOT IN (v_transaction.buyer_id, v_transaction.seller_id) THEN
+    RAISE EXCEPTION 'Transaction not found';
+  END IF;
+
+  IF v_transaction.status <> 'completed' THEN
+    RAISE EXCEPTION 'The handover opens once the payment has gone through';
+  END IF;
+
+  IF auth.uid() = v_transaction.buyer_id THEN
+    UPDATE public.enhanced_transactions
+    SET buyer_handover_acknowledged_at = COALESCE(buyer_handover_acknowledged_at, now())
+    WHERE id = p_transaction_id;
+  ELSE
+    UPDATE public.enhanced_transactions
+    SET seller_handover_acknowledged_at = COALESCE(seller_handover_acknowledged_at, now())
+    WHERE id = p_transaction_id;
+  END IF;
+
+  RETURN (
+    SELECT jsonb_build_object(
+      'seller_acknowledged_at', seller_handover_acknowledged_at,
+      'buyer_acknowledged_at', buyer_handover_acknowledged_at
+    )
+    FROM public.enhanced_transactions
+    WHERE id = p_transaction_id
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.acknowledge_ticket_handover(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.acknowledge_ticket_handover(UUID) TO authenticated;
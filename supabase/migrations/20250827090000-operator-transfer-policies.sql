@@ -0,0 +1,122 @@
+-- Operator transfer policies
+--
+-- Operators differ on whether a booking can move to another passenger, what
+-- the name change costs, how close to departure it's still possible and
+-- which documents they ask for. Admins keep those rules here, one row per
+-- operator, with the 'default' row covering everyone else. The sell form,
+-- checkout and handover read them through
+-- supabase/functions/_shared/operatorPolicies.ts; the trigger below keeps
+-- non-transferable and past-cutoff tickets from being listed at all, or a
+-- listing being edited into one.
+
+CREATE TABLE IF NOT EXISTS public.operator_policies (
+  operator_id TEXT PRIMARY KEY CHECK (operator_id = lower(operator_id)),
+  name TEXT NOT NULL,
+  -- Other spellings of the operator as it appears in tickets.bus_operator
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  transferable BOOLEAN NOT NULL DEFAULT true,
+  name_change_fee DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (name_change_fee >= 0),
+  cutoff_hours INTEGER NOT NULL DEFAULT 24 CHECK (cutoff_hours >= 0),
+  required_documents TEXT[] NOT NULL DEFAULT '{}' CHECK (
+    required_documents <@ ARRAY['original_ticket', 'booking_confirmation', 'authorization_letter', 'seller_id_proof', 'buyer_id_proof']
+  ),
+  notes TEXT,
+  updated_by UUID REFERENCES public.profiles(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Starting rules; admins keep them current as operators change theirs
+INSERT INTO public.operator_policies
+  (operator_id, name, aliases, transferable, name_change_fee, cutoff_hours, required_documents, notes)
+VALUES
+  ('default', 'Other operators', '{}', true, 0, 24,
+    '{original_ticket,buyer_id_proof}', NULL),
+  ('ksrtc', 'KSRTC', '{Karnataka State Road Transport Corporation}', true, 50, 24,
+    '{original_ticket,seller_id_proof,buyer_id_proof}',
+    'Name changes are made at a KSRTC reservation counter with the original ticket.'),
+  ('msrtc', 'MSRTC', '{Maharashtra State Road Transport Corporation}', false, 0, 0,
+    '{}', 'MSRTC doesn''t change passenger names; bookings can only be cancelled.'),
+  ('tsrtc', 'TSRTC', '{TGSRTC,Telangana State Road Transport Corporation}', true, 30, 48,
+    '{original_ticket,authorization_letter,buyer_id_proof}',
+    'TSRTC needs a letter from the original passenger authorizing the change.'),
+  ('redbus', 'RedBus', '{}', true, 0, 12,
+    '{booking_confirmation,buyer_id_proof}',
+    'RedBus raises the change with the bus partner, who can refuse it.'),
+  ('abhibus', 'AbhiBus', '{}', true, 0, 12,
+    '{booking_confirmation,buyer_id_proof}', NULL),
+  ('makemytrip', 'MakeMyTrip', '{}', true, 0, 24,
+    '{booking_confirmation,buyer_id_proof}', NULL),
+  ('paytm', 'Paytm', '{}', true, 0, 24,
+    '{booking_confirmation,buyer_id_proof}', NULL)
+ON CONFLICT (operator_id) DO NOTHING;
+
+ALTER TABLE public.operator_policies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view operator policies" ON public.operator_policies FOR SELECT USING (true);
+
+CREATE POLICY "Admins can manage operator policies" ON public.operator_policies
+  FOR ALL USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- The policy for a bus_operator value, matched case-insensitively on the id,
+-- name or an alias, falling back to the 'default' row
+CREATE OR REPLACE FUNCTION public.operator_policy_for(p_bus_operator TEXT)
+RETURNS public.operator_policies
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT *
+  FROM public.operator_policies
+  WHERE operator_id = 'default'
+     OR lower(trim(p_bus_operator)) IN (
+       SELECT lower(trim(spelling)) FROM unnest(aliases || ARRAY[operator_id, name]) AS spelling
+     )
+  ORDER BY operator_id = 'default'
+  LIMIT 1;
+$$;
+
+-- Mirrors checkTransfer in _shared/operatorPolicies.ts
+CREATE OR REPLACE FUNCTION public.enforce_operator_transfer_policy()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_policy public.operator_policies;
+BEGIN
+  -- Forms resend every column; only a changed operator or departure counts
+  IF TG_OP = 'UPDATE'
+    AND NEW.bus_operator IS NOT DISTINCT FROM OLD.bus_operator
+    AND NEW.departure_date IS NOT DISTINCT FROM OLD.departure_date
+    AND NEW.departure_time IS NOT DISTINCT FROM OLD.departure_time THEN
+    RETURN NEW;
+  END IF;
+
+  v_policy := public.operator_policy_for(NEW.bus_operator);
+
+  IF v_policy.operator_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT v_policy.transferable THEN
+    RAISE EXCEPTION '% doesn''t allow tickets to be transferred to another passenger, so they can''t be listed.', v_policy.name
+      USING ERRCODE = 'check_violation', HINT = 'OPERATOR_POLICY';
+  END IF;
+
+  IF now() >= ((NEW.departure_date + COALESCE(NEW.departure_time, '00:00'::TIME)) AT TIME ZONE 'Asia/Kolkata')
+      - make_interval(hours => v_policy.cutoff_hours) THEN
+    RAISE EXCEPTION '% stops accepting name changes % hours before departure, so this ticket can''t be listed.', v_policy.name, v_policy.cutoff_hours
+      USING ERRCODE = 'check_violation', HINT = 'OPERATOR_POLICY';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_operator_transfer_policy ON public.tickets;
+CREATE TRIGGER enforce_operator_transfer_policy
+  BEFORE INSERT OR UPDATE OF bus_operator, departure_date, departure_time ON public.tickets
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_operator_transfer_policy();
@@ -0,0 +1,249 @@
+-- Canonical locations
+--
+-- from_location and to_location are free text as the operator printed it,
+-- so one city shows up as several routes in search and analytics.
+-- public.locations lists each city once with its state, coordinates and
+-- other spellings (old names, short codes, main bus stands). Tickets get
+-- from_location_id / to_location_id pointing at it; the text stays as it was
+-- listed.
+--
+-- Seeded from supabase/functions/_shared/locationDataset.ts; keep the two in
+-- step. Matching mirrors resolveLocation in _shared/locations.ts.
+
+CREATE TABLE IF NOT EXISTS public.locations (
+  id TEXT PRIMARY KEY CHECK (id ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  name TEXT NOT NULL,
+  state TEXT NOT NULL,
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  latitude DECIMAL(9,6) CHECK (latitude BETWEEN -90 AND 90),
+  longitude DECIMAL(9,6) CHECK (longitude BETWEEN -180 AND 180),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.locations (id, name, state, aliases, latitude, longitude)
+VALUES
+  ('bengaluru', 'Bengaluru', 'Karnataka', '{Bangalore,BLR,Majestic,"Kempegowda Bus Station","Shanti Nagar"}', 12.9716, 77.5946),
+  ('mysuru', 'Mysuru', 'Karnataka', '{Mysore}', 12.2958, 76.6394),
+  ('mangaluru', 'Mangaluru', 'Karnataka', '{Mangalore,Kudla}', 12.9141, 74.8560),
+  ('hubballi', 'Hubballi', 'Karnataka', '{Hubli,"Hubli-Dharwad"}', 15.3647, 75.1240),
+  ('belagavi', 'Belagavi', 'Karnataka', '{Belgaum}', 15.8497, 74.4977),
+  ('davanagere', 'Davanagere', 'Karnataka', '{Davangere}', 14.4644, 75.9218),
+  ('hassan', 'Hassan', 'Karnataka', '{}', 13.0033, 76.1004),
+  ('shivamogga', 'Shivamogga', 'Karnataka', '{Shimoga}', 13.9299, 75.5681),
+  ('udupi', 'Udupi', 'Karnataka', '{}', 13.3409, 74.7421),
+  ('kalaburagi', 'Kalaburagi', 'Karnataka', '{Gulbarga}', 17.3297, 76.8343),
+  ('ballari', 'Ballari', 'Karnataka', '{Bellary}', 15.1394, 76.9214),
+  ('thiruvananthapuram', 'Thiruvananthapuram', 'Kerala', '{Trivandrum,TVM,Thampanoor}', 8.5241, 76.9366),
+  ('kochi', 'Kochi', 'Kerala', '{Cochin,Ernakulam,Vyttila}', 9.9312, 76.2673),
+  ('kozhikode', 'Kozhikode', 'Kerala', '{Calicut}', 11.2588, 75.7804),
+  ('thrissur', 'Thrissur', 'Kerala', '{Trichur}', 10.5276, 76.2144),
+  ('kannur', 'Kannur', 'Kerala', '{Cannanore}', 11.8745, 75.3704),
+  ('palakkad', 'Palakkad', 'Kerala', '{Palghat}', 10.7867, 76.6548),
+  ('chennai', 'Chennai', 'Tamil Nadu', '{Madras,MAA,Koyambedu,CMBT,Kilambakkam}', 13.0827, 80.2707),
+  ('coimbatore', 'Coimbatore', 'Tamil Nadu', '{Kovai,CBE,Gandhipuram}', 11.0168, 76.9558),
+  ('madurai', 'Madurai', 'Tamil Nadu', '{Mattuthavani}', 9.9252, 78.1198),
+  ('tiruchirappalli', 'Tiruchirappalli', 'Tamil Nadu', '{Trichy,Tiruchi}', 10.7905, 78.7047),
+  ('salem', 'Salem', 'Tamil Nadu', '{}', 11.6643, 78.1460),
+  ('tirunelveli', 'Tirunelveli', 'Tamil Nadu', '{Nellai}', 8.7139, 77.7567),
+  ('vellore', 'Vellore', 'Tamil Nadu', '{}', 12.9165, 79.1325),
+  ('erode', 'Erode', 'Tamil Nadu', '{}', 11.3410, 77.7172),
+  ('hosur', 'Hosur', 'Tamil Nadu', '{}', 12.7409, 77.8253),
+  ('nagercoil', 'Nagercoil', 'Tamil Nadu', '{}', 8.1833, 77.4119),
+  ('puducherry', 'Puducherry', 'Puducherry', '{Pondicherry,Pondy}', 11.9416, 79.8083),
+  ('visakhapatnam', 'Visakhapatnam', 'Andhra Pradesh', '{Vizag,Vishakapatnam,VSKP}', 17.6868, 83.2185),
+  ('vijayawada', 'Vijayawada', 'Andhra Pradesh', '{Bezawada}', 16.5062, 80.6480),
+  ('tirupati', 'Tirupati', 'Andhra Pradesh', '{}', 13.6288, 79.4192),
+  ('guntur', 'Guntur', 'Andhra Pradesh', '{}', 16.3067, 80.4365),
+  ('nellore', 'Nellore', 'Andhra Pradesh', '{}', 14.4426, 79.9865),
+  ('kurnool', 'Kurnool', 'Andhra Pradesh', '{}', 15.8281, 78.0373),
+  ('rajamahendravaram', 'Rajamahendravaram', 'Andhra Pradesh', '{Rajahmundry}', 17.0005, 81.8040),
+  ('kakinada', 'Kakinada', 'Andhra Pradesh', '{}', 16.9891, 82.2475),
+  ('anantapur', 'Anantapur', 'Andhra Pradesh', '{Anantapuramu}', 14.6819, 77.6006),
+  ('hyderabad', 'Hyderabad', 'Telangana', '{HYD,Secunderabad,MGBS,"Mahatma Gandhi Bus Station",Ameerpet}', 17.3850, 78.4867),
+  ('warangal', 'Warangal', 'Telangana', '{}', 17.9689, 79.5941),
+  ('karimnagar', 'Karimnagar', 'Telangana', '{}', 18.4386, 79.1288),
+  ('nizamabad', 'Nizamabad', 'Telangana', '{}', 18.6725, 78.0941),
+  ('khammam', 'Khammam', 'Telangana', '{}', 17.2473, 80.1514),
+  ('mumbai', 'Mumbai', 'Maharashtra', '{Bombay,BOM,"Mumbai Central",Dadar,Borivali}', 19.0760, 72.8777),
+  ('navi-mumbai', 'Navi Mumbai', 'Maharashtra', '{Vashi,Belapur}', 19.0330, 73.0297),
+  ('thane', 'Thane', 'Maharashtra', '{}', 19.2183, 72.9781),
+  ('pune', 'Pune', 'Maharashtra', '{Poona,Swargate,Shivajinagar}', 18.5204, 73.8567),
+  ('nagpur', 'Nagpur', 'Maharashtra', '{}', 21.1458, 79.0882),
+  ('nashik', 'Nashik', 'Maharashtra', '{Nasik}', 19.9975, 73.7898),
+  ('chhatrapati-sambhajinagar', 'Chhatrapati Sambhajinagar', 'Maharashtra', '{Aurangabad}', 19.8762, 75.3433),
+  ('kolhapur', 'Kolhapur', 'Maharashtra', '{}', 16.7050, 74.2433),
+  ('solapur', 'Solapur', 'Maharashtra', '{Sholapur}', 17.6599, 75.9064),
+  ('shirdi', 'Shirdi', 'Maharashtra', '{}', 19.7645, 74.4762),
+  ('panaji', 'Panaji', 'Goa', '{Panjim,Goa}', 15.4909, 73.8278),
+  ('margao', 'Margao', 'Goa', '{Madgaon}', 15.2832, 73.9862),
+  ('ahmedabad', 'Ahmedabad', 'Gujarat', '{Amdavad,AMD,Paldi}', 23.0225, 72.5714),
+  ('surat', 'Surat', 'Gujarat', '{}', 21.1702, 72.8311),
+  ('vadodara', 'Vadodara', 'Gujarat', '{Baroda}', 22.3072, 73.1812),
+  ('rajkot', 'Rajkot', 'Gujarat', '{}', 22.3039, 70.8022),
+  ('jaipur', 'Jaipur', 'Rajasthan', '{"Sindhi Camp"}', 26.9124, 75.7873),
+  ('udaipur', 'Udaipur', 'Rajasthan', '{}', 24.5854, 73.7125),
+  ('jodhpur', 'Jodhpur', 'Rajasthan', '{}', 26.2389, 73.0243),
+  ('ajmer', 'Ajmer', 'Rajasthan', '{}', 26.4499, 74.6399),
+  ('delhi', 'Delhi', 'Delhi', '{"New Delhi",DEL,"Kashmere Gate","ISBT Kashmere Gate","Anand Vihar"}', 28.6139, 77.2090),
+  ('chandigarh', 'Chandigarh', 'Chandigarh', '{}', 30.7333, 76.7794),
+  ('amritsar', 'Amritsar', 'Punjab', '{}', 31.6340, 74.8723),
+  ('shimla', 'Shimla', 'Himachal Pradesh', '{Simla}', 31.1048, 77.1734),
+  ('manali', 'Manali', 'Himachal Pradesh', '{}', 32.2432, 77.1892),
+  ('dehradun', 'Dehradun', 'Uttarakhand', '{}', 30.3165, 78.0322),
+  ('agra', 'Agra', 'Uttar Pradesh', '{}', 27.1767, 78.0081),
+  ('lucknow', 'Lucknow', 'Uttar Pradesh', '{}', 26.8467, 80.9462),
+  ('kanpur', 'Kanpur', 'Uttar Pradesh', '{Cawnpore}', 26.4499, 80.3319),
+  ('varanasi', 'Varanasi', 'Uttar Pradesh', '{Banaras,Benares,Kashi}', 25.3176, 82.9739),
+  ('indore', 'Indore', 'Madhya Pradesh', '{}', 22.7196, 75.8577),
+  ('bhopal', 'Bhopal', 'Madhya Pradesh', '{}', 23.2599, 77.4126),
+  ('raipur', 'Raipur', 'Chhattisgarh', '{}', 21.2514, 81.6296),
+  ('kolkata', 'Kolkata', 'West Bengal', '{Calcutta,CCU,Esplanade}', 22.5726, 88.3639),
+  ('siliguri', 'Siliguri', 'West Bengal', '{}', 26.7271, 88.3953),
+  ('bhubaneswar', 'Bhubaneswar', 'Odisha', '{}', 20.2961, 85.8245),
+  ('patna', 'Patna', 'Bihar', '{}', 25.5941, 85.1376),
+  ('ranchi', 'Ranchi', 'Jharkhand', '{}', 23.3441, 85.3096),
+  ('guwahati', 'Guwahati', 'Assam', '{Gauhati}', 26.1445, 91.7362)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.locations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view locations" ON public.locations FOR SELECT USING (true);
+
+CREATE POLICY "Admins can manage locations" ON public.locations
+  FOR ALL USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin')
+  );
+
+-- Case, punctuation and spacing don't matter
+CREATE OR REPLACE FUNCTION public.normalize_location_text(p_text TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT NULLIF(trim(regexp_replace(lower(p_text), '[^a-z0-9]+', ' ', 'g')), '');
+$$;
+
+-- The location id for a from/to text: the whole text first, then the part
+-- before "(", ",", "/" or " - " ("Bengaluru (Majestic)"). NULL when no
+-- location's id, name or alias matches.
+CREATE OR REPLACE FUNCTION public.resolve_location_id(p_text TEXT)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT l.id
+  FROM (
+    VALUES
+      (1, public.normalize_location_text(p_text)),
+      (2, public.normalize_location_text(regexp_replace(p_text, '\s*(\(|,|/|\s-\s).*$', '')))
+  ) AS candidate(rank, spelling)
+  JOIN public.locations l
+    ON candidate.spelling IN (
+      SELECT public.normalize_location_text(s) FROM unnest(l.aliases || ARRAY[l.id, l.name]) AS s
+    )
+  ORDER BY candidate.rank
+  LIMIT 1;
+$$;
+
+ALTER TABLE public.tickets
+ADD COLUMN IF NOT EXISTS from_location_id TEXT REFERENCES public.locations(id) ON UPDATE CASCADE,
+ADD COLUMN IF NOT EXISTS to_location_id TEXT REFERENCES public.locations(id) ON UPDATE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_tickets_location_ids ON public.tickets (from_location_id, to_location_id);
+
+-- Map the tickets already listed. Rows whose text matches nothing stay NULL;
+-- adding the spelling as an alias and running this again picks them up.
+UPDATE public.tickets
+SET from_location_id = public.resolve_location_id(from_location),
+    to_location_id = public.resolve_location_id(to_location)
+WHERE from_location_id IS NULL OR to_location_id IS NULL;
+
+-- The listed text wins; an id chosen in the sell form only fills in when the
+-- text doesn't match a location
+CREATE OR REPLACE FUNCTION public.set_ticket_location_ids()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  NEW.from_location_id := COALESCE(public.resolve_location_id(NEW.from_location), NEW.from_location_id);
+  NEW.to_location_id := COALESCE(public.resolve_location_id(NEW.to_location), NEW.to_location_id);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS set_ticket_location_ids ON public.tickets;
+CREATE TRIGGER set_ticket_location_ids
+  BEFORE INSERT OR UPDATE OF from_location, to_location ON public.tickets
+  FOR EACH ROW EXECUTE FUNCTION public.set_ticket_location_ids();
+
+-- The public projection gains the location ids, added at the end so the
+-- functions returning its rows keep working
+CREATE OR REPLACE VIEW public.tickets_with_seller AS
+SELECT
+  t.id,
+  t.seller_id,
+  t.bus_operator,
+  t.from_location,
+  t.to_location,
+  t.departure_date,
+  t.departure_time,
+  t.seat_class,
+  t.ticket_price,
+  t.selling_price,
+  t.listing_type,
+  t.status,
+  t.reserved_until,
+  t.verification_status,
+  t.api_verified,
+  t.created_at,
+  p.full_name AS seller_name,
+  p.rating AS seller_rating,
+  p.kyc_status AS seller_kyc_status,
+  t.from_location_id,
+  t.to_location_id
+FROM public.tickets t
+LEFT JOIN public.profiles p ON p.id = t.seller_id
+WHERE t.status IN ('available', 'reserved');
+
+-- Route and free-text filters also match any spelling of a known location,
+-- so searching "BLR" finds tickets listed from "Bangalore"
+CREATE OR REPLACE FUNCTION public.search_ticket_matches(
+  p_from TEXT,
+  p_to TEXT,
+  p_query TEXT,
+  p_date_from DATE,
+  p_date_to DATE,
+  p_min_price NUMERIC,
+  p_max_price NUMERIC,
+  p_operator TEXT,
+  p_time_band TEXT
+)
+RETURNS SETOF public.tickets_with_seller
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT t.*
+  FROM public.tickets_with_seller t
+  WHERE t.verification_status = 'verified'
+    AND t.seller_id IS DISTINCT FROM auth.uid()
+    AND (p_from IS NULL
+      OR strpos(lower(t.from_location), lower(p_from)) > 0
+      OR t.from_location_id = (SELECT public.resolve_location_id(p_from)))
+    AND (p_to IS NULL
+      OR strpos(lower(t.to_location), lower(p_to)) > 0
+      OR t.to_location_id = (SELECT public.resolve_location_id(p_to)))
+    AND (p_query IS NULL
+      OR strpos(lower(t.from_location), lower(p_query)) > 0
+      OR strpos(lower(t.to_location), lower(p_query)) > 0
+      OR strpos(lower(t.bus_operator), lower(p_query)) > 0
+      OR (SELECT public.resolve_location_id(p_query)) IN (t.from_location_id, t.to_location_id))
+    AND (p_date_from IS NULL OR t.departure_date >= p_date_from)
+    AND (p_date_to IS NULL OR t.departure_date <= p_date_to)
+    AND (p_min_price IS NULL OR COALESCE(t.selling_price, t.ticket_price) >= p_min_price)
+    AND (p_max_price IS NULL OR COALESCE(t.selling_price, t.ticket_price) <= p_max_price)
+    AND (p_operator IS NULL OR lower(t.bus_operator) = lower(p_operator))
+    AND (p_time_band IS NULL OR public.departure_time_band(t.departure_time) = p_time_band);
+$$;
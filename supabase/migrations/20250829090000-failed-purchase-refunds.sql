@@ -0,0 +1,120 @@
+-- Refunds for failed purchases
+--
+-- A purchase can be cancelled after the gateway has captured the payment:
+-- the amount captured didn't match the order, the booking failed
+-- re-verification, or another buyer got the ticket first. completePurchase
+-- now refunds those payments straight away under the failed_purchase reason.
+-- The money never reached escrow and no purchase journal recorded it coming
+-- in, so once the gateway accepts the refund the ledger posts it as a
+-- capture owed straight back to the buyer:
+--
+--   capture          failed_purchase refund accepted by gateway
+--                                                   Dr buyer_clearing  Cr refunds
+--
+-- The capture is keyed on the purchase, so a retried refund doesn't post it
+-- twice, and a failed refund leaves it in place since the buyer is still
+-- owed the money. ledger_gateway_totals counts captures as payments.
+
+ALTER TABLE public.refunds DROP CONSTRAINT IF EXISTS refunds_reason_check;
+ALTER TABLE public.refunds ADD CONSTRAINT refunds_reason_check
+  CHECK (reason IN ('buyer_cancelled', 'seller_cancelled', 'operator_cancelled', 'invalid_ticket', 'dispute', 'failed_purchase', 'other'));
+
+CREATE OR REPLACE FUNCTION public.post_refund_journal(p_refund public.refunds, p_old_status TEXT, p_old_gateway_refund_id TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_key TEXT;
+  v_voided BOOLEAN;
+BEGIN
+  IF p_refund.gateway_refund_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  v_key := p_refund.id || ':' || p_refund.gateway_refund_id;
+
+  -- Refunds of a completed sale come out of escrow; a payment captured for a
+  -- purchase that was cancelled before escrow was never posted at all
+  SELECT COALESCE(t.escrow_status, 'none') = 'none'
+  INTO v_voided
+  FROM public.enhanced_transactions t
+  WHERE t.id = p_refund.transaction_id;
+
+  v_voided := COALESCE(v_voided, false);
+
+  IF v_voided THEN
+    PERFORM public.post_ledger_journal(
+      'capture:' || p_refund.transaction_id,
+      'capture',
+      jsonb_build_array(
+        jsonb_build_object('account', 'buyer_clearing', 'amount', p_refund.amount),
+        jsonb_build_object('account', 'refunds', 'amount', -p_refund.amount)
+      ),
+      p_refund.gateway, p_refund.transaction_id, NULL, p_refund.id, p_refund.created_at
+    );
+  ELSIF p_refund.gateway_refund_id IS DISTINCT FROM p_old_gateway_refund_id THEN
+    PERFORM public.post_ledger_journal(
+      'refund:' || v_key,
+      'refund',
+      jsonb_build_array(
+        jsonb_build_object('account', 'escrow', 'amount', p_refund.amount),
+        jsonb_build_object('account', 'refunds', 'amount', -p_refund.amount)
+      ),
+      p_refund.gateway, p_refund.transaction_id, NULL, p_refund.id, p_refund.updated_at
+    );
+  END IF;
+
+  IF p_refund.status = 'processed' AND p_old_status IS DISTINCT FROM 'processed' THEN
+    PERFORM public.post_ledger_journal(
+      'refund_paid:' || v_key,
+      'refund_paid',
+      jsonb_build_array(
+        jsonb_build_object('account', 'refunds', 'amount', p_refund.amount),
+        jsonb_build_object('account', 'buyer_clearing', 'amount', -p_refund.amount)
+      ),
+      p_refund.gateway, p_refund.transaction_id, NULL, p_refund.id, COALESCE(p_refund.processed_at, p_refund.updated_at)
+    );
+  ELSIF p_refund.status = 'failed' AND p_old_status IS DISTINCT FROM 'failed' AND NOT v_voided THEN
+    PERFORM public.post_ledger_journal(
+      'refund_failed:' || v_key,
+      'refund_failed',
+      jsonb_build_array(
+        jsonb_build_object('account', 'refunds', 'amount', p_refund.amount),
+        jsonb_build_object('account', 'escrow', 'amount', -p_refund.amount)
+      ),
+      p_refund.gateway, p_refund.transaction_id, NULL, p_refund.id, p_refund.updated_at
+    );
+  END IF;
+END;
+$$;
+
+-- Captures for failed purchases came in through the gateway like any other
+-- payment
+CREATE OR REPLACE FUNCTION public.ledger_gateway_totals(p_from TIMESTAMPTZ, p_to TIMESTAMPTZ)
+RETURNS TABLE (gateway TEXT, payments DECIMAL, refunds DECIMAL, gateway_fees DECIMAL, payouts DECIMAL)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin') THEN
+    RAISE EXCEPTION 'Only admins can view the ledger';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    j.gateway,
+    COALESCE(SUM(e.debit) FILTER (WHERE j.event IN ('purchase', 'capture')), 0),
+    COALESCE(SUM(e.credit) FILTER (WHERE j.event = 'refund_paid'), 0),
+    COALESCE(SUM(e.credit) FILTER (WHERE j.event = 'gateway_fee'), 0),
+    COALESCE(SUM(e.credit) FILTER (WHERE j.event = 'payout'), 0)
+      - COALESCE(SUM(e.debit) FILTER (WHERE j.event = 'payout_reversed'), 0)
+  FROM public.ledger_journals j
+  JOIN public.ledger_entries e ON e.journal_id = j.id AND e.account_code = 'buyer_clearing'
+  WHERE j.occurred_at >= p_from AND j.occurred_at < p_to
+  GROUP BY j.gateway;
+END;
+$$;
@@ -0,0 +1,39 @@
+-- Payout batches only load payouts they can send
+--
+-- process-payouts took the oldest due payouts and skipped the ones whose
+-- seller had no verified destination, leaving them pending. Enough of those
+-- filled every batch and newer payouts never went out. Batches now load
+-- through due_seller_payouts, which leaves out payouts still waiting on a
+-- destination; they're picked up once the seller verifies one.
+
+-- Pending payouts that are due and have a destination to go to: active,
+-- verified and on the seller's payout rail, as payoutDestinationFor picks it
+CREATE OR REPLACE FUNCTION public.due_seller_payouts(p_limit INTEGER)
+RETURNS SETOF public.seller_payouts
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT sp.*
+  FROM public.seller_payouts sp
+  JOIN public.profiles p ON p.id = sp.seller_id
+  WHERE sp.status = 'pending'
+    AND (sp.next_attempt_at IS NULL OR sp.next_attempt_at <= now())
+    AND EXISTS (
+      SELECT 1
+      FROM public.payout_destinations d
+      WHERE d.seller_id = sp.seller_id
+        AND d.active
+        AND d.verification_status = 'verified'
+        AND CASE
+          WHEN p.payout_rail = 'stripe' THEN d.type = 'connected_account'
+          ELSE d.type <> 'connected_account' AND d.is_default
+        END
+    )
+  ORDER BY sp.created_at
+  LIMIT p_limit;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.due_seller_payouts(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.due_seller_payouts(INTEGER) TO service_role;
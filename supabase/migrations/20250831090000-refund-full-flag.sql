@@ -0,0 +1,26 @@
+-- Record whether a refund was the full one
+--
+-- processRefund returns the earlier refund when a request is retried under
+-- the same idempotency key, but couldn't say whether it had refunded the
+-- purchase in full. resolve-dispute needs that to decide whether escrow is
+-- released with a partial refund or was refunded, so it's stored on the row.
+
+ALTER TABLE public.refunds
+ADD COLUMN IF NOT EXISTS full_refund BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.refunds.full_refund IS 'Nothing was left to refund on the purchase after this refund';
+
+-- The last refund on a purchase that ended up refunded was the full one
+UPDATE public.refunds r
+SET full_refund = true
+FROM public.enhanced_transactions t
+WHERE t.id = r.transaction_id
+  AND t.status = 'refunded'
+  AND r.id = (
+    SELECT latest.id
+    FROM public.refunds latest
+    WHERE latest.transaction_id = r.transaction_id
+      AND latest.status <> 'failed'
+    ORDER BY latest.created_at DESC
+    LIMIT 1
+  );
@@ -0,0 +1,98 @@
+-- Ticket verification is set server-side
+--
+-- The sell forms wrote verification_status, api_verified and
+-- verification_confidence themselves, so any seller could list a ticket as
+-- verified with full confidence and skip name scoring and manual review.
+-- verify-pnr now records each match in pnr_verifications, and a tickets
+-- trigger fills in the listing's verification from the seller's latest
+-- record for that PNR and passenger, ignoring whatever the client sent.
+-- Only the service role and admins change verification afterwards.
+
+CREATE TABLE IF NOT EXISTS public.pnr_verifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  seller_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  pnr_number TEXT NOT NULL,
+  -- The name the seller entered and the one on the operator's booking
+  passenger_names TEXT[] NOT NULL DEFAULT '{}',
+  verification_status TEXT NOT NULL CHECK (verification_status IN ('pending', 'verified', 'rejected')),
+  confidence INTEGER NOT NULL DEFAULT 0,
+  provider TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pnr_verifications_lookup
+  ON public.pnr_verifications (seller_id, pnr_number, created_at DESC);
+
+-- Written and read by verify-pnr and the trigger below only
+ALTER TABLE public.pnr_verifications ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.guard_ticket_verification()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_record public.pnr_verifications;
+BEGIN
+  IF auth.role() = 'service_role' THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'UPDATE' THEN
+    IF EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND user_type = 'admin') THEN
+      RETURN NEW;
+    END IF;
+
+    NEW.verification_status := OLD.verification_status;
+    NEW.api_verified := OLD.api_verified;
+    NEW.api_provider := OLD.api_provider;
+    NEW.verification_confidence := OLD.verification_confidence;
+    NEW.verified_at := OLD.verified_at;
+
+    -- A different booking has to be verified again
+    IF NEW.pnr_number IS NOT DISTINCT FROM OLD.pnr_number
+      AND NEW.passenger_name IS NOT DISTINCT FROM OLD.passenger_name THEN
+      RETURN NEW;
+    END IF;
+  END IF;
+
+  SELECT v.*
+  INTO v_record
+  FROM public.pnr_verifications v
+  WHERE v.seller_id = NEW.seller_id
+    AND v.pnr_number = upper(regexp_replace(NEW.pnr_number, '[^A-Za-z0-9]', '', 'g'))
+    -- A verification is good for listing the ticket within a day
+    AND v.created_at > now() - INTERVAL '1 day'
+    AND EXISTS (
+      SELECT 1
+      FROM unnest(v.passenger_names) AS name
+      WHERE lower(regexp_replace(trim(name), '\s+', ' ', 'g'))
+        = lower(regexp_replace(trim(NEW.passenger_name), '\s+', ' ', 'g'))
+    )
+  ORDER BY v.created_at DESC
+  LIMIT 1;
+
+  IF v_record.id IS NULL THEN
+    -- Never verified, or for a different booking: manual review
+    NEW.verification_status := 'pending';
+    NEW.api_verified := false;
+    NEW.api_provider := NULL;
+    NEW.verification_confidence := 0;
+    NEW.verified_at := NULL;
+  ELSE
+    NEW.verification_status := v_record.verification_status;
+    NEW.api_verified := v_record.verification_status = 'verified';
+    NEW.api_provider := v_record.provider;
+    NEW.verification_confidence := v_record.confidence;
+    NEW.verified_at := CASE WHEN v_record.verification_status = 'verified' THEN v_record.created_at END;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS guard_ticket_verification ON public.tickets;
+CREATE TRIGGER guard_ticket_verification
+  BEFORE INSERT OR UPDATE ON public.tickets
+  FOR EACH ROW EXECUTE FUNCTION public.guard_ticket_verification();
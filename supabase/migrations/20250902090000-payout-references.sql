@@ -0,0 +1,22 @@
+-- Stable payout references
+--
+-- Each payout attempt used to send the gateway a new reference,
+-- payout_<id>_<attempt>, which is also its idempotency key. When a transfer
+-- went through but the response was lost, the payout went back to pending
+-- and the next attempt paid the seller again under a new key. sendPayout now
+-- keeps the reference until an attempt is known to have failed, and leaves a
+-- payout whose outcome it never heard in processing for the webhook, which
+-- can match it by reference.
+
+ALTER TABLE public.seller_payouts
+ADD COLUMN IF NOT EXISTS reference_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seller_payouts_reference_id
+  ON public.seller_payouts (reference_id)
+  WHERE reference_id IS NOT NULL;
+
+COMMENT ON COLUMN public.seller_payouts.reference_id IS 'Reference and idempotency key sent to the gateway; cleared once an attempt under it is known to have failed';
+
+-- Attempts sent in a batch whose response never came back
+ALTER TABLE public.payout_batches
+ADD COLUMN IF NOT EXISTS unconfirmed INTEGER NOT NULL DEFAULT 0;
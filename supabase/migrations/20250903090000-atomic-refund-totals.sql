@@ -0,0 +1,33 @@
+-- Refund totals checked and updated together
+--
+-- processRefund read refunded_amount, checked the refund against it and
+-- wrote the new total after the gateway call, so two refunds under
+-- different keys could both pass the check and together refund more than
+-- the purchase allows. It now adds each refund to the totals before calling
+-- the gateway, in one update that only goes through while the new total
+-- stays within what's refundable, and takes it back off if the gateway
+-- refuses.
+
+CREATE OR REPLACE FUNCTION public.add_refund_totals(
+  p_transaction_id UUID,
+  p_amount NUMERIC,
+  p_commission NUMERIC,
+  p_refundable NUMERIC
+)
+RETURNS TABLE (refunded_amount NUMERIC, refunded_commission NUMERIC)
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE public.enhanced_transactions t
+  SET refunded_amount = t.refunded_amount + p_amount,
+      refunded_commission = t.refunded_commission + p_commission,
+      updated_at = now()
+  WHERE t.id = p_transaction_id
+    AND t.refunded_amount + p_amount <= p_refundable
+    AND t.refunded_amount + p_amount >= 0
+  RETURNING t.refunded_amount, t.refunded_commission;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.add_refund_totals(UUID, NUMERIC, NUMERIC, NUMERIC) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.add_refund_totals(UUID, NUMERIC, NUMERIC, NUMERIC) TO service_role;